@@ -54,11 +54,17 @@ function parseConfigDirArg() {
 const explicitConfigDir = parseConfigDirArg();
 const hasHelp = args.includes('--help') || args.includes('-h');
 
-console.log(banner);
+// Subcommands (e.g. `pmp-gywd gate`) skip the installer entirely
+const isGateCommand = args[0] === 'gate';
+
+if (!isGateCommand) {
+  console.log(banner);
+}
 
 // Show help if requested
-if (hasHelp) {
+if (hasHelp && !isGateCommand) {
   console.log(`  ${yellow}Usage:${reset} npx pmp-gywd [options]
+         npx pmp-gywd gate [--format text|json|junit|sarif] [--output <file>]
 
   ${yellow}Options:${reset}
     ${cyan}-g, --global${reset}              Install globally (to Claude config directory)
@@ -66,6 +72,10 @@ if (hasHelp) {
     ${cyan}-c, --config-dir <path>${reset}   Specify custom Claude config directory
     ${cyan}-h, --help${reset}                Show this help message
 
+  ${yellow}Commands:${reset}
+    ${cyan}gate${reset}                      Run PR gate checks; exits 1 if the gate fails
+                              (see ${cyan}npx pmp-gywd gate --help${reset})
+
   ${yellow}Examples:${reset}
     ${dim}# Install to default ~/.claude directory${reset}
     npx pmp-gywd --global
@@ -76,6 +86,9 @@ if (hasHelp) {
     ${dim}# Install to current project only${reset}
     npx pmp-gywd --local
 
+    ${dim}# Run the PR gate in CI and upload SARIF${reset}
+    npx pmp-gywd gate --format sarif --output gate.sarif
+
   ${yellow}Notes:${reset}
     The --config-dir option is useful when you have multiple Claude Code
     configurations. It takes priority over CLAUDE_CONFIG_DIR env variable.
@@ -333,7 +346,13 @@ function promptLocation() {
 }
 
 // Main
-if (hasGlobal && hasLocal) {
+if (isGateCommand) {
+  require('../lib/gates/gate-cli').runGateCommand(args.slice(1))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => exitWithError('PR gate failed to run.', err.message));
+} else if (hasGlobal && hasLocal) {
   console.error(`  ${yellow}Cannot specify both --global and --local${reset}`);
   process.exit(1);
 } else if (explicitConfigDir && hasLocal) {
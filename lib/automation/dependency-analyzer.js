@@ -7,10 +7,12 @@
  * - Dependency graphs
  * - Independent modules (can be tested/built in parallel)
  * - Coupling metrics
+ * - Workspace packages: package coupling, cycles and build order
  */
 
 const fs = require('fs');
 const path = require('path');
+const { ModuleResolver } = require('./module-resolver');
 
 /**
  * Import pattern matchers
@@ -28,8 +30,14 @@ const DEP_TYPES = {
   INTERNAL: 'internal',
   EXTERNAL: 'external',
   BUILTIN: 'builtin',
+  WORKSPACE: 'workspace',
 };
 
+/**
+ * package.json fields that declare dependencies on other workspace packages
+ */
+const MANIFEST_DEP_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
 /**
  * Node.js built-in modules
  */
@@ -45,10 +53,26 @@ const BUILTIN_MODULES = new Set([
  * Dependency Analyzer class
  */
 class DependencyAnalyzer {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.rootDir=process.cwd()] - Project root
+   * @param {string[]} [options.extensions] - Source extensions
+   * @param {string[]} [options.excludeDirs] - Directories never scanned
+   * @param {ModuleResolver} [options.resolver] - Resolver for aliases, tsconfig paths and workspace packages
+   * @param {object} [options.aliases] - Import aliases for the default resolver, e.g. `{ '@': 'src' }`
+   * @param {boolean} [options.workspaces=false] - Workspace mode: classify imports between npm/yarn/pnpm
+   *   workspace packages as `workspace` and add package-level results to analyze()
+   */
   constructor(options = {}) {
     this.rootDir = options.rootDir || process.cwd();
     this.extensions = options.extensions || ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
     this.excludeDirs = options.excludeDirs || ['node_modules', '.git', 'dist', 'build', 'coverage'];
+    this.resolver = options.resolver || new ModuleResolver({
+      rootDir: this.rootDir,
+      extensions: this.extensions,
+      aliases: options.aliases,
+    });
+    this.workspaces = options.workspaces === true;
     this.dependencies = new Map();
     this.reverseDeps = new Map();
     this.fileContents = new Map();
@@ -64,7 +88,7 @@ class DependencyAnalyzer {
     this.scanDirectory(dir);
     this.buildReverseDependencies();
 
-    return {
+    const results = {
       files: this.dependencies.size,
       dependencies: this.getDependencyStats(),
       circular: this.findCircularDependencies(),
@@ -72,6 +96,12 @@ class DependencyAnalyzer {
       coupling: this.calculateCoupling(),
       layers: this.detectLayers(),
     };
+
+    if (this.workspaces) {
+      results.workspaces = this.analyzeWorkspaces();
+    }
+
+    return results;
   }
 
   /**
@@ -147,10 +177,11 @@ class DependencyAnalyzer {
   }
 
   /**
-   * Classify a dependency as internal, external, or builtin
+   * Classify a dependency as internal, external, builtin or, in workspace
+   * mode, workspace (a file in another workspace package; `package` names it)
    * @param {string} importPath - Import path
    * @param {string} baseDir - Base directory
-   * @returns {{path: string, type: string, raw: string}}
+   * @returns {{path: string, type: string, raw: string, package?: string}}
    */
   classifyDependency(importPath, baseDir) {
     const raw = importPath;
@@ -160,47 +191,62 @@ class DependencyAnalyzer {
       return { path: importPath, type: DEP_TYPES.BUILTIN, raw };
     }
 
+    const relative = importPath.startsWith('.') || importPath.startsWith('/');
+    const resolved = this.resolveImport(importPath, baseDir);
+
+    if (this.workspaces) {
+      const workspaceDep = this.classifyWorkspaceDependency(importPath, resolved, baseDir, relative);
+      if (workspaceDep) return workspaceDep;
+    }
+
     // Check for relative imports (internal)
-    if (importPath.startsWith('.') || importPath.startsWith('/')) {
-      const resolved = this.resolveImport(importPath, baseDir);
+    if (relative) {
       return { path: resolved || importPath, type: DEP_TYPES.INTERNAL, raw };
     }
 
+    // Aliases, tsconfig paths and workspace packages that resolve to project files
+    if (resolved) {
+      return { path: resolved, type: DEP_TYPES.INTERNAL, raw };
+    }
+
     // Everything else is external (npm packages)
     return { path: importPath.split('/')[0], type: DEP_TYPES.EXTERNAL, raw };
   }
 
   /**
-   * Resolve a relative import to absolute path
+   * Classify an import that crosses workspace packages: one that resolves to a
+   * file in another package, or names a sibling package that does not resolve
+   * (e.g. its exports point at unbuilt output)
    * @param {string} importPath - Import path
-   * @param {string} baseDir - Base directory
-   * @returns {string|null}
+   * @param {string|null} resolved - Resolved file
+   * @param {string} baseDir - Directory of the importing file
+   * @param {boolean} relative - Whether the import is a relative or absolute path
+   * @returns {{path: string, type: string, raw: string, package: string}|null} Null when not cross-package
    */
-  resolveImport(importPath, baseDir) {
-    const resolved = path.resolve(baseDir, importPath);
-
-    // Try with extensions
-    for (const ext of this.extensions) {
-      const withExt = resolved + ext;
-      if (fs.existsSync(withExt)) {
-        return withExt;
-      }
+  classifyWorkspaceDependency(importPath, resolved, baseDir, relative) {
+    const from = this.resolver.findPackage(baseDir);
+    let target = resolved ? this.resolver.findPackage(resolved) : null;
+
+    if (!target && !relative) {
+      const parts = importPath.split('/');
+      const name = importPath.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+      target = this.resolver.getWorkspacePackages().get(name) || null;
     }
 
-    // Try index files
-    for (const ext of this.extensions) {
-      const indexPath = path.join(resolved, `index${ext}`);
-      if (fs.existsSync(indexPath)) {
-        return indexPath;
-      }
-    }
+    if (!target || (from && from.name === target.name)) return null;
 
-    // Try exact path
-    if (fs.existsSync(resolved)) {
-      return resolved;
-    }
+    return { path: resolved || target.name, type: DEP_TYPES.WORKSPACE, raw: importPath, package: target.name };
+  }
 
-    return null;
+  /**
+   * Resolve an import to an absolute file path: relative paths, aliases,
+   * tsconfig paths/baseUrl and workspace packages
+   * @param {string} importPath - Import path
+   * @param {string} baseDir - Base directory
+   * @returns {string|null}
+   */
+  resolveImport(importPath, baseDir) {
+    return this.resolver.resolve(importPath, baseDir);
   }
 
   /**
@@ -211,7 +257,7 @@ class DependencyAnalyzer {
 
     for (const [file, deps] of this.dependencies) {
       for (const dep of deps) {
-        if (dep.type === DEP_TYPES.INTERNAL && dep.path) {
+        if (this.isLocalDependency(dep)) {
           if (!this.reverseDeps.has(dep.path)) {
             this.reverseDeps.set(dep.path, new Set());
           }
@@ -226,39 +272,47 @@ class DependencyAnalyzer {
    * @returns {Array<string[]>} Array of circular dependency chains
    */
   findCircularDependencies() {
+    return this.findCycles(this.dependencies.keys(), file => this.localDependencies(file))
+      .map(cycle => cycle.map(f => this.relativePath(f)));
+  }
+
+  /**
+   * Find the cycles in a graph, deduplicated
+   * @param {Iterable<string>} nodes - Nodes to start from
+   * @param {function(string): string[]} next - Nodes a node depends on
+   * @returns {Array<string[]>} Cycles, each ending where it starts
+   */
+  findCycles(nodes, next) {
     const cycles = [];
     const visited = new Set();
     const recursionStack = new Set();
 
-    const dfs = (file, chain = []) => {
-      if (recursionStack.has(file)) {
-        const cycleStart = chain.indexOf(file);
+    const dfs = (node, chain = []) => {
+      if (recursionStack.has(node)) {
+        const cycleStart = chain.indexOf(node);
         if (cycleStart !== -1) {
           const cycle = chain.slice(cycleStart);
-          cycle.push(file);
-          cycles.push(cycle.map(f => this.relativePath(f)));
+          cycle.push(node);
+          cycles.push(cycle);
         }
         return;
       }
 
-      if (visited.has(file)) return;
+      if (visited.has(node)) return;
 
-      visited.add(file);
-      recursionStack.add(file);
-      chain.push(file);
+      visited.add(node);
+      recursionStack.add(node);
+      chain.push(node);
 
-      const deps = this.dependencies.get(file) || [];
-      for (const dep of deps) {
-        if (dep.type === DEP_TYPES.INTERNAL && dep.path) {
-          dfs(dep.path, [...chain]);
-        }
+      for (const child of next(node)) {
+        dfs(child, [...chain]);
       }
 
-      recursionStack.delete(file);
+      recursionStack.delete(node);
     };
 
-    for (const file of this.dependencies.keys()) {
-      dfs(file);
+    for (const node of nodes) {
+      dfs(node);
     }
 
     // Deduplicate cycles
@@ -301,7 +355,7 @@ class DependencyAnalyzer {
     const independent = [];
 
     for (const [file, deps] of this.dependencies) {
-      const internalDeps = deps.filter(d => d.type === DEP_TYPES.INTERNAL);
+      const internalDeps = deps.filter(d => this.isLocalDependency(d));
       if (internalDeps.length === 0) {
         independent.push(this.relativePath(file));
       }
@@ -323,7 +377,7 @@ class DependencyAnalyzer {
 
     for (const [file, deps] of this.dependencies) {
       const relPath = this.relativePath(file);
-      const internalDeps = deps.filter(d => d.type === DEP_TYPES.INTERNAL);
+      const internalDeps = deps.filter(d => this.isLocalDependency(d));
 
       // Efferent coupling (outgoing dependencies)
       metrics.efferentCoupling.set(relPath, internalDeps.length);
@@ -370,7 +424,7 @@ class DependencyAnalyzer {
       // Track cross-layer dependencies
       const deps = this.dependencies.get(file) || [];
       for (const dep of deps) {
-        if (dep.type === DEP_TYPES.INTERNAL && dep.path) {
+        if (this.isLocalDependency(dep)) {
           const depRel = this.relativePath(dep.path);
           const depParts = depRel.split(path.sep);
           const depLayer = depParts.length > 1 ? depParts[0] : 'root';
@@ -402,7 +456,9 @@ class DependencyAnalyzer {
     let internal = 0;
     let external = 0;
     let builtin = 0;
+    let workspace = 0;
     const externalPackages = new Set();
+    const workspacePackages = new Set();
 
     for (const deps of this.dependencies.values()) {
       for (const dep of deps) {
@@ -417,6 +473,10 @@ class DependencyAnalyzer {
           case DEP_TYPES.BUILTIN:
             builtin++;
             break;
+          case DEP_TYPES.WORKSPACE:
+            workspace++;
+            workspacePackages.add(dep.package);
+            break;
           default:
             // Unknown type, skip
             break;
@@ -428,8 +488,10 @@ class DependencyAnalyzer {
       internal,
       external,
       builtin,
-      total: internal + external + builtin,
+      workspace,
+      total: internal + external + builtin + workspace,
       externalPackages: Array.from(externalPackages).sort(),
+      workspacePackages: Array.from(workspacePackages).sort(),
     };
   }
 
@@ -461,7 +523,7 @@ class DependencyAnalyzer {
 
     const deps = this.dependencies.get(absPath) || [];
     return deps
-      .filter(d => d.type === DEP_TYPES.INTERNAL)
+      .filter(d => this.isLocalDependency(d))
       .map(d => this.relativePath(d.path))
       .filter(Boolean);
   }
@@ -471,35 +533,164 @@ class DependencyAnalyzer {
    * @returns {string[]}
    */
   getTopologicalOrder() {
+    return this.topologicalSort(
+      this.dependencies.keys(),
+      file => this.localDependencies(file).filter(dep => this.dependencies.has(dep)),
+    ).map(file => this.relativePath(file));
+  }
+
+  /**
+   * Order a graph so every node comes after the nodes it depends on;
+   * edges that close a cycle are ignored
+   * @param {Iterable<string>} nodes - Nodes to order
+   * @param {function(string): string[]} next - Nodes a node depends on
+   * @returns {string[]}
+   */
+  topologicalSort(nodes, next) {
     const order = [];
     const visited = new Set();
     const temp = new Set();
 
-    const visit = (file) => {
-      if (temp.has(file)) return; // Circular dependency
-      if (visited.has(file)) return;
+    const visit = (node) => {
+      if (temp.has(node)) return; // Circular dependency
+      if (visited.has(node)) return;
 
-      temp.add(file);
+      temp.add(node);
 
-      const deps = this.dependencies.get(file) || [];
-      for (const dep of deps) {
-        if (dep.type === DEP_TYPES.INTERNAL && dep.path && this.dependencies.has(dep.path)) {
-          visit(dep.path);
-        }
+      for (const child of next(node)) {
+        visit(child);
       }
 
-      temp.delete(file);
-      visited.add(file);
-      order.push(this.relativePath(file));
+      temp.delete(node);
+      visited.add(node);
+      order.push(node);
     };
 
-    for (const file of this.dependencies.keys()) {
-      visit(file);
+    for (const node of nodes) {
+      visit(node);
     }
 
     return order;
   }
 
+  /**
+   * Package-level graph of the workspace. A package depends on the sibling
+   * packages it declares in package.json and on those its files import;
+   * imports it does not declare are listed as `undeclared`.
+   * @returns {Object<string, {dir: string, files: number, dependsOn: string[], declared: string[],
+   *   imports: Object<string, number>, undeclared: string[]}>} Package name → node; imports count file-level edges
+   */
+  getPackageGraph() {
+    const packages = this.resolver.getWorkspacePackages();
+    const nodes = new Map();
+
+    for (const pkg of packages.values()) {
+      const declared = new Set();
+      for (const field of MANIFEST_DEP_FIELDS) {
+        for (const name of Object.keys(pkg.manifest[field] || {})) {
+          if (packages.has(name) && name !== pkg.name) declared.add(name);
+        }
+      }
+      nodes.set(pkg.name, { dir: this.relativePath(pkg.dir), files: 0, declared, imports: new Map() });
+    }
+
+    for (const [file, deps] of this.dependencies) {
+      const pkg = this.resolver.findPackage(file);
+      if (!pkg || !nodes.has(pkg.name)) continue;
+
+      const node = nodes.get(pkg.name);
+      node.files++;
+      for (const dep of deps) {
+        if (dep.type === DEP_TYPES.WORKSPACE && nodes.has(dep.package)) {
+          node.imports.set(dep.package, (node.imports.get(dep.package) || 0) + 1);
+        }
+      }
+    }
+
+    const graph = {};
+    for (const name of [...nodes.keys()].sort()) {
+      const node = nodes.get(name);
+      const imported = [...node.imports.keys()].sort();
+      graph[name] = {
+        dir: node.dir,
+        files: node.files,
+        dependsOn: [...new Set([...node.declared, ...imported])].sort(),
+        declared: [...node.declared].sort(),
+        imports: Object.fromEntries(imported.map(dep => [dep, node.imports.get(dep)])),
+        undeclared: imported.filter(dep => !node.declared.has(dep)),
+      };
+    }
+    return graph;
+  }
+
+  /**
+   * Find circular dependencies between workspace packages
+   * @param {object} [graph] - Package graph from getPackageGraph()
+   * @returns {Array<string[]>} Cycles of package names
+   */
+  findPackageCycles(graph = this.getPackageGraph()) {
+    return this.findCycles(Object.keys(graph), name => graph[name].dependsOn);
+  }
+
+  /**
+   * Order workspace packages so each is built after the packages it depends on
+   * @param {object} [graph] - Package graph from getPackageGraph()
+   * @returns {string[]} Package names
+   */
+  getPackageBuildOrder(graph = this.getPackageGraph()) {
+    return this.topologicalSort(Object.keys(graph), name => graph[name].dependsOn);
+  }
+
+  /**
+   * Calculate coupling metrics between workspace packages
+   * @param {object} [graph] - Package graph from getPackageGraph()
+   * @returns {object}
+   */
+  calculatePackageCoupling(graph = this.getPackageGraph()) {
+    const afferent = {};
+    const efferent = {};
+    const instability = {};
+
+    for (const name of Object.keys(graph)) {
+      afferent[name] = 0;
+    }
+    for (const node of Object.values(graph)) {
+      for (const dep of node.dependsOn) {
+        afferent[dep]++;
+      }
+    }
+
+    for (const [name, node] of Object.entries(graph)) {
+      // Instability = Ce / (Ca + Ce)
+      const ce = node.dependsOn.length;
+      const ca = afferent[name];
+      efferent[name] = ce;
+      instability[name] = (ca + ce) > 0 ? Math.round(ce / (ca + ce) * 100) / 100 : 0;
+    }
+
+    return {
+      afferent,
+      efferent,
+      instability,
+      averageInstability: this.average(Object.values(instability)),
+    };
+  }
+
+  /**
+   * Package-level results for workspace mode
+   * @returns {{packages: object, coupling: object, cycles: Array<string[]>, buildOrder: string[]}}
+   */
+  analyzeWorkspaces() {
+    const graph = this.getPackageGraph();
+
+    return {
+      packages: graph,
+      coupling: this.calculatePackageCoupling(graph),
+      cycles: this.findPackageCycles(graph),
+      buildOrder: this.getPackageBuildOrder(graph),
+    };
+  }
+
   /**
    * Generate dependency graph in DOT format
    * @returns {string}
@@ -511,7 +702,7 @@ class DependencyAnalyzer {
       const from = this.relativePath(file).replace(/[/\\]/g, '_').replace(/\./g, '_');
 
       for (const dep of deps) {
-        if (dep.type === DEP_TYPES.INTERNAL && dep.path) {
+        if (this.isLocalDependency(dep)) {
           const to = this.relativePath(dep.path).replace(/[/\\]/g, '_').replace(/\./g, '_');
           lines.push(`  ${from} -> ${to};`);
         }
@@ -551,6 +742,35 @@ class DependencyAnalyzer {
       lines.push('');
     }
 
+    if (analysis.workspaces) {
+      const { packages, coupling, cycles, buildOrder } = analysis.workspaces;
+      lines.push('## Workspace Packages', '');
+      lines.push(`Cross-package imports: ${analysis.dependencies.workspace}`, '');
+      lines.push('| Package | Files | Depends on | Instability |', '|---------|-------|------------|-------------|');
+      for (const [name, node] of Object.entries(packages)) {
+        lines.push(`| ${name} | ${node.files} | ${node.dependsOn.join(', ') || '-'} | ${coupling.instability[name]} |`);
+      }
+      lines.push('');
+      lines.push(`**Build order**: ${buildOrder.join(' → ')}`, '');
+
+      if (cycles.length > 0) {
+        lines.push('### Package Cycles ⚠️', '');
+        for (const cycle of cycles) {
+          lines.push(`- ${cycle.join(' → ')}`);
+        }
+        lines.push('');
+      }
+
+      const undeclared = Object.entries(packages).filter(([, node]) => node.undeclared.length > 0);
+      if (undeclared.length > 0) {
+        lines.push('### Imported but not declared in package.json', '');
+        for (const [name, node] of undeclared) {
+          lines.push(`- ${name}: ${node.undeclared.join(', ')}`);
+        }
+        lines.push('');
+      }
+    }
+
     if (analysis.dependencies.externalPackages.length > 0) {
       lines.push('## External Packages', '');
       for (const pkg of analysis.dependencies.externalPackages) {
@@ -581,6 +801,28 @@ class DependencyAnalyzer {
     return lines.join('\n');
   }
 
+  /**
+   * Whether a dependency is an edge to a project file: internal, or a
+   * workspace import that resolved to a file
+   * @param {{path: string, type: string}} dep - Dependency
+   * @returns {boolean}
+   */
+  isLocalDependency(dep) {
+    if (dep.type === DEP_TYPES.INTERNAL) return Boolean(dep.path);
+    return dep.type === DEP_TYPES.WORKSPACE && path.isAbsolute(dep.path);
+  }
+
+  /**
+   * Project files a file depends on
+   * @param {string} filePath - Absolute file path
+   * @returns {string[]}
+   */
+  localDependencies(filePath) {
+    return (this.dependencies.get(filePath) || [])
+      .filter(dep => this.isLocalDependency(dep))
+      .map(dep => dep.path);
+  }
+
   /**
    * Get relative path from root
    * @param {string} absPath - Absolute path
@@ -608,6 +850,7 @@ class DependencyAnalyzer {
     this.dependencies.clear();
     this.reverseDeps.clear();
     this.fileContents.clear();
+    this.resolver.clear();
   }
 
   /**
@@ -3,6 +3,8 @@
  *
  * Tools for automating development workflows:
  * - Dependency analysis
+ * - Symbol-level impact analysis
+ * - Module resolution (tsconfig paths, aliases, workspace packages)
  * - Test generation
  * - Documentation generation
  */
@@ -13,6 +15,18 @@ const {
   BUILTIN_MODULES,
 } = require('./dependency-analyzer');
 
+const {
+  ImpactAnalyzer,
+  IMPACT_KINDS,
+} = require('./impact-analyzer');
+
+const {
+  ModuleResolver,
+  RESOLVER_DEFAULTS,
+  parseJsonc,
+  resolveExportsTarget,
+} = require('./module-resolver');
+
 const {
   TestGenerator,
   TEST_FRAMEWORKS,
@@ -26,17 +40,27 @@ const {
 module.exports = {
   // Classes
   DependencyAnalyzer,
+  ImpactAnalyzer,
+  ModuleResolver,
   TestGenerator,
   DocGenerator,
 
   // Constants
   DEP_TYPES,
   BUILTIN_MODULES,
+  IMPACT_KINDS,
+  RESOLVER_DEFAULTS,
   TEST_FRAMEWORKS,
   DOC_TYPES,
 
   // Factory functions
   createDependencyAnalyzer: (options) => new DependencyAnalyzer(options),
+  createImpactAnalyzer: (options) => new ImpactAnalyzer(options),
+  createModuleResolver: (options) => new ModuleResolver(options),
+
+  // Utilities
+  parseJsonc,
+  resolveExportsTarget,
   createTestGenerator: (options) => new TestGenerator(options),
   createDocGenerator: (options) => new DocGenerator(options),
 };
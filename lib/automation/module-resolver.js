@@ -0,0 +1,579 @@
+/**
+ * Module Resolver
+ *
+ * Resolves import specifiers to files the way TypeScript and Node do in a
+ * monorepo, so aliased imports are not mistaken for external packages:
+ * - Relative and absolute paths, with extension and index lookup
+ *   (and `./x.js` → `./x.ts` for TypeScript ESM sources)
+ * - tsconfig.json / jsconfig.json `paths` and `baseUrl` (nearest config,
+ *   following `extends`)
+ * - Explicit aliases such as `@` → `src`
+ * - Workspace packages (npm/yarn `workspaces`, pnpm-workspace.yaml),
+ *   including their package.json `exports` maps
+ *
+ * Packages installed in node_modules are never resolved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default resolver options
+ */
+const RESOLVER_DEFAULTS = {
+  extensions: ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'],
+  // Tried in this order; the first target that exists wins, so a missing
+  // build output falls through to the next condition
+  conditions: ['source', 'import', 'require', 'node', 'default', 'types'],
+  configFiles: ['tsconfig.json', 'jsconfig.json'],
+};
+
+/**
+ * Emitted extension → source extensions TypeScript maps it back to
+ */
+const SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+};
+
+/**
+ * Parse JSON with comments and trailing commas (tsconfig.json style)
+ * @param {string} text - JSONC text
+ * @returns {*} Parsed value
+ */
+function parseJsonc(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+      out += text.slice(i, j + 1);
+      i = j;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += ch;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Targets a package.json `exports` field maps a subpath to, in preference
+ * order. Handles sugar (`"exports": "./index.js"`), subpath patterns with
+ * `*`, nested conditions and fallback arrays.
+ * @param {*} exportsField - The `exports` value
+ * @param {string} subpath - `.` or `./feature`
+ * @param {string[]} [conditions] - Accepted condition names
+ * @returns {string[]} Package-relative targets (empty when not exported)
+ */
+function resolveExportsTarget(exportsField, subpath, conditions = RESOLVER_DEFAULTS.conditions) {
+  const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'));
+  const map = isSubpathMap ? exportsField : { '.': exportsField };
+
+  const rank = (condition) => {
+    const index = conditions.indexOf(condition);
+    return index === -1 ? conditions.length : index;
+  };
+  const collect = (value, star) => {
+    if (typeof value === 'string') return [star === null ? value : value.split('*').join(star)];
+    if (Array.isArray(value)) return value.flatMap(v => collect(v, star));
+    if (value && typeof value === 'object') {
+      // Every accepted condition, in our preference order rather than key order,
+      // so an unbuilt `import` target can fall back to `source` or `types`
+      const accepted = Object.keys(value).filter(key => conditions.includes(key) || key === 'default');
+      accepted.sort((a, b) => rank(a) - rank(b));
+      return accepted.flatMap(key => collect(value[key], star));
+    }
+    return [];
+  };
+
+  if (Object.prototype.hasOwnProperty.call(map, subpath)) return collect(map[subpath], null);
+
+  // Longest matching pattern wins
+  let best = null;
+  for (const key of Object.keys(map)) {
+    const star = key.indexOf('*');
+    if (star === -1) {
+      if (key.endsWith('/') && subpath.startsWith(key) && (!best || key.length > best.prefix.length)) {
+        best = { key, prefix: key, match: null, folder: subpath.slice(key.length) };
+      }
+      continue;
+    }
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1 &&
+      (!best || prefix.length > best.prefix.length)) {
+      best = { key, prefix, match: subpath.slice(prefix.length, subpath.length - suffix.length), folder: null };
+    }
+  }
+  if (!best) return [];
+  if (best.folder !== null) return collect(map[best.key], null).map(target => target + best.folder);
+  return collect(map[best.key], best.match);
+}
+
+/**
+ * Module Resolver class
+ *
+ * @example
+ * const resolver = new ModuleResolver({ rootDir: process.cwd() });
+ * resolver.resolve('@/components/Button', '/repo/apps/web/src/pages');
+ * // => '/repo/apps/web/src/components/Button.tsx'
+ * resolver.resolve('@acme/ui/button', '/repo/apps/web/src');
+ * // => '/repo/packages/ui/src/button.tsx'
+ */
+class ModuleResolver {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.rootDir] - Project root; workspaces are discovered here and config lookup stops
+   *   here (without it, lookup walks up to the filesystem root and workspaces are off)
+   * @param {string[]} [options.extensions] - Extensions tried for extensionless imports
+   * @param {string[]} [options.conditions] - package.json `exports` conditions, in preference order
+   * @param {object} [options.aliases] - Prefix → directory (relative to rootDir), e.g. `{ '@': 'src' }`
+   * @param {boolean} [options.tsconfig=true] - Read tsconfig.json / jsconfig.json
+   * @param {string[]} [options.configFiles] - Config file names looked up per directory
+   * @param {boolean} [options.workspaces=true] - Resolve workspace packages
+   */
+  constructor(options = {}) {
+    this.rootDir = options.rootDir ? path.resolve(options.rootDir) : null;
+    this.extensions = options.extensions || RESOLVER_DEFAULTS.extensions;
+    this.conditions = options.conditions || RESOLVER_DEFAULTS.conditions;
+    this.aliases = options.aliases || {};
+    this.useTsconfig = options.tsconfig !== false;
+    this.configFiles = options.configFiles || RESOLVER_DEFAULTS.configFiles;
+    this.useWorkspaces = options.workspaces !== false && this.rootDir !== null;
+    this.statCache = new Map(); // path -> 'file' | 'dir' | null
+    this.configCache = new Map(); // directory -> config | null
+    this.packages = null; // name -> { name, dir, manifest }
+  }
+
+  /**
+   * Resolve an import specifier
+   * @param {string} specifier - As written in the import
+   * @param {string} fromDir - Directory of the importing file
+   * @returns {string|null} Absolute file path, or null for packages outside the project and unresolvable imports
+   */
+  resolve(specifier, fromDir) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      return this._resolveFile(path.resolve(fromDir, specifier));
+    }
+
+    const config = this.useTsconfig ? this.getTsconfig(fromDir) : null;
+    if (config) {
+      const mapped = this._resolvePaths(specifier, config);
+      if (mapped) return mapped;
+    }
+
+    for (const [alias, target] of Object.entries(this.aliases)) {
+      if (specifier === alias || specifier.startsWith(`${alias}/`)) {
+        const base = this.rootDir || process.cwd();
+        const resolved = this._resolveFile(path.join(base, target, specifier.slice(alias.length)));
+        if (resolved) return resolved;
+      }
+    }
+
+    const workspace = this._resolveWorkspace(specifier);
+    if (workspace) return workspace;
+
+    if (config && config.baseUrl) {
+      return this._resolveFile(path.resolve(config.baseUrl, specifier));
+    }
+    return null;
+  }
+
+  /**
+   * Compiler options that affect resolution, from the nearest tsconfig.json or jsconfig.json
+   * @param {string} dir - Directory to start from
+   * @returns {{file: string, baseUrl: string|null, paths: object|null, pathsBase: string}|null}
+   */
+  getTsconfig(dir) {
+    const start = path.resolve(dir);
+    const visited = [];
+    let current = start;
+    let config;
+
+    for (;;) {
+      if (this.configCache.has(current)) {
+        config = this.configCache.get(current);
+        break;
+      }
+      visited.push(current);
+      const file = this._findConfigFile(current);
+      if (file) {
+        config = this._loadTsconfig(file, new Set());
+        break;
+      }
+      const parent = path.dirname(current);
+      if (current === this.rootDir || parent === current) {
+        config = null;
+        break;
+      }
+      current = parent;
+    }
+
+    for (const visitedDir of visited) this.configCache.set(visitedDir, config);
+    return config;
+  }
+
+  /**
+   * Workspace packages declared by the root package.json `workspaces` field
+   * or pnpm-workspace.yaml
+   * @returns {Map<string, {name: string, dir: string, manifest: object}>} Package name → package
+   */
+  getWorkspacePackages() {
+    if (this.packages) return this.packages;
+    this.packages = new Map();
+    if (!this.useWorkspaces) return this.packages;
+
+    for (const dir of this._workspaceDirs()) {
+      const manifest = this._readJson(path.join(dir, 'package.json'));
+      if (manifest && manifest.name && !this.packages.has(manifest.name)) {
+        this.packages.set(manifest.name, { name: manifest.name, dir, manifest });
+      }
+    }
+    return this.packages;
+  }
+
+  /**
+   * Workspace package containing a file
+   * @param {string} filePath - Absolute file path
+   * @returns {{name: string, dir: string, manifest: object}|null}
+   */
+  findPackage(filePath) {
+    let best = null;
+    for (const pkg of this.getWorkspacePackages().values()) {
+      if ((filePath === pkg.dir || filePath.startsWith(pkg.dir + path.sep)) &&
+        (!best || pkg.dir.length > best.dir.length)) {
+        best = pkg;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Drop cached file-system lookups, configs and workspace packages
+   */
+  clear() {
+    this.statCache.clear();
+    this.configCache.clear();
+    this.packages = null;
+  }
+
+  // ==================== RESOLUTION ====================
+
+  /**
+   * File for a path: exact file, added extension, TypeScript source for an
+   * emitted extension, then directory package.json `main` or index
+   * @private
+   */
+  _resolveFile(target, seen = new Set()) {
+    if (this._stat(target) === 'file') return target;
+
+    for (const ext of this.extensions) {
+      if (this._stat(target + ext) === 'file') return target + ext;
+    }
+
+    const ext = path.extname(target);
+    for (const sourceExt of SOURCE_EXTENSIONS[ext] || []) {
+      const source = target.slice(0, -ext.length) + sourceExt;
+      if (this._stat(source) === 'file') return source;
+    }
+
+    if (this._stat(target) === 'dir' && !seen.has(target)) {
+      seen.add(target);
+      const manifest = this._readJson(path.join(target, 'package.json'));
+      const main = manifest && (manifest.source || manifest.module || manifest.main);
+      if (typeof main === 'string') {
+        const resolved = this._resolveFile(path.resolve(target, main), seen);
+        if (resolved) return resolved;
+      }
+      for (const indexExt of this.extensions) {
+        const indexPath = path.join(target, `index${indexExt}`);
+        if (this._stat(indexPath) === 'file') return indexPath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * tsconfig `paths`: exact keys first, then the pattern with the longest prefix
+   * @private
+   */
+  _resolvePaths(specifier, config) {
+    if (!config.paths) return null;
+
+    let best = null;
+    for (const [pattern, targets] of Object.entries(config.paths)) {
+      const star = pattern.indexOf('*');
+      if (star === -1) {
+        if (pattern === specifier) {
+          best = { targets, match: '', prefixLength: Infinity };
+          break;
+        }
+        continue;
+      }
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (specifier.startsWith(prefix) && specifier.endsWith(suffix) &&
+        specifier.length >= prefix.length + suffix.length &&
+        (!best || prefix.length > best.prefixLength)) {
+        best = {
+          targets,
+          match: specifier.slice(prefix.length, specifier.length - suffix.length),
+          prefixLength: prefix.length,
+        };
+      }
+    }
+    if (!best) return null;
+
+    for (const target of [].concat(best.targets)) {
+      const resolved = this._resolveFile(path.resolve(config.pathsBase, target.split('*').join(best.match)));
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  /**
+   * Workspace package by name, honouring its `exports` map
+   * @private
+   */
+  _resolveWorkspace(specifier) {
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    const pkg = this.getWorkspacePackages().get(name);
+    if (!pkg) return null;
+
+    const rest = specifier.slice(name.length);
+    const subpath = rest ? `.${rest}` : '.';
+
+    if (pkg.manifest.exports !== undefined) {
+      for (const target of resolveExportsTarget(pkg.manifest.exports, subpath, this.conditions)) {
+        const resolved = this._resolveFile(path.resolve(pkg.dir, target));
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+
+    return this._resolveFile(rest ? path.join(pkg.dir, rest) : pkg.dir);
+  }
+
+  // ==================== CONFIG ====================
+
+  /**
+   * Read a tsconfig, merging the compiler options of configs it extends
+   * @private
+   */
+  _loadTsconfig(file, seen) {
+    if (seen.has(file)) return null;
+    seen.add(file);
+
+    let json;
+    try {
+      json = parseJsonc(fs.readFileSync(file, 'utf-8'));
+    } catch {
+      return null;
+    }
+
+    const dir = path.dirname(file);
+    let inherited = null;
+    for (const parent of [].concat(json.extends || [])) {
+      const parentFile = this._findExtendedConfig(parent, dir);
+      inherited = (parentFile && this._loadTsconfig(parentFile, seen)) || inherited;
+    }
+
+    // `paths` are relative to baseUrl when there is one, else to the config that declares them
+    const options = json.compilerOptions || {};
+    const baseUrl = options.baseUrl !== undefined
+      ? path.resolve(dir, options.baseUrl)
+      : (inherited && inherited.baseUrl) || null;
+    const paths = options.paths || (inherited && inherited.paths) || null;
+    const pathsBase = baseUrl || (options.paths || !inherited ? dir : inherited.pathsBase);
+
+    return { file, baseUrl, paths, pathsBase };
+  }
+
+  /**
+   * @private
+   */
+  _findConfigFile(dir) {
+    for (const name of this.configFiles) {
+      const file = path.join(dir, name);
+      if (this._stat(file) === 'file') return file;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _findExtendedConfig(parent, dir) {
+    const candidates = parent.startsWith('.') || path.isAbsolute(parent)
+      ? [path.resolve(dir, parent)]
+      : [path.join(dir, 'node_modules', parent), path.join(this.rootDir || dir, 'node_modules', parent)];
+    for (const candidate of candidates) {
+      for (const file of [candidate, `${candidate}.json`, path.join(candidate, 'tsconfig.json')]) {
+        if (this._stat(file) === 'file') return file;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Directories matched by the workspace globs
+   * @private
+   */
+  _workspaceDirs() {
+    const manifest = this._readJson(path.join(this.rootDir, 'package.json')) || {};
+    let patterns = Array.isArray(manifest.workspaces)
+      ? manifest.workspaces
+      : (manifest.workspaces && manifest.workspaces.packages) || [];
+
+    const pnpmFile = path.join(this.rootDir, 'pnpm-workspace.yaml');
+    if (this._stat(pnpmFile) === 'file') {
+      patterns = patterns.concat(this._readPnpmWorkspace(pnpmFile));
+    }
+
+    const include = patterns.filter(p => !p.startsWith('!'));
+    const exclude = patterns.filter(p => p.startsWith('!')).map(p => globToRegExp(p.slice(1)));
+    const dirs = new Set();
+    for (const pattern of include) {
+      for (const dir of this._expandGlob(pattern)) {
+        const relative = path.relative(this.rootDir, dir).split(path.sep).join('/');
+        if (!exclude.some(regex => regex.test(relative))) dirs.add(dir);
+      }
+    }
+    return [...dirs].sort();
+  }
+
+  /**
+   * `packages:` entries from pnpm-workspace.yaml
+   * @private
+   */
+  _readPnpmWorkspace(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf-8');
+    } catch {
+      return [];
+    }
+    const patterns = [];
+    let inPackages = false;
+    for (const line of text.split('\n')) {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-/.test(line)) {
+        patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').trim().replace(/^['"]|['"]$/g, ''));
+      } else if (inPackages && /^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+    return patterns.filter(Boolean);
+  }
+
+  /**
+   * Directories matching a workspace glob (`*`, `**` and `name-*` segments)
+   * @private
+   */
+  _expandGlob(pattern) {
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+    const results = [];
+    const walk = (dir, index) => {
+      if (index === segments.length) {
+        if (this._stat(path.join(dir, 'package.json')) === 'file') results.push(dir);
+        return;
+      }
+      const segment = segments[index];
+      if (!segment.includes('*')) {
+        if (this._stat(path.join(dir, segment)) === 'dir') walk(path.join(dir, segment), index + 1);
+        return;
+      }
+      const children = this._subdirectories(dir);
+      if (segment === '**') {
+        walk(dir, index + 1);
+        for (const child of children) walk(child, index);
+        return;
+      }
+      const regex = globToRegExp(segment);
+      for (const child of children) {
+        if (regex.test(path.basename(child))) walk(child, index + 1);
+      }
+    };
+    walk(this.rootDir, 0);
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _subdirectories(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+        .map(entry => path.join(dir, entry.name));
+    } catch {
+      return [];
+    }
+  }
+
+  // ==================== FILE SYSTEM ====================
+
+  /**
+   * @private
+   */
+  _stat(target) {
+    if (!this.statCache.has(target)) {
+      let kind = null;
+      try {
+        const stats = fs.statSync(target);
+        kind = stats.isFile() ? 'file' : stats.isDirectory() ? 'dir' : null;
+      } catch {
+        // Missing
+      }
+      this.statCache.set(target, kind);
+    }
+    return this.statCache.get(target);
+  }
+
+  /**
+   * @private
+   */
+  _readJson(file) {
+    if (this._stat(file) !== 'file') return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Regex for a glob over `/`-separated relative paths
+ * @param {string} glob - Pattern with `*` and `**`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split(/(\*\*\/?|\*)/)
+    .map(part => (part === '**/' ? '(?:.*/)?' : part === '**' ? '.*' : part === '*' ? '[^/]*'
+      : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+module.exports = {
+  ModuleResolver,
+  RESOLVER_DEFAULTS,
+  parseJsonc,
+  resolveExportsTarget,
+};
@@ -9,13 +9,15 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { KeywordIndex } = require('../index/keyword-index');
+const { ModuleResolver } = require('../automation/module-resolver');
 
 /**
  * Default cache path for persistent graph
  */
 const GRAPH_CACHE_DIR = path.join(os.homedir(), '.gywd', 'cache');
 const GRAPH_CACHE_FILE = 'relationship-graph.json';
-const GRAPH_VERSION = 2; // Increment when format changes
+const GRAPH_VERSION = 3; // Increment when format changes
 
 /**
  * Relationship types between files
@@ -61,10 +63,17 @@ const IMPORT_PATTERNS = {
  * Context Analyzer class
  */
 class ContextAnalyzer {
-  constructor() {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {ModuleResolver} [options.resolver] - Resolver for aliases, tsconfig paths and workspace packages
+   * @param {string} [options.rootDir] - Project root for the default resolver
+   */
+  constructor(options = {}) {
+    this.resolver = options.resolver || new ModuleResolver({ rootDir: options.rootDir });
     this.fileGraph = new Map(); // file -> Map<relatedFile, relationships[]>
     this.fileMetadata = new Map(); // file -> metadata
     this.keywords = new Map(); // keyword -> Set<files>
+    this.keywordIndex = new KeywordIndex({ stem: true }); // ranked full-text terms
     this.directories = new Map(); // directory -> Set<files>
   }
 
@@ -115,6 +124,8 @@ class ContextAnalyzer {
       }
       this.keywords.get(keyword).add(normalizedPath);
     }
+    // File name words count three times: the name says what the file is about
+    this.keywordIndex.addText(normalizedPath, `${baseName} ${baseName} ${baseName}\n${content}`);
 
     return {
       path: normalizedPath,
@@ -141,12 +152,7 @@ class ContextAnalyzer {
       while ((match = regex.exec(content)) !== null) {
         const importPath = match[1];
 
-        // Skip external packages (no ./ or ../)
-        if (!importPath.startsWith('.') && !importPath.startsWith('/')) {
-          continue;
-        }
-
-        // Resolve relative path
+        // Relative paths, aliases and workspace packages; external packages resolve to null
         const resolved = this.resolveImportPath(importPath, baseDir);
         if (resolved) {
           imports.add(resolved);
@@ -164,31 +170,16 @@ class ContextAnalyzer {
    * @returns {string|null} Resolved path or null
    */
   resolveImportPath(importPath, baseDir) {
-    // Handle relative paths
-    const resolved = path.resolve(baseDir, importPath);
-
-    // Try common extensions if no extension
-    if (!path.extname(resolved)) {
-      const extensions = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
-      for (const ext of extensions) {
-        if (fs.existsSync(resolved + ext)) {
-          return this.normalizePath(resolved + ext);
-        }
-      }
-      // Try index files
-      for (const ext of extensions) {
-        const indexPath = path.join(resolved, `index${ext}`);
-        if (fs.existsSync(indexPath)) {
-          return this.normalizePath(indexPath);
-        }
-      }
-    }
-
-    if (fs.existsSync(resolved)) {
-      return this.normalizePath(resolved);
-    }
+    const resolved = this.resolver.resolve(importPath, baseDir);
+    return resolved ? this.normalizePath(resolved) : null;
+  }
 
-    return null;
+  /**
+   * Replace the module resolver, e.g. with one rooted at the project
+   * @param {ModuleResolver} resolver - Module resolver
+   */
+  setResolver(resolver) {
+    this.resolver = resolver;
   }
 
   /**
@@ -468,6 +459,17 @@ class ContextAnalyzer {
     return Array.from(result);
   }
 
+  /**
+   * Rank files against free text with BM25 over file names and content
+   * @param {string|string[]} query - Query text or keywords
+   * @param {object} [options] - Options
+   * @param {number} [options.limit] - Maximum results
+   * @returns {Array<{file: string, score: number, matchCount: number, matchedKeywords: string[]}>}
+   */
+  searchRanked(query, options = {}) {
+    return this.keywordIndex.searchRanked(query, options);
+  }
+
   /**
    * Normalize file path for consistent comparison
    * @param {string} filePath - File path
@@ -518,7 +520,7 @@ class ContextAnalyzer {
       keywords[keyword] = Array.from(files);
     }
 
-    return { graph, metadata, keywords };
+    return { graph, metadata, keywords, keywordIndex: this.keywordIndex.export() };
   }
 
   /**
@@ -543,6 +545,10 @@ class ContextAnalyzer {
         this.keywords.set(keyword, new Set(files));
       }
     }
+
+    if (data.keywordIndex) {
+      this.keywordIndex.import(data.keywordIndex);
+    }
   }
 
   /**
@@ -552,6 +558,7 @@ class ContextAnalyzer {
     this.fileGraph.clear();
     this.fileMetadata.clear();
     this.keywords.clear();
+    this.keywordIndex.clear();
     this.directories.clear();
   }
 
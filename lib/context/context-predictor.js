@@ -6,6 +6,8 @@
  */
 
 const { ContextAnalyzer, RELATIONSHIP_WEIGHTS: _RELATIONSHIP_WEIGHTS } = require('./context-analyzer');
+const { normalizeTerm } = require('../index/tokenizer');
+const { PATTERN_SIGNALS } = require('../profile/pattern-learner');
 
 /**
  * Prediction confidence levels
@@ -27,6 +29,18 @@ const CONTEXT_TYPES = {
   HISTORY: 'history',
 };
 
+/**
+ * Task words that make a pattern type relevant
+ */
+const PATTERN_TYPE_KEYWORDS = {
+  naming: ['name', 'names', 'naming', 'rename', 'variable', 'identifier', 'identifiers'],
+  structure: ['refactor', 'module', 'modules', 'class', 'classes', 'structure', 'architecture', 'split', 'extract'],
+  'error-handling': ['error', 'errors', 'exception', 'exceptions', 'handling', 'retry', 'catch', 'failure'],
+  testing: ['test', 'tests', 'testing', 'spec', 'specs', 'coverage', 'jest', 'mock', 'mocks'],
+  documentation: ['doc', 'docs', 'documentation', 'readme', 'jsdoc', 'comment', 'comments'],
+  workflow: ['commit', 'commits', 'release', 'deploy', 'branch', 'workflow', 'pipeline'],
+};
+
 /**
  * Access pattern tracker
  */
@@ -223,11 +237,40 @@ class AccessPattern {
  * Context Predictor class
  */
 class ContextPredictor {
-  constructor() {
-    this.analyzer = new ContextAnalyzer();
+  /**
+   * @param {object} [options] - Knowledge sources for decisions and patterns, and the import resolver
+   * @param {DecisionGraph} [options.decisionGraph] - Loaded decision graph
+   * @param {PatternLearner} [options.patternLearner] - Pattern learner for this developer
+   * @param {GlobalMemory} [options.globalMemory] - Cross-project pattern memory
+   * @param {ModuleResolver} [options.resolver] - Import resolver for the relationship graph
+   */
+  constructor(options = {}) {
+    this.analyzer = new ContextAnalyzer({ resolver: options.resolver });
     this.accessPattern = new AccessPattern();
     this.featureFileMap = new Map(); // feature -> Set<files>
     this.taskHistory = []; // [{task, files, timestamp}]
+    this.decisionGraph = options.decisionGraph || null;
+    this.patternLearner = options.patternLearner || null;
+    this.globalMemory = options.globalMemory || null;
+  }
+
+  /**
+   * Set the decision graph used to predict decisions
+   * @param {DecisionGraph|null} graph - Loaded decision graph
+   */
+  setDecisionGraph(graph) {
+    this.decisionGraph = graph || null;
+  }
+
+  /**
+   * Set the sources used to predict patterns
+   * @param {object} sources - Pattern sources
+   * @param {PatternLearner} [sources.patternLearner] - Pattern learner
+   * @param {GlobalMemory} [sources.globalMemory] - Global memory
+   */
+  setPatternSources({ patternLearner, globalMemory } = {}) {
+    if (patternLearner !== undefined) this.patternLearner = patternLearner || null;
+    if (globalMemory !== undefined) this.globalMemory = globalMemory || null;
   }
 
   /**
@@ -299,15 +342,27 @@ class ContextPredictor {
 
   /**
    * Predict context needed for a task
+   *
+   * Decisions and patterns come from the decision graph and pattern sources
+   * (see constructor options) and are scored against the task keywords and
+   * the predicted files.
+   *
    * @param {string} task - Task description
    * @param {object} options - Prediction options
+   * @param {number} [options.maxFiles=10] - Maximum files
+   * @param {boolean} [options.includeDecisions=true] - Predict decisions
+   * @param {number} [options.maxDecisions=5] - Maximum decisions
+   * @param {boolean} [options.includePatterns=true] - Predict patterns
+   * @param {number} [options.maxPatterns=5] - Maximum patterns
    * @returns {object} Predicted context
    */
   predictForTask(task, options = {}) {
     const {
       maxFiles = 10,
-      includeDecisions: _includeDecisions = true,
-      includePatterns: _includePatterns = true,
+      includeDecisions = true,
+      maxDecisions = 5,
+      includePatterns = true,
+      maxPatterns = 5,
     } = options;
 
     const predictions = {
@@ -332,12 +387,34 @@ class ContextPredictor {
         }
         predictions.reasoning.push(`Keyword "${keyword}" matched from task history`);
       }
+    }
+
+    // Rank analyzed files by BM25: rare keywords and focused files score
+    // highest. Each matched keyword is worth up to 0.5 for the best file.
+    const ranked = this.analyzer.searchRanked(keywords);
+    const topScore = ranked.length > 0 ? ranked[0].score : 0;
+    const matchCounts = new Map(); // keyword -> files
+    for (const { file, score, matchedKeywords } of ranked) {
+      const current = fileScores.get(file) || 0;
+      const relative = topScore > 0 ? score / topScore : 1;
+      fileScores.set(file, current + 0.5 * matchedKeywords.length * relative);
+      for (const keyword of matchedKeywords) {
+        matchCounts.set(keyword, (matchCounts.get(keyword) || 0) + 1);
+      }
+    }
+    for (const [keyword, count] of matchCounts) {
+      predictions.reasoning.push(`Keyword "${keyword}" found in ${count} files`);
+    }
 
-      // Check analyzer keywords
+    // Domain terms found only as substrings (or graphs imported without a
+    // ranked index) still count, at a lower flat weight
+    const rankedTerms = new Set(ranked.flatMap(r => r.matchedKeywords));
+    for (const keyword of keywords) {
+      if (rankedTerms.has(normalizeTerm(keyword))) continue;
       const analyzerFiles = this.analyzer.findByKeyword(keyword);
       for (const file of analyzerFiles) {
         const current = fileScores.get(file) || 0;
-        fileScores.set(file, current + 0.5);
+        fileScores.set(file, current + 0.3);
       }
       if (analyzerFiles.length > 0) {
         predictions.reasoning.push(`Keyword "${keyword}" found in ${analyzerFiles.length} files`);
@@ -392,9 +469,166 @@ class ContextPredictor {
         avgScore > 0.8 ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW;
     }
 
+    if (includeDecisions && this.decisionGraph) {
+      predictions.decisions = this._predictDecisions(keywords, predictions.files, maxDecisions);
+      if (predictions.decisions.length > 0) {
+        predictions.reasoning.push(`${predictions.decisions.length} decisions apply to this task`);
+      }
+    }
+
+    if (includePatterns && (this.patternLearner || this.globalMemory)) {
+      predictions.patterns = this._predictPatterns(keywords, predictions.files, maxPatterns);
+      if (predictions.patterns.length > 0) {
+        predictions.reasoning.push(`${predictions.patterns.length} learned patterns apply to this task`);
+      }
+    }
+
     return predictions;
   }
 
+  /**
+   * Score active decisions by keyword matches in their text and by the
+   * predicted files they are scoped to, weighted by decision confidence
+   * @private
+   */
+  _predictDecisions(keywords, files, limit) {
+    const scores = new Map(); // id -> {decision, score, reasons: Set}
+    const add = (decision, score, reason) => {
+      if (!scores.has(decision.id)) {
+        scores.set(decision.id, { decision, score: 0, reasons: new Set() });
+      }
+      const entry = scores.get(decision.id);
+      entry.score += score;
+      entry.reasons.add(reason);
+    };
+
+    for (const decision of this.decisionGraph.getDecisions({ active: true })) {
+      const tags = (decision.tags || []).map(t => String(t).toLowerCase());
+      const text = this.extractTaskKeywords([decision.summary, decision.rationale].filter(Boolean).join(' '));
+      for (const keyword of keywords) {
+        if (tags.includes(keyword)) {
+          add(decision, 0.8, `tag "${keyword}"`);
+        } else if (text.includes(keyword)) {
+          add(decision, 0.5, `keyword "${keyword}"`);
+        }
+      }
+    }
+
+    for (const { path: file, score } of files) {
+      for (const decision of this.decisionGraph.getDecisionsForFile(file)) {
+        const weight = decision.match === 'file' ? 0.5 : 0.25;
+        add(decision, Math.min(score, 2) * weight, `${decision.match} ${file}`);
+      }
+    }
+
+    return Array.from(scores.values())
+      .map(({ decision, score, reasons }) => {
+        // Decisions without a confidence count as 50%
+        const confidence = decision.confidence != null ? decision.confidence : 50;
+        const weighted = score * (0.5 + confidence / 200);
+        return {
+          id: decision.id,
+          summary: decision.summary,
+          rationale: decision.rationale,
+          decisionType: decision.type,
+          score: weighted,
+          confidence: weighted > 1.5 ? CONFIDENCE.HIGH :
+            weighted > 0.8 ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW,
+          matchedBy: Array.from(reasons),
+          type: CONTEXT_TYPES.DECISION,
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Score learned and global patterns by how well their type and value
+   * match the task, weighted by pattern confidence. Only patterns that
+   * match the task are returned; the base score just ranks them. `pattern`
+   * is the convention itself (e.g. `camelCase` for `naming.function`), with
+   * the learned `value` and its `patternConfidence` alongside.
+   * @private
+   */
+  _predictPatterns(keywords, files, limit) {
+    const candidates = [];
+
+    if (this.patternLearner) {
+      for (const [key, learned] of Object.entries(this.patternLearner.getLearnedPatterns())) {
+        const [patternType, ...rest] = key.split('.');
+        const name = rest.join('.');
+        candidates.push({
+          id: key,
+          patternType,
+          name,
+          // Flags (`testing.usesDescribe`) are their own convention; others hold it in the value
+          pattern: typeof learned.value === 'boolean' ? name : String(learned.value),
+          value: learned.value,
+          patternConfidence: learned.confidence,
+          source: 'learned',
+        });
+      }
+    }
+
+    if (this.globalMemory) {
+      for (const global of this.globalMemory.getConfidentPatterns(0)) {
+        candidates.push({
+          id: global.id,
+          patternType: global.type,
+          name: String(global.pattern),
+          pattern: String(global.pattern),
+          value: global.pattern,
+          patternConfidence: global.confidence,
+          source: 'global',
+        });
+      }
+    }
+
+    const touchesTests = files.some(f => PATTERN_SIGNALS.testFile.test(f.path));
+
+    return candidates
+      .map(candidate => {
+        const typeKeywords = PATTERN_TYPE_KEYWORDS[candidate.patternType] || [candidate.patternType];
+        const patternWords = this.extractTaskKeywords(
+          `${candidate.name} ${candidate.pattern}`.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' '),
+        );
+        const matchedBy = [];
+        let relevance = 0.3;
+
+        for (const keyword of keywords) {
+          if (typeKeywords.includes(keyword)) {
+            relevance += 1.0;
+            matchedBy.push(`keyword "${keyword}"`);
+          } else if (patternWords.includes(keyword)) {
+            relevance += 0.5;
+            matchedBy.push(`keyword "${keyword}"`);
+          }
+        }
+        if (touchesTests && candidate.patternType === 'testing') {
+          relevance += 0.5;
+          matchedBy.push('predicted test files');
+        }
+
+        const score = relevance * (candidate.patternConfidence || 0);
+        return {
+          id: candidate.id,
+          patternType: candidate.patternType,
+          pattern: candidate.pattern,
+          value: candidate.value,
+          patternConfidence: candidate.patternConfidence,
+          source: candidate.source,
+          score,
+          confidence: score > 1.0 ? CONFIDENCE.HIGH :
+            score > 0.5 ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW,
+          matchedBy,
+          type: CONTEXT_TYPES.PATTERN,
+        };
+      })
+      .filter(p => p.matchedBy.length > 0 && p.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
   /**
    * Predict context for working with a specific file
    * @param {string} filePath - File being worked on
@@ -0,0 +1,259 @@
+/**
+ * Git History Miner
+ *
+ * Mines local git history for change coupling: files that are
+ * modified in the same commits. Feeds CO_MODIFIED relationships
+ * into the ContextAnalyzer so related-file lookups reflect how
+ * the team actually changes code together.
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { RELATIONSHIP_TYPES } = require('./context-analyzer');
+
+/**
+ * Separators used in the git log format (ASCII record/unit separators)
+ */
+const RECORD_SEP = '\x1e';
+const FIELD_SEP = '\x1f';
+
+/**
+ * Default mining options
+ */
+const MINER_DEFAULTS = {
+  maxCommits: 500, // Commits to walk back from HEAD
+  sinceDays: null, // Only consider commits newer than this many days
+  maxFilesPerCommit: 30, // Skip sweeping commits (renames, formatting)
+  minCoChanges: 2, // Minimum shared commits for a pair to count
+  minCoupling: 0.3, // Minimum coupling strength (0-1)
+  recencyHalfLifeDays: null, // Weight recent commits higher when set
+};
+
+/**
+ * Git history miner class
+ */
+class GitHistoryMiner {
+  /**
+   * @param {object} [options] - Mining options (see MINER_DEFAULTS)
+   * @param {string} [options.projectRoot=process.cwd()] - Repository directory
+   */
+  constructor(options = {}) {
+    const { projectRoot, ...miningOptions } = options;
+    this.projectRoot = projectRoot || process.cwd();
+    this.options = { ...MINER_DEFAULTS, ...miningOptions };
+  }
+
+  /**
+   * Run git with arguments in the project root
+   * @param {string[]} args - git arguments
+   * @returns {string} stdout
+   */
+  runGit(args) {
+    return execFileSync('git', args, {
+      cwd: this.projectRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  }
+
+  /**
+   * Get the repository top-level directory
+   * @returns {string|null} Absolute path or null if not a repository
+   */
+  getRepoRoot() {
+    try {
+      return this.runGit(['rev-parse', '--show-toplevel']).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read commits with their changed files from git log
+   * @returns {Array<{sha: string, timestamp: number, author: string, files: string[]}>}
+   */
+  readCommits() {
+    // -z keeps paths verbatim (no C-quoting of non-ASCII or special characters)
+    const args = [
+      'log',
+      '-z',
+      '--no-merges',
+      '--name-only',
+      `--pretty=format:${RECORD_SEP}%H${FIELD_SEP}%at${FIELD_SEP}%an`,
+      `-n${this.options.maxCommits}`,
+    ];
+
+    if (this.options.sinceDays) {
+      args.push(`--since=${this.options.sinceDays} days ago`);
+    }
+
+    try {
+      return this.parseLog(this.runGit(args));
+    } catch {
+      // Not a git repository or no commits yet
+      return [];
+    }
+  }
+
+  /**
+   * Parse `git log -z --name-only` output produced by readCommits: each
+   * record is a header line followed by NUL-terminated file paths
+   * @param {string} output - Raw git log output
+   * @returns {Array<{sha: string, timestamp: number, author: string, files: string[]}>}
+   */
+  parseLog(output) {
+    const commits = [];
+
+    for (const record of output.split(RECORD_SEP)) {
+      if (!record.trim()) continue;
+
+      const headerEnd = record.indexOf('\n');
+      const header = headerEnd === -1 ? record : record.slice(0, headerEnd);
+      const [sha, timestamp, author] = header.split(FIELD_SEP);
+      const files = headerEnd === -1 ? [] : record.slice(headerEnd + 1).split('\0').filter(Boolean);
+
+      commits.push({
+        sha,
+        timestamp: parseInt(timestamp, 10) * 1000,
+        author: author || 'unknown',
+        files,
+      });
+    }
+
+    return commits;
+  }
+
+  /**
+   * Compute change coupling between files
+   *
+   * Coupling for a pair is the (optionally recency-weighted) number of
+   * shared commits divided by the average number of commits touching
+   * each file, so 1.0 means the files always change together.
+   *
+   * @param {Array<object>} commits - Commits from readCommits/parseLog
+   * @param {number} [now=Date.now()] - Reference time for recency weighting
+   * @returns {Array<{files: string[], coChanges: number, coupling: number, lastChanged: number}>}
+   */
+  computeCoupling(commits, now = Date.now()) {
+    const { maxFilesPerCommit, minCoChanges, minCoupling, recencyHalfLifeDays } = this.options;
+    const fileWeights = new Map(); // file -> weighted change count
+    const pairs = new Map(); // a -> b -> { count, weight, lastChanged }, with a < b
+
+    for (const commit of commits) {
+      const files = [...new Set(commit.files)].sort();
+      if (files.length === 0 || files.length > maxFilesPerCommit) continue;
+
+      const weight = this._recencyWeight(commit.timestamp, now, recencyHalfLifeDays);
+
+      for (const file of files) {
+        fileWeights.set(file, (fileWeights.get(file) || 0) + weight);
+      }
+
+      for (let i = 0; i < files.length; i++) {
+        if (!pairs.has(files[i])) pairs.set(files[i], new Map());
+        const partners = pairs.get(files[i]);
+        for (let j = i + 1; j < files.length; j++) {
+          const pair = partners.get(files[j]) || { count: 0, weight: 0, lastChanged: 0 };
+          pair.count++;
+          pair.weight += weight;
+          pair.lastChanged = Math.max(pair.lastChanged, commit.timestamp);
+          partners.set(files[j], pair);
+        }
+      }
+    }
+
+    const results = [];
+    for (const [a, partners] of pairs) {
+      for (const [b, pair] of partners) {
+        if (pair.count < minCoChanges) continue;
+
+        const average = (fileWeights.get(a) + fileWeights.get(b)) / 2;
+        const coupling = average > 0 ? Math.min(1, pair.weight / average) : 0;
+
+        if (coupling < minCoupling) continue;
+
+        results.push({
+          files: [a, b],
+          coChanges: pair.count,
+          coupling: Math.round(coupling * 100) / 100,
+          lastChanged: pair.lastChanged,
+        });
+      }
+    }
+
+    results.sort((x, y) => y.coupling - x.coupling || y.coChanges - x.coChanges);
+    return results;
+  }
+
+  /**
+   * Mine the repository history for coupled file pairs
+   * @returns {Array<{files: string[], coChanges: number, coupling: number, lastChanged: number}>}
+   */
+  mine() {
+    return this.computeCoupling(this.readCommits());
+  }
+
+  /**
+   * Record coupled pairs as CO_MODIFIED relationships on an analyzer
+   * @param {ContextAnalyzer} analyzer - Analyzer to populate
+   * @param {Array<object>} [pairs] - Pairs from mine(); mined if omitted
+   * @param {object} [options] - Apply options
+   * @param {boolean} [options.absolutePaths=true] - Resolve paths against the repo root
+   * @returns {number} Number of file pairs recorded
+   */
+  applyTo(analyzer, pairs = null, options = {}) {
+    const { absolutePaths = true } = options;
+    const coupled = pairs || this.mine();
+    const root = absolutePaths ? this.getRepoRoot() || this.projectRoot : null;
+
+    for (const { files: [a, b] } of coupled) {
+      const from = analyzer.normalizePath(root ? path.join(root, a) : a);
+      const to = analyzer.normalizePath(root ? path.join(root, b) : b);
+      analyzer.addRelationship(from, to, RELATIONSHIP_TYPES.CO_MODIFIED);
+      analyzer.addRelationship(to, from, RELATIONSHIP_TYPES.CO_MODIFIED);
+    }
+
+    return coupled.length;
+  }
+
+  /**
+   * Get files most often changed together with a file
+   * @param {string} file - Repo-relative file path
+   * @param {Array<object>} [pairs] - Pairs from mine(); mined if omitted
+   * @param {number} [limit=10] - Maximum results
+   * @returns {Array<{file: string, coupling: number, coChanges: number}>}
+   */
+  getCoupledFiles(file, pairs = null, limit = 10) {
+    const coupled = pairs || this.mine();
+    const target = file.replace(/\\/g, '/');
+    const results = [];
+
+    for (const pair of coupled) {
+      const index = pair.files.indexOf(target);
+      if (index === -1) continue;
+      results.push({
+        file: pair.files[1 - index],
+        coupling: pair.coupling,
+        coChanges: pair.coChanges,
+      });
+    }
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Weight for a commit based on its age
+   * @private
+   */
+  _recencyWeight(timestamp, now, halfLifeDays) {
+    if (!halfLifeDays || !timestamp) return 1;
+    const ageDays = Math.max(0, now - timestamp) / (24 * 60 * 60 * 1000);
+    return Math.pow(0.5, ageDays / halfLifeDays);
+  }
+}
+
+module.exports = {
+  GitHistoryMiner,
+  MINER_DEFAULTS,
+};
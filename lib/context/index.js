@@ -23,6 +23,11 @@ const {
   ContextCache,
 } = require('./context-cache');
 
+const {
+  GitHistoryMiner,
+  MINER_DEFAULTS,
+} = require('./git-history-miner');
+
 module.exports = {
   // Classes
   ContextAnalyzer,
@@ -30,15 +35,18 @@ module.exports = {
   AccessPattern,
   LRUCache,
   ContextCache,
+  GitHistoryMiner,
 
   // Constants
   RELATIONSHIP_TYPES,
   RELATIONSHIP_WEIGHTS,
   CONFIDENCE,
   CONTEXT_TYPES,
+  MINER_DEFAULTS,
 
   // Factory functions
   createContextPredictor: () => new ContextPredictor(),
   createContextCache: (options) => new ContextCache(options),
-  createContextAnalyzer: () => new ContextAnalyzer(),
+  createContextAnalyzer: (options) => new ContextAnalyzer(options),
+  createGitHistoryMiner: (options) => new GitHistoryMiner(options),
 };
@@ -0,0 +1,551 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { validateDataAgainstSchema } = require('../validators/schema-validator');
+
+/**
+ * Decision graph location, relative to the project root
+ */
+const DECISIONS_FILE = path.join('.planning', 'core', 'decisions.json');
+
+/**
+ * Schema the graph is validated against
+ */
+const DECISIONS_SCHEMA_PATH = path.join(__dirname, '..', '..', 'get-your-work-done', 'core', 'decisions-schema.json');
+
+/**
+ * Decision graph format version (matches decisions-schema.json)
+ */
+const GRAPH_VERSION = '2.0.0';
+
+/**
+ * Decision categories
+ */
+const DECISION_TYPES = {
+  ARCHITECTURAL: 'architectural',
+  CONVENTION: 'convention',
+  CONSTRAINT: 'constraint',
+  TRADE_OFF: 'trade-off',
+  TACTICAL: 'tactical',
+};
+
+/**
+ * Relationships between decisions
+ */
+const LINK_TYPES = {
+  LED_TO: 'led_to',
+  CONSTRAINS: 'constrains',
+  CONFLICTS_WITH: 'conflicts_with',
+  SUPERSEDES: 'supersedes',
+  ENABLES: 'enables',
+  DEPENDS_ON: 'depends_on',
+};
+
+/**
+ * Decision lifecycle states
+ */
+const DECISION_STATUS = {
+  ACTIVE: 'active',
+  SUPERSEDED: 'superseded',
+  DEPRECATED: 'deprecated',
+  QUESTIONED: 'questioned',
+};
+
+let cachedSchema = null;
+
+/**
+ * Load the decisions schema once per process
+ * @returns {object} Parsed schema
+ */
+function loadDecisionsSchema() {
+  if (!cachedSchema) {
+    cachedSchema = JSON.parse(fs.readFileSync(DECISIONS_SCHEMA_PATH, 'utf8'));
+  }
+  return cachedSchema;
+}
+
+/**
+ * Create an empty decision graph document
+ * @param {string} [project] - Project name
+ * @returns {object} Empty graph
+ */
+function createEmptyGraph(project) {
+  return {
+    version: GRAPH_VERSION,
+    metadata: {
+      project: project || 'unknown',
+      extracted_at: new Date().toISOString(),
+      extraction_depth: 'standard',
+    },
+    decisions: [],
+    links: [],
+    conflicts: [],
+    indexes: {
+      by_file: {},
+      by_author: {},
+      by_tag: {},
+    },
+  };
+}
+
+/**
+ * DecisionGraph - Programmatic access to .planning/core/decisions.json
+ *
+ * Loads, validates, queries and persists the decision graph produced by
+ * /gywd:extract-decisions, so tooling can answer "why" questions without
+ * an LLM round-trip.
+ *
+ * @example
+ * const graph = new DecisionGraph(process.cwd());
+ * graph.load();
+ * graph.getDecisionsForFile('lib/context/context-analyzer.js');
+ * // => [{ id: 'DEC-003', summary: 'Zero runtime dependencies', ... }]
+ */
+class DecisionGraph {
+  /**
+   * @param {string} [projectRoot=process.cwd()] - Project root directory
+   * @param {object} [options] - Configuration options
+   * @param {string} [options.filePath] - Override path to decisions.json
+   */
+  constructor(projectRoot = process.cwd(), options = {}) {
+    this.projectRoot = projectRoot;
+    this.filePath = options.filePath || path.join(projectRoot, DECISIONS_FILE);
+    this.data = createEmptyGraph(path.basename(projectRoot));
+    this.loaded = false;
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  /**
+   * Load the graph from disk
+   * @returns {{success: boolean, errors: string[]}} Load result
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.data = createEmptyGraph(path.basename(this.projectRoot));
+      this.loaded = true;
+      return { success: true, errors: [] };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      return { success: false, errors: [`Invalid JSON: ${err.message}`] };
+    }
+
+    const validation = this.validate(parsed);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    this.data = {
+      ...createEmptyGraph(path.basename(this.projectRoot)),
+      ...parsed,
+    };
+    this.loaded = true;
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Save the graph to disk, rebuilding indexes first
+   * @returns {{success: boolean, path?: string, error?: string}} Save result
+   */
+  save() {
+    this.rebuildIndexes();
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, `${JSON.stringify(this.data, null, 2)}\n`, 'utf8');
+      return { success: true, path: this.filePath };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Validate graph data against decisions-schema.json
+   * @param {object} [data] - Data to validate (defaults to the loaded graph)
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate(data = this.data) {
+    return validateDataAgainstSchema(data, loadDecisionsSchema());
+  }
+
+  // ==================== DECISIONS ====================
+
+  /**
+   * Generate the next free decision ID (DEC-NNN)
+   * @returns {string} Decision ID
+   */
+  nextId() {
+    let max = 0;
+    for (const decision of this.data.decisions) {
+      const num = parseInt(String(decision.id).replace('DEC-', ''), 10);
+      if (!Number.isNaN(num) && num > max) max = num;
+    }
+    return `DEC-${String(max + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * Add a decision to the graph
+   * @param {object} decision - Decision fields (id is generated if omitted)
+   * @returns {{success: boolean, decision?: object, errors?: string[]}}
+   */
+  addDecision(decision) {
+    const entry = {
+      id: decision.id || this.nextId(),
+      status: DECISION_STATUS.ACTIVE,
+      tags: [],
+      scope: { files: [], directories: [], global: false },
+      ...decision,
+    };
+
+    if (this.getDecision(entry.id)) {
+      return { success: false, errors: [`Decision already exists: ${entry.id}`] };
+    }
+
+    const schema = loadDecisionsSchema();
+    const { errors } = validateDataAgainstSchema(entry, schema.definitions.Decision, { rootSchema: schema });
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    this.data.decisions.push(entry);
+    return { success: true, decision: entry };
+  }
+
+  /**
+   * Get a decision by ID
+   * @param {string} id - Decision ID
+   * @returns {object|null} Decision or null
+   */
+  getDecision(id) {
+    return this.data.decisions.find(d => d.id === id) || null;
+  }
+
+  /**
+   * Update fields on an existing decision
+   * @param {string} id - Decision ID
+   * @param {object} updates - Fields to merge
+   * @returns {object|null} Updated decision or null if not found
+   */
+  updateDecision(id, updates) {
+    const decision = this.getDecision(id);
+    if (!decision) return null;
+
+    Object.assign(decision, updates, { id });
+    return decision;
+  }
+
+  /**
+   * Get all decisions, optionally filtered
+   * @param {object} [filter] - Filter options
+   * @param {string} [filter.type] - Decision type
+   * @param {string} [filter.status] - Decision status
+   * @param {string} [filter.tag] - Tag
+   * @param {number} [filter.minConfidence] - Minimum confidence (0-100)
+   * @param {boolean} [filter.active] - Only active and questioned decisions
+   * @returns {object[]} Matching decisions
+   */
+  getDecisions(filter = {}) {
+    return this.data.decisions.filter(d => {
+      if (filter.active && !this._isActive(d)) return false;
+      if (filter.type && d.type !== filter.type) return false;
+      if (filter.status && (d.status || DECISION_STATUS.ACTIVE) !== filter.status) return false;
+      if (filter.tag && !(d.tags || []).includes(filter.tag)) return false;
+      if (filter.minConfidence != null && (d.confidence || 0) < filter.minConfidence) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Mark a decision as superseded by another, recording the link
+   * @param {string} oldId - Superseded decision ID
+   * @param {string} newId - Superseding decision ID
+   * @returns {boolean} True if both decisions exist
+   */
+  supersede(oldId, newId) {
+    const oldDecision = this.getDecision(oldId);
+    if (!oldDecision || !this.getDecision(newId)) return false;
+
+    oldDecision.status = DECISION_STATUS.SUPERSEDED;
+    oldDecision.superseded_by = newId;
+    this.linkDecisions(newId, oldId, LINK_TYPES.SUPERSEDES);
+    return true;
+  }
+
+  // ==================== LINKS ====================
+
+  /**
+   * Link two decisions
+   * @param {string} from - Source decision ID
+   * @param {string} to - Target decision ID
+   * @param {string} relationship - One of LINK_TYPES
+   * @param {string} [description] - Optional description
+   * @returns {boolean} True if the link was added
+   */
+  linkDecisions(from, to, relationship, description) {
+    if (!Object.values(LINK_TYPES).includes(relationship)) return false;
+    if (!this.getDecision(from) || !this.getDecision(to)) return false;
+
+    const exists = this.data.links.some(
+      l => l.from === from && l.to === to && l.relationship === relationship,
+    );
+    if (exists) return false;
+
+    const link = { from, to, relationship };
+    if (description) link.description = description;
+    this.data.links.push(link);
+    return true;
+  }
+
+  /**
+   * Get decisions linked to a decision, in either direction
+   * @param {string} id - Decision ID
+   * @returns {Array<{decision: object, relationship: string, direction: string}>}
+   */
+  getRelatedDecisions(id) {
+    const related = [];
+
+    for (const link of this.data.links) {
+      if (link.from !== id && link.to !== id) continue;
+
+      const direction = link.from === id ? 'outgoing' : 'incoming';
+      const otherId = direction === 'outgoing' ? link.to : link.from;
+      const decision = this.getDecision(otherId);
+      if (decision) {
+        related.push({ decision, relationship: link.relationship, direction });
+      }
+    }
+
+    return related;
+  }
+
+  /**
+   * Link a decision to a file
+   * @param {string} id - Decision ID
+   * @param {string} filePath - File path (relative to project root)
+   * @returns {boolean} True if the decision exists
+   */
+  linkFile(id, filePath) {
+    const decision = this.getDecision(id);
+    if (!decision) return false;
+
+    const file = this._normalizePath(filePath);
+    decision.scope = decision.scope || {};
+    decision.scope.files = decision.scope.files || [];
+    if (!decision.scope.files.includes(file)) {
+      decision.scope.files.push(file);
+    }
+    return true;
+  }
+
+  /**
+   * Link a decision to a commit as supporting evidence
+   * @param {string} id - Decision ID
+   * @param {string} sha - Commit hash
+   * @param {string} [excerpt] - Commit message excerpt
+   * @returns {boolean} True if the decision exists
+   */
+  linkCommit(id, sha, excerpt) {
+    const decision = this.getDecision(id);
+    if (!decision) return false;
+
+    decision.source = decision.source || { type: 'inferred' };
+    decision.source.evidence = decision.source.evidence || [];
+
+    const exists = decision.source.evidence.some(e => e.type === 'commit' && e.ref === sha);
+    if (!exists) {
+      const evidence = { type: 'commit', ref: sha };
+      if (excerpt) evidence.excerpt = excerpt;
+      decision.source.evidence.push(evidence);
+    }
+    return true;
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Find decisions that touch a file
+   *
+   * Matches explicit file scope, the by_file index, directory scope
+   * (prefix match) and global decisions, most specific first.
+   *
+   * @param {string} filePath - File path (absolute or project-relative)
+   * @param {object} [options] - Query options
+   * @param {boolean} [options.includeGlobal=false] - Include global decisions
+   * @param {boolean} [options.includeInactive=false] - Include superseded/deprecated decisions
+   * @returns {Array<object>} Decisions with a `match` field ('file'|'directory'|'global')
+   */
+  getDecisionsForFile(filePath, options = {}) {
+    const { includeGlobal = false, includeInactive = false } = options;
+    const file = this._normalizePath(filePath);
+    const indexed = new Set(this.data.indexes?.by_file?.[file] || []);
+    const results = [];
+
+    for (const decision of this.data.decisions) {
+      if (!includeInactive && !this._isActive(decision)) continue;
+
+      const scope = decision.scope || {};
+      let match = null;
+
+      if (indexed.has(decision.id) || (scope.files || []).map(f => this._normalizePath(f)).includes(file)) {
+        match = 'file';
+      } else if ((scope.directories || []).some(dir => this._isInDirectory(file, dir))) {
+        match = 'directory';
+      } else if (includeGlobal && scope.global) {
+        match = 'global';
+      }
+
+      if (match) {
+        results.push({ ...decision, match });
+      }
+    }
+
+    const order = { file: 0, directory: 1, global: 2 };
+    results.sort((a, b) => order[a.match] - order[b.match] || (b.confidence || 0) - (a.confidence || 0));
+    return results;
+  }
+
+  /**
+   * Find decisions backed by a commit
+   * @param {string} sha - Commit hash (full or abbreviated)
+   * @returns {object[]} Matching decisions
+   */
+  getDecisionsForCommit(sha) {
+    return this.data.decisions.filter(d =>
+      (d.source?.evidence || []).some(e =>
+        e.type === 'commit' && e.ref && (e.ref.startsWith(sha) || sha.startsWith(e.ref)),
+      ),
+    );
+  }
+
+  /**
+   * Search decisions by text in summary, rationale and tags
+   * @param {string} query - Search text
+   * @returns {object[]} Matching decisions
+   */
+  search(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    return this.data.decisions.filter(d => {
+      const haystack = [d.summary, d.rationale, ...(d.tags || [])]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return terms.every(t => haystack.includes(t));
+    });
+  }
+
+  // ==================== INDEXES ====================
+
+  /**
+   * Rebuild by_file, by_author and by_tag indexes from decisions
+   * @returns {object} The rebuilt indexes
+   */
+  rebuildIndexes() {
+    const indexes = { by_file: {}, by_author: {}, by_tag: {} };
+    const add = (index, key, id) => {
+      if (!index[key]) index[key] = [];
+      if (!index[key].includes(id)) index[key].push(id);
+    };
+
+    // Preserve file associations that only exist in the index
+    for (const [file, ids] of Object.entries(this.data.indexes?.by_file || {})) {
+      for (const id of ids) {
+        if (this.getDecision(id)) add(indexes.by_file, file, id);
+      }
+    }
+
+    for (const decision of this.data.decisions) {
+      for (const file of decision.scope?.files || []) {
+        add(indexes.by_file, this._normalizePath(file), decision.id);
+      }
+      if (decision.author) {
+        add(indexes.by_author, decision.author, decision.id);
+      }
+      for (const tag of decision.tags || []) {
+        add(indexes.by_tag, tag, decision.id);
+      }
+    }
+
+    this.data.indexes = indexes;
+    return indexes;
+  }
+
+  /**
+   * Get graph statistics
+   * @returns {object} Summary statistics
+   */
+  getSummary() {
+    const byType = {};
+    const byStatus = {};
+    for (const decision of this.data.decisions) {
+      byType[decision.type] = (byType[decision.type] || 0) + 1;
+      const status = decision.status || DECISION_STATUS.ACTIVE;
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+
+    return {
+      decisions: this.data.decisions.length,
+      links: this.data.links.length,
+      conflicts: (this.data.conflicts || []).filter(c => !c.resolved).length,
+      byType,
+      byStatus,
+    };
+  }
+
+  /**
+   * Export the raw graph document
+   * @returns {object} Graph data
+   */
+  export() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Normalize a path to project-relative forward-slash form
+   * @private
+   */
+  _normalizePath(filePath) {
+    let file = filePath;
+    if (path.isAbsolute(file)) {
+      file = path.relative(this.projectRoot, file);
+    }
+    return path.normalize(file).replace(/\\/g, '/').replace(/^\.\//, '');
+  }
+
+  /**
+   * Check whether a file lives under a scope directory
+   * @private
+   */
+  _isInDirectory(file, dir) {
+    // "/" in a decision scope means the project root, not the filesystem root
+    if (dir === '/' || dir === '.' || dir === '') return true;
+    const normalized = this._normalizePath(dir).replace(/\/$/, '');
+    return file === normalized || file.startsWith(`${normalized}/`);
+  }
+
+  /**
+   * @private
+   */
+  _isActive(decision) {
+    const status = decision.status || DECISION_STATUS.ACTIVE;
+    return status === DECISION_STATUS.ACTIVE || status === DECISION_STATUS.QUESTIONED;
+  }
+}
+
+module.exports = {
+  DecisionGraph,
+  DECISIONS_FILE,
+  DECISIONS_SCHEMA_PATH,
+  GRAPH_VERSION,
+  DECISION_TYPES,
+  LINK_TYPES,
+  DECISION_STATUS,
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * GYWD Decisions
+ *
+ * Programmatic access to the decision graph (.planning/core/decisions.json).
+ * Zero external dependencies.
+ */
+
+const {
+  DecisionGraph,
+  DECISIONS_FILE,
+  DECISIONS_SCHEMA_PATH,
+  GRAPH_VERSION,
+  DECISION_TYPES,
+  LINK_TYPES,
+  DECISION_STATUS,
+} = require('./decision-graph');
+
+module.exports = {
+  // Classes
+  DecisionGraph,
+
+  // Constants
+  DECISIONS_FILE,
+  DECISIONS_SCHEMA_PATH,
+  GRAPH_VERSION,
+  DECISION_TYPES,
+  LINK_TYPES,
+  DECISION_STATUS,
+
+  // Factory function
+  createDecisionGraph: (projectRoot, options) => new DecisionGraph(projectRoot, options),
+};
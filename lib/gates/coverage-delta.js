@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Coverage Delta
+ *
+ * Reads istanbul/Jest coverage-summary.json reports, stores a baseline under
+ * .planning/, compares per-file coverage against it, and finds the tests
+ * that reach a set of changed files through the import graph.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../planning/planning-files');
+const { PATTERN_SIGNALS } = require('../profile/pattern-learner');
+
+/**
+ * Baseline file name inside the planning directory
+ */
+const COVERAGE_BASELINE_FILE = 'coverage-baseline.json';
+
+/**
+ * Coverage metrics reported by istanbul
+ */
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+
+/**
+ * Keep only the percentage of each metric
+ * @param {object} entry - Summary entry (`{ lines: { pct, ... }, ... }`)
+ * @returns {object} `{ lines: 85.2, ... }`
+ */
+function percentages(entry) {
+  const result = {};
+  for (const metric of COVERAGE_METRICS) {
+    if (entry && entry[metric] && typeof entry[metric].pct === 'number') {
+      result[metric] = entry[metric].pct;
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a path to a '/'-separated path relative to the project root
+ * @param {string} projectRoot - Project root
+ * @param {string} filePath - Absolute or relative path
+ * @returns {string}
+ */
+function toProjectPath(projectRoot, filePath) {
+  const relative = path.isAbsolute(filePath) ? path.relative(projectRoot, filePath) : filePath;
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Read a coverage-summary.json report
+ * @param {string} summaryPath - Report path
+ * @param {string} projectRoot - Root used to make file keys relative
+ * @returns {{total: object, files: object}|null} Percentages per metric, or null if missing
+ */
+function readCoverageSummary(summaryPath, projectRoot) {
+  let summary;
+  try {
+    summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  } catch {
+    return null;
+  }
+
+  const files = {};
+  for (const [file, entry] of Object.entries(summary)) {
+    if (file !== 'total') files[toProjectPath(projectRoot, file)] = percentages(entry);
+  }
+  return { total: percentages(summary.total), files };
+}
+
+/**
+ * Read the stored baseline
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {{total: object, files: object, updated: string}|null}
+ */
+function readCoverageBaseline(planningDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(planningDir, COVERAGE_BASELINE_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store coverage as the new baseline
+ * @param {string} planningDir - Path to .planning directory
+ * @param {{total: object, files: object}} coverage - Output of readCoverageSummary
+ * @returns {string} Baseline path
+ */
+function saveCoverageBaseline(planningDir, coverage) {
+  const baselinePath = path.join(planningDir, COVERAGE_BASELINE_FILE);
+  fs.mkdirSync(planningDir, { recursive: true });
+  writeFileAtomic(baselinePath, `${JSON.stringify({
+    updated: new Date().toISOString(),
+    total: coverage.total,
+    files: coverage.files,
+  }, null, 2)}\n`);
+  return baselinePath;
+}
+
+/**
+ * Compare coverage of files against the baseline
+ * @param {object} baseline - Stored baseline
+ * @param {object} current - Current coverage
+ * @param {Array<string>} files - Project-relative files to compare
+ * @param {object} [options] - Options
+ * @param {string} [options.metric='lines'] - Metric to compare
+ * @param {number} [options.maxDrop=1] - Allowed drop in percentage points
+ * @returns {{compared: Array<object>, regressions: Array<object>, added: Array<object>}}
+ */
+function compareCoverage(baseline, current, files, { metric = 'lines', maxDrop = 1 } = {}) {
+  const compared = [];
+  const regressions = [];
+  const added = [];
+
+  for (const file of files) {
+    const now = current.files[file] ? current.files[file][metric] : undefined;
+    if (now === undefined) continue;
+
+    const before = baseline.files[file] ? baseline.files[file][metric] : undefined;
+    if (before === undefined) {
+      added.push({ file, current: now });
+      continue;
+    }
+
+    const entry = { file, baseline: before, current: now, change: Math.round((now - before) * 100) / 100 };
+    compared.push(entry);
+    if (before - now > maxDrop) regressions.push(entry);
+  }
+
+  return { compared, regressions, added };
+}
+
+/**
+ * Find test files that depend on the given files, directly or transitively
+ * @param {DependencyAnalyzer} analyzer - Analyzer with reverse dependencies built
+ * @param {Array<string>} files - Project-relative source files
+ * @param {object} [options] - Options
+ * @param {number} [options.maxDepth=5] - How many import hops to follow
+ * @returns {object} Map of source file to the test files that reach it
+ */
+function findImpactedTests(analyzer, files, { maxDepth = 5 } = {}) {
+  const impacted = {};
+
+  for (const file of files) {
+    const seen = new Set([file]);
+    const tests = new Set();
+    let frontier = [file];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const dependent of analyzer.getDependents(current)) {
+          const normalized = dependent.split(path.sep).join('/');
+          if (seen.has(normalized)) continue;
+          seen.add(normalized);
+          if (PATTERN_SIGNALS.testFile.test(normalized)) tests.add(normalized);
+          next.push(normalized);
+        }
+      }
+      frontier = next;
+    }
+
+    impacted[file] = Array.from(tests).sort();
+  }
+
+  return impacted;
+}
+
+module.exports = {
+  COVERAGE_BASELINE_FILE,
+  COVERAGE_METRICS,
+  readCoverageSummary,
+  readCoverageBaseline,
+  saveCoverageBaseline,
+  compareCoverage,
+  findImpactedTests,
+};
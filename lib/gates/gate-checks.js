@@ -0,0 +1,526 @@
+'use strict';
+
+/**
+ * Gate Checks
+ *
+ * Built-in PR gate check definitions and helpers for writing custom ones.
+ * A check is `{ id, name, description, severity, enabled, run }` where
+ * `run(context, options)` returns `{ status, message, details?, locations? }`
+ * (or a promise of one). `context` is `{ projectRoot, planningDir, gate }`;
+ * `options` is the check's entry from .planning/config.json.
+ */
+
+const { execSync, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { DECISIONS_FILE } = require('../decisions/decision-graph');
+const { DependencyAnalyzer } = require('../automation/dependency-analyzer');
+const { ConventionChecker } = require('../profile/convention-checker');
+const { PATTERN_SIGNALS } = require('../profile/pattern-learner');
+const { PatternAggregator, FeedbackCollector } = require('../memory');
+const {
+  COVERAGE_BASELINE_FILE,
+  readCoverageSummary,
+  readCoverageBaseline,
+  saveCoverageBaseline,
+  compareCoverage,
+  findImpactedTests,
+} = require('./coverage-delta');
+
+/**
+ * Gate check results
+ */
+const GATE_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  WARNING: 'warning',
+};
+
+/**
+ * How a non-passing check affects the gate
+ */
+const SEVERITY = {
+  BLOCK: 'block',
+  WARN: 'warn',
+};
+
+/**
+ * Default timeout for command checks (5 minutes)
+ */
+const DEFAULT_COMMAND_TIMEOUT = 300000;
+
+/**
+ * Branches tried, in order, when a check needs a diff base and none is configured
+ */
+const DEFAULT_BASE_REFS = ['origin/main', 'origin/master', 'main', 'master'];
+
+/**
+ * Run a shell command
+ * @param {string} command - Command line
+ * @param {object} options - Options
+ * @param {string} options.cwd - Working directory
+ * @param {number} [options.timeout] - Timeout in ms
+ * @returns {{ok: boolean, output: string}}
+ */
+function runCommand(command, { cwd, timeout = DEFAULT_COMMAND_TIMEOUT }) {
+  try {
+    const output = execSync(command, { cwd, encoding: 'utf8', stdio: 'pipe', timeout });
+    return { ok: true, output: output || '' };
+  } catch (error) {
+    const output = [error.stdout, error.stderr].filter(Boolean).join('\n');
+    return { ok: false, output: output || error.message };
+  }
+}
+
+/**
+ * Read package.json scripts
+ * @param {string} projectRoot - Project root
+ * @returns {object|null} Scripts map, or null when there is no package.json
+ */
+function readPackageScripts(projectRoot) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+    return pkg.scripts || {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run git with an argument list, without a shell
+ * @param {string} projectRoot - Project root
+ * @param {Array<string>} args - Git arguments
+ * @returns {string} Standard output
+ */
+function runGit(projectRoot, args) {
+  return execFileSync('git', args, { cwd: projectRoot, encoding: 'utf8', stdio: 'pipe' });
+}
+
+/**
+ * Whether a base ref is a well-formed ref name and cannot be read as an option
+ * @param {string} projectRoot - Project root
+ * @param {string} ref - Ref name
+ * @returns {boolean}
+ */
+function isValidRef(projectRoot, ref) {
+  if (typeof ref !== 'string' || ref === '' || ref.startsWith('-')) return false;
+  try {
+    runGit(projectRoot, ['check-ref-format', '--allow-onelevel', ref]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the commit a branch diverged from
+ * @param {string} projectRoot - Project root
+ * @param {string} [base] - Base ref; defaults to the first of DEFAULT_BASE_REFS that exists
+ * @returns {string|null} Merge-base commit, or null if none could be resolved or `base` is not a valid ref
+ */
+function resolveDiffBase(projectRoot, base) {
+  for (const ref of base ? [base] : DEFAULT_BASE_REFS) {
+    if (!isValidRef(projectRoot, ref)) continue;
+    try {
+      return runGit(projectRoot, ['merge-base', 'HEAD', ref]).trim();
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Files changed since a commit (committed and uncommitted)
+ * @param {string} projectRoot - Project root
+ * @param {string} base - Base commit
+ * @returns {Array<string>} Paths relative to `projectRoot`, which may be a subdirectory of the
+ *   repository; changes outside it are left out
+ */
+function changedFiles(projectRoot, base) {
+  const output = runGit(projectRoot, ['diff', '--relative', '--name-only', base]);
+  return output.split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+/**
+ * Lines added plus removed since a commit, under `projectRoot`
+ * @param {string} projectRoot - Project root
+ * @param {string} base - Base commit
+ * @returns {number}
+ */
+function changedLineCount(projectRoot, base) {
+  const output = runGit(projectRoot, ['diff', '--relative', '--numstat', base]);
+  return output.split('\n').reduce((total, line) => {
+    const [added, removed] = line.split('\t');
+    // Binary files report '-'
+    return total + (parseInt(added, 10) || 0) + (parseInt(removed, 10) || 0);
+  }, 0);
+}
+
+/**
+ * Build a check that passes when a shell command exits 0
+ * @param {string} command - Command line
+ * @param {object} [options] - Options
+ * @param {string} [options.script] - package.json script the command relies on; the check is skipped without it
+ * @param {number} [options.timeout] - Timeout in ms
+ * @returns {Function} Check run function
+ */
+function commandCheck(command, options = {}) {
+  return ({ projectRoot }) => {
+    if (options.script) {
+      const scripts = readPackageScripts(projectRoot);
+      if (!scripts) return { status: GATE_STATUS.SKIPPED, message: 'No package.json found' };
+      if (!scripts[options.script]) {
+        return { status: GATE_STATUS.SKIPPED, message: `No ${options.script} script defined` };
+      }
+    }
+
+    const result = runCommand(command, { cwd: projectRoot, timeout: options.timeout });
+    return result.ok
+      ? { status: GATE_STATUS.PASSED, message: `\`${command}\` succeeded` }
+      : { status: GATE_STATUS.FAILED, message: `\`${command}\` failed`, details: result.output.trim() };
+  };
+}
+
+/**
+ * Lint passes (`npm run lint`, or `command`)
+ * @param {object} context - Check context
+ * @param {object} options - Check options
+ * @returns {object} Check result
+ */
+function checkLint(context, options) {
+  const run = options.command
+    ? commandCheck(options.command, { timeout: options.timeout })
+    : commandCheck('npm run lint', { script: 'lint', timeout: options.timeout });
+  return run(context);
+}
+
+/**
+ * Coverage meets a threshold, read from a coverage-summary.json
+ * (Jest's `json-summary` reporter)
+ * @param {object} context - Check context
+ * @param {object} options - Check options
+ * @param {number|object} [options.threshold=80] - Minimum percent for lines, or per metric
+ *   (`{ lines, statements, functions, branches }`)
+ * @param {string} [options.summary='coverage/coverage-summary.json'] - Report path
+ * @returns {object} Check result
+ */
+function checkCoverage({ projectRoot }, options) {
+  const summaryPath = path.resolve(projectRoot, options.summary || 'coverage/coverage-summary.json');
+  const coverage = readCoverageSummary(summaryPath, projectRoot);
+  if (!coverage) {
+    return {
+      status: GATE_STATUS.SKIPPED,
+      message: `No coverage report at ${path.relative(projectRoot, summaryPath)}`,
+    };
+  }
+
+  const { total } = coverage;
+  const threshold = options.threshold == null ? 80 : options.threshold;
+  const minimums = typeof threshold === 'number' ? { lines: threshold } : threshold;
+
+  const shortfalls = [];
+  for (const [metric, minimum] of Object.entries(minimums)) {
+    const pct = total[metric];
+    if (typeof pct === 'number' && pct < minimum) {
+      shortfalls.push(`${metric} ${pct}% < ${minimum}%`);
+    }
+  }
+
+  if (shortfalls.length > 0) {
+    return {
+      status: GATE_STATUS.FAILED,
+      message: 'Coverage below threshold',
+      details: shortfalls.join('\n'),
+    };
+  }
+
+  const lines = total.lines !== undefined ? `${total.lines}% lines` : 'coverage';
+  return { status: GATE_STATUS.PASSED, message: `${lines} meets threshold` };
+}
+
+/**
+ * Coverage of changed files has not dropped against the stored baseline;
+ * lists the tests that import the changed files
+ * @param {object} context - Check context
+ * @param {object} options - Check options
+ * @param {string} [options.summary='coverage/coverage-summary.json'] - Report path
+ * @param {string} [options.metric='lines'] - Metric to compare
+ * @param {number} [options.maxDrop=1] - Allowed drop per file, in percentage points
+ * @param {boolean} [options.updateBaseline=false] - Store the report as the baseline when the check passes
+ * @param {string} [options.base] - Base ref to diff against (all covered files when unresolved)
+ * @returns {object} Check result with `regressions`, `impactedTests` and `testImpact`
+ */
+function checkCoverageDelta({ projectRoot, planningDir }, options) {
+  const summaryPath = path.resolve(projectRoot, options.summary || 'coverage/coverage-summary.json');
+  const current = readCoverageSummary(summaryPath, projectRoot);
+  if (!current) {
+    return {
+      status: GATE_STATUS.SKIPPED,
+      message: `No coverage report at ${path.relative(projectRoot, summaryPath)}`,
+    };
+  }
+
+  const baseline = readCoverageBaseline(planningDir);
+  if (!baseline) {
+    if (options.updateBaseline) {
+      saveCoverageBaseline(planningDir, current);
+      return { status: GATE_STATUS.PASSED, message: 'Coverage baseline created' };
+    }
+    return {
+      status: GATE_STATUS.SKIPPED,
+      message: `No coverage baseline at ${path.relative(projectRoot, path.join(planningDir, COVERAGE_BASELINE_FILE))}`,
+    };
+  }
+
+  const base = resolveDiffBase(projectRoot, options.base);
+  const files = (base ? changedFiles(projectRoot, base) : Object.keys(current.files))
+    .filter(f => !PATTERN_SIGNALS.testFile.test(f));
+  const metric = options.metric || 'lines';
+  const { compared, regressions, added } = compareCoverage(baseline, current, files, {
+    metric,
+    maxDrop: options.maxDrop == null ? 1 : options.maxDrop,
+  });
+
+  let testImpact = {};
+  if (files.length > 0) {
+    const analyzer = new DependencyAnalyzer({ rootDir: projectRoot });
+    analyzer.scanDirectory(projectRoot);
+    analyzer.buildReverseDependencies();
+    testImpact = findImpactedTests(analyzer, files);
+  }
+  const impactedTests = Array.from(new Set(Object.values(testImpact).flat())).sort();
+
+  const details = [
+    ...regressions.map(r => `${r.file}: ${metric} ${r.baseline}% -> ${r.current}% (${r.change})`),
+    ...added.map(a => `${a.file}: new, ${metric} ${a.current}%`),
+  ];
+  if (impactedTests.length > 0) {
+    details.push(`Tests covering changed files: ${impactedTests.join(', ')}`);
+  }
+
+  const result = {
+    details: details.join('\n') || undefined,
+    locations: regressions.map(r => ({ file: r.file })),
+    regressions,
+    impactedTests,
+    testImpact,
+  };
+
+  if (regressions.length > 0) {
+    return {
+      status: GATE_STATUS.FAILED,
+      message: `${metric} coverage dropped on ${regressions.length} changed file(s)`,
+      ...result,
+    };
+  }
+
+  if (options.updateBaseline) saveCoverageBaseline(planningDir, current);
+  return {
+    status: GATE_STATUS.PASSED,
+    message: `${metric} coverage held on ${compared.length + added.length} changed file(s)`,
+    ...result,
+  };
+}
+
+/**
+ * CHANGELOG.md was updated on this branch
+ * @param {object} context - Check context
+ * @param {object} options - Check options
+ * @param {string} [options.file='CHANGELOG.md'] - Changelog path
+ * @param {string} [options.base] - Base ref to diff against
+ * @returns {object} Check result
+ */
+function checkChangelog({ projectRoot }, options) {
+  const file = options.file || 'CHANGELOG.md';
+  if (!fs.existsSync(path.join(projectRoot, file))) {
+    return { status: GATE_STATUS.SKIPPED, message: `No ${file} found` };
+  }
+
+  const base = resolveDiffBase(projectRoot, options.base);
+  if (!base) return { status: GATE_STATUS.SKIPPED, message: 'No base branch to compare against' };
+
+  const changed = changedFiles(projectRoot, base);
+  if (changed.length === 0) return { status: GATE_STATUS.SKIPPED, message: 'No changes on this branch' };
+
+  return changed.includes(file)
+    ? { status: GATE_STATUS.PASSED, message: `${file} updated` }
+    : { status: GATE_STATUS.FAILED, message: `${file} has no entry for this change`, locations: [{ file }] };
+}
+
+/**
+ * Large diffs come with a recorded decision
+ * @param {object} context - Check context
+ * @param {object} options - Check options
+ * @param {number} [options.minLines=400] - Diff size (added + removed) that requires a decision
+ * @param {Array<string>} [options.paths] - Files that count as a recorded decision
+ *   (defaults to .planning/core/decisions.json)
+ * @param {string} [options.base] - Base ref to diff against
+ * @returns {object} Check result
+ */
+function checkDecisionRecorded({ projectRoot }, options) {
+  const base = resolveDiffBase(projectRoot, options.base);
+  if (!base) return { status: GATE_STATUS.SKIPPED, message: 'No base branch to compare against' };
+
+  const minLines = options.minLines || 400;
+  const lineCount = changedLineCount(projectRoot, base);
+  if (lineCount < minLines) {
+    return { status: GATE_STATUS.PASSED, message: `Diff is ${lineCount} lines, below ${minLines}` };
+  }
+
+  const decisionPaths = (options.paths || [DECISIONS_FILE]).map(p => p.split(path.sep).join('/'));
+  const changed = changedFiles(projectRoot, base);
+  const recorded = changed.some(f => decisionPaths.some(p => f === p || f.startsWith(`${p.replace(/\/$/, '')}/`)));
+
+  return recorded
+    ? { status: GATE_STATUS.PASSED, message: 'Decision recorded for large change' }
+    : {
+      status: GATE_STATUS.FAILED,
+      message: `Diff is ${lineCount} lines but no decision was recorded`,
+      details: `Record one in ${decisionPaths.join(', ')}`,
+    };
+}
+
+/**
+ * Changed source files follow the conventions learned from the rest of the
+ * project (naming per declaration kind, JSDoc, test names), plus strong
+ * consensus patterns from global memory
+ * @param {object} context - Check context
+ * @param {object} options - Check options
+ * @param {number} [options.minConfidence=0.8] - Confidence a learned pattern needs to be enforced
+ * @param {boolean} [options.consensus=true] - Also enforce strong cross-project consensus patterns
+ * @param {boolean} [options.feedback=true] - Skip rules developers keep rejecting (recorded feedback)
+ * @param {string} [options.base] - Base ref to diff against
+ * @returns {object} Check result with `findings` and `rules`
+ */
+function checkConventions({ projectRoot }, options) {
+  const base = resolveDiffBase(projectRoot, options.base);
+  if (!base) return { status: GATE_STATUS.SKIPPED, message: 'No base branch to compare against' };
+
+  const changed = changedFiles(projectRoot, base)
+    .filter(f => PATTERN_SIGNALS.sourceFile.test(f) && fs.existsSync(path.join(projectRoot, f)));
+  if (changed.length === 0) return { status: GATE_STATUS.SKIPPED, message: 'No changed source files' };
+
+  const checker = new ConventionChecker({
+    minConfidence: options.minConfidence,
+    aggregator: options.consensus === false ? null : new PatternAggregator(),
+    feedbackCollector: options.feedback === false ? null : new FeedbackCollector(),
+  });
+  const tracked = runCommand('git ls-files', { cwd: projectRoot }).output.split('\n').filter(Boolean);
+  checker.learnFrom(tracked.filter(f => !changed.includes(f)), { projectRoot });
+
+  const { rules, findings } = checker.checkFiles(changed, { projectRoot });
+  if (rules.length === 0) return { status: GATE_STATUS.SKIPPED, message: 'No high-confidence conventions learned yet' };
+
+  const result = {
+    details: findings.map(f => `${f.line ? `${f.file}:${f.line}` : f.file} ${f.message}`).join('\n') || undefined,
+    locations: findings.map(f => ({ file: f.file, line: f.line || undefined })),
+    findings,
+    rules,
+  };
+
+  const violating = new Set(findings.map(f => f.file)).size;
+  return findings.length > 0
+    ? {
+      status: GATE_STATUS.FAILED,
+      message: `${findings.length} convention violation(s) in ${violating} changed file(s)`,
+      ...result,
+    }
+    : {
+      status: GATE_STATUS.PASSED,
+      message: `${changed.length} changed file(s) follow ${rules.length} learned convention(s)`,
+      ...result,
+    };
+}
+
+/**
+ * Built-in checks, in run order. The first five run by default; the rest
+ * are opt-in via .planning/config.json.
+ */
+const BUILTIN_CHECKS = [
+  {
+    id: 'tests',
+    name: 'Tests',
+    description: 'Test suite passes (`npm test`, or `command`)',
+    run: ({ gate }, options) => gate.checkTests(options),
+  },
+  {
+    id: 'uncommitted',
+    name: 'Uncommitted Changes',
+    description: 'Working directory is clean',
+    run: ({ gate }) => gate.checkUncommitted(),
+  },
+  {
+    id: 'branch',
+    name: 'Branch Up to Date',
+    description: 'Branch is not behind its remote',
+    run: ({ gate }) => gate.checkBranchUpToDate(),
+  },
+  {
+    id: 'verify-work',
+    name: 'Verify Work Complete',
+    description: 'No open items in ISSUES.md',
+    run: ({ gate }) => gate.checkVerifyWork(),
+  },
+  {
+    id: 'issues',
+    name: 'No Unresolved Issues',
+    description: 'No blocker-severity issues in ISSUES.md',
+    run: ({ gate }) => gate.checkIssues(),
+  },
+  {
+    id: 'lint',
+    name: 'Lint',
+    description: 'Linter passes (`npm run lint`, or `command`)',
+    enabled: false,
+    run: checkLint,
+  },
+  {
+    id: 'coverage',
+    name: 'Coverage Threshold',
+    description: 'Coverage report meets `threshold`',
+    enabled: false,
+    run: checkCoverage,
+  },
+  {
+    id: 'coverage-delta',
+    name: 'Coverage Delta',
+    description: 'Changed files keep their coverage against .planning/coverage-baseline.json',
+    enabled: false,
+    run: checkCoverageDelta,
+  },
+  {
+    id: 'changelog',
+    name: 'Changelog Entry',
+    description: 'CHANGELOG.md changed on this branch',
+    enabled: false,
+    run: checkChangelog,
+  },
+  {
+    id: 'decision',
+    name: 'Decision Recorded',
+    description: 'Diffs over `minLines` update the decision log',
+    enabled: false,
+    run: checkDecisionRecorded,
+  },
+  {
+    id: 'conventions',
+    name: 'Conventions',
+    description: 'Changed files follow high-confidence learned naming, JSDoc and test-name conventions',
+    enabled: false,
+    run: checkConventions,
+  },
+];
+
+module.exports = {
+  GATE_STATUS,
+  SEVERITY,
+  BUILTIN_CHECKS,
+  DEFAULT_BASE_REFS,
+  runCommand,
+  commandCheck,
+  resolveDiffBase,
+  changedFiles,
+  changedLineCount,
+};
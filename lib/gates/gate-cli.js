@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Gate CLI
+ *
+ * `pmp-gywd gate` - run the PR gate and print (or write) a report.
+ * Exits 0 when the gate passes, 1 when it fails, 2 on usage errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PRGate } = require('./pr-gate');
+const { REPORT_FORMATS, formatReport, formatText } = require('./gate-reporters');
+
+/**
+ * Exit codes
+ */
+const EXIT_CODES = {
+  PASSED: 0,
+  FAILED: 1,
+  USAGE: 2,
+};
+
+const USAGE = `Usage: pmp-gywd gate [options]
+
+Run the PR gate checks configured in .planning/config.json.
+
+Options:
+  -f, --format <format>   Report format: ${REPORT_FORMATS.join(', ')} (default: text)
+  -o, --output <file>     Write the report to a file and print the text summary
+  -p, --project <dir>     Project root (default: current directory)
+  -h, --help              Show this help message
+
+Exit codes: 0 gate passed, 1 gate failed, 2 usage error
+`;
+
+/**
+ * Parse gate arguments
+ * @param {Array<string>} argv - Arguments after `gate`
+ * @returns {{format: string, output: string|null, project: string|null, help: boolean}|{error: string}}
+ */
+function parseGateArgs(argv) {
+  const options = { format: 'text', output: null, project: null, help: false };
+  const valued = {
+    '-f': 'format',
+    '--format': 'format',
+    '-o': 'output',
+    '--output': 'output',
+    '-p': 'project',
+    '--project': 'project',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const key = valued[flag];
+    if (!key) return { error: `Unknown option: ${arg}` };
+
+    const value = inline !== undefined ? inline : argv[++i];
+    if (!value || (inline === undefined && value.startsWith('-'))) {
+      return { error: `${flag} requires a value` };
+    }
+    options[key] = value;
+  }
+
+  if (!REPORT_FORMATS.includes(options.format)) {
+    return { error: `Unknown format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})` };
+  }
+  return options;
+}
+
+/**
+ * Run `pmp-gywd gate`
+ * @param {Array<string>} argv - Arguments after `gate`
+ * @param {object} [io] - I/O overrides
+ * @param {string} [io.cwd=process.cwd()] - Working directory
+ * @param {object} [io.stdout=process.stdout] - Output stream
+ * @param {object} [io.stderr=process.stderr] - Error stream
+ * @returns {Promise<number>} Exit code
+ */
+async function runGateCommand(argv, io = {}) {
+  const cwd = io.cwd || process.cwd();
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  const options = parseGateArgs(argv);
+  if (options.error) {
+    stderr.write(`${options.error}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.PASSED;
+  }
+
+  const gate = new PRGate({ projectRoot: path.resolve(cwd, options.project || '.') });
+  const report = await gate.runAllChecks();
+  const output = formatReport(report, options.format, { checks: gate.listChecks() });
+
+  if (options.output) {
+    const outputPath = path.resolve(cwd, options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, output, 'utf8');
+    stdout.write(formatText(report));
+  } else {
+    stdout.write(output);
+  }
+
+  return report.passed ? EXIT_CODES.PASSED : EXIT_CODES.FAILED;
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseGateArgs,
+  runGateCommand,
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * Gate Reporters
+ *
+ * Format PRGate.runAllChecks() reports for CI: plain text, JSON, JUnit XML
+ * and SARIF 2.1.0. Checks can attach `locations` (`[{ file, line? }]`) to
+ * their results so SARIF consumers can annotate the right files.
+ */
+
+const { GATE_STATUS } = require('./gate-checks');
+const pkg = require('../../package.json');
+
+/**
+ * Supported report formats
+ */
+const REPORT_FORMATS = ['text', 'json', 'junit', 'sarif'];
+
+/**
+ * SARIF schema reference
+ */
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * ANSI escape sequences (colors, cursor movement) in tool output
+ */
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Characters XML 1.0 does not allow, even escaped
+ */
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+/**
+ * Escape text for XML attributes and content, dropping ANSI escape
+ * sequences and characters XML 1.0 does not allow
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(ANSI_PATTERN, '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Message plus details, as one block of text
+ * @param {object} result - Check result
+ * @returns {string}
+ */
+function fullMessage(result) {
+  return result.details ? `${result.message}\n${result.details}` : result.message;
+}
+
+/**
+ * Human-readable summary (the same markdown PRGate produces)
+ * @param {object} report - Gate report
+ * @returns {string}
+ */
+function formatText(report) {
+  return `${report.summary}\n`;
+}
+
+/**
+ * JSON report
+ * @param {object} report - Gate report
+ * @returns {string}
+ */
+function formatJSON(report) {
+  const counts = {};
+  for (const status of Object.values(GATE_STATUS)) {
+    counts[status] = report.results.filter(r => r.status === status).length;
+  }
+
+  return `${JSON.stringify({
+    tool: { name: pkg.name, version: pkg.version },
+    passed: report.passed,
+    startedAt: report.startedAt,
+    durationMs: report.durationMs,
+    counts,
+    results: report.results,
+  }, null, 2)}\n`;
+}
+
+/**
+ * JUnit XML report: one testcase per check. Blocking results are failures,
+ * skipped checks are skipped, non-blocking warnings pass with their message
+ * in system-out.
+ * @param {object} report - Gate report
+ * @returns {string}
+ */
+function formatJUnit(report) {
+  const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+  const failures = report.results.filter(r => r.blocking).length;
+  const skipped = report.results.filter(r => r.status === GATE_STATUS.SKIPPED).length;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(pkg.name)}" tests="${report.results.length}" failures="${failures}" time="${seconds(report.durationMs)}">`,
+    `  <testsuite name="PR Gate" tests="${report.results.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(report.durationMs)}"${report.startedAt ? ` timestamp="${escapeXml(report.startedAt)}"` : ''}>`,
+  ];
+
+  for (const result of report.results) {
+    const open = `    <testcase name="${escapeXml(result.name)}" classname="pr-gate.${escapeXml(result.id)}" time="${seconds(result.durationMs)}"`;
+    if (result.blocking) {
+      lines.push(`${open}>`);
+      lines.push(`      <failure message="${escapeXml(result.message)}" type="${escapeXml(result.status)}">${escapeXml(fullMessage(result))}</failure>`);
+      lines.push('    </testcase>');
+    } else if (result.status === GATE_STATUS.SKIPPED) {
+      lines.push(`${open}>`);
+      lines.push(`      <skipped message="${escapeXml(result.message)}"/>`);
+      lines.push('    </testcase>');
+    } else if (result.status === GATE_STATUS.WARNING) {
+      lines.push(`${open}>`);
+      lines.push(`      <system-out>${escapeXml(`Warning: ${fullMessage(result)}`)}</system-out>`);
+      lines.push('    </testcase>');
+    } else {
+      lines.push(`${open}/>`);
+    }
+  }
+
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+}
+
+/**
+ * SARIF 2.1.0 report: one rule per check, one result per failing or warning
+ * check. Blocking results are `error`, the rest `warning`.
+ * @param {object} report - Gate report
+ * @param {object} [options] - Options
+ * @param {Array<object>} [options.checks] - PRGate#listChecks(), used for rule descriptions
+ * @returns {string}
+ */
+function formatSARIF(report, options = {}) {
+  const descriptions = new Map((options.checks || []).map(c => [c.id, c.description]));
+  const ruleIds = Array.from(new Set(report.results.map(r => r.id)));
+
+  const rules = ruleIds.map(id => {
+    const result = report.results.find(r => r.id === id);
+    return {
+      id,
+      name: result.name,
+      shortDescription: { text: descriptions.get(id) || result.name },
+      defaultConfiguration: { level: result.severity === 'warn' ? 'warning' : 'error' },
+    };
+  });
+
+  const results = report.results
+    .filter(r => r.status === GATE_STATUS.FAILED || r.status === GATE_STATUS.WARNING)
+    .map(r => {
+      const sarifResult = {
+        ruleId: r.id,
+        ruleIndex: ruleIds.indexOf(r.id),
+        level: r.blocking ? 'error' : 'warning',
+        message: { text: fullMessage(r) },
+      };
+      if (Array.isArray(r.locations) && r.locations.length > 0) {
+        sarifResult.locations = r.locations.map(location => ({
+          physicalLocation: {
+            artifactLocation: { uri: location.file },
+            ...(location.line ? { region: { startLine: location.line } } : {}),
+          },
+        }));
+      }
+      return sarifResult;
+    });
+
+  return `${JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: pkg.name,
+          version: pkg.version,
+          informationUri: pkg.homepage,
+          rules,
+        },
+      },
+      invocations: [{ executionSuccessful: true, ...(report.startedAt ? { startTimeUtc: report.startedAt } : {}) }],
+      results,
+    }],
+  }, null, 2)}\n`;
+}
+
+/**
+ * Format a report
+ * @param {object} report - Gate report from PRGate#runAllChecks
+ * @param {string} [format='text'] - One of REPORT_FORMATS
+ * @param {object} [options] - Formatter options
+ * @returns {string}
+ */
+function formatReport(report, format = 'text', options = {}) {
+  switch (format) {
+    case 'text':
+      return formatText(report);
+    case 'json':
+      return formatJSON(report);
+    case 'junit':
+      return formatJUnit(report);
+    case 'sarif':
+      return formatSARIF(report, options);
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  formatReport,
+  formatText,
+  formatJSON,
+  formatJUnit,
+  formatSARIF,
+  escapeXml,
+};
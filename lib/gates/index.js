@@ -6,9 +6,62 @@
  * Quality gates for PRs and releases.
  */
 
-const { PRGate, GATE_STATUS } = require('./pr-gate');
+const { PRGate } = require('./pr-gate');
+const {
+  GATE_STATUS,
+  SEVERITY,
+  BUILTIN_CHECKS,
+  commandCheck,
+  runCommand,
+} = require('./gate-checks');
+const {
+  COVERAGE_BASELINE_FILE,
+  readCoverageSummary,
+  readCoverageBaseline,
+  saveCoverageBaseline,
+  compareCoverage,
+  findImpactedTests,
+} = require('./coverage-delta');
+const {
+  REPORT_FORMATS,
+  formatReport,
+  formatText,
+  formatJSON,
+  formatJUnit,
+  formatSARIF,
+} = require('./gate-reporters');
+const { EXIT_CODES, runGateCommand } = require('./gate-cli');
 
 module.exports = {
+  // Classes
   PRGate,
+
+  // Constants
   GATE_STATUS,
+  SEVERITY,
+  BUILTIN_CHECKS,
+  COVERAGE_BASELINE_FILE,
+  REPORT_FORMATS,
+  EXIT_CODES,
+
+  // Check helpers
+  commandCheck,
+  runCommand,
+
+  // Coverage helpers
+  readCoverageSummary,
+  readCoverageBaseline,
+  saveCoverageBaseline,
+  compareCoverage,
+  findImpactedTests,
+
+  // Reporters
+  formatReport,
+  formatText,
+  formatJSON,
+  formatJUnit,
+  formatSARIF,
+
+  // CLI
+  runGateCommand,
 };
@@ -10,75 +10,271 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { readConfig } = require('../planning/planning-files');
+const {
+  GATE_STATUS,
+  SEVERITY,
+  BUILTIN_CHECKS,
+  commandCheck,
+} = require('./gate-checks');
 
 /**
- * Gate check results
- */
-const GATE_STATUS = {
-  PASSED: 'passed',
-  FAILED: 'failed',
-  SKIPPED: 'skipped',
-  WARNING: 'warning',
-};
-
-/**
- * PRGate class
+ * PRGate - Runs a registry of checks before a PR is opened
+ *
+ * Built-in checks are registered on construction and configured from the
+ * `prGate.checks` section of .planning/config.json: disable built-ins, enable
+ * opt-in ones (lint, coverage, changelog, decision, conventions), set `severity` to
+ * `block` or `warn`, or add checks backed by a shell `command` or a JS
+ * `module`. Only non-passing `block` checks fail the gate.
+ *
+ * @example
+ * // .planning/config.json
+ * // { "prGate": { "checks": {
+ * //   "branch": { "enabled": false },
+ * //   "lint": { "enabled": true, "severity": "warn" },
+ * //   "typecheck": { "name": "Types", "command": "npx tsc --noEmit" }
+ * // } } }
+ * const gate = new PRGate({ projectRoot });
+ * gate.registerCheck({ id: 'todo', name: 'No TODOs', run: () => ({ status: 'passed', message: 'ok' }) });
+ * const { passed, results } = await gate.runAllChecks();
  */
 class PRGate {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.projectRoot=process.cwd()] - Project root
+   * @param {string} [options.planningDir] - Planning directory (defaults to <projectRoot>/.planning)
+   * @param {object} [options.config] - Gate config; defaults to `prGate` in .planning/config.json
+   */
   constructor(options = {}) {
     this.projectRoot = options.projectRoot || process.cwd();
     this.planningDir = options.planningDir || path.join(this.projectRoot, '.planning');
-    this.checks = [];
+    this.checks = new Map();
     this.results = [];
+
+    for (const check of BUILTIN_CHECKS) {
+      this.registerCheck(check);
+    }
+
+    const config = options.config !== undefined
+      ? options.config
+      : (readConfig(this.planningDir) || {}).prGate;
+    this._applyConfig(config || {});
   }
 
+  // ==================== CHECK REGISTRY ====================
+
   /**
-   * Run all gate checks
-   * @returns {object} Gate results
+   * Register a check, replacing any existing check with the same ID
+   * @param {object} check - Check definition
+   * @param {string} check.id - Unique ID (config key)
+   * @param {Function} check.run - `(context, options) => result` (may be async)
+   * @param {string} [check.name] - Display name (defaults to the ID)
+   * @param {string} [check.description] - What the check verifies
+   * @param {string} [check.severity='block'] - SEVERITY.BLOCK or SEVERITY.WARN
+   * @param {boolean} [check.enabled=true] - Whether runAllChecks runs it
+   * @param {object} [check.options] - Options passed to run
+   * @returns {string} Check ID
+   */
+  registerCheck(check) {
+    if (!check || !check.id) {
+      throw new Error('Check must have an id');
+    }
+    if (typeof check.run !== 'function') {
+      throw new Error(`Check ${check.id} must have a run function`);
+    }
+
+    this.checks.set(check.id, {
+      id: check.id,
+      name: check.name || check.id,
+      description: check.description || '',
+      severity: this._normalizeSeverity(check.severity),
+      enabled: check.enabled !== false,
+      options: check.options || {},
+      run: check.run,
+    });
+    return check.id;
+  }
+
+  /**
+   * Remove a check
+   * @param {string} id - Check ID
+   * @returns {boolean} True if removed
+   */
+  unregisterCheck(id) {
+    return this.checks.delete(id);
+  }
+
+  /**
+   * Change a registered check's settings
+   * @param {string} id - Check ID
+   * @param {object} settings - `enabled`, `severity`, `name`; other keys become run options
+   * @returns {boolean} True if the check exists
+   */
+  configureCheck(id, settings) {
+    const check = this.checks.get(id);
+    if (!check) return false;
+
+    const { enabled, severity, name, description, ...options } = settings;
+    if (enabled !== undefined) check.enabled = enabled !== false;
+    if (severity !== undefined) check.severity = this._normalizeSeverity(severity);
+    if (name) check.name = name;
+    if (description) check.description = description;
+    check.options = { ...check.options, ...options };
+    return true;
+  }
+
+  /**
+   * List registered checks
+   * @returns {Array<{id: string, name: string, description: string, severity: string, enabled: boolean}>}
+   */
+  listChecks() {
+    return Array.from(this.checks.values()).map(({ id, name, description, severity, enabled }) => ({
+      id,
+      name,
+      description,
+      severity,
+      enabled,
+    }));
+  }
+
+  /**
+   * Apply the `prGate` config section
+   *
+   * Each `checks` entry configures a registered check (`tests` and `lint`
+   * take a `command` option), or registers a new one from a `command` or
+   * `module`. A `module` entry replaces a registered check of the same ID. `true`/`false` are shorthand for
+   * `{ enabled: true|false }`.
+   *
+   * @private
+   */
+  _applyConfig(config) {
+    for (const [id, raw] of Object.entries(config.checks || {})) {
+      const settings = typeof raw === 'boolean' ? { enabled: raw } : { ...raw };
+
+      if (this.checks.has(id) && !settings.module) {
+        this.configureCheck(id, settings);
+        continue;
+      }
+
+      const { command, module: modulePath, ...rest } = settings;
+      if (command) {
+        this.registerCheck({ id, run: commandCheck(command, { timeout: rest.timeout }), ...rest });
+      } else if (modulePath) {
+        this.registerCheck(this._loadCheckModule(id, modulePath, rest));
+      } else {
+        this.registerCheck({
+          id,
+          ...rest,
+          run: () => ({
+            status: GATE_STATUS.FAILED,
+            message: `Unknown check "${id}": configure a command or module`,
+          }),
+        });
+      }
+    }
+  }
+
+  /**
+   * Load a check from a JS module exporting a run function or a check definition
+   * @private
+   */
+  _loadCheckModule(id, modulePath, settings) {
+    const resolved = path.resolve(this.projectRoot, modulePath);
+    try {
+      const exported = require(resolved);
+      const definition = typeof exported === 'function' ? { run: exported } : exported;
+      const { enabled, severity, name, description, ...options } = settings;
+      return {
+        ...definition,
+        id,
+        name: name || definition.name,
+        description: description || definition.description,
+        severity: severity || definition.severity,
+        enabled: enabled !== undefined ? enabled : definition.enabled,
+        options: { ...definition.options, ...options },
+      };
+    } catch (error) {
+      return {
+        id,
+        ...settings,
+        run: () => ({
+          status: GATE_STATUS.FAILED,
+          message: `Could not load check module ${modulePath}`,
+          details: error.message,
+        }),
+      };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _normalizeSeverity(severity) {
+    return severity === SEVERITY.WARN ? SEVERITY.WARN : SEVERITY.BLOCK;
+  }
+
+  // ==================== RUNNING ====================
+
+  /**
+   * Run all enabled checks
+   *
+   * Failures of `warn` checks are reported as warnings. The gate passes when
+   * no `block` check failed or warned.
+   *
+   * @returns {Promise<object>} Gate results
    */
   async runAllChecks() {
     this.results = [];
+    const context = { projectRoot: this.projectRoot, planningDir: this.planningDir, gate: this };
+    const startedAt = new Date();
 
-    const checks = [
-      { name: 'Tests', fn: () => this.checkTests() },
-      { name: 'Uncommitted Changes', fn: () => this.checkUncommitted() },
-      { name: 'Branch Up to Date', fn: () => this.checkBranchUpToDate() },
-      { name: 'Verify Work Complete', fn: () => this.checkVerifyWork() },
-      { name: 'No Unresolved Issues', fn: () => this.checkIssues() },
-    ];
+    for (const check of this.checks.values()) {
+      if (!check.enabled) continue;
 
-    for (const check of checks) {
+      const checkStart = Date.now();
+      let result;
       try {
-        const result = await check.fn();
-        this.results.push({
-          name: check.name,
-          ...result,
-        });
+        result = await check.run(context, check.options);
       } catch (error) {
-        this.results.push({
-          name: check.name,
-          status: GATE_STATUS.FAILED,
-          message: error.message,
-        });
+        result = { status: GATE_STATUS.FAILED, message: error.message };
+      }
+
+      if (check.severity === SEVERITY.WARN && result.status === GATE_STATUS.FAILED) {
+        result = { ...result, status: GATE_STATUS.WARNING };
       }
-    }
 
-    const passed = this.results.every(r =>
-      r.status === GATE_STATUS.PASSED || r.status === GATE_STATUS.SKIPPED
-    );
+      this.results.push({
+        id: check.id,
+        name: check.name,
+        ...result,
+        severity: check.severity,
+        blocking: check.severity === SEVERITY.BLOCK &&
+          (result.status === GATE_STATUS.FAILED || result.status === GATE_STATUS.WARNING),
+        durationMs: Date.now() - checkStart,
+      });
+    }
 
     return {
-      passed,
+      passed: this.isPassing(),
       results: this.results,
       summary: this._generateSummary(),
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
     };
   }
 
   /**
    * Check if tests pass
+   * @param {object} [options] - Options
+   * @param {string} [options.command] - Test command (defaults to `npm test` when a test script exists)
+   * @param {number} [options.timeout=300000] - Timeout in ms
    * @returns {object}
    */
-  checkTests() {
+  checkTests(options = {}) {
+    if (options.command) {
+      return commandCheck(options.command, { timeout: options.timeout })({ projectRoot: this.projectRoot });
+    }
+
     try {
       // Check if package.json exists with test script
       const pkgPath = path.join(this.projectRoot, 'package.json');
@@ -101,7 +297,7 @@ class PRGate {
       execSync('npm test', {
         cwd: this.projectRoot,
         stdio: 'pipe',
-        timeout: 300000, // 5 minutes
+        timeout: options.timeout || 300000, // 5 minutes
       });
 
       return {
@@ -166,7 +362,7 @@ class PRGate {
         encoding: 'utf8',
       }).trim();
 
-      if (parseInt(behind) > 0) {
+      if (parseInt(behind, 10) > 0) {
         return {
           status: GATE_STATUS.WARNING,
           message: `Branch is ${behind} commits behind remote`,
@@ -296,13 +492,12 @@ class PRGate {
    * @returns {boolean}
    */
   isPassing() {
-    return this.results.every(r =>
-      r.status === GATE_STATUS.PASSED || r.status === GATE_STATUS.SKIPPED
-    );
+    return !this.results.some(r => r.blocking);
   }
 }
 
 module.exports = {
   PRGate,
   GATE_STATUS,
+  SEVERITY,
 };
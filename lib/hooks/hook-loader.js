@@ -0,0 +1,314 @@
+'use strict';
+
+/**
+ * Hook Loader
+ *
+ * Registers hooks shipped with a repository: shell-command hooks declared in
+ * .planning/hooks.json and JS hooks in .planning/hooks/*.js.
+ */
+
+const { exec } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { HOOK_TYPES, HOOKS_LOG_FILE, compilePattern } = require('./hook-manager');
+const { PLANNING_DIR } = require('../planning/planning-files');
+
+/**
+ * Declarative hook file inside the planning directory
+ */
+const HOOKS_FILE = 'hooks.json';
+
+/**
+ * Directory of JS hook modules inside the planning directory
+ */
+const HOOKS_DIR = 'hooks';
+
+/**
+ * Default timeout for shell hooks (1 minute)
+ */
+const DEFAULT_HOOK_TIMEOUT = 60000;
+
+/**
+ * Resolve a hook type given as a value (`pre_commit`) or key (`PRE_COMMIT`)
+ * @param {string} type - Hook type
+ * @returns {string|null} HOOK_TYPES value, or null if unknown
+ */
+function normalizeHookType(type) {
+  if (typeof type !== 'string') return null;
+  const value = type.toLowerCase();
+  return Object.values(HOOK_TYPES).includes(value) ? value : null;
+}
+
+/**
+ * `phaseNumber` -> `GYWD_PHASE_NUMBER`
+ * @param {string} key - Context key
+ * @returns {string}
+ */
+function envName(key) {
+  return `GYWD_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()}`;
+}
+
+/**
+ * Environment for a shell hook: the parent environment, the hook context
+ * (as GYWD_HOOK_CONTEXT JSON and one GYWD_<KEY> per scalar field), then the
+ * hook's own `env`
+ * @param {object} definition - Hook definition
+ * @param {object} context - Trigger context
+ * @returns {object}
+ */
+function hookEnv(definition, context) {
+  const env = {
+    ...process.env,
+    GYWD_HOOK_TYPE: definition.type,
+    GYWD_HOOK_NAME: definition.name,
+    GYWD_HOOK_CONTEXT: JSON.stringify(context),
+  };
+
+  for (const [key, value] of Object.entries(context)) {
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      env[envName(key)] = String(value);
+    }
+  }
+
+  for (const [key, value] of Object.entries(definition.env || {})) {
+    env[key] = String(value);
+  }
+  return env;
+}
+
+/**
+ * Hook result fields a shell hook can print as a JSON object on stdout
+ */
+const SHELL_RESULT_FIELDS = ['veto', 'reason', 'context', 'contextFiles', 'stopPropagation'];
+
+/**
+ * Pick hook result fields from a shell hook's stdout
+ * @param {string} stdout - Command output
+ * @returns {object} Fields found, or {} when stdout is not a JSON object
+ */
+function parseShellResult(stdout) {
+  const text = stdout.trim();
+  if (!text.startsWith('{')) return {};
+  try {
+    const parsed = JSON.parse(text);
+    const fields = {};
+    for (const key of SHELL_RESULT_FIELDS) {
+      if (parsed[key] !== undefined) fields[key] = parsed[key];
+    }
+    return fields;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a handler that runs a shell command. The context is passed through
+ * the environment and as JSON on stdin. A command that prints a JSON object
+ * can return PRE hook fields (`veto`, `reason`, `context`, `contextFiles`).
+ * A non-zero exit or timeout throws; with `abortOnFailure` the error aborts
+ * the remaining hooks.
+ * @param {object} definition - Hook definition with `run`
+ * @param {object} [options] - Options
+ * @param {string} [options.cwd] - Default working directory
+ * @returns {Function} Hook handler
+ */
+function createShellHandler(definition, options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd(), definition.cwd || '.');
+  const timeout = definition.timeout || DEFAULT_HOOK_TIMEOUT;
+
+  return (context = {}) => new Promise((resolve, reject) => {
+    const child = exec(definition.run, {
+      cwd,
+      env: hookEnv(definition, context),
+      timeout,
+      maxBuffer: 10 * 1024 * 1024,
+    }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve({ exitCode: 0, stdout, stderr, ...parseShellResult(stdout) });
+        return;
+      }
+
+      const failure = new Error(error.killed
+        ? `Hook "${definition.name}" timed out after ${timeout}ms`
+        : `Hook "${definition.name}" exited with code ${error.code}: ${(stderr || stdout).trim()}`);
+      failure.exitCode = error.killed ? null : error.code;
+      failure.stdout = stdout;
+      failure.stderr = stderr;
+      failure.abort = Boolean(definition.abortOnFailure);
+      reject(failure);
+    });
+
+    child.stdin.on('error', () => {}); // Commands that ignore stdin close it early
+    child.stdin.end(JSON.stringify(context));
+  });
+}
+
+/**
+ * Why a definition's `pattern` cannot be used, or null if it compiles
+ * @param {object} entry - Hook definition
+ * @returns {string|null}
+ */
+function patternError(entry) {
+  if (!entry.pattern) return null;
+  try {
+    compilePattern(entry.pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Read shell hook definitions from .planning/hooks.json
+ *
+ * Format: `{ "hooks": { "<type>": [{ "name", "run", "timeout", "env",
+ * "cwd", "match", "pattern", "priority", "once", "abortOnFailure" }] } }`
+ *
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {{definitions: Array<object>, errors: Array<{source: string, error: string}>}}
+ */
+function readHooksFile(planningDir) {
+  const source = path.join(planningDir, HOOKS_FILE);
+  const definitions = [];
+  const errors = [];
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') errors.push({ source, error: `Invalid ${HOOKS_FILE}: ${error.message}` });
+    return { definitions, errors };
+  }
+
+  for (const [rawType, entries] of Object.entries(config.hooks || {})) {
+    const type = normalizeHookType(rawType);
+    if (!type) {
+      errors.push({ source, error: `Unknown hook type: ${rawType}` });
+      continue;
+    }
+
+    [].concat(entries).forEach((entry, index) => {
+      if (!entry || typeof entry.run !== 'string') {
+        errors.push({ source, error: `${rawType}[${index}] needs a "run" command` });
+        return;
+      }
+      const invalid = patternError(entry);
+      if (invalid) {
+        errors.push({ source, error: `${rawType}[${index}]: ${invalid}` });
+        return;
+      }
+      definitions.push({ ...entry, type, name: entry.name || `${type}:${index}`, source });
+    });
+  }
+
+  return { definitions, errors };
+}
+
+/**
+ * Read JS hook definitions from .planning/hooks/*.js
+ *
+ * Each module exports `{ type, handler, name?, priority?, pattern?, match? }`
+ * or an array of them.
+ *
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {{definitions: Array<object>, errors: Array<{source: string, error: string}>}}
+ */
+function readHookModules(planningDir) {
+  const dir = path.join(planningDir, HOOKS_DIR);
+  const definitions = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  } catch {
+    return { definitions, errors };
+  }
+
+  for (const file of files) {
+    const source = path.join(dir, file);
+    let exported;
+    try {
+      // Pick up edits when hooks are reloaded
+      delete require.cache[require.resolve(source)];
+      exported = require(source);
+    } catch (error) {
+      errors.push({ source, error: `Could not load hook module: ${error.message}` });
+      continue;
+    }
+
+    [].concat(exported).forEach((entry, index) => {
+      const type = normalizeHookType(entry && entry.type);
+      if (!type || typeof entry.handler !== 'function') {
+        errors.push({ source, error: `Export ${index} needs a known "type" and a "handler" function` });
+        return;
+      }
+      const invalid = patternError(entry);
+      if (invalid) {
+        errors.push({ source, error: `Export ${index}: ${invalid}` });
+        return;
+      }
+      definitions.push({ ...entry, type, name: entry.name || path.basename(file, '.js'), source });
+    });
+  }
+
+  return { definitions, errors };
+}
+
+/**
+ * Register a project's hooks on a HookManager, replacing hooks previously
+ * loaded from the same planning directory. Unless the manager already has
+ * one, its audit log is set to .planning/hooks.log.jsonl.
+ * @param {HookManager} manager - Hook manager
+ * @param {object} [options] - Options
+ * @param {string} [options.projectRoot=process.cwd()] - Project root (shell hooks run here)
+ * @param {string} [options.planningDir] - Planning directory (defaults to <projectRoot>/.planning)
+ * @param {boolean} [options.audit=true] - Set the manager's audit log
+ * @returns {{registered: Array<{id: string, type: string, name: string, source: string}>, errors: Array<object>}}
+ */
+function loadProjectHooks(manager, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const planningDir = path.resolve(projectRoot, options.planningDir || PLANNING_DIR);
+
+  if (options.audit !== false && !manager.logFile) {
+    manager.logFile = path.join(planningDir, HOOKS_LOG_FILE);
+  }
+
+  for (const hook of manager.list()) {
+    if (hook.source && hook.source.startsWith(`${planningDir}${path.sep}`)) {
+      manager.unregister(hook.id);
+    }
+  }
+
+  const fromFile = readHooksFile(planningDir);
+  const fromModules = readHookModules(planningDir);
+  const registered = [];
+
+  for (const definition of [...fromFile.definitions, ...fromModules.definitions]) {
+    const handler = definition.handler || createShellHandler(definition, { cwd: projectRoot });
+    const id = manager.register(definition.type, handler, {
+      name: definition.name,
+      priority: definition.priority,
+      once: definition.once,
+      pattern: definition.pattern,
+      match: definition.match,
+      source: definition.source,
+      // Shell hooks enforce their own timeout so the process is killed
+      timeout: definition.handler ? definition.timeout : undefined,
+    });
+    registered.push({ id, type: definition.type, name: definition.name, source: definition.source });
+  }
+
+  return { registered, errors: [...fromFile.errors, ...fromModules.errors] };
+}
+
+module.exports = {
+  HOOKS_FILE,
+  HOOKS_DIR,
+  DEFAULT_HOOK_TIMEOUT,
+  normalizeHookType,
+  createShellHandler,
+  readHooksFile,
+  readHookModules,
+  loadProjectHooks,
+};
@@ -7,6 +7,9 @@
  * Part of Phase 25: Hooks System.
  */
 
+const fs = require('fs');
+const path = require('path');
+
 /**
  * Hook types
  */
@@ -21,13 +24,150 @@ const HOOK_TYPES = {
   POST_COMMIT: 'post_commit',
 };
 
+/**
+ * Hook types whose handlers can rewrite the context or veto
+ */
+const PRE_HOOK_TYPES = new Set([
+  HOOK_TYPES.PRE_COMMAND,
+  HOOK_TYPES.PRE_TASK,
+  HOOK_TYPES.PRE_COMMIT,
+]);
+
+/**
+ * Audit log file name inside the planning directory
+ */
+const HOOKS_LOG_FILE = 'hooks.log.jsonl';
+
+/**
+ * Trigger records kept in memory when there is no audit log file
+ */
+const MAX_MEMORY_HISTORY = 100;
+
+/**
+ * Convert a command glob to an anchored RegExp. `*` matches any run of
+ * characters and `?` a single character.
+ * @param {string} glob - Glob such as `gywd:execute-*`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(ch => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a hook's command `pattern`
+ * @param {string|RegExp} pattern - Regex source or RegExp
+ * @returns {RegExp}
+ * @throws {Error} If the pattern is not a valid regular expression
+ */
+function compilePattern(pattern) {
+  try {
+    // Without g/y, test() keeps no state between triggers
+    return pattern instanceof RegExp
+      ? new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))
+      : new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid hook pattern ${JSON.stringify(String(pattern))}: ${error.message}`);
+  }
+}
+
+/**
+ * Check a hook's command filters (`pattern` regex, `match` globs)
+ * @param {object} hook - Registered hook
+ * @param {string} [command] - Command from the trigger context
+ * @returns {boolean} True if the hook should run
+ */
+function matchesCommand(hook, command) {
+  if (!command) return true;
+  if (hook.regex && !hook.regex.test(command)) return false;
+  if (hook.match && !hook.match.some(glob => globToRegExp(glob).test(command))) return false;
+  return true;
+}
+
+/**
+ * Apply a PRE hook's `context` and `contextFiles` to the running context
+ * @param {object} context - Current context
+ * @param {*} result - Hook result
+ * @returns {object} New context
+ */
+function applyContextPatch(context, result) {
+  if (!result || typeof result !== 'object') return context;
+
+  let next = context;
+  if (result.context && typeof result.context === 'object') {
+    next = { ...next, ...result.context };
+  }
+  if (Array.isArray(result.contextFiles) && result.contextFiles.length > 0) {
+    const files = [...(next.contextFiles || []), ...result.contextFiles];
+    next = { ...next, contextFiles: Array.from(new Set(files)) };
+  }
+  return next;
+}
+
+/**
+ * Reason for a veto: `{ veto: 'reason' }` or `{ veto: true, reason }`
+ * @param {object} entry - Hook result entry
+ * @returns {string}
+ */
+function vetoReason(entry) {
+  const { veto, reason } = entry.result;
+  if (reason) return reason;
+  return typeof veto === 'string' ? veto : `Vetoed by hook "${entry.name}"`;
+}
+
+/**
+ * Run a handler, rejecting if it has not settled within `timeout` ms
+ * @param {Function} handler - Hook handler
+ * @param {object} context - Trigger context
+ * @param {number|null} timeout - Timeout in ms (null for none)
+ * @param {string} name - Hook name for the error message
+ * @returns {Promise<*>} Handler result
+ */
+function runWithTimeout(handler, context, timeout, name) {
+  const run = Promise.resolve().then(() => handler(context));
+  if (!timeout) return run;
+
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Hook "${name}" timed out after ${timeout}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeout);
+  });
+  return Promise.race([run, expired]).finally(() => clearTimeout(timer));
+}
+
 /**
  * HookManager class
+ *
+ * Hooks run in priority order. Each hook can have its own `timeout`, falling
+ * back to the manager's; a hook that times out is recorded as failed and the
+ * rest still run. With `parallel`, hooks of equal priority run concurrently.
+ * Every trigger is recorded and can be read back with getHistory(); set
+ * `logFile` to append the records to a JSONL audit log.
  */
 class HookManager {
-  constructor() {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {number} [options.timeout] - Default per-hook timeout in ms (none by default)
+   * @param {boolean} [options.parallel=false] - Run hooks of equal priority concurrently
+   * @param {string} [options.logFile] - Append-only JSONL audit log path
+   */
+  constructor(options = {}) {
     this.hooks = new Map();
     this.enabled = true;
+    this.timeout = options.timeout || null;
+    this.parallel = Boolean(options.parallel);
+    this.logFile = options.logFile || null;
+    this.history = [];
 
     // Initialize hook arrays for each type
     for (const type of Object.values(HOOK_TYPES)) {
@@ -40,12 +180,21 @@ class HookManager {
    * @param {string} type - Hook type from HOOK_TYPES
    * @param {Function} handler - Hook handler function
    * @param {object} options - Hook options
+   * @param {string} [options.name] - Hook name
+   * @param {number} [options.priority=0] - Higher runs first
+   * @param {boolean} [options.once=false] - Unregister after the first run
+   * @param {string} [options.pattern] - Regex the trigger's `context.command` must match
+   * @param {string|string[]} [options.match] - Glob(s), any of which `context.command` must match
+   * @param {string} [options.source] - Where the hook was defined (file path for project hooks)
+   * @param {number} [options.timeout] - Timeout in ms (overrides the manager default)
    * @returns {string} Hook ID for removal
+   * @throws {Error} For an unknown type or an invalid `pattern`
    */
   register(type, handler, options = {}) {
     if (!this.hooks.has(type)) {
       throw new Error(`Unknown hook type: ${type}`);
     }
+    const regex = options.pattern ? compilePattern(options.pattern) : null;
 
     const id = `hook_${Date.now()}_${Math.random().toString(36).slice(2)}`;
     const hook = {
@@ -56,6 +205,10 @@ class HookManager {
       name: options.name || 'anonymous',
       once: options.once || false,
       pattern: options.pattern || null, // Command pattern to match
+      regex,
+      match: options.match ? [].concat(options.match) : null, // Command globs to match
+      source: options.source || null,
+      timeout: options.timeout || null,
     };
 
     const hooks = this.hooks.get(type);
@@ -73,7 +226,7 @@ class HookManager {
    * @returns {boolean} True if removed
    */
   unregister(id) {
-    for (const [type, hooks] of this.hooks) {
+    for (const hooks of this.hooks.values()) {
       const index = hooks.findIndex(h => h.id === id);
       if (index !== -1) {
         hooks.splice(index, 1);
@@ -85,77 +238,300 @@ class HookManager {
 
   /**
    * Trigger hooks of a specific type
+   *
+   * PRE hooks (PRE_COMMAND, PRE_TASK, PRE_COMMIT) act as middleware: a handler
+   * may return `{ context: {...} }` to merge fields into the context seen by
+   * later hooks (e.g. rewritten `args`), `{ contextFiles: [...] }` to add
+   * files to `context.contextFiles`, or `{ veto: true, reason }` to stop the
+   * operation. Handlers receive a copy, so the caller's context is untouched;
+   * the final context is returned as `context`.
+   *
    * @param {string} type - Hook type
    * @param {object} context - Context to pass to handlers
+   * @param {object} [options] - Trigger options
+   * @param {boolean} [options.parallel] - Override the manager's parallel setting
    * @returns {Promise<object>} Aggregated results
    */
-  async trigger(type, context = {}) {
+  async trigger(type, context = {}, options = {}) {
+    const startedAt = Date.now();
+
     if (!this.enabled) {
-      return { skipped: true, reason: 'Hooks disabled' };
+      this._record(type, context, startedAt, { outcome: 'skipped', results: [] });
+      return { skipped: true, reason: 'Hooks disabled', context };
     }
 
-    const hooks = this.hooks.get(type) || [];
+    const registered = this.hooks.get(type) || [];
+    const parallel = options.parallel !== undefined ? options.parallel : this.parallel;
+    const isPre = PRE_HOOK_TYPES.has(type);
     const results = [];
     const toRemove = [];
+    let current = { ...context };
 
-    for (const hook of hooks) {
-      // Check pattern match
-      if (hook.pattern && context.command) {
-        const regex = new RegExp(hook.pattern);
-        if (!regex.test(context.command)) {
-          continue;
-        }
-      }
+    for (const group of this._groupHooks(registered, parallel)) {
+      // Filters see commands rewritten by earlier hooks
+      const snapshot = current;
+      const runnable = group.filter(hook => matchesCommand(hook, snapshot.command));
+      if (runnable.length === 0) continue;
 
-      try {
-        const result = await hook.handler(context);
-        results.push({
-          id: hook.id,
-          name: hook.name,
-          success: true,
-          result,
-        });
+      const outcomes = await Promise.all(runnable.map(hook => this._runHook(hook, { ...snapshot })));
+      results.push(...outcomes.map(o => o.entry));
 
-        // Track once hooks for removal
-        if (hook.once) {
-          toRemove.push(hook.id);
-        }
+      // Track once hooks for removal
+      for (const { hook, entry } of outcomes) {
+        if (hook.once && entry.success) toRemove.push(hook.id);
+      }
 
-        // Check if hook wants to stop propagation
-        if (result && result.stopPropagation) {
-          break;
-        }
-      } catch (error) {
-        results.push({
-          id: hook.id,
-          name: hook.name,
-          success: false,
-          error: error.message,
-        });
+      // Check if a hook wants to abort on error
+      const abort = outcomes.find(o => o.abort);
+      if (abort) {
+        this._removeOnceHooks(toRemove);
+        this._record(type, context, startedAt, { outcome: 'aborted', abortReason: abort.entry.error, results });
+        return {
+          type,
+          aborted: true,
+          error: abort.entry.error,
+          results,
+          context: current,
+        };
+      }
 
-        // Check if hook wants to abort on error
-        if (error.abort) {
+      if (isPre) {
+        const veto = outcomes.find(o => o.entry.success && o.entry.result && o.entry.result.veto);
+        if (veto) {
+          const reason = vetoReason(veto.entry);
+          this._removeOnceHooks(toRemove);
+          this._record(type, context, startedAt, { outcome: 'vetoed', abortReason: reason, results });
           return {
             type,
-            aborted: true,
-            error: error.message,
+            vetoed: true,
+            reason,
+            vetoedBy: veto.entry.name,
             results,
+            context: current,
           };
         }
+
+        for (const { entry } of outcomes) {
+          if (entry.success) current = applyContextPatch(current, entry.result);
+        }
       }
-    }
 
-    // Remove once hooks
-    for (const id of toRemove) {
-      this.unregister(id);
+      // Check if a hook wants to stop propagation
+      if (outcomes.some(o => o.entry.result && o.entry.result.stopPropagation)) {
+        break;
+      }
     }
 
+    this._removeOnceHooks(toRemove);
+    this._record(type, context, startedAt, {
+      outcome: results.every(r => r.success) ? 'success' : 'failed',
+      results,
+    });
+
     return {
       type,
-      triggered: hooks.length,
+      triggered: registered.length,
       executed: results.length,
       results,
+      context: current,
+    };
+  }
+
+  /**
+   * Run an operation between PRE_COMMAND and POST_COMMAND hooks
+   *
+   * PRE hooks can rewrite the context or veto; the operation receives the
+   * final context. POST_COMMAND (then ON_SUCCESS or ON_ERROR) hooks receive
+   * the context plus `outcome: { success, result?, error?, durationMs }`.
+   *
+   * @param {string} command - Command name (matched by hook filters)
+   * @param {Function} operation - `(context) => result` (may be async)
+   * @param {object} [context] - Initial context
+   * @returns {Promise<object>} `{ success, result?, error?, vetoed?, reason?, context }`
+   */
+  runCommand(command, operation, context = {}) {
+    return this._runWrapped(HOOK_TYPES.PRE_COMMAND, HOOK_TYPES.POST_COMMAND, { ...context, command }, operation);
+  }
+
+  /**
+   * Run a task between PRE_TASK and POST_TASK hooks (see runCommand)
+   * @param {string} task - Task name, exposed to hooks as `context.task`
+   * @param {Function} operation - `(context) => result` (may be async)
+   * @param {object} [context] - Initial context
+   * @returns {Promise<object>} `{ success, result?, error?, vetoed?, reason?, context }`
+   */
+  runTask(task, operation, context = {}) {
+    return this._runWrapped(HOOK_TYPES.PRE_TASK, HOOK_TYPES.POST_TASK, { ...context, task }, operation);
+  }
+
+  /**
+   * @private
+   */
+  async _runWrapped(preType, postType, context, operation) {
+    const pre = await this.trigger(preType, context);
+    const finalContext = pre.context;
+
+    if (pre.vetoed || pre.aborted) {
+      const reason = pre.vetoed ? pre.reason : pre.error;
+      const outcome = { success: false, vetoed: Boolean(pre.vetoed), error: reason, durationMs: 0 };
+      await this.trigger(postType, { ...finalContext, outcome });
+      return {
+        success: false,
+        vetoed: Boolean(pre.vetoed),
+        aborted: Boolean(pre.aborted),
+        reason,
+        context: finalContext,
+      };
+    }
+
+    const start = Date.now();
+    let outcome;
+    try {
+      const result = await operation(finalContext);
+      outcome = { success: true, result, durationMs: Date.now() - start };
+    } catch (error) {
+      outcome = { success: false, error: error.message, durationMs: Date.now() - start };
+    }
+
+    const postContext = { ...finalContext, outcome };
+    await this.trigger(postType, postContext);
+    await this.trigger(outcome.success ? HOOK_TYPES.ON_SUCCESS : HOOK_TYPES.ON_ERROR, postContext);
+
+    return { ...outcome, context: finalContext };
+  }
+
+  /**
+   * Split hooks into run groups: one hook per group, or runs of equal
+   * priority when parallel
+   * @private
+   */
+  _groupHooks(hooks, parallel) {
+    if (!parallel) return hooks.map(hook => [hook]);
+
+    const groups = [];
+    for (const hook of hooks) {
+      const last = groups[groups.length - 1];
+      if (last && last[0].priority === hook.priority) {
+        last.push(hook);
+      } else {
+        groups.push([hook]);
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Run one hook with its timeout
+   * @private
+   */
+  async _runHook(hook, context) {
+    const start = Date.now();
+    try {
+      const result = await runWithTimeout(hook.handler, context, hook.timeout || this.timeout, hook.name);
+      return {
+        hook,
+        entry: { id: hook.id, name: hook.name, success: true, result, durationMs: Date.now() - start },
+      };
+    } catch (error) {
+      return {
+        hook,
+        abort: Boolean(error.abort),
+        entry: {
+          id: hook.id,
+          name: hook.name,
+          success: false,
+          error: error.message,
+          ...(error.timedOut ? { timedOut: true } : {}),
+          durationMs: Date.now() - start,
+        },
+      };
+    }
+  }
+
+  /**
+   * Unregister once hooks that have run successfully
+   * @private
+   */
+  _removeOnceHooks(ids) {
+    for (const id of ids) {
+      this.unregister(id);
+    }
+  }
+
+  /**
+   * Record a trigger in memory and in the audit log
+   * @private
+   */
+  _record(type, context, startedAt, { outcome, abortReason, results }) {
+    const record = {
+      timestamp: new Date(startedAt).toISOString(),
+      type,
+      command: context.command || null,
+      outcome,
+      durationMs: Date.now() - startedAt,
+      ...(abortReason ? { abortReason } : {}),
+      hooks: results.map(r => ({
+        name: r.name,
+        success: r.success,
+        durationMs: r.durationMs,
+        ...(r.error ? { error: r.error } : {}),
+        ...(r.timedOut ? { timedOut: true } : {}),
+      })),
     };
+
+    this.history.push(record);
+    if (this.history.length > MAX_MEMORY_HISTORY) this.history.shift();
+
+    if (this.logFile) {
+      try {
+        fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+        fs.appendFileSync(this.logFile, `${JSON.stringify(record)}\n`);
+      } catch {
+        // Auditing must never break the command being hooked
+      }
+    }
+  }
+
+  /**
+   * Past triggers, oldest first. Reads the audit log when one is configured,
+   * otherwise the last triggers of this process.
+   * @param {object} [filter] - Filter
+   * @param {string} [filter.type] - Hook type
+   * @param {string} [filter.outcome] - 'success', 'failed', 'aborted', 'vetoed' or 'skipped'
+   * @param {string} [filter.command] - Exact command
+   * @param {string|Date} [filter.since] - Only triggers at or after this time
+   * @param {number} [filter.limit] - Return only the most recent N
+   * @returns {Array<object>} Trigger records
+   */
+  getHistory(filter = {}) {
+    let records = this.history;
+    if (this.logFile) {
+      try {
+        records = fs.readFileSync(this.logFile, 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map(line => {
+            try {
+              return JSON.parse(line);
+            } catch {
+              return null;
+            }
+          })
+          .filter(Boolean);
+      } catch {
+        records = [];
+      }
+    }
+
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    const matching = records.filter(r =>
+      (!filter.type || r.type === filter.type) &&
+      (!filter.outcome || r.outcome === filter.outcome) &&
+      (!filter.command || r.command === filter.command) &&
+      (since === null || new Date(r.timestamp).getTime() >= since),
+    );
+
+    return filter.limit ? matching.slice(-filter.limit) : matching;
   }
 
   /**
@@ -253,6 +629,9 @@ class HookManager {
           priority: hook.priority,
           once: hook.once,
           pattern: hook.pattern,
+          match: hook.match,
+          source: hook.source,
+          timeout: hook.timeout,
         });
       }
     }
@@ -267,4 +646,8 @@ module.exports = {
   HookManager,
   hookManager,
   HOOK_TYPES,
+  PRE_HOOK_TYPES,
+  HOOKS_LOG_FILE,
+  globToRegExp,
+  compilePattern,
 };
@@ -6,10 +6,34 @@
  * Pre/post command hooks and lifecycle events.
  */
 
-const { HookManager, hookManager, HOOK_TYPES } = require('./hook-manager');
+const {
+  HookManager,
+  hookManager,
+  HOOK_TYPES,
+  HOOKS_LOG_FILE,
+  globToRegExp,
+} = require('./hook-manager');
+const {
+  HOOKS_FILE,
+  HOOKS_DIR,
+  DEFAULT_HOOK_TIMEOUT,
+  createShellHandler,
+  readHooksFile,
+  readHookModules,
+  loadProjectHooks,
+} = require('./hook-loader');
 
 module.exports = {
   HookManager,
   hookManager,
   HOOK_TYPES,
+  HOOKS_FILE,
+  HOOKS_LOG_FILE,
+  HOOKS_DIR,
+  DEFAULT_HOOK_TIMEOUT,
+  globToRegExp,
+  createShellHandler,
+  readHooksFile,
+  readHookModules,
+  loadProjectHooks,
 };
@@ -7,9 +7,61 @@
  * Zero external dependencies.
  */
 
-const { KeywordIndex, keywordIndex } = require('./keyword-index');
+const {
+  KeywordIndex,
+  keywordIndex,
+  RANKING_MODES,
+  BM25_DEFAULTS,
+} = require('./keyword-index');
+
+const {
+  PersistentKeywordIndex,
+  KEYWORD_INDEX_DIR,
+  MANIFEST_FILE,
+  INDEX_VERSION,
+  PERSISTENT_INDEX_DEFAULTS,
+} = require('./persistent-index');
+
+const {
+  SymbolIndex,
+  SYMBOL_KINDS,
+  SYMBOL_INDEX_DEFAULTS,
+  extractSymbols,
+  extractExports,
+  extractImports,
+} = require('./symbol-index');
+
+const { tokenizeCode, maskSource } = require('./js-lexer');
+
+const {
+  STOP_WORDS,
+  splitIdentifier,
+  stem,
+  tokenize,
+  normalizeTerm,
+} = require('./tokenizer');
 
 module.exports = {
   KeywordIndex,
   keywordIndex,
+  PersistentKeywordIndex,
+  SymbolIndex,
+  RANKING_MODES,
+  BM25_DEFAULTS,
+  KEYWORD_INDEX_DIR,
+  MANIFEST_FILE,
+  INDEX_VERSION,
+  PERSISTENT_INDEX_DEFAULTS,
+  SYMBOL_KINDS,
+  SYMBOL_INDEX_DEFAULTS,
+  STOP_WORDS,
+  splitIdentifier,
+  stem,
+  tokenize,
+  normalizeTerm,
+  tokenizeCode,
+  maskSource,
+  extractSymbols,
+  extractExports,
+  extractImports,
 };
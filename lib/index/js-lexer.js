@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * JS Lexer
+ *
+ * One lexer for JavaScript/TypeScript source, shared by the symbol index and
+ * the declaration extractor: tokens that skip whitespace and comments and
+ * keep strings, template chunks and regex literals whole, plus a masked copy
+ * of the source for scanners that work on text offsets.
+ * Zero external dependencies.
+ */
+
+/**
+ * Words after which `/` starts a regex literal rather than a division
+ */
+const EXPRESSION_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'instanceof', 'yield', 'await']);
+
+const IDENTIFIER = /#?[\p{ID_Start}_$][\p{ID_Continue}$\u200c\u200d]*/uy;
+const NUMBER = /(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?|\.\d[\d_]*(?:[eE][+-]?\d+)?)n?/y;
+const PUNCTUATOR = /=>|\.{3}|\?\.(?!\d)|[=!]==?|[<>]=|\*\*=?|&&=?|\|\|=?|\?\?=?|[-+*/%&|^]=|\S/y;
+const REGEX_FLAGS = /[a-z]*/y;
+
+/**
+ * Split source into tokens, skipping whitespace and comments
+ * @param {string} code - Source code
+ * @returns {Array<{type: string, value: string, line: number, start: number, end: number}>} Tokens of
+ *   type `name`, `punct`, `number`, `string` (quoted or a template without substitutions), `template`
+ *   (one chunk of a template with substitutions) or `regex`; string values exclude the quotes, `start`
+ *   and `end` are source offsets including them
+ */
+function tokenizeCode(code) {
+  const tokens = [];
+  const braces = []; // true where a `${` substitution is open
+  let line = 1;
+  let i = 0;
+
+  const skip = (end) => {
+    for (let k = i; k < end; k++) {
+      if (code[k] === '\n') line++;
+    }
+    i = end;
+  };
+  const push = (type, value, end) => {
+    tokens.push({ type, value, line, start: i, end: Math.min(end, code.length) });
+    skip(end);
+  };
+  const sticky = (regex) => {
+    regex.lastIndex = i;
+    const match = regex.exec(code);
+    return match ? match[0] : '';
+  };
+  // End of a template chunk: the closing backtick or the `$` of `${`
+  const templateEnd = (from) => {
+    let j = from;
+    while (j < code.length && code[j] !== '`' && !(code[j] === '$' && code[j + 1] === '{')) {
+      if (code[j] === '\\') j++;
+      j++;
+    }
+    return Math.min(j, code.length);
+  };
+  const templateChunk = (from, first) => {
+    const end = templateEnd(from);
+    const closed = code[end] !== '$';
+    push(first && closed ? 'string' : 'template', code.slice(from, end), closed ? end + 1 : end + 2);
+    if (!closed) braces.push(true);
+  };
+  const regexAllowed = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'name') return EXPRESSION_KEYWORDS.has(prev.value);
+    return prev.type === 'punct' && prev.value !== ')' && prev.value !== ']';
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+    const next = code[i + 1];
+
+    if (/\s/.test(ch)) {
+      skip(i + 1);
+    } else if (ch === '/' && next === '/') {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+    } else if (ch === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2);
+      skip(end === -1 ? code.length : end + 2);
+    } else if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < code.length && code[j] !== ch && code[j] !== '\n') {
+        if (code[j] === '\\') j++;
+        j++;
+      }
+      push('string', code.slice(i + 1, j), Math.min(j + 1, code.length));
+    } else if (ch === '`') {
+      templateChunk(i + 1, true);
+    } else if (ch === '}' && braces[braces.length - 1] === true) {
+      braces.pop();
+      templateChunk(i + 1, false);
+    } else if (ch === '/' && regexAllowed()) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < code.length && code[j] !== '\n' && (inClass || code[j] !== '/')) {
+        if (code[j] === '\\') j++;
+        else if (code[j] === '[') inClass = true;
+        else if (code[j] === ']') inClass = false;
+        j++;
+      }
+      // A regex left open at the end of the source must not rewind the sticky match to 0
+      const end = Math.min(j + 1, code.length);
+      REGEX_FLAGS.lastIndex = end;
+      push('regex', code.slice(i + 1, j), REGEX_FLAGS.exec(code) ? REGEX_FLAGS.lastIndex : end);
+    } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(next))) {
+      push('number', sticky(NUMBER), NUMBER.lastIndex);
+    } else {
+      const name = sticky(IDENTIFIER);
+      if (name) {
+        push('name', name, i + name.length);
+      } else {
+        const punct = sticky(PUNCTUATOR);
+        if (punct === '{') braces.push(false);
+        else if (punct === '}') braces.pop();
+        push('punct', punct, i + punct.length);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Index of the token that ends an expression starting at `from`: the first
+ * `,` or `;` outside brackets, or the bracket that closes the enclosing one
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} from - Token index
+ * @returns {number}
+ */
+function expressionEnd(tokens, from) {
+  let depth = 0;
+  for (let k = from; k < tokens.length; k++) {
+    const { type, value } = tokens[k];
+    if (type !== 'punct') continue;
+    if (value === '(' || value === '[' || value === '{') {
+      depth++;
+    } else if (value === ')' || value === ']' || value === '}') {
+      if (depth === 0) return k;
+      depth--;
+    } else if (depth === 0 && (value === ',' || value === ';')) {
+      return k;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Index of the bracket closing the one at `open`
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} open - Index of `(`, `[` or `{`
+ * @returns {number}
+ */
+function closingBracket(tokens, open) {
+  let end = expressionEnd(tokens, open + 1);
+  while (tokens[end] && (tokens[end].value === ',' || tokens[end].value === ';')) {
+    end = expressionEnd(tokens, end + 1);
+  }
+  return end;
+}
+
+/**
+ * Blank out comments, string contents and regex literals, keeping every
+ * newline and character offset so positions still line up with the source.
+ * Template substitutions stay visible as code.
+ * @param {string} code - Source code
+ * @returns {string} Masked source
+ */
+function maskSource(code) {
+  const parts = [];
+  let copied = 0; // Source copied to `parts` up to here
+
+  const blank = (from, to) => {
+    parts.push(code.slice(copied, from), code.slice(from, to).replace(/\S/g, ' '));
+    copied = to;
+  };
+
+  let previousEnd = 0;
+  for (const token of tokenizeCode(code)) {
+    // Only whitespace and comments lie between tokens
+    if (/\S/.test(code.slice(previousEnd, token.start))) blank(previousEnd, token.start);
+    previousEnd = token.end;
+
+    if (token.type === 'string' || token.type === 'regex') {
+      blank(token.start + 1, token.start + 1 + token.value.length);
+    } else if (token.type === 'template') {
+      const to = token.start + 1 + token.value.length;
+      // The `$` of a `${` goes too; its braces stay and balance
+      blank(token.start + 1, code[to] === '$' ? to + 1 : to);
+    }
+  }
+
+  blank(previousEnd, code.length);
+  return parts.join('');
+}
+
+module.exports = {
+  tokenizeCode,
+  expressionEnd,
+  closingBracket,
+  maskSource,
+};
@@ -4,37 +4,86 @@
  * Keyword Index
  *
  * Inverted index for O(1) keyword → files lookup.
- * Supports multi-keyword search with ranked results.
+ * Supports multi-keyword search ranked by overlap or BM25.
  * Zero external dependencies.
  */
 
+const { tokenize, normalizeTerm } = require('./tokenizer');
+
+/**
+ * Ranking modes for searchMultiple
+ */
+const RANKING_MODES = {
+  OVERLAP: 'overlap',
+  BM25: 'bm25',
+};
+
+/**
+ * BM25 defaults: k1 controls term-frequency saturation, b how strongly
+ * long documents are penalized
+ */
+const BM25_DEFAULTS = {
+  k1: 1.2,
+  b: 0.75,
+};
+
 /**
  * KeywordIndex class
  * Provides fast keyword-to-file lookups using an inverted index.
  */
 class KeywordIndex {
-  constructor() {
+  /**
+   * @param {object} [options] - Options
+   * @param {boolean} [options.stem=false] - Stem keywords and queries (`caching` matches `cache`)
+   */
+  constructor(options = {}) {
+    this.stem = options.stem === true;
     this.index = new Map(); // keyword (lowercase) -> Set<filePath>
     this.fileKeywords = new Map(); // filePath -> Set<keyword>
+    this.termFrequencies = new Map(); // filePath -> Map<keyword, count>
+    this.documentLengths = new Map(); // filePath -> terms indexed, with repeats
+    this.totalTerms = 0;
     this.buildTime = null;
     this.searchCount = 0;
   }
 
   /**
-   * Add a file with its keywords to the index
+   * Add a file with its keywords to the index. Repeated keywords count
+   * towards the term frequency used by BM25 ranking.
    * @param {string} filePath - File path
    * @param {string[]} keywords - Array of keywords for this file
    */
   addFile(filePath, keywords) {
+    this._addTerms(filePath, keywords.map(k => this._normalize(k)));
+  }
+
+  /**
+   * Tokenize text (identifiers split, stop words dropped) and index it
+   * @param {string} filePath - File path
+   * @param {string} text - File content or other text
+   * @returns {number} Number of terms indexed
+   */
+  addText(filePath, text) {
+    const terms = tokenize(text, { stem: this.stem });
+    this._addTerms(filePath, terms);
+    return terms.length;
+  }
+
+  /**
+   * Index pre-computed term counts for a file, e.g. loaded from disk. Terms
+   * must already be normalized the way this index normalizes them.
+   * @param {string} filePath - File path
+   * @param {Map<string, number>|object} frequencies - term -> count
+   */
+  addTermFrequencies(filePath, frequencies) {
     // Remove old keywords for this file first (handles updates)
     this.removeFile(filePath);
 
-    // Normalize and dedupe keywords
-    const keywordSet = new Set(
-      keywords.map(k => k.toLowerCase().trim()).filter(k => k.length > 0)
-    );
+    const counts = frequencies instanceof Map ? frequencies : new Map(Object.entries(frequencies));
+    const keywordSet = new Set(counts.keys());
 
     this.fileKeywords.set(filePath, keywordSet);
+    this._setFrequencies(filePath, counts);
 
     // Add to inverted index
     for (const keyword of keywordSet) {
@@ -45,6 +94,20 @@ class KeywordIndex {
     }
   }
 
+  /**
+   * Count already-normalized terms and index them for a file
+   * @private
+   */
+  _addTerms(filePath, terms) {
+    const frequencies = new Map();
+    for (const term of terms) {
+      if (term.length > 0) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+    }
+    this.addTermFrequencies(filePath, frequencies);
+  }
+
   /**
    * Remove a file from the index
    * @param {string} filePath - File path
@@ -53,6 +116,9 @@ class KeywordIndex {
     const oldKeywords = this.fileKeywords.get(filePath);
 
     if (oldKeywords) {
+      this.totalTerms -= this.documentLengths.get(filePath) || 0;
+      this.termFrequencies.delete(filePath);
+      this.documentLengths.delete(filePath);
       for (const keyword of oldKeywords) {
         const files = this.index.get(keyword);
         if (files) {
@@ -74,22 +140,33 @@ class KeywordIndex {
    */
   search(keyword) {
     this.searchCount++;
-    const lowerKeyword = keyword.toLowerCase().trim();
-    return this.index.get(lowerKeyword) || new Set();
+    return this.index.get(this._normalize(keyword)) || new Set();
   }
 
   /**
    * Search for files matching multiple keywords with ranking
+   *
+   * `overlap` ranks by the number of matched keywords (BM25 breaks ties);
+   * `bm25` ranks by BM25 score, so rare keywords and short, focused files
+   * outrank common words in large files.
+   *
    * @param {string[]} keywords - Keywords to search
-   * @returns {Array<{file: string, matchCount: number, matchedKeywords: string[]}>}
+   * @param {object} [options] - Options
+   * @param {string} [options.ranking='overlap'] - One of RANKING_MODES
+   * @param {number} [options.limit] - Maximum results
+   * @param {number} [options.k1=1.2] - BM25 term-frequency saturation
+   * @param {number} [options.b=0.75] - BM25 document-length normalization
+   * @returns {Array<{file: string, matchCount: number, matchedKeywords: string[], score: number}>}
    */
-  searchMultiple(keywords) {
+  searchMultiple(keywords, options = {}) {
+    const { ranking = RANKING_MODES.OVERLAP, limit } = options;
+    const params = { ...BM25_DEFAULTS, ...options };
     this.searchCount++;
     const results = new Map(); // filePath -> { count, keywords }
 
-    const normalizedKeywords = keywords
-      .map(k => k.toLowerCase().trim())
-      .filter(k => k.length > 0);
+    const normalizedKeywords = Array.from(new Set(
+      keywords.map(k => this._normalize(k)).filter(k => k.length > 0),
+    ));
 
     for (const keyword of normalizedKeywords) {
       const files = this.index.get(keyword);
@@ -105,14 +182,32 @@ class KeywordIndex {
       }
     }
 
-    // Sort by match count descending
-    return Array.from(results.entries())
+    const ranked = Array.from(results.entries())
       .map(([file, data]) => ({
         file,
         matchCount: data.count,
         matchedKeywords: data.keywords,
+        score: data.keywords.reduce((sum, keyword) => sum + this._bm25(keyword, file, params), 0),
       }))
-      .sort((a, b) => b.matchCount - a.matchCount);
+      .sort(ranking === RANKING_MODES.BM25
+        ? (a, b) => b.score - a.score || b.matchCount - a.matchCount
+        : (a, b) => b.matchCount - a.matchCount || b.score - a.score);
+
+    return limit ? ranked.slice(0, limit) : ranked;
+  }
+
+  /**
+   * Rank files against a free-text query with BM25. The query is tokenized
+   * like addText (identifiers split, stop words dropped).
+   * @param {string|string[]} query - Query text or keywords
+   * @param {object} [options] - searchMultiple options (`limit`, `k1`, `b`)
+   * @returns {Array<{file: string, matchCount: number, matchedKeywords: string[], score: number}>}
+   */
+  searchRanked(query, options = {}) {
+    const terms = Array.isArray(query)
+      ? query.flatMap(q => tokenize(q, { stem: this.stem }))
+      : tokenize(query, { stem: this.stem });
+    return this.searchMultiple(terms, { ...options, ranking: RANKING_MODES.BM25 });
   }
 
   /**
@@ -231,6 +326,9 @@ class KeywordIndex {
   clear() {
     this.index.clear();
     this.fileKeywords.clear();
+    this.termFrequencies.clear();
+    this.documentLengths.clear();
+    this.totalTerms = 0;
     this.buildTime = null;
     this.searchCount = 0;
   }
@@ -250,9 +348,16 @@ class KeywordIndex {
       fileKeywords[file] = Array.from(keywords);
     }
 
+    const termFrequencies = {};
+    for (const [file, frequencies] of this.termFrequencies) {
+      termFrequencies[file] = Object.fromEntries(frequencies);
+    }
+
     return {
       index,
       fileKeywords,
+      termFrequencies,
+      stem: this.stem,
       buildTime: this.buildTime,
       stats: this.getStats(),
     };
@@ -272,9 +377,18 @@ class KeywordIndex {
     if (data.fileKeywords) {
       for (const [file, keywords] of Object.entries(data.fileKeywords)) {
         this.fileKeywords.set(file, new Set(keywords));
+        // Exports without frequencies count each keyword once
+        const frequencies = data.termFrequencies && data.termFrequencies[file];
+        this._setFrequencies(file, new Map(frequencies
+          ? Object.entries(frequencies)
+          : keywords.map(k => [k, 1])));
       }
     }
 
+    if (data.stem !== undefined) {
+      this.stem = data.stem === true;
+    }
+
     if (data.buildTime) {
       this.buildTime = data.buildTime;
     }
@@ -287,6 +401,46 @@ class KeywordIndex {
   recordBuildTime(durationMs) {
     this.buildTime = durationMs;
   }
+
+  /**
+   * Normalize a keyword for lookup
+   * @private
+   */
+  _normalize(keyword) {
+    return normalizeTerm(keyword, { stem: this.stem });
+  }
+
+  /**
+   * Store a file's term frequencies and document length, replacing any
+   * previous entry for the file (e.g. when the same export is imported twice)
+   * @private
+   */
+  _setFrequencies(filePath, frequencies) {
+    let length = 0;
+    for (const count of frequencies.values()) {
+      length += count;
+    }
+    this.totalTerms += length - (this.documentLengths.get(filePath) || 0);
+    this.termFrequencies.set(filePath, frequencies);
+    this.documentLengths.set(filePath, length);
+  }
+
+  /**
+   * BM25 score of one term for one file
+   * @private
+   */
+  _bm25(term, filePath, { k1, b }) {
+    const documents = this.fileKeywords.size;
+    const containing = (this.index.get(term) || new Set()).size;
+    if (documents === 0 || containing === 0) return 0;
+
+    const idf = Math.log(1 + (documents - containing + 0.5) / (containing + 0.5));
+    const tf = (this.termFrequencies.get(filePath) || new Map()).get(term) || 0;
+    const averageLength = this.totalTerms / documents || 1;
+    const lengthRatio = (this.documentLengths.get(filePath) || 0) / averageLength;
+
+    return idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengthRatio));
+  }
 }
 
 // Singleton instance for global usage
@@ -295,4 +449,6 @@ const keywordIndex = new KeywordIndex();
 module.exports = {
   KeywordIndex,
   keywordIndex,
+  RANKING_MODES,
+  BM25_DEFAULTS,
 };
@@ -0,0 +1,417 @@
+'use strict';
+
+/**
+ * Persistent Keyword Index
+ *
+ * On-disk KeywordIndex under .planning/cache/keyword-index/. A manifest
+ * records each file's mtime, size and content hash; update() re-reads only
+ * files whose mtime or size changed and writes their terms to a new delta
+ * segment. compact() folds the segments back into one. Segments are only
+ * read on the first search, so opening the index is cheap.
+ * Zero external dependencies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { KeywordIndex } = require('./keyword-index');
+const { PLANNING_DIR, writeFileAtomic } = require('../planning/planning-files');
+
+/**
+ * Index directory inside the planning directory
+ */
+const KEYWORD_INDEX_DIR = path.join('cache', 'keyword-index');
+
+/**
+ * Manifest file inside the index directory
+ */
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * On-disk format version. Increment when the format changes; older indexes
+ * are rebuilt.
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * Defaults for which files are indexed and when segments are compacted
+ */
+const PERSISTENT_INDEX_DEFAULTS = {
+  extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.md'],
+  excludeDirs: ['node_modules', '.git', 'dist', 'build', 'coverage'],
+  maxFileSize: 1024 * 1024,
+  maxSegments: 8,
+  compactRatio: 0.5, // Compact when this share of stored documents is stale
+};
+
+/**
+ * Create an empty manifest
+ * @param {boolean} stem - Whether terms are stemmed
+ * @returns {object}
+ */
+function createManifest(stem) {
+  return {
+    version: INDEX_VERSION,
+    stem,
+    updatedAt: null,
+    nextSegment: 1,
+    segments: [], // [{ id, documents }]
+    files: {}, // relPath -> { mtimeMs, size, hash, segment }
+  };
+}
+
+/**
+ * PersistentKeywordIndex - a KeywordIndex kept up to date on disk
+ *
+ * @example
+ * const index = new PersistentKeywordIndex({ projectRoot: process.cwd() });
+ * index.update(); // re-reads only files changed since the last update
+ * index.searchRanked('refresh session token', { limit: 10 });
+ * // => [{ file: 'src/auth/session.js', score: 4.2, ... }]
+ */
+class PersistentKeywordIndex {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.projectRoot=process.cwd()] - Project root (paths are stored relative to it)
+   * @param {string} [options.planningDir] - Planning directory (defaults to <projectRoot>/.planning)
+   * @param {string} [options.indexDir] - Override the index directory
+   * @param {string[]} [options.extensions] - File extensions to index
+   * @param {string[]} [options.excludeDirs] - Directory names never indexed
+   * @param {number} [options.maxFileSize] - Skip larger files (bytes)
+   * @param {number} [options.maxSegments] - Compact after this many segments
+   * @param {number} [options.compactRatio] - Compact when this share of stored documents is stale
+   * @param {boolean} [options.stem=true] - Stem terms
+   */
+  constructor(options = {}) {
+    this.projectRoot = path.resolve(options.projectRoot || process.cwd());
+    const planningDir = path.resolve(this.projectRoot, options.planningDir || PLANNING_DIR);
+    this.indexDir = path.resolve(planningDir, options.indexDir || KEYWORD_INDEX_DIR);
+    this.options = { ...PERSISTENT_INDEX_DEFAULTS, ...options };
+    this.stem = options.stem !== false;
+    this.manifest = null;
+    this.index = null;
+  }
+
+  // ==================== LOADING ====================
+
+  /**
+   * Read the manifest (not the segments). A missing, unreadable or
+   * incompatible manifest starts an empty index.
+   * @returns {object} Manifest
+   */
+  load() {
+    if (this.manifest) return this.manifest;
+
+    const manifestPath = path.join(this.indexDir, MANIFEST_FILE);
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      if (manifest.version === INDEX_VERSION && manifest.stem === this.stem) {
+        this.manifest = manifest;
+        return manifest;
+      }
+    } catch {
+      // No index yet, or a corrupt manifest: rebuild
+    }
+
+    // Drop segments an incompatible manifest pointed at
+    if (fs.existsSync(manifestPath)) {
+      fs.rmSync(this.indexDir, { recursive: true, force: true });
+    }
+    this.manifest = createManifest(this.stem);
+    return this.manifest;
+  }
+
+  /**
+   * Whether segments have been read into memory
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.index !== null;
+  }
+
+  /**
+   * Read live documents from the segments into an in-memory KeywordIndex
+   * @returns {KeywordIndex}
+   */
+  getIndex() {
+    if (this.index) return this.index;
+
+    const manifest = this.load();
+    const index = new KeywordIndex({ stem: this.stem });
+    const started = Date.now();
+
+    for (const { id } of manifest.segments) {
+      const documents = this._readSegment(id);
+      for (const [file, frequencies] of Object.entries(documents)) {
+        const entry = manifest.files[file];
+        if (entry && entry.segment === id) {
+          index.addTermFrequencies(file, frequencies);
+        }
+      }
+    }
+
+    index.recordBuildTime(Date.now() - started);
+    this.index = index;
+    return index;
+  }
+
+  // ==================== UPDATING ====================
+
+  /**
+   * Bring the index up to date with the project. Files whose mtime and size
+   * match the manifest are not read; files whose content hash is unchanged
+   * are not re-tokenized. Changed documents go to a new delta segment.
+   * @returns {{added: number, updated: number, removed: number, unchanged: number,
+   *   segment: string|null, compacted: boolean, durationMs: number}}
+   */
+  update() {
+    const started = Date.now();
+    const manifest = this.load();
+    const result = { added: 0, updated: 0, removed: 0, unchanged: 0, segment: null, compacted: false };
+    const changed = {};
+    const seen = new Set();
+    let touched = false;
+
+    for (const { file, stats } of this._listFiles()) {
+      seen.add(file);
+      const entry = manifest.files[file];
+      if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+        result.unchanged++;
+        continue;
+      }
+
+      let content;
+      try {
+        content = fs.readFileSync(path.join(this.projectRoot, file), 'utf8');
+      } catch {
+        continue;
+      }
+
+      const hash = crypto.createHash('sha1').update(content).digest('hex');
+      if (entry && entry.hash === hash) {
+        // Touched but not edited
+        Object.assign(entry, { mtimeMs: stats.mtimeMs, size: stats.size });
+        touched = true;
+        result.unchanged++;
+        continue;
+      }
+
+      // File name words count three times, as in ContextAnalyzer
+      const name = path.basename(file, path.extname(file));
+      const scratch = new KeywordIndex({ stem: this.stem });
+      scratch.addText(file, `${name} ${name} ${name}\n${content}`);
+      changed[file] = Object.fromEntries(scratch.termFrequencies.get(file));
+      manifest.files[file] = { mtimeMs: stats.mtimeMs, size: stats.size, hash, segment: null };
+      result[entry ? 'updated' : 'added']++;
+    }
+
+    for (const file of Object.keys(manifest.files)) {
+      if (!seen.has(file)) {
+        delete manifest.files[file];
+        if (this.index) this.index.removeFile(file);
+        result.removed++;
+      }
+    }
+
+    const changedFiles = Object.keys(changed);
+    if (changedFiles.length > 0) {
+      const id = `segment-${manifest.nextSegment++}.json`;
+      this._writeSegment(id, changed);
+      manifest.segments.push({ id, documents: changedFiles.length });
+      for (const file of changedFiles) {
+        manifest.files[file].segment = id;
+        if (this.index) this.index.addTermFrequencies(file, changed[file]);
+      }
+      result.segment = id;
+    }
+
+    if (changedFiles.length > 0 || result.removed > 0 || touched || !manifest.updatedAt) {
+      this._saveManifest();
+    }
+
+    if (this._needsCompaction()) {
+      this.compact();
+      result.compacted = true;
+    }
+
+    result.durationMs = Date.now() - started;
+    return result;
+  }
+
+  /**
+   * Rewrite all live documents into a single segment and delete the rest
+   * @returns {{segments: number, documents: number}} Segment count before, documents kept
+   */
+  compact() {
+    const manifest = this.load();
+    const index = this.getIndex();
+    const before = manifest.segments.length;
+
+    const documents = {};
+    for (const file of Object.keys(manifest.files)) {
+      const frequencies = index.termFrequencies.get(file);
+      if (frequencies) documents[file] = Object.fromEntries(frequencies);
+    }
+
+    const id = `segment-${manifest.nextSegment++}.json`;
+    this._writeSegment(id, documents);
+    const stale = manifest.segments.map(s => s.id);
+
+    manifest.segments = [{ id, documents: Object.keys(documents).length }];
+    for (const file of Object.keys(manifest.files)) {
+      manifest.files[file].segment = documents[file] ? id : null;
+    }
+    this._saveManifest();
+
+    for (const oldId of stale) {
+      try {
+        fs.unlinkSync(path.join(this.indexDir, oldId));
+      } catch {
+        // Already gone
+      }
+    }
+
+    return { segments: before, documents: Object.keys(documents).length };
+  }
+
+  /**
+   * Delete the on-disk index
+   */
+  clear() {
+    fs.rmSync(this.indexDir, { recursive: true, force: true });
+    this.manifest = null;
+    this.index = null;
+  }
+
+  // ==================== SEARCH ====================
+
+  /**
+   * Files containing a keyword
+   * @param {string} keyword - Keyword
+   * @returns {Set<string>} Project-relative paths
+   */
+  search(keyword) {
+    return this.getIndex().search(keyword);
+  }
+
+  /**
+   * Multi-keyword search (see KeywordIndex#searchMultiple)
+   * @param {string[]} keywords - Keywords
+   * @param {object} [options] - Ranking options
+   * @returns {Array<object>}
+   */
+  searchMultiple(keywords, options = {}) {
+    return this.getIndex().searchMultiple(keywords, options);
+  }
+
+  /**
+   * BM25-ranked free-text search (see KeywordIndex#searchRanked)
+   * @param {string|string[]} query - Query
+   * @param {object} [options] - Options (`limit`, `k1`, `b`)
+   * @returns {Array<object>}
+   */
+  searchRanked(query, options = {}) {
+    return this.getIndex().searchRanked(query, options);
+  }
+
+  /**
+   * Index statistics
+   * @returns {object}
+   */
+  getStats() {
+    const manifest = this.load();
+    const stored = manifest.segments.reduce((sum, s) => sum + s.documents, 0);
+    const live = Object.keys(manifest.files).length;
+    return {
+      indexDir: this.indexDir,
+      files: live,
+      segments: manifest.segments.length,
+      staleDocuments: Math.max(stored - live, 0),
+      updatedAt: manifest.updatedAt,
+      loaded: this.isLoaded(),
+    };
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Walk the project for indexable files
+   * @private
+   */
+  _listFiles() {
+    const { extensions, excludeDirs, maxFileSize } = this.options;
+    const files = [];
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!excludeDirs.includes(entry.name) && fullPath !== this.indexDir) walk(fullPath);
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name))) {
+          let stats;
+          try {
+            stats = fs.statSync(fullPath);
+          } catch {
+            continue;
+          }
+          if (stats.size <= maxFileSize) {
+            files.push({ file: path.relative(this.projectRoot, fullPath).replace(/\\/g, '/'), stats });
+          }
+        }
+      }
+    };
+    walk(this.projectRoot);
+    return files;
+  }
+
+  /**
+   * @private
+   */
+  _needsCompaction() {
+    const { segments, staleDocuments } = this.getStats();
+    const stored = this.manifest.segments.reduce((sum, s) => sum + s.documents, 0);
+    return segments > this.options.maxSegments ||
+      (segments > 1 && stored > 0 && staleDocuments / stored > this.options.compactRatio);
+  }
+
+  /**
+   * @private
+   */
+  _readSegment(id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.indexDir, id), 'utf8')).documents || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  _writeSegment(id, documents) {
+    fs.mkdirSync(this.indexDir, { recursive: true });
+    writeFileAtomic(path.join(this.indexDir, id), JSON.stringify({ version: INDEX_VERSION, documents }));
+  }
+
+  /**
+   * @private
+   */
+  _saveManifest() {
+    this.manifest.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.indexDir, { recursive: true });
+    writeFileAtomic(path.join(this.indexDir, MANIFEST_FILE), JSON.stringify(this.manifest));
+  }
+}
+
+module.exports = {
+  PersistentKeywordIndex,
+  KEYWORD_INDEX_DIR,
+  MANIFEST_FILE,
+  INDEX_VERSION,
+  PERSISTENT_INDEX_DEFAULTS,
+};
@@ -0,0 +1,725 @@
+'use strict';
+
+/**
+ * Symbol Index
+ *
+ * Symbol table for JavaScript/TypeScript sources: declared and exported
+ * functions, classes, methods and constants with their line ranges, plus
+ * identifier occurrences for "find references". Strings, comments and
+ * regex literals are masked (see js-lexer) before scanning so names inside
+ * them are ignored.
+ * Zero external dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { maskSource } = require('./js-lexer');
+
+/**
+ * Symbol kinds
+ */
+const SYMBOL_KINDS = {
+  FUNCTION: 'function',
+  CLASS: 'class',
+  METHOD: 'method',
+  CONSTANT: 'constant',
+  VARIABLE: 'variable',
+};
+
+/**
+ * Defaults for indexDirectory
+ */
+const SYMBOL_INDEX_DEFAULTS = {
+  extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+  excludeDirs: ['node_modules', '.git', 'dist', 'build', 'coverage'],
+  maxFiles: 5000,
+};
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+/**
+ * Words that look like method names at the start of a class-body line
+ */
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with', 'do', 'else']);
+
+/**
+ * Offset of the bracket matching the one at `open`, or -1
+ * @param {string} masked - Masked source
+ * @param {number} open - Offset of `{`, `(` or `[`
+ * @returns {number}
+ */
+function matchBracket(masked, open) {
+  const pairs = { '{': '}', '(': ')', '[': ']' };
+  const stack = [];
+  for (let i = open; i < masked.length; i++) {
+    const ch = masked[i];
+    if (pairs[ch]) {
+      stack.push(pairs[ch]);
+    } else if (ch === '}' || ch === ')' || ch === ']') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Offset where a statement starting at `start` ends: the first `;` outside
+ * brackets, or a line break outside brackets that the statement does not
+ * continue past
+ * @param {string} masked - Masked source
+ * @param {number} start - Statement offset
+ * @returns {number}
+ */
+function statementEnd(masked, start) {
+  let depth = 0;
+  for (let i = start; i < masked.length; i++) {
+    const ch = masked[i];
+    if (ch === '{' || ch === '(' || ch === '[') depth++;
+    else if (ch === '}' || ch === ')' || ch === ']') depth--;
+    else if (depth === 0 && ch === ';') return i;
+    else if (depth === 0 && ch === '\n') {
+      const before = masked.slice(start, i).trimEnd();
+      const after = masked.slice(i + 1).trimStart();
+      if (!/(=>|[=,(+\-*/&|?:.[{])$/.test(before) && !/^[.?:+\-*/&|,=]/.test(after)) return i;
+    }
+    if (depth < 0) return i;
+  }
+  return masked.length;
+}
+
+/**
+ * Line lookup for a source text
+ * @param {string} text - Source text
+ * @returns {{lineStarts: number[], lineOf: function(number): number}} Offsets where each line starts, and an
+ *   offset-to-line (1-based) function
+ */
+function lineLocator(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineOf = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+  return { lineStarts, lineOf };
+}
+
+/**
+ * Extract declared and exported symbols from a source file
+ * @param {string} content - Source code
+ * @param {string} [file=''] - File path recorded on each symbol
+ * @param {string} [masked] - Output of maskSource(content), when the caller already has it
+ * @returns {Array<object>} Symbols: `{ name, qualifiedName, kind, file, line, endLine, exported,
+ *   exportNames, container }` (lines are 1-based)
+ */
+function extractSymbols(content, file = '', masked = maskSource(content)) {
+  const { lineStarts, lineOf } = lineLocator(masked);
+
+  const symbols = [];
+  const byName = new Map(); // top-level name -> symbol
+  const add = (symbol) => {
+    const entry = {
+      file,
+      exported: false,
+      exportNames: [],
+      container: null,
+      qualifiedName: symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name,
+      ...symbol,
+    };
+    symbols.push(entry);
+    if (!entry.container && !byName.has(entry.name)) byName.set(entry.name, entry);
+    return entry;
+  };
+  const markExported = (name, exportName) => {
+    const symbol = byName.get(name);
+    if (!symbol) return;
+    symbol.exported = true;
+    if (!symbol.exportNames.includes(exportName)) symbol.exportNames.push(exportName);
+  };
+  const blockEnd = (from) => {
+    const open = masked.indexOf('{', from);
+    const close = open === -1 ? -1 : matchBracket(masked, open);
+    return lineOf(close === -1 ? statementEnd(masked, from) : close);
+  };
+  // Skip the parameter list: defaults like `options = {}` are not the body
+  const functionEnd = (from) => {
+    const open = masked.indexOf('(', from);
+    const close = open === -1 ? -1 : matchBracket(masked, open);
+    return blockEnd(close === -1 ? from : close + 1);
+  };
+
+  // Brace depth at the start of each line
+  const depthAt = [];
+  let depth = 0;
+  for (let line = 0; line < lineStarts.length; line++) {
+    depthAt.push(depth);
+    const end = line + 1 < lineStarts.length ? lineStarts[line + 1] : masked.length;
+    for (let i = lineStarts[line]; i < end; i++) {
+      if (masked[i] === '{') depth++;
+      else if (masked[i] === '}') depth--;
+    }
+  }
+
+  const functionDecl = new RegExp(`^\\s*(export\\s+(default\\s+)?)?(async\\s+)?function\\s*\\*?\\s*(${IDENTIFIER})`);
+  const classDecl = new RegExp(`^\\s*(export\\s+(default\\s+)?)?(abstract\\s+)?class\\s+(${IDENTIFIER})`);
+  const variableDecl = new RegExp(`^\\s*(export\\s+)?(const|let|var)\\s+(${IDENTIFIER})\\s*(=|:)`);
+  const methodDecl = new RegExp(
+    `^\\s*(?:(?:public|private|protected|static|async|override|readonly)\\s+)*(?:get\\s+|set\\s+)?\\*?\\s*(#?${IDENTIFIER})\\s*\\(`);
+  const assignedExport = new RegExp(`^\\s*(?:module\\.)?exports\\.(${IDENTIFIER})\\s*=\\s*`);
+  const functionValue = new RegExp(`^(async\\s+)?(function\\b|\\([^)]*\\)\\s*(:[^=]+)?=>|${IDENTIFIER}\\s*=>|async\\s*\\()`);
+  const classes = []; // { name, bodyDepth, endLine }
+
+  for (let index = 0; index < lineStarts.length; index++) {
+    const lineNo = index + 1;
+    const start = lineStarts[index];
+    const text = masked.slice(start, index + 1 < lineStarts.length ? lineStarts[index + 1] - 1 : masked.length);
+    const lineDepth = depthAt[index];
+    while (classes.length > 0 && lineNo > classes[classes.length - 1].endLine) classes.pop();
+    const currentClass = classes[classes.length - 1];
+
+    let match;
+    if (lineDepth === 0 && (match = text.match(functionDecl))) {
+      const symbol = add({
+        name: match[4],
+        kind: SYMBOL_KINDS.FUNCTION,
+        line: lineNo,
+        endLine: functionEnd(start + match[0].length),
+      });
+      if (match[1]) markExported(symbol.name, match[2] ? 'default' : symbol.name);
+    } else if ((match = text.match(classDecl)) && (lineDepth === 0 || currentClass === undefined)) {
+      const endLine = blockEnd(start + match[0].length);
+      const symbol = add({ name: match[4], kind: SYMBOL_KINDS.CLASS, line: lineNo, endLine });
+      if (lineDepth === 0 && match[1]) markExported(symbol.name, match[2] ? 'default' : symbol.name);
+      classes.push({ name: symbol.name, bodyDepth: lineDepth + 1, endLine });
+    } else if (lineDepth === 0 && (match = text.match(variableDecl))) {
+      const valueStart = masked.indexOf('=', start + match[0].length - 1);
+      const value = valueStart === -1 ? '' : masked.slice(valueStart + 1, valueStart + 200).trimStart();
+      const isFunction = functionValue.test(value);
+      const isClass = /^class\b/.test(value);
+      // `const fs = require('fs')` is an import, not a declaration
+      if (/^require\s*\(/.test(value)) continue;
+      const end = statementEnd(masked, start + match[0].length);
+      const symbol = add({
+        name: match[3],
+        kind: isFunction ? SYMBOL_KINDS.FUNCTION
+          : isClass ? SYMBOL_KINDS.CLASS
+            : match[2] === 'const' ? SYMBOL_KINDS.CONSTANT : SYMBOL_KINDS.VARIABLE,
+        line: lineNo,
+        endLine: lineOf(end),
+      });
+      if (match[1]) markExported(symbol.name, symbol.name);
+      if (isClass) classes.push({ name: symbol.name, bodyDepth: 1, endLine: symbol.endLine });
+    } else if (currentClass && lineDepth === currentClass.bodyDepth && (match = text.match(methodDecl)) &&
+      !NOT_METHODS.has(match[1])) {
+      add({
+        name: match[1],
+        kind: SYMBOL_KINDS.METHOD,
+        container: currentClass.name,
+        line: lineNo,
+        endLine: functionEnd(start + match[0].length - 1),
+      });
+    } else if (lineDepth === 0 && (match = text.match(assignedExport))) {
+      const value = masked.slice(start + match[0].length, start + match[0].length + 200);
+      const local = value.match(new RegExp(`^(${IDENTIFIER})\\s*(;|$)`, 'm'));
+      // An alias of a local or imported binding is marked by the export pass below
+      if (!local) {
+        const symbol = add({
+          name: match[1],
+          kind: functionValue.test(value) ? SYMBOL_KINDS.FUNCTION
+            : /^class\b/.test(value) ? SYMBOL_KINDS.CLASS : SYMBOL_KINDS.CONSTANT,
+          line: lineNo,
+          endLine: lineOf(statementEnd(masked, start + match[0].length)),
+        });
+        markExported(symbol.name, symbol.name);
+      }
+    }
+  }
+
+  for (const binding of extractExports(content, masked)) {
+    markExported(binding.local, binding.exported);
+  }
+
+  return symbols;
+}
+
+/**
+ * Extract export bindings that name a local binding: `module.exports = { a, b: c }`,
+ * `module.exports = Name`, `exports.a = b`, `export { a as b }` and `export default Name`.
+ * Re-exports with `from` are reported by extractImports instead.
+ * @param {string} content - Source code
+ * @param {string} [masked] - Output of maskSource(content), when the caller already has it
+ * @returns {Array<{local: string, exported: string, line: number, endLine: number}>} `exported` is
+ *   'default' for `module.exports = Name` and `export default Name`
+ */
+function extractExports(content, masked = maskSource(content)) {
+  const { lineOf } = lineLocator(masked);
+  const bindings = [];
+  const add = (local, exported, from, to) => {
+    bindings.push({ local, exported, line: lineOf(from), endLine: lineOf(to) });
+  };
+
+  for (const match of masked.matchAll(/module\.exports\s*=\s*/g)) {
+    const at = match.index + match[0].length;
+    if (masked[at] === '{') {
+      const close = matchBracket(masked, at);
+      const body = masked.slice(at + 1, close === -1 ? masked.length : close);
+      for (const entry of splitTopLevel(body)) {
+        const pair = entry.match(new RegExp(`^(${IDENTIFIER})\\s*(?::\\s*(${IDENTIFIER})\\s*)?$`));
+        if (pair) add(pair[2] || pair[1], pair[1], match.index, close === -1 ? masked.length : close);
+      }
+    } else {
+      const single = masked.slice(at).match(new RegExp(`^(${IDENTIFIER})\\s*(;|\\n|$)`));
+      if (single) add(single[1], 'default', match.index, at);
+    }
+  }
+  const assigned = new RegExp(`(?<![.\\w$])(?:module\\.)?exports\\.(${IDENTIFIER})\\s*=\\s*(${IDENTIFIER})\\s*(?:;|\\n|$)`, 'g');
+  for (const match of masked.matchAll(assigned)) {
+    add(match[2], match[1], match.index, match.index + match[0].length - 1);
+  }
+  for (const match of masked.matchAll(/export\s*\{([^}]*)\}(?!\s*from\b)/g)) {
+    for (const entry of splitTopLevel(match[1])) {
+      const pair = entry.match(new RegExp(`^(${IDENTIFIER})(?:\\s+as\\s+(${IDENTIFIER}))?$`));
+      if (pair) add(pair[1], pair[2] || pair[1], match.index, match.index + match[0].length - 1);
+    }
+  }
+  for (const match of masked.matchAll(new RegExp(`export\\s+default\\s+(${IDENTIFIER})\\s*(;|\\n|$)`, 'g'))) {
+    add(match[1], 'default', match.index, match.index);
+  }
+
+  return bindings;
+}
+
+/**
+ * Extract import bindings: `const { a, b: c } = require('m')`, `const m = require('m')`,
+ * `const a = require('m').a`, `import d, { a as b } from 'm'`, `import * as m from 'm'`,
+ * plus re-exports `export { a as b } from 'm'` and `export * from 'm'`
+ * @param {string} content - Source code
+ * @param {string} [masked] - Output of maskSource(content), when the caller already has it
+ * @returns {Array<{source: string, imported: string, local: string|null, exported: string|null,
+ *   line: number, endLine: number}>} `imported` is a name, 'default', or '*' for the whole module;
+ *   re-exports have `local: null` and the name they are exported under in `exported`
+ */
+function extractImports(content, masked = maskSource(content)) {
+  const { lineOf } = lineLocator(masked);
+  const bindings = [];
+  const specifier = '([\'"`][^\'"`\\n]*[\'"`])';
+  const sourceOf = (match, group) => {
+    const quoted = match[group];
+    const at = match.index + match[0].lastIndexOf(quoted);
+    return content.slice(at + 1, at + quoted.length - 1);
+  };
+  const add = (match, group, binding) => {
+    bindings.push({
+      source: sourceOf(match, group),
+      local: null,
+      exported: null,
+      ...binding,
+      line: lineOf(match.index),
+      endLine: lineOf(match.index + match[0].length - 1),
+    });
+  };
+  const scan = (pattern, handle) => {
+    for (const match of masked.matchAll(new RegExp(pattern.replace('SOURCE', specifier), 'g'))) {
+      handle(match);
+    }
+  };
+  const named = (list, handle) => {
+    for (const entry of splitTopLevel(list)) {
+      const pair = entry.replace(/^type\s+/, '').match(new RegExp(`^(${IDENTIFIER})(?:\\s*(?:as|:)\\s*(${IDENTIFIER}))?`));
+      if (pair) handle(pair[1], pair[2] || pair[1]);
+    }
+  };
+
+  scan(`(?:const|let|var)\\s*\\{([^}]*)\\}\\s*=\\s*require\\s*\\(\\s*SOURCE\\s*\\)`, (match) => {
+    named(match[1], (imported, local) => add(match, 2, { imported, local }));
+  });
+  scan(`(?:const|let|var)\\s+(${IDENTIFIER})\\s*=\\s*require\\s*\\(\\s*SOURCE\\s*\\)(?:\\s*\\.\\s*(${IDENTIFIER}))?`,
+    (match) => add(match, 2, { imported: match[3] || '*', local: match[1] }));
+  scan('import\\s+(?:type\\s+)?([\\w$\\s{},*]*?)\\s*from\\s*SOURCE', (match) => {
+    const clause = match[1].trim();
+    const braces = clause.match(/\{([^}]*)\}/);
+    if (braces) named(braces[1], (imported, local) => add(match, 2, { imported, local }));
+    const outside = clause.replace(/\{[^}]*\}/, '').split(',').map(part => part.trim()).filter(Boolean);
+    for (const part of outside) {
+      const namespace = part.match(new RegExp(`^\\*\\s*as\\s+(${IDENTIFIER})$`));
+      if (namespace) add(match, 2, { imported: '*', local: namespace[1] });
+      else if (new RegExp(`^${IDENTIFIER}$`).test(part)) add(match, 2, { imported: 'default', local: part });
+    }
+  });
+  scan('export\\s*\\{([^}]*)\\}\\s*from\\s*SOURCE', (match) => {
+    named(match[1], (imported, exported) => add(match, 2, { imported, exported }));
+  });
+  scan('export\\s*\\*\\s*from\\s*SOURCE', (match) => add(match, 1, { imported: '*', exported: '*' }));
+
+  return bindings.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Split a list on top-level commas, trimming entries
+ * @param {string} text - Comma-separated text
+ * @returns {string[]}
+ */
+function splitTopLevel(text) {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '{' || ch === '(' || ch === '[') depth++;
+    else if (ch === '}' || ch === ')' || ch === ']') depth--;
+    if (ch === ',' && depth === 0) {
+      entries.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) entries.push(current.trim());
+  return entries;
+}
+
+/**
+ * SymbolIndex - queryable symbol table across files
+ *
+ * @example
+ * const symbols = new SymbolIndex({ rootDir: process.cwd() });
+ * symbols.indexDirectory();
+ * symbols.findDefinitions('PRGate');
+ * // => [{ name: 'PRGate', kind: 'class', file: 'lib/gates/pr-gate.js', line: 41, endLine: 497, ... }]
+ * symbols.findReferences('PRGate').length;
+ */
+class SymbolIndex {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.rootDir=process.cwd()] - Root for indexDirectory; files are stored relative to it
+   */
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir || process.cwd());
+    this.fileSymbols = new Map(); // file -> symbols[]
+    this.definitions = new Map(); // name -> symbols[] (plain and qualified names)
+    this.occurrences = new Map(); // identifier -> Map<file, lines[]>
+    this.fileIdentifiers = new Map(); // file -> Set<identifier>
+  }
+
+  /**
+   * Index (or re-index) a file
+   * @param {string} file - File path (as it should appear in results)
+   * @param {string} content - Source code
+   * @returns {Array<object>} Symbols found
+   */
+  addFile(file, content) {
+    this.removeFile(file);
+
+    const masked = maskSource(content);
+    const symbols = extractSymbols(content, file, masked);
+    this.fileSymbols.set(file, symbols);
+    for (const symbol of symbols) {
+      for (const name of new Set([symbol.name, symbol.qualifiedName])) {
+        if (!this.definitions.has(name)) this.definitions.set(name, []);
+        this.definitions.get(name).push(symbol);
+      }
+    }
+
+    const identifiers = new Set();
+    masked.split('\n').forEach((text, index) => {
+      for (const [name] of text.matchAll(/#?[A-Za-z_$][\w$]*/g)) {
+        if (!this.occurrences.has(name)) this.occurrences.set(name, new Map());
+        const files = this.occurrences.get(name);
+        if (!files.has(file)) files.set(file, []);
+        const lines = files.get(file);
+        if (lines[lines.length - 1] !== index + 1) lines.push(index + 1);
+        identifiers.add(name);
+      }
+    });
+    this.fileIdentifiers.set(file, identifiers);
+
+    return symbols;
+  }
+
+  /**
+   * Remove a file's symbols and occurrences
+   * @param {string} file - File path
+   */
+  removeFile(file) {
+    for (const symbol of this.fileSymbols.get(file) || []) {
+      for (const name of new Set([symbol.name, symbol.qualifiedName])) {
+        const remaining = (this.definitions.get(name) || []).filter(s => s.file !== file);
+        if (remaining.length > 0) this.definitions.set(name, remaining);
+        else this.definitions.delete(name);
+      }
+    }
+    for (const name of this.fileIdentifiers.get(file) || []) {
+      const files = this.occurrences.get(name);
+      files.delete(file);
+      if (files.size === 0) this.occurrences.delete(name);
+    }
+    this.fileSymbols.delete(file);
+    this.fileIdentifiers.delete(file);
+  }
+
+  /**
+   * Index every source file under a directory
+   * @param {string} [dir=rootDir] - Directory to walk
+   * @param {object} [options] - Options (see SYMBOL_INDEX_DEFAULTS)
+   * @returns {number} Files indexed
+   */
+  indexDirectory(dir = this.rootDir, options = {}) {
+    const { extensions, excludeDirs, maxFiles } = { ...SYMBOL_INDEX_DEFAULTS, ...options };
+    let count = 0;
+    const walk = (current) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(current, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (count >= maxFiles) return;
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          if (!excludeDirs.includes(entry.name)) walk(fullPath);
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name))) {
+          try {
+            this.addFile(this._relative(fullPath), fs.readFileSync(fullPath, 'utf8'));
+            count++;
+          } catch {
+            // Unreadable file
+          }
+        }
+      }
+    };
+    walk(path.resolve(this.rootDir, dir));
+    return count;
+  }
+
+  // ==================== QUERIES ====================
+
+  /**
+   * Symbols declared in a file, in source order
+   * @param {string} file - File path
+   * @returns {Array<object>}
+   */
+  getSymbols(file) {
+    return this.fileSymbols.get(this._relative(file)) || [];
+  }
+
+  /**
+   * Innermost symbol whose range contains a line
+   * @param {string} file - File path
+   * @param {number} line - 1-based line
+   * @returns {object|null}
+   */
+  getSymbolAt(file, line) {
+    let best = null;
+    for (const symbol of this.getSymbols(file)) {
+      if (symbol.line <= line && line <= symbol.endLine &&
+        (!best || symbol.endLine - symbol.line <= best.endLine - best.line)) {
+        best = symbol;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Go to definition. Accepts a plain name or `Class.method`. Definitions
+   * in `fromFile` come first, then exported ones.
+   * @param {string} name - Symbol name
+   * @param {object} [options] - Options
+   * @param {string} [options.fromFile] - File the lookup starts from
+   * @param {string} [options.kind] - Only this SYMBOL_KINDS value
+   * @returns {Array<object>}
+   */
+  findDefinitions(name, options = {}) {
+    const fromFile = options.fromFile ? this._relative(options.fromFile) : null;
+    const rank = (s) => (s.file === fromFile ? 0 : s.exported ? 1 : 2);
+    return (this.definitions.get(name) || [])
+      .filter(s => !options.kind || s.kind === options.kind)
+      .slice()
+      .sort((a, b) => rank(a) - rank(b) || a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  /**
+   * Find references: every line mentioning the name, excluding the
+   * definition lines themselves. For `Class.method` the method name is
+   * searched.
+   * @param {string} name - Symbol name
+   * @param {object} [options] - Options
+   * @param {boolean} [options.includeDefinitions=false] - Keep definition lines
+   * @returns {Array<{file: string, line: number, symbol: string|null}>} References with the enclosing symbol
+   */
+  findReferences(name, options = {}) {
+    const identifier = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : name;
+    const definitionLines = new Set(
+      (this.definitions.get(name) || []).map(s => `${s.file}:${s.line}`),
+    );
+    const references = [];
+
+    for (const [file, lines] of this.occurrences.get(identifier) || []) {
+      for (const line of lines) {
+        if (!options.includeDefinitions && definitionLines.has(`${file}:${line}`)) continue;
+        const enclosing = this.getSymbolAt(file, line);
+        references.push({ file, line, symbol: enclosing ? enclosing.qualifiedName : null });
+      }
+    }
+
+    return references.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  /**
+   * Resolve a `why`/`impact` target to a symbol-granular location
+   *
+   * Accepts `path`, `path:line`, `path#name`, `name` or `Class.method`.
+   *
+   * @param {string} target - Target text
+   * @returns {{file: string, symbol: object|null, line: number|null, endLine: number|null,
+   *   candidates: Array<object>}|null} null when nothing matches
+   */
+  resolveTarget(target) {
+    const [, filePart, name] = target.match(/^(.*?)#(.+)$/) || [];
+    if (filePart !== undefined) {
+      const file = this._relative(filePart);
+      const candidates = this.getSymbols(file).filter(s => s.qualifiedName === name || s.name === name);
+      return candidates.length > 0 ? this._location(candidates[0], candidates) : null;
+    }
+
+    const lineMatch = target.match(/^(.*):(\d+)$/);
+    if (lineMatch) {
+      const file = this._relative(lineMatch[1]);
+      if (!this.fileSymbols.has(file)) return null;
+      const symbol = this.getSymbolAt(file, parseInt(lineMatch[2], 10));
+      return symbol
+        ? this._location(symbol, [symbol])
+        : { file, symbol: null, line: parseInt(lineMatch[2], 10), endLine: null, candidates: [] };
+    }
+
+    const file = this._relative(target);
+    if (this.fileSymbols.has(file)) {
+      return { file, symbol: null, line: null, endLine: null, candidates: this.getSymbols(file) };
+    }
+
+    const definitions = this.findDefinitions(target);
+    return definitions.length > 0 ? this._location(definitions[0], definitions) : null;
+  }
+
+  /**
+   * Find symbols whose name contains the query (case-insensitive),
+   * prefix matches first
+   * @param {string} query - Text to look for
+   * @param {object} [options] - Options
+   * @param {string} [options.kind] - Only this SYMBOL_KINDS value
+   * @param {number} [options.limit=50] - Maximum results
+   * @returns {Array<object>}
+   */
+  search(query, options = {}) {
+    const { kind, limit = 50 } = options;
+    const needle = query.toLowerCase();
+    const results = [];
+    for (const symbols of this.fileSymbols.values()) {
+      for (const symbol of symbols) {
+        const name = symbol.name.toLowerCase();
+        if ((!kind || symbol.kind === kind) && name.includes(needle)) {
+          results.push({ symbol, prefix: name.startsWith(needle) ? 0 : 1 });
+        }
+      }
+    }
+    return results
+      .sort((a, b) => a.prefix - b.prefix || a.symbol.name.length - b.symbol.name.length)
+      .slice(0, limit)
+      .map(r => r.symbol);
+  }
+
+  /**
+   * Index statistics
+   * @returns {object}
+   */
+  getStats() {
+    const byKind = {};
+    let symbols = 0;
+    for (const list of this.fileSymbols.values()) {
+      for (const symbol of list) {
+        byKind[symbol.kind] = (byKind[symbol.kind] || 0) + 1;
+        symbols++;
+      }
+    }
+    return { files: this.fileSymbols.size, symbols, byKind, identifiers: this.occurrences.size };
+  }
+
+  /**
+   * Export symbols and occurrences for persistence
+   * @returns {object}
+   */
+  export() {
+    const occurrences = {};
+    for (const [name, files] of this.occurrences) {
+      occurrences[name] = Object.fromEntries(files);
+    }
+    return { files: Object.fromEntries(this.fileSymbols), occurrences };
+  }
+
+  /**
+   * Import previously exported data
+   * @param {object} data - Output of export()
+   */
+  import(data) {
+    for (const [file, symbols] of Object.entries(data.files || {})) {
+      this.fileSymbols.set(file, symbols);
+      for (const symbol of symbols) {
+        for (const name of new Set([symbol.name, symbol.qualifiedName])) {
+          if (!this.definitions.has(name)) this.definitions.set(name, []);
+          this.definitions.get(name).push(symbol);
+        }
+      }
+    }
+    for (const [name, files] of Object.entries(data.occurrences || {})) {
+      this.occurrences.set(name, new Map(Object.entries(files)));
+      for (const file of Object.keys(files)) {
+        if (!this.fileIdentifiers.has(file)) this.fileIdentifiers.set(file, new Set());
+        this.fileIdentifiers.get(file).add(name);
+      }
+    }
+  }
+
+  /**
+   * Clear the index
+   */
+  clear() {
+    this.fileSymbols.clear();
+    this.definitions.clear();
+    this.occurrences.clear();
+    this.fileIdentifiers.clear();
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * @private
+   */
+  _location(symbol, candidates) {
+    return { file: symbol.file, symbol, line: symbol.line, endLine: symbol.endLine, candidates };
+  }
+
+  /**
+   * Project-relative, forward-slash path
+   * @private
+   */
+  _relative(file) {
+    const relative = path.isAbsolute(file) ? path.relative(this.rootDir, file) : file;
+    return path.normalize(relative).replace(/\\/g, '/').replace(/^\.\//, '');
+  }
+}
+
+module.exports = {
+  SymbolIndex,
+  SYMBOL_KINDS,
+  SYMBOL_INDEX_DEFAULTS,
+  extractSymbols,
+  extractExports,
+  extractImports,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Tokenizer
+ *
+ * Turns source text and queries into index terms: splits camelCase,
+ * PascalCase, snake_case and kebab-case identifiers, drops stop words and
+ * applies a light suffix-stripping stemmer.
+ * Zero external dependencies.
+ */
+
+/**
+ * English and JavaScript words too common to rank on
+ */
+const STOP_WORDS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'if', 'in', 'into', 'is', 'it', 'its', 'no', 'not', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'when', 'which', 'will', 'with', 'you', 'your',
+  // Task verbs that say nothing about the code
+  'add', 'fix', 'make', 'update', 'use', 'should', 'implement', 'create',
+  // JavaScript keywords
+  'async', 'await', 'break', 'case', 'catch', 'const', 'continue', 'default', 'else', 'export', 'exports',
+  'false', 'function', 'let', 'module', 'new', 'null', 'require', 'return', 'strict', 'switch', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while',
+]);
+
+/**
+ * Suffix rules applied in order; the first match wins
+ */
+const SUFFIX_RULES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['ation', 'ate'],
+  ['sses', 'ss'],
+  ['ies', 'y'],
+  ['ing', ''],
+  ['ed', ''],
+  ['es', 'e'],
+  ['s', ''],
+];
+
+/**
+ * Stems shorter than this are left alone
+ */
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Split an identifier into lowercase words
+ * @param {string} identifier - e.g. `getHTTPResponse`, `user_id`, `auth-service`
+ * @returns {string[]} e.g. `['get', 'http', 'response']`
+ */
+function splitIdentifier(identifier) {
+  return identifier
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Reduce a word to its stem so `caching`, `cached` and `cache` match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= MIN_STEM_LENGTH + 1) return word;
+  if (word.endsWith('ss') || word.endsWith('us') || word.endsWith('is')) return word;
+
+  let result = word;
+  for (const [suffix, replacement] of SUFFIX_RULES) {
+    if (result.endsWith(suffix) && result.length - suffix.length + replacement.length >= MIN_STEM_LENGTH) {
+      result = result.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // running -> runn -> run
+  if (/([b-df-hj-np-tv-z])\1$/.test(result) && !/(ll|ss|zz)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  // cache/cach, authenticate/authenticat
+  if (result.endsWith('e') && result.length > MIN_STEM_LENGTH + 1) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Tokenize text into index terms. Repeated words produce repeated terms, so
+ * the output can be counted for term frequency.
+ * @param {string} text - Source text or query
+ * @param {object} [options] - Options
+ * @param {boolean} [options.stem=true] - Apply the stemmer
+ * @param {boolean} [options.stopWords=true] - Drop stop words
+ * @param {boolean} [options.keepCompounds=true] - Also emit whole identifiers (`getuser` for `getUser`)
+ * @param {number} [options.minLength=2] - Minimum term length
+ * @returns {string[]} Terms
+ */
+function tokenize(text, options = {}) {
+  const {
+    stem: useStem = true,
+    stopWords = true,
+    keepCompounds = true,
+    minLength = 2,
+  } = options;
+  if (!text) return [];
+
+  const terms = [];
+  const push = (word) => {
+    if (word.length < minLength || /^\d+$/.test(word)) return;
+    if (stopWords && STOP_WORDS.has(word)) return;
+    terms.push(useStem ? stem(word) : word);
+  };
+
+  for (const identifier of String(text).match(/[A-Za-z0-9_$-]+/g) || []) {
+    const words = splitIdentifier(identifier);
+    words.forEach(push);
+    if (keepCompounds && words.length > 1) {
+      push(words.join(''));
+    }
+  }
+  return terms;
+}
+
+/**
+ * Normalize a single keyword the way `tokenize` would, without splitting
+ * @param {string} keyword - Keyword
+ * @param {object} [options] - Options
+ * @param {boolean} [options.stem=true] - Apply the stemmer
+ * @returns {string} Normalized term
+ */
+function normalizeTerm(keyword, options = {}) {
+  const term = String(keyword).toLowerCase().trim();
+  return options.stem === false ? term : stem(term);
+}
+
+module.exports = {
+  STOP_WORDS,
+  splitIdentifier,
+  stem,
+  tokenize,
+  normalizeTerm,
+};
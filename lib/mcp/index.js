@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * GYWD MCP
+ *
+ * Library-backed tool and resource handlers for the MCP server
+ * (mcp-server/server.js). Kept in CommonJS so they can be tested without
+ * the MCP SDK.
+ */
+
+const { ProjectTools, TOOL_DEFINITIONS } = require('./project-tools');
+const { PlanningResources, RESOURCE_TEMPLATES, URI_SCHEME } = require('./planning-resources');
+
+module.exports = {
+  // Classes
+  ProjectTools,
+  PlanningResources,
+
+  // Constants
+  TOOL_DEFINITIONS,
+  RESOURCE_TEMPLATES,
+  URI_SCHEME,
+
+  // Factory functions
+  createProjectTools: (options) => new ProjectTools(options),
+  createPlanningResources: (options) => new PlanningResources(options),
+};
@@ -0,0 +1,454 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { PLANNING_DIR, listPhaseDirs, PLAN_FILE_NAME } = require('../planning');
+
+/**
+ * URI scheme for GYWD resources
+ */
+const URI_SCHEME = 'gywd://';
+
+/**
+ * Top-level planning files listed as fixed resources
+ */
+const ROOT_FILES = ['STATE.md', 'ROADMAP.md', 'PROJECT.md', 'ISSUES.md'];
+
+/**
+ * Resource templates (RFC 6570 level 1) for everything under .planning/
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'gywd://phases/{phase}',
+    name: 'Phase',
+    description: 'Index of a phase directory: its plans, summaries and other files',
+    mimeType: 'text/markdown',
+  },
+  {
+    uriTemplate: 'gywd://phases/{phase}/{plan}',
+    name: 'Plan',
+    description: 'A phase plan, e.g. gywd://phases/03/02 for 03-02-PLAN.md',
+    mimeType: 'text/markdown',
+  },
+  {
+    uriTemplate: 'gywd://phases/{phase}/{plan}/summary',
+    name: 'Plan summary',
+    description: 'The SUMMARY.md written when a plan is executed',
+    mimeType: 'text/markdown',
+  },
+  {
+    uriTemplate: 'gywd://phases/{phase}/files/{file}',
+    name: 'Phase file',
+    description: 'Any other file in a phase directory (CONTEXT.md, RESEARCH.md, ...)',
+    mimeType: 'text/markdown',
+  },
+  {
+    uriTemplate: 'gywd://codebase/{doc}',
+    name: 'Codebase map',
+    description: 'A codebase map document, e.g. gywd://codebase/ARCHITECTURE',
+    mimeType: 'text/markdown',
+  },
+];
+
+/**
+ * Delay before reporting a burst of file events as one change
+ */
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * Delay between checks for a planning directory whose parent does not exist
+ */
+const WATCH_RETRY_MS = 1000;
+
+/**
+ * Reject names that could escape the planning directory
+ * @param {string} name - Path segment from a URI
+ * @returns {boolean}
+ */
+function isSafeName(name) {
+  return Boolean(name) && !name.includes('/') && !name.includes('\\') && name !== '.' && name !== '..';
+}
+
+/**
+ * Whether a path is an existing directory
+ * @param {string} filePath - Path
+ * @returns {boolean}
+ */
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PlanningResources - Maps .planning/ files to gywd:// resource URIs
+ *
+ * Lists and reads STATE/ROADMAP/PROJECT/ISSUES, every phase directory, plan,
+ * summary and codebase map, and watches the directory so the MCP server can
+ * send resources/updated notifications.
+ *
+ * @example
+ * const resources = new PlanningResources({ planningDir: '.planning' });
+ * resources.read('gywd://phases/03/02'); // => { uri, mimeType, text } for 03-02-PLAN.md
+ * const stop = resources.watch(({ uris }) => uris.forEach(notify));
+ */
+class PlanningResources {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.planningDir='.planning'] - Planning directory
+   */
+  constructor(options = {}) {
+    this.planningDir = path.resolve(options.planningDir || PLANNING_DIR);
+  }
+
+  /**
+   * Resource templates for resources/templates/list
+   * @returns {Array<object>}
+   */
+  templates() {
+    return RESOURCE_TEMPLATES;
+  }
+
+  /**
+   * Concrete resources for resources/list
+   * @returns {Array<{uri: string, name: string, description: string, mimeType: string}>}
+   */
+  list() {
+    const resources = [];
+    const add = (uri, name, description) => resources.push({ uri, name, description, mimeType: 'text/markdown' });
+
+    for (const file of ROOT_FILES) {
+      if (fs.existsSync(path.join(this.planningDir, file))) {
+        add(`${URI_SCHEME}${file}`, file, `GYWD ${file.replace('.md', '')} file`);
+      }
+    }
+
+    for (const phase of listPhaseDirs(this.planningDir)) {
+      add(`${URI_SCHEME}phases/${phase.number}`, `Phase ${phase.number}: ${phase.slug}`, 'Phase directory index');
+      for (const file of this._readDir(phase.dir)) {
+        const uri = this.uriForPath(path.join(phase.dir, file));
+        if (uri) add(uri, file, `Phase ${phase.number} ${file}`);
+      }
+    }
+
+    for (const file of this._readDir(path.join(this.planningDir, 'codebase'))) {
+      if (file.endsWith('.md')) {
+        add(`${URI_SCHEME}codebase/${file.replace(/\.md$/, '')}`, `codebase/${file}`, 'Codebase map');
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @returns {{uri: string, mimeType: string, text: string}|null} Content or null if not found
+   */
+  read(uri) {
+    const phaseIndex = uri.match(/^gywd:\/\/phases\/([^/]+)$/);
+    if (phaseIndex) {
+      const phase = this._findPhase(decodeURIComponent(phaseIndex[1]));
+      return phase ? { uri, mimeType: 'text/markdown', text: this._phaseIndex(phase) } : null;
+    }
+
+    const filePath = this.pathForUri(uri);
+    if (!filePath) return null;
+
+    try {
+      return { uri, mimeType: 'text/markdown', text: fs.readFileSync(filePath, 'utf8') };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a file URI to a path under the planning directory
+   * @param {string} uri - Resource URI
+   * @returns {string|null} Absolute path, or null for unknown/unsafe URIs
+   */
+  pathForUri(uri) {
+    if (!uri.startsWith(URI_SCHEME)) return null;
+    let parts;
+    try {
+      parts = uri.slice(URI_SCHEME.length).split('/').map(decodeURIComponent);
+    } catch {
+      // Malformed percent-escape
+      return null;
+    }
+    if (!parts.every(isSafeName)) return null;
+
+    if (parts.length === 1 && parts[0].endsWith('.md')) {
+      return path.join(this.planningDir, parts[0]);
+    }
+
+    if (parts[0] === 'codebase' && parts.length === 2) {
+      const name = parts[1].endsWith('.md') ? parts[1] : `${parts[1]}.md`;
+      return path.join(this.planningDir, 'codebase', name);
+    }
+
+    if (parts[0] !== 'phases' || parts.length < 3) return null;
+    const phase = this._findPhase(parts[1]);
+    if (!phase) return null;
+
+    if (parts[2] === 'files' && parts.length === 4) {
+      return path.join(phase.dir, parts[3]);
+    }
+
+    const plan = this._findPlanPrefix(phase, parts[2]);
+    if (!plan) return null;
+    if (parts.length === 3) return path.join(phase.dir, `${plan}-PLAN.md`);
+    if (parts.length === 4 && parts[3] === 'summary') return path.join(phase.dir, `${plan}-SUMMARY.md`);
+    return null;
+  }
+
+  /**
+   * Map a file under the planning directory to its resource URI
+   * @param {string} filePath - File path
+   * @returns {string|null} URI, or null if the file is not exposed
+   */
+  uriForPath(filePath) {
+    const relative = path.relative(this.planningDir, path.resolve(this.planningDir, filePath)).split(path.sep);
+    if (relative[0] === '..') return null;
+
+    if (relative.length === 1 && ROOT_FILES.includes(relative[0])) {
+      return `${URI_SCHEME}${relative[0]}`;
+    }
+
+    if (relative[0] === 'codebase' && relative.length === 2 && relative[1].endsWith('.md')) {
+      return `${URI_SCHEME}codebase/${relative[1].replace(/\.md$/, '')}`;
+    }
+
+    if (relative[0] !== 'phases' || relative.length !== 3) return null;
+    const dirMatch = relative[1].match(/^(\d+(?:\.\d+)?)-/);
+    if (!dirMatch) return null;
+
+    const phase = dirMatch[1];
+    const file = relative[2];
+    const plan = file.match(PLAN_FILE_NAME);
+    if (plan) return `${URI_SCHEME}phases/${phase}/${plan[2]}`;
+
+    const summary = file.match(/^\d+(?:\.\d+)?-(\d+)-SUMMARY\.md$/);
+    if (summary) return `${URI_SCHEME}phases/${phase}/${summary[1]}/summary`;
+
+    return `${URI_SCHEME}phases/${phase}/files/${encodeURIComponent(file)}`;
+  }
+
+  /**
+   * Watch the planning directory and report changed resources
+   *
+   * The callback receives `{ uris, listChanged }`: `uris` are resources whose
+   * content changed; `listChanged` is true when files were added or removed.
+   * Where recursive fs.watch is unavailable (Linux before Node 20) every
+   * directory gets its own watcher, and a planning directory that does not
+   * exist yet is waited for.
+   *
+   * @param {Function} onChange - Change callback
+   * @param {object} [options] - Options
+   * @param {boolean} [options.recursive=true] - Try a single recursive watcher first
+   * @param {Function} [options.onError=console.error] - Receives watcher errors
+   * @returns {Function} Stops watching
+   */
+  watch(onChange, options = {}) {
+    const { recursive = true, onError = console.error } = options;
+    const pending = new Set();
+    const watchers = new Map();
+    let listChanged = false;
+    let timer = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const flush = () => {
+      timer = null;
+      const uris = Array.from(pending);
+      const changedList = listChanged;
+      pending.clear();
+      listChanged = false;
+      if (uris.length > 0 || changedList) onChange({ uris, listChanged: changedList });
+    };
+
+    const schedule = () => {
+      if (!timer) timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+    };
+
+    const handle = (eventType, fileName) => {
+      if (!fileName || path.basename(fileName).startsWith('.')) return;
+      const fullPath = path.join(this.planningDir, fileName);
+      const uri = this.uriForPath(fullPath);
+      if (uri) pending.add(uri);
+
+      // rename events cover creation and deletion
+      if (eventType === 'rename') {
+        listChanged = true;
+        const phaseDir = fileName.split(/[\\/]/);
+        if (phaseDir[0] === 'phases' && phaseDir.length === 3) {
+          const match = phaseDir[1].match(/^(\d+(?:\.\d+)?)-/);
+          if (match) pending.add(`${URI_SCHEME}phases/${match[1]}`);
+        }
+      }
+
+      schedule();
+    };
+
+    const close = (dir) => {
+      for (const [watched, watcher] of watchers) {
+        if (watched === dir || watched.startsWith(dir + path.sep)) {
+          watcher.close();
+          watchers.delete(watched);
+        }
+      }
+    };
+
+    const open = (dir, watchOptions, listener) => {
+      const watcher = fs.watch(dir, watchOptions, listener);
+      watcher.on('error', (err) => {
+        onError(err);
+        close(dir);
+      });
+      watchers.set(dir, watcher);
+    };
+
+    // One watcher per directory; directories created later are picked up
+    const watchTree = (dir, announce = false) => {
+      if (stopped || watchers.has(dir)) return;
+      try {
+        open(dir, {}, (eventType, fileName) => {
+          if (!fileName) return;
+          const fullPath = path.join(dir, String(fileName));
+          handle(eventType, path.relative(this.planningDir, fullPath));
+          if (eventType !== 'rename') return;
+          if (isDirectory(fullPath)) {
+            watchTree(fullPath, true);
+          } else {
+            close(fullPath);
+          }
+        });
+      } catch (err) {
+        onError(err);
+        return;
+      }
+
+      for (const name of this._readDir(dir)) {
+        const fullPath = path.join(dir, name);
+        if (isDirectory(fullPath)) {
+          watchTree(fullPath, announce);
+        } else if (announce) {
+          // Files written before this directory's watcher existed
+          handle('rename', path.relative(this.planningDir, fullPath));
+        }
+      }
+    };
+
+    // Watch the parent until the planning directory appears, or poll while the parent is missing too
+    const waitForDir = (onAppear) => {
+      const parent = path.dirname(this.planningDir);
+      const appeared = () => {
+        if (stopped || !fs.existsSync(this.planningDir)) return false;
+        close(parent);
+        onAppear();
+        return true;
+      };
+
+      try {
+        open(parent, {}, (eventType, fileName) => {
+          if (fileName && String(fileName) === path.basename(this.planningDir)) appeared();
+        });
+      } catch {
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          if (!appeared()) waitForDir(onAppear);
+        }, WATCH_RETRY_MS);
+        return;
+      }
+      appeared();
+    };
+
+    const start = (announce = false) => {
+      if (stopped) return;
+      if (!fs.existsSync(this.planningDir)) {
+        waitForDir(() => start(true));
+        return;
+      }
+
+      if (recursive) {
+        try {
+          open(this.planningDir, { recursive: true }, handle);
+          if (announce) {
+            listChanged = true;
+            schedule();
+          }
+          return;
+        } catch (err) {
+          if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') onError(err);
+        }
+      }
+      watchTree(this.planningDir, announce);
+    };
+
+    start();
+
+    return () => {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      if (retryTimer) clearTimeout(retryTimer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    };
+  }
+
+  /**
+   * @private
+   */
+  _readDir(dir) {
+    try {
+      return fs.readdirSync(dir).filter(f => !f.startsWith('.')).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Find a phase directory by number ('03', '3' and '3.0' all match 03-name)
+   * @private
+   */
+  _findPhase(number) {
+    const phases = listPhaseDirs(this.planningDir);
+    return phases.find(p => p.number === number) ||
+      phases.find(p => parseFloat(p.number) === parseFloat(number)) ||
+      null;
+  }
+
+  /**
+   * Find the `{phase}-{plan}` file prefix for a plan number
+   * @private
+   */
+  _findPlanPrefix(phase, plan) {
+    for (const file of this._readDir(phase.dir)) {
+      const match = file.match(/^(\d+(?:\.\d+)?)-(\d+)-(PLAN|SUMMARY)\.md$/);
+      if (match && (match[2] === plan || parseInt(match[2], 10) === parseInt(plan, 10))) {
+        return `${match[1]}-${match[2]}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Render a phase directory index
+   * @private
+   */
+  _phaseIndex(phase) {
+    const lines = [`# Phase ${phase.number}: ${phase.slug}`, ''];
+    for (const file of this._readDir(phase.dir)) {
+      lines.push(`- [${file}](${this.uriForPath(path.join(phase.dir, file))})`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  PlanningResources,
+  RESOURCE_TEMPLATES,
+  URI_SCHEME,
+};
@@ -0,0 +1,738 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ContextPredictor, GitHistoryMiner, CONFIDENCE } = require('../context');
+const { DependencyAnalyzer, ImpactAnalyzer, ModuleResolver } = require('../automation');
+const { PatternAggregator, FeedbackCollector, FEEDBACK_TYPES } = require('../memory');
+const { DecisionGraph } = require('../decisions');
+const { SymbolIndex, SYMBOL_KINDS } = require('../index/symbol-index');
+const { ConventionChecker } = require('../profile/convention-checker');
+const { resolveDiffBase, changedFiles } = require('../gates/gate-checks');
+const planning = require('../planning');
+
+/**
+ * Source extensions indexed for context prediction
+ */
+const SOURCE_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
+
+/**
+ * Directories never indexed
+ */
+const EXCLUDE_DIRS = ['node_modules', '.git', 'dist', 'build', 'coverage'];
+
+/**
+ * Upper bound on files indexed, keeps first-call latency predictable
+ */
+const MAX_INDEXED_FILES = 5000;
+
+/**
+ * Numeric confidence recorded with predict_context suggestions
+ */
+const PREDICTION_CONFIDENCE = {
+  [CONFIDENCE.HIGH]: 0.8,
+  [CONFIDENCE.MEDIUM]: 0.5,
+  [CONFIDENCE.LOW]: 0.3,
+};
+
+/**
+ * MCP tool definitions backed by the GYWD library
+ */
+const TOOL_DEFINITIONS = [
+  {
+    name: 'predict_context',
+    description: 'Predict which files and decisions are needed for a task, using the relationship graph, ' +
+      'task history and decision records',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task: { type: 'string', description: 'Task description' },
+        maxFiles: { type: 'number', description: 'Maximum files to return (default 10)' },
+      },
+      required: ['task'],
+    },
+  },
+  {
+    name: 'related_files',
+    description: 'List files related to a file (imports, tests, same directory, co-modified in git)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: { type: 'string', description: 'File path, relative to the project root' },
+        limit: { type: 'number', description: 'Maximum files to return (default 10)' },
+      },
+      required: ['file'],
+    },
+  },
+  {
+    name: 'get_patterns',
+    description: 'Get coding patterns shared across your projects from global memory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        level: {
+          type: 'string',
+          enum: ['strong', 'moderate', 'weak'],
+          description: 'Minimum consensus level (default moderate)',
+        },
+        type: { type: 'string', description: 'Only return patterns of this type (e.g. naming)' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'record_feedback',
+    description: 'Record whether a suggestion (e.g. a predict_context result) was accepted, rejected or modified',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        feedback: {
+          type: 'string',
+          enum: Object.values(FEEDBACK_TYPES),
+          description: 'Feedback type',
+        },
+        suggestionId: { type: 'string', description: 'ID returned with the suggestion, if any' },
+        category: { type: 'string', description: 'Suggestion category when no suggestionId is given' },
+        type: { type: 'string', description: 'Suggestion type when no suggestionId is given' },
+        suggestion: { type: 'string', description: 'Suggestion text when no suggestionId is given' },
+        details: { type: 'object', description: 'Additional details' },
+      },
+      required: ['feedback'],
+    },
+  },
+  {
+    name: 'dependency_impact',
+    description: 'List files that depend on a file, directly and transitively',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: { type: 'string', description: 'File path, relative to the project root' },
+        depth: { type: 'number', description: 'Levels of transitive dependents to follow (default 3)' },
+      },
+      required: ['file'],
+    },
+  },
+  {
+    name: 'find_symbol',
+    description: 'Go to definition: resolve a symbol target to its file and line range. Targets can be ' +
+      '`Name`, `Class.method`, `path#name` or `path:line`; a bare path lists the symbols in that file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Symbol target, e.g. PRGate.run or lib/gates/pr-gate.js#PRGate' },
+        kind: {
+          type: 'string',
+          enum: Object.values(SYMBOL_KINDS),
+          description: 'Only definitions of this kind',
+        },
+      },
+      required: ['target'],
+    },
+  },
+  {
+    name: 'find_references',
+    description: 'Find references to a symbol: every line that mentions it, with the enclosing function or method',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Symbol name or Class.method' },
+        limit: { type: 'number', description: 'Maximum references to return (default 100)' },
+      },
+      required: ['symbol'],
+    },
+  },
+  {
+    name: 'symbol_impact',
+    description: 'Blast radius of changing one function, class, method or export: files that import and use ' +
+      'it (following re-exports), their transitive dependents and tests, ranked',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Symbol target: Name, Class.method, path#name or path:line' },
+        depth: { type: 'number', description: 'Furthest distance to report, direct users being 1 (default 3)' },
+      },
+      required: ['symbol'],
+    },
+  },
+  {
+    name: 'check_conventions',
+    description: 'Check files (default: changed since the base branch) against the naming, JSDoc and test-name ' +
+      'conventions learned from the rest of the project. Each finding has a suggestionId; answer it with ' +
+      'record_feedback (accepted when fixed, rejected to override the convention)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Files to check, relative to the project root',
+        },
+        base: { type: 'string', description: 'Base ref for changed files when no files are given' },
+        minConfidence: { type: 'number', description: 'Confidence a pattern needs to be enforced (default 0.8)' },
+        limit: { type: 'number', description: 'Maximum findings to return (default 50)' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'complete_task',
+    description: 'Tick a checklist item in a PLAN.md (verification, success criteria, etc.)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        plan: { type: 'string', description: 'Plan ID, e.g. 03-02' },
+        task: {
+          type: ['number', 'string'],
+          description: 'Zero-based checklist index, or the text the item starts with',
+        },
+        done: { type: 'boolean', description: 'Set false to untick (default true)' },
+      },
+      required: ['plan', 'task'],
+    },
+  },
+  {
+    name: 'advance_plan',
+    description: 'Mark a plan complete in ROADMAP.md and move STATE.md to the next position',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        plan: { type: 'string', description: 'Plan ID (defaults to the first unfinished plan)' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'add_issue',
+    description: 'Log a deferred enhancement to ISSUES.md and STATE.md',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Brief description' },
+        type: { type: 'string', description: 'Performance, Refactoring, UX, Testing, Documentation or Accessibility' },
+        description: { type: 'string', description: 'What could be improved and why' },
+        effort: { type: 'string', enum: ['Quick', 'Medium', 'Substantial'] },
+        discovered: { type: 'string', description: 'Where it was found (defaults to the current phase)' },
+        suggestedPhase: { type: 'string', description: 'Phase number or "Future"' },
+      },
+      required: ['title'],
+    },
+  },
+  {
+    name: 'set_focus',
+    description: 'Set the current focus in STATE.md',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        focus: { type: 'string', description: 'New focus' },
+      },
+      required: ['focus'],
+    },
+  },
+];
+
+/**
+ * ProjectTools - GYWD library operations exposed as MCP tools
+ *
+ * Builds the context graph and dependency graph for a project lazily on first
+ * use and keeps them for the lifetime of the instance. Planning tools edit the
+ * files under .planning/ through lib/planning. Every method returns
+ * `{ success: true, ... }` or `{ success: false, error }`.
+ *
+ * @example
+ * const tools = new ProjectTools({ projectRoot: process.cwd() });
+ * const result = tools.call('related_files', { file: 'lib/index.js' });
+ * // => { success: true, file: 'lib/index.js', related: [...] }
+ */
+class ProjectTools {
+  /**
+   * @param {object} [options] - Configuration
+   * @param {string} [options.projectRoot=process.cwd()] - Project root
+   * @param {string} [options.planningDir] - Planning directory (defaults to <projectRoot>/.planning)
+   * @param {boolean} [options.mineGitHistory=true] - Add CO_MODIFIED relationships from git log
+   * @param {PatternAggregator} [options.aggregator] - Pattern aggregator (defaults to global memory)
+   * @param {FeedbackCollector} [options.feedbackCollector] - Feedback collector
+   * @param {GlobalMemory} [options.globalMemory] - Cross-project patterns for predict_context
+   */
+  constructor(options = {}) {
+    this.projectRoot = path.resolve(options.projectRoot || process.cwd());
+    this.planningDir = path.resolve(this.projectRoot, options.planningDir || planning.PLANNING_DIR);
+    this.mineGitHistory = options.mineGitHistory !== false;
+    this.aggregator = options.aggregator || null;
+    this.feedbackCollector = options.feedbackCollector || null;
+    this.globalMemory = options.globalMemory || null;
+    this.resolver = null;
+    this.predictor = null;
+    this.dependencyAnalyzer = null;
+    this.symbolIndex = null;
+    this.impactAnalyzer = null;
+    this.handlers = {
+      predict_context: (args) => this.predictContext(args),
+      related_files: (args) => this.relatedFiles(args),
+      get_patterns: (args) => this.getPatterns(args),
+      record_feedback: (args) => this.recordFeedback(args),
+      dependency_impact: (args) => this.dependencyImpact(args),
+      find_symbol: (args) => this.findSymbol(args),
+      find_references: (args) => this.findReferences(args),
+      symbol_impact: (args) => this.symbolImpact(args),
+      check_conventions: (args) => this.checkConventions(args),
+      complete_task: (args) => planning.completeTask(this.planningDir, args),
+      advance_plan: (args) => planning.advancePlan(this.planningDir, args),
+      add_issue: (args) => planning.addIssue(this.planningDir, args),
+      set_focus: (args) => planning.setFocus(this.planningDir, args.focus),
+    };
+  }
+
+  /**
+   * Tool definitions for tools/list
+   * @returns {Array<object>} Tool definitions
+   */
+  list() {
+    return TOOL_DEFINITIONS;
+  }
+
+  /**
+   * Check whether a tool is handled here
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.handlers, name);
+  }
+
+  /**
+   * Invoke a tool by name
+   * @param {string} name - Tool name
+   * @param {object} [args] - Tool arguments
+   * @returns {object} Tool result
+   */
+  call(name, args = {}) {
+    if (!this.has(name)) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+    try {
+      return this.handlers[name](args || {});
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Drop cached graphs so the next call re-indexes the project
+   */
+  refresh() {
+    this.resolver = null;
+    this.predictor = null;
+    this.dependencyAnalyzer = null;
+    this.symbolIndex = null;
+    this.impactAnalyzer = null;
+  }
+
+  // ==================== TOOLS ====================
+
+  /**
+   * Predict the files, decisions and patterns needed for a task
+   * @param {object} args - Arguments
+   * @param {string} args.task - Task description
+   * @param {number} [args.maxFiles=10] - Maximum files
+   * @returns {object} Prediction with a suggestionId for record_feedback
+   */
+  predictContext({ task, maxFiles = 10 }) {
+    if (!task) return { success: false, error: 'task is required' };
+
+    const prediction = this._getPredictor().predictForTask(task, { maxFiles });
+    const files = prediction.files.map(f => ({ ...f, path: this._relative(f.path) }));
+
+    const suggestionId = this._getFeedbackCollector().recordSuggestion({
+      category: 'prediction',
+      type: 'context',
+      suggestion: files.map(f => f.path).join(', '),
+      context: { task },
+      confidence: PREDICTION_CONFIDENCE[prediction.confidence],
+    });
+
+    return {
+      success: true,
+      task,
+      suggestionId,
+      confidence: prediction.confidence,
+      files,
+      decisions: prediction.decisions,
+      patterns: prediction.patterns,
+      reasoning: prediction.reasoning,
+    };
+  }
+
+  /**
+   * List files related to a file
+   * @param {object} args - Arguments
+   * @param {string} args.file - File path
+   * @param {number} [args.limit=10] - Maximum results
+   * @returns {object} Related files with scores and relationship types
+   */
+  relatedFiles({ file, limit = 10 }) {
+    if (!file) return { success: false, error: 'file is required' };
+
+    const related = this._getPredictor().getAnalyzer().getRelatedFiles(this._absolute(file), limit);
+    return {
+      success: true,
+      file: this._relative(this._absolute(file)),
+      related: related.map(r => ({ ...r, file: this._relative(r.file) })),
+    };
+  }
+
+  /**
+   * Get consensus patterns from global memory
+   * @param {object} args - Arguments
+   * @param {string} [args.level='moderate'] - Minimum consensus level
+   * @param {string} [args.type] - Pattern type filter
+   * @returns {object} Patterns sorted by confidence
+   */
+  getPatterns({ level = 'moderate', type } = {}) {
+    let patterns = this._getAggregator().getConsensusPatterns(level);
+    if (type) patterns = patterns.filter(p => p.type === type);
+    return { success: true, level, patterns };
+  }
+
+  /**
+   * Record feedback for a suggestion
+   * @param {object} args - Arguments
+   * @param {string} args.feedback - accepted, rejected, modified or ignored
+   * @param {string} [args.suggestionId] - Suggestion ID from an earlier tool call
+   * @param {object} [args.details] - Additional details
+   * @returns {object} Result with the feedback ID
+   */
+  recordFeedback({ feedback, suggestionId, category, type, suggestion, details = {} }) {
+    if (!Object.values(FEEDBACK_TYPES).includes(feedback)) {
+      return { success: false, error: `feedback must be one of: ${Object.values(FEEDBACK_TYPES).join(', ')}` };
+    }
+
+    const collector = this._getFeedbackCollector();
+    if (suggestionId) {
+      if (!collector.recordFeedback(suggestionId, feedback, details)) {
+        return { success: false, error: `Unknown or already answered suggestion: ${suggestionId}` };
+      }
+      return { success: true, id: suggestionId, feedback };
+    }
+
+    const id = collector.recordQuickFeedback({ feedback, category, type, suggestion, details });
+    return { success: true, id, feedback };
+  }
+
+  /**
+   * List direct and transitive dependents of a file
+   * @param {object} args - Arguments
+   * @param {string} args.file - File path
+   * @param {number} [args.depth=3] - Levels to follow
+   * @returns {object} Dependents grouped by distance
+   */
+  dependencyImpact({ file, depth = 3 }) {
+    if (!file) return { success: false, error: 'file is required' };
+
+    const analyzer = this._getDependencyAnalyzer();
+    const start = this._relative(this._absolute(file));
+    const seen = new Set([start]);
+    const levels = [];
+    let frontier = [start];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const dependent of analyzer.getDependents(current)) {
+          if (!seen.has(dependent)) {
+            seen.add(dependent);
+            next.push(dependent);
+          }
+        }
+      }
+      if (next.length > 0) levels.push({ depth: level, files: next.sort() });
+      frontier = next;
+    }
+
+    return {
+      success: true,
+      file: start,
+      direct: levels.length > 0 && levels[0].depth === 1 ? levels[0].files : [],
+      transitive: levels.slice(1),
+      totalAffected: seen.size - 1,
+    };
+  }
+
+  /**
+   * Resolve a symbol target to its definition
+   * @param {object} args - Arguments
+   * @param {string} args.target - `Name`, `Class.method`, `path#name`, `path:line` or `path`
+   * @param {string} [args.kind] - Symbol kind filter
+   * @returns {object} Resolved file, symbol and line range, plus other candidates
+   */
+  findSymbol({ target, kind }) {
+    if (!target) return { success: false, error: 'target is required' };
+
+    const index = this._getSymbolIndex();
+    const resolved = kind
+      ? this._firstLocation(index.findDefinitions(target, { kind }))
+      : index.resolveTarget(target);
+    if (!resolved) return { success: false, error: `No symbol found for: ${target}` };
+
+    return { success: true, target, ...resolved };
+  }
+
+  /**
+   * Find references to a symbol
+   * @param {object} args - Arguments
+   * @param {string} args.symbol - Symbol name or `Class.method`
+   * @param {number} [args.limit=100] - Maximum references
+   * @returns {object} Definitions and references with their enclosing symbols
+   */
+  findReferences({ symbol, limit = 100 }) {
+    if (!symbol) return { success: false, error: 'symbol is required' };
+
+    const index = this._getSymbolIndex();
+    const references = index.findReferences(symbol);
+    return {
+      success: true,
+      symbol,
+      definitions: index.findDefinitions(symbol),
+      references: references.slice(0, limit),
+      files: [...new Set(references.map(r => r.file))],
+      totalReferences: references.length,
+    };
+  }
+
+  /**
+   * Symbol-level blast radius of a change
+   * @param {object} args - Arguments
+   * @param {string} args.symbol - Symbol target
+   * @param {number} [args.depth=3] - Furthest distance to report
+   * @returns {object} Direct users, transitive dependents and tests, ranked
+   */
+  symbolImpact({ symbol, depth = 3 }) {
+    if (!symbol) return { success: false, error: 'symbol is required' };
+
+    const report = this._getImpactAnalyzer().analyzeSymbol(symbol, { depth });
+    if (!report) return { success: false, error: `No symbol found for: ${symbol}` };
+
+    return { success: true, ...report };
+  }
+
+  /**
+   * Check files against learned conventions
+   * @param {object} args - Arguments
+   * @param {Array<string>} [args.files] - Files to check (defaults to files changed since `base`)
+   * @param {string} [args.base] - Base ref
+   * @param {number} [args.minConfidence=0.8] - Confidence a pattern needs to be enforced
+   * @param {number} [args.limit=50] - Maximum findings
+   * @returns {object} Enforced rules and findings, each with a suggestionId for record_feedback
+   */
+  checkConventions({ files, base, minConfidence, limit = 50 }) {
+    let targets = files;
+    if (!targets) {
+      const mergeBase = resolveDiffBase(this.projectRoot, base);
+      if (!mergeBase) return { success: false, error: 'files are required when there is no base branch' };
+      targets = changedFiles(this.projectRoot, mergeBase);
+    }
+    targets = targets.map(f => this._relative(this._absolute(f)));
+
+    const collector = this._getFeedbackCollector();
+    const checker = new ConventionChecker({
+      aggregator: this._getAggregator(),
+      feedbackCollector: collector,
+      minConfidence,
+    });
+    const learnFrom = this._listSourceFiles().map(f => this._relative(f)).filter(f => !targets.includes(f));
+    checker.learnFrom(learnFrom, { projectRoot: this.projectRoot });
+
+    const { rules, filesChecked, findings } = checker.checkFiles(targets, { projectRoot: this.projectRoot });
+    return {
+      success: true,
+      rules,
+      filesChecked,
+      totalFindings: findings.length,
+      findings: findings.slice(0, limit).map(finding => ({
+        ...finding,
+        suggestionId: collector.recordSuggestion({
+          category: 'pattern',
+          type: finding.rule,
+          suggestion: finding.message,
+          context: { file: finding.file, line: finding.line, name: finding.name },
+          confidence: finding.confidence,
+        }),
+      })),
+    };
+  }
+
+  // ==================== INDEXING ====================
+
+  /**
+   * Build (once) the context predictor for the project
+   * @private
+   */
+  _getPredictor() {
+    if (this.predictor) return this.predictor;
+
+    const decisionGraph = new DecisionGraph(this.projectRoot);
+    decisionGraph.load();
+
+    const predictor = new ContextPredictor({
+      decisionGraph,
+      globalMemory: this.globalMemory,
+      resolver: this._getResolver(),
+    });
+    const analyzer = predictor.getAnalyzer();
+
+    for (const filePath of this._listSourceFiles()) {
+      let content;
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+      } catch {
+        continue;
+      }
+      const { path: from, imports } = analyzer.analyzeFile(filePath, content);
+      for (const to of imports) {
+        analyzer.addImportRelationship(from, to);
+      }
+    }
+    analyzer.buildRelationshipGraph();
+
+    if (this.mineGitHistory) {
+      try {
+        const miner = new GitHistoryMiner({ projectRoot: this.projectRoot });
+        miner.applyTo(analyzer, miner.mine());
+      } catch {
+        // Not a git repository, or git unavailable
+      }
+    }
+
+    this.predictor = predictor;
+    return predictor;
+  }
+
+  /**
+   * Import resolver shared by both graphs: tsconfig paths, aliases, workspace packages
+   * @private
+   */
+  _getResolver() {
+    if (!this.resolver) {
+      this.resolver = new ModuleResolver({ rootDir: this.projectRoot, extensions: SOURCE_EXTENSIONS });
+    }
+    return this.resolver;
+  }
+
+  /**
+   * Build (once) the dependency graph for the project
+   * @private
+   */
+  _getDependencyAnalyzer() {
+    if (!this.dependencyAnalyzer) {
+      this.dependencyAnalyzer = new DependencyAnalyzer({
+        rootDir: this.projectRoot,
+        extensions: SOURCE_EXTENSIONS,
+        excludeDirs: EXCLUDE_DIRS,
+        resolver: this._getResolver(),
+      });
+      this.dependencyAnalyzer.analyze();
+    }
+    return this.dependencyAnalyzer;
+  }
+
+  /**
+   * Build (once) the symbol index for the project
+   * @private
+   */
+  _getSymbolIndex() {
+    if (!this.symbolIndex) {
+      this.symbolIndex = new SymbolIndex({ rootDir: this.projectRoot });
+      this.symbolIndex.indexDirectory(this.projectRoot, {
+        extensions: SOURCE_EXTENSIONS,
+        excludeDirs: EXCLUDE_DIRS,
+        maxFiles: MAX_INDEXED_FILES,
+      });
+    }
+    return this.symbolIndex;
+  }
+
+  /**
+   * Impact analyzer sharing the dependency graph and symbol index
+   * @private
+   */
+  _getImpactAnalyzer() {
+    if (!this.impactAnalyzer) {
+      this.impactAnalyzer = new ImpactAnalyzer({
+        rootDir: this.projectRoot,
+        dependencyAnalyzer: this._getDependencyAnalyzer(),
+        symbolIndex: this._getSymbolIndex(),
+      });
+    }
+    return this.impactAnalyzer;
+  }
+
+  /**
+   * @private
+   */
+  _firstLocation(definitions) {
+    if (definitions.length === 0) return null;
+    const [symbol] = definitions;
+    return { file: symbol.file, symbol, line: symbol.line, endLine: symbol.endLine, candidates: definitions };
+  }
+
+  /**
+   * @private
+   */
+  _getAggregator() {
+    if (!this.aggregator) this.aggregator = new PatternAggregator();
+    return this.aggregator;
+  }
+
+  /**
+   * @private
+   */
+  _getFeedbackCollector() {
+    if (!this.feedbackCollector) this.feedbackCollector = new FeedbackCollector();
+    return this.feedbackCollector;
+  }
+
+  /**
+   * Walk the project for source files
+   * @private
+   */
+  _listSourceFiles() {
+    const files = [];
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (files.length >= MAX_INDEXED_FILES) return;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!EXCLUDE_DIRS.includes(entry.name)) walk(fullPath);
+        } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+          files.push(fullPath);
+        }
+      }
+    };
+    walk(this.projectRoot);
+    return files;
+  }
+
+  /**
+   * @private
+   */
+  _absolute(file) {
+    return path.normalize(path.isAbsolute(file) ? file : path.join(this.projectRoot, file)).replace(/\\/g, '/');
+  }
+
+  /**
+   * @private
+   */
+  _relative(file) {
+    return path.relative(this.projectRoot, file).replace(/\\/g, '/');
+  }
+}
+
+module.exports = {
+  ProjectTools,
+  TOOL_DEFINITIONS,
+};
@@ -12,6 +12,7 @@ const PATTERNS_FILE = path.join(GLOBAL_DIR, 'patterns.json');
 const EXPERTISE_FILE = path.join(GLOBAL_DIR, 'expertise.json');
 const PREFERENCES_FILE = path.join(GLOBAL_DIR, 'preferences.json');
 const PROJECTS_FILE = path.join(GLOBAL_DIR, 'projects.json');
+const CONFLICT_DECISIONS_FILE = path.join(GLOBAL_DIR, 'conflict-decisions.json');
 
 /**
  * GlobalMemory - Cross-project pattern persistence
@@ -31,6 +32,7 @@ class GlobalMemory {
     this.expertise = {};
     this.preferences = {};
     this.projects = [];
+    this.conflictDecisions = {};
     this.initialized = false;
 
     // Batching support
@@ -69,6 +71,7 @@ class GlobalMemory {
     this.expertise = this._loadFile(EXPERTISE_FILE, {});
     this.preferences = this._loadFile(PREFERENCES_FILE, {});
     this.projects = this._loadFile(PROJECTS_FILE, []);
+    this.conflictDecisions = this._loadFile(CONFLICT_DECISIONS_FILE, {});
   }
 
   /**
@@ -148,6 +151,7 @@ class GlobalMemory {
     this._saveFile(EXPERTISE_FILE, this.expertise);
     this._saveFile(PREFERENCES_FILE, this.preferences);
     this._saveFile(PROJECTS_FILE, this.projects);
+    this._saveFile(CONFLICT_DECISIONS_FILE, this.conflictDecisions);
   }
 
   /**
@@ -352,6 +356,32 @@ class GlobalMemory {
     return result;
   }
 
+  // ==================== CONFLICT DECISIONS ====================
+
+  /**
+   * Remember how a developer settled an import conflict
+   * @param {string} conflictId - Conflict ID (`<type>::<pattern>`)
+   * @param {object} decision - Decision, e.g. `{ decision: 'accept', team: { confidence, occurrences, sources } }`
+   */
+  recordConflictDecision(conflictId, decision) {
+    if (!this.initialized) this.init();
+    this.conflictDecisions[conflictId] = {
+      ...decision,
+      decidedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  /**
+   * Get a recorded conflict decision
+   * @param {string} conflictId - Conflict ID
+   * @returns {object|null} Decision or null
+   */
+  getConflictDecision(conflictId) {
+    if (!this.initialized) this.init();
+    return this.conflictDecisions[conflictId] || null;
+  }
+
   // ==================== PROJECTS ====================
 
   /**
@@ -495,6 +525,7 @@ class GlobalMemory {
     this.expertise = {};
     this.preferences = {};
     this.projects = [];
+    this.conflictDecisions = {};
     this.save();
   }
 
@@ -530,4 +561,5 @@ module.exports = {
   EXPERTISE_FILE,
   PREFERENCES_FILE,
   PROJECTS_FILE,
+  CONFLICT_DECISIONS_FILE,
 };
@@ -16,6 +16,7 @@ const {
   EXPERTISE_FILE,
   PREFERENCES_FILE,
   PROJECTS_FILE,
+  CONFLICT_DECISIONS_FILE,
 } = require('./global-memory');
 
 const {
@@ -43,9 +44,20 @@ const {
 const {
   TeamSync,
   CONFLICT_STRATEGIES,
+  CONFLICT_DECISIONS,
   EXPORT_VERSION,
+  formatImportDiff,
 } = require('./team-sync');
 
+const {
+  TeamRegistry,
+  HASH_ALGORITHM,
+  SIGNATURE_ALGORITHM,
+  hashExport,
+  addProvenance,
+  verifyExport,
+} = require('./team-registry');
+
 module.exports = {
   // Classes
   GlobalMemory,
@@ -53,6 +65,7 @@ module.exports = {
   FeedbackCollector,
   ConfidenceCalibrator,
   TeamSync,
+  TeamRegistry,
 
   // Constants
   GLOBAL_DIR,
@@ -60,6 +73,7 @@ module.exports = {
   EXPERTISE_FILE,
   PREFERENCES_FILE,
   PROJECTS_FILE,
+  CONFLICT_DECISIONS_FILE,
   CONSENSUS_THRESHOLDS,
   CONFIDENCE_FACTORS,
   FEEDBACK_TYPES,
@@ -71,5 +85,14 @@ module.exports = {
   CALIBRATION_DIR,
   CALIBRATION_FILE,
   CONFLICT_STRATEGIES,
+  CONFLICT_DECISIONS,
   EXPORT_VERSION,
+  HASH_ALGORITHM,
+  SIGNATURE_ALGORITHM,
+
+  // Utilities
+  formatImportDiff,
+  hashExport,
+  addProvenance,
+  verifyExport,
 };
@@ -0,0 +1,326 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prefix of content hashes in export provenance
+ */
+const HASH_ALGORITHM = 'sha256';
+
+/**
+ * Prefix of signatures in export provenance
+ */
+const SIGNATURE_ALGORITHM = 'hmac-sha256';
+
+/**
+ * Published export file names inside a member's registry directory: v1.json, v2.json, ...
+ */
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+/**
+ * JSON with object keys sorted, so equal data always hashes the same
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content hash of an export, ignoring its provenance block
+ * @param {object} data - Team export
+ * @returns {string} `sha256:<hex>`
+ */
+function hashExport(data) {
+  const { provenance: _provenance, ...content } = data;
+  return `${HASH_ALGORITHM}:${crypto.createHash(HASH_ALGORITHM).update(canonicalJson(content)).digest('hex')}`;
+}
+
+/**
+ * HMAC signature over an export's provenance, so the author and signing time
+ * cannot be changed without invalidating it
+ * @param {{author: string, contentHash: string, signedAt: string}} provenance - Provenance fields to sign
+ * @param {string} secret - Shared team secret
+ * @returns {string} `hmac-sha256:<hex>`
+ */
+function signHash({ author, contentHash, signedAt }, secret) {
+  const payload = canonicalJson({ author, contentHash, signedAt });
+  return `${SIGNATURE_ALGORITHM}:${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+}
+
+/**
+ * Attach provenance (author, content hash and, with a secret, an HMAC signature)
+ * @param {object} data - Team export
+ * @param {object} [options] - Options
+ * @param {string} [options.author] - Publishing member (defaults to `exportedBy`)
+ * @param {string} [options.secret] - Shared team secret to sign with
+ * @returns {object} Copy of the export with a `provenance` block
+ */
+function addProvenance(data, options = {}) {
+  const { provenance: _provenance, ...content } = data;
+  const author = options.author || content.exportedBy || 'unknown';
+  const contentHash = hashExport(content);
+  const signedAt = new Date().toISOString();
+
+  return {
+    ...content,
+    provenance: {
+      author,
+      contentHash,
+      signature: options.secret ? signHash({ author, contentHash, signedAt }, options.secret) : null,
+      signedAt,
+    },
+  };
+}
+
+/**
+ * Check an export against its provenance
+ * @param {object} data - Team export
+ * @param {object} [options] - Options
+ * @param {string} [options.secret] - Shared team secret; signed exports are checked against it
+ * @param {boolean} [options.requireSignature=false] - Reject exports that are not signed with `secret`
+ * @returns {{valid: boolean, errors: Array<string>, author: string|null, contentHash: string|null,
+ *   signed: boolean, signatureVerified: boolean}}
+ */
+function verifyExport(data, options = {}) {
+  const errors = [];
+  const provenance = data && data.provenance;
+  const result = {
+    author: provenance ? provenance.author || null : null,
+    contentHash: provenance ? provenance.contentHash || null : null,
+    signed: Boolean(provenance && provenance.signature),
+    signatureVerified: false,
+  };
+
+  if (!provenance) {
+    if (options.requireSignature) errors.push('Export has no provenance');
+    return { valid: errors.length === 0, errors, ...result };
+  }
+
+  const actualHash = hashExport(data);
+  if (provenance.contentHash !== actualHash) {
+    errors.push(`Content hash mismatch: expected ${provenance.contentHash}, got ${actualHash}`);
+  }
+
+  if (result.signed && options.secret) {
+    const expected = Buffer.from(signHash({ ...provenance, contentHash: actualHash }, options.secret));
+    const actual = Buffer.from(String(provenance.signature));
+    result.signatureVerified = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    if (!result.signatureVerified) errors.push('Signature does not match the team secret');
+  } else if (options.requireSignature) {
+    errors.push(result.signed ? 'No secret to verify the signature with' : 'Export is not signed');
+  }
+
+  return { valid: errors.length === 0, errors, ...result };
+}
+
+/**
+ * TeamRegistry - Versioned, signed team exports in a shared directory
+ *
+ * Each member publishes into their own folder (`<registryDir>/<member>/v<N>.json`),
+ * so a registry kept in a shared git repository merges without conflicts.
+ * Every published export carries provenance: author, content hash and, when a
+ * team secret is configured, an HMAC signature.
+ *
+ * @example
+ * const registry = new TeamRegistry('/shared/team-patterns', { secret: process.env.TEAM_SECRET });
+ * registry.publish(sync.exportForTeam('engineering'), { author: 'alex' });
+ * // => { success: true, author: 'alex', version: 3, path: '.../alex/v3.json', contentHash: 'sha256:...' }
+ * const { data } = registry.read('alex');
+ * sync.importFromTeam(data, { secret: process.env.TEAM_SECRET, requireSignature: true });
+ */
+class TeamRegistry {
+  /**
+   * @param {string} registryDir - Registry directory
+   * @param {object} [options] - Options
+   * @param {string} [options.secret] - Shared team secret used to sign and verify exports
+   */
+  constructor(registryDir, options = {}) {
+    this.registryDir = path.resolve(registryDir);
+    this.secret = options.secret || null;
+  }
+
+  /**
+   * Publish an export as the member's next version
+   * @param {object} exportData - Output of TeamSync.exportForTeam()
+   * @param {object} [options] - Options
+   * @param {string} [options.author] - Member publishing (defaults to `exportedBy`)
+   * @returns {{success: boolean, author?: string, version?: number, path?: string, contentHash?: string,
+   *   signed?: boolean, error?: string}}
+   */
+  publish(exportData, options = {}) {
+    if (!exportData || !Array.isArray(exportData.patterns)) {
+      return { success: false, error: 'Invalid team data' };
+    }
+
+    const author = options.author || exportData.exportedBy || 'unknown';
+    const member = this._memberDir(author);
+    if (!member) return { success: false, error: `Invalid author name: ${author}` };
+
+    const version = this._versions(member).reduce((max, v) => Math.max(max, v), 0) + 1;
+    const entry = addProvenance({ ...exportData, registryVersion: version }, { author, secret: this.secret });
+    const filePath = path.join(this.registryDir, member, `v${version}.json`);
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Exclusive create: a concurrent publish never overwrites a version
+      fs.writeFileSync(filePath, `${JSON.stringify(entry, null, 2)}\n`, { encoding: 'utf8', flag: 'wx' });
+    } catch (err) {
+      return { success: false, error: `Failed to publish ${author} v${version}: ${err.message}` };
+    }
+
+    return {
+      success: true,
+      author,
+      version,
+      path: filePath,
+      contentHash: entry.provenance.contentHash,
+      signed: Boolean(entry.provenance.signature),
+    };
+  }
+
+  /**
+   * Published exports, oldest first per member
+   * @param {object} [options] - Options
+   * @param {string} [options.author] - Only this member's exports
+   * @returns {Array<{author: string, version: number, path: string, teamName: string, exportedAt: string,
+   *   patternCount: number, contentHash: string|null, signed: boolean}>}
+   */
+  list(options = {}) {
+    let members;
+    if (options.author) {
+      members = [this._memberDir(options.author)].filter(Boolean);
+    } else {
+      try {
+        members = fs.readdirSync(this.registryDir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+          .map(entry => entry.name)
+          .sort();
+      } catch {
+        return [];
+      }
+    }
+
+    const entries = [];
+    for (const member of members) {
+      for (const version of this._versions(member).sort((a, b) => a - b)) {
+        const filePath = path.join(this.registryDir, member, `v${version}.json`);
+        const data = this._readFile(filePath);
+        if (!data) continue;
+        entries.push({
+          author: data.provenance?.author || member,
+          version,
+          path: filePath,
+          teamName: data.teamName,
+          exportedAt: data.exportedAt,
+          patternCount: Array.isArray(data.patterns) ? data.patterns.length : 0,
+          contentHash: data.provenance?.contentHash || null,
+          signed: Boolean(data.provenance?.signature),
+        });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Read and verify a published export
+   * @param {string} author - Member
+   * @param {number|string} [version='latest'] - Version number
+   * @returns {{success: boolean, data?: object, version?: number, verification?: object, error?: string}}
+   */
+  read(author, version = 'latest') {
+    const member = this._memberDir(author);
+    const versions = member ? this._versions(member) : [];
+    if (versions.length === 0) return { success: false, error: `No exports published by ${author}` };
+
+    const resolved = version === 'latest' ? Math.max(...versions) : parseInt(version, 10);
+    if (!versions.includes(resolved)) return { success: false, error: `${author} has no version ${version}` };
+
+    const data = this._readFile(path.join(this.registryDir, member, `v${resolved}.json`));
+    if (!data) return { success: false, error: `Failed to parse ${author} v${resolved}` };
+
+    return { success: true, data, version: resolved, verification: this.verify(data) };
+  }
+
+  /**
+   * Latest export of every member
+   * @returns {Array<{author: string, version: number, data: object, verification: object}>}
+   */
+  latest() {
+    const members = [...new Set(this.list().map(entry => path.basename(path.dirname(entry.path))))];
+    const latest = [];
+    for (const member of members) {
+      const { success, data, version, verification } = this.read(member);
+      if (success) latest.push({ author: data.provenance?.author || member, version, data, verification });
+    }
+    return latest;
+  }
+
+  /**
+   * Verify an export with this registry's secret
+   * @param {object} data - Team export
+   * @returns {object} Output of verifyExport()
+   */
+  verify(data) {
+    return verifyExport(data, { secret: this.secret });
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Directory name for a member; null for names that would escape the registry
+   * @private
+   */
+  _memberDir(author) {
+    const name = String(author).trim().replace(/[^A-Za-z0-9._@-]/g, '-');
+    return name && !/^\.+$/.test(name) ? name : null;
+  }
+
+  /**
+   * @private
+   */
+  _versions(member) {
+    try {
+      return fs.readdirSync(path.join(this.registryDir, member))
+        .map(file => VERSION_FILE.exec(file))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _readFile(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  TeamRegistry,
+  HASH_ALGORITHM,
+  SIGNATURE_ALGORITHM,
+  canonicalJson,
+  hashExport,
+  signHash,
+  addProvenance,
+  verifyExport,
+};
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const { GlobalMemory } = require('./global-memory');
 const { PatternAggregator } = require('./pattern-aggregator');
+const { addProvenance, verifyExport, canonicalJson } = require('./team-registry');
 
 /**
  * Export format version
@@ -17,8 +18,50 @@ const CONFLICT_STRATEGIES = {
   HIGHEST_CONFIDENCE: 'highest_confidence', // Use highest confidence pattern
   NEWEST: 'newest', // Use most recently updated
   MERGE_ALL: 'merge_all', // Keep all patterns
+  MANUAL: 'manual', // Apply the developer's recorded decisions, leave the rest for review
 };
 
+/**
+ * Developer decisions on a conflict under the manual strategy
+ */
+const CONFLICT_DECISIONS = {
+  ACCEPT: 'accept', // Take the team's values
+  REJECT: 'reject', // Keep the local pattern
+};
+
+/**
+ * Conflict ID of a pattern
+ * @param {object} pattern - Pattern with type and value
+ * @returns {string} `<type>::<pattern>`
+ */
+function conflictId(pattern) {
+  return `${pattern.type}::${pattern.pattern}`;
+}
+
+/**
+ * Values compared and shown for either side of a conflict
+ * @param {object} pattern - Local or team pattern
+ * @returns {{confidence: number, occurrences: number, sources: Array<string>}}
+ */
+function patternValues(pattern) {
+  return {
+    confidence: pattern.confidence,
+    occurrences: pattern.occurrences || 1,
+    sources: [...(pattern.sources || [])],
+  };
+}
+
+/**
+ * Order-independent key of a pattern's values
+ * @param {object} pattern - Local or team pattern
+ * @returns {string}
+ */
+function valuesKey(pattern) {
+  const values = patternValues(pattern);
+  values.sources.sort();
+  return canonicalJson(values);
+}
+
 /**
  * TeamSync - Export/import for team pattern sharing
  *
@@ -154,84 +197,319 @@ class TeamSync {
   // ==================== IMPORT ====================
 
   /**
-   * Import team data into global memory
+   * Import team data into global memory. Exports with provenance are verified
+   * first; an export whose content hash or signature does not match is refused.
    * @param {object} teamData - Data exported from exportForTeam
    * @param {object} [options] - Import options
-   * @param {string} [options.strategy='majority'] - Conflict resolution strategy
+   * @param {string} [options.strategy='majority'] - Conflict resolution strategy; with `manual`, conflicts
+   *   follow the decisions recorded through decideConflict() and undecided ones are left as they are
    * @param {number} [options.confidenceBoost=0.1] - Boost for team patterns
    * @param {boolean} [options.preserveLocal=true] - Keep local patterns
-   * @returns {object} Import summary
+   * @param {string} [options.secret] - Shared team secret to verify signatures with
+   * @param {boolean} [options.requireSignature=false] - Refuse exports not signed with `secret`
+   * @param {Function} [options.confirm] - Called with the diff before anything changes;
+   *   return false to cancel the import
+   * @returns {object} Import summary, with the applied `diff` and the `verification`
    */
   importFromTeam(teamData, options = {}) {
-    const {
-      strategy = CONFLICT_STRATEGIES.MAJORITY,
-      confidenceBoost = 0.1,
-      preserveLocal = true,
-    } = options;
+    const prepared = this._prepareImport(teamData, options);
+    if (!prepared.success) return prepared;
+
+    const { plan, diff, verification } = prepared;
+    if (options.confirm && options.confirm(diff) === false) {
+      return { success: false, cancelled: true, error: 'Import cancelled', diff, verification };
+    }
+
+    const summary = this._applyImport(plan, teamData);
+    return { success: true, summary, diff, verification };
+  }
+
+  /**
+   * What importFromTeam() would change, without changing anything
+   * @param {object} teamData - Data exported from exportForTeam
+   * @param {object} [options] - Same options as importFromTeam()
+   * @returns {{success: boolean, diff?: object, verification?: object, error?: string}} `diff` lists
+   *   `patterns.added`, `patterns.changed` (`before`/`after`), `patterns.unchanged`, `patterns.pending`
+   *   (conflicts awaiting review under the manual strategy), `expertise` (`before`/`after` levels)
+   *   and `preferences`
+   */
+  previewImport(teamData, options = {}) {
+    const { plan: _plan, ...preview } = this._prepareImport(teamData, options);
+    return preview;
+  }
+
+  /**
+   * Import the latest (or a given) registry export of a team member
+   * @param {TeamRegistry} registry - Team registry
+   * @param {string} author - Member whose export to import
+   * @param {object} [options] - importFromTeam() options, plus `version` (default latest);
+   *   `secret` defaults to the registry's
+   * @returns {object} Import summary
+   */
+  importFromRegistry(registry, author, options = {}) {
+    const { version, ...importOptions } = options;
+    const entry = registry.read(author, version);
+    if (!entry.success) return entry;
 
+    return this.importFromTeam(entry.data, { secret: registry.secret || undefined, ...importOptions });
+  }
+
+  /**
+   * Conflicts an import raises, for a developer to review before importing
+   * with the manual strategy. A conflict is a team pattern that exists locally
+   * with different values; nothing is changed.
+   * @param {object} teamData - Data exported from exportForTeam
+   * @param {object} [options] - Options
+   * @param {string} [options.secret] - Shared team secret to verify signatures with
+   * @param {boolean} [options.requireSignature=false] - Refuse exports not signed with `secret`
+   * @param {boolean} [options.pendingOnly=false] - Leave out conflicts already decided
+   * @returns {{success: boolean, conflicts?: Array<object>, pending?: number, verification?: object,
+   *   error?: string}} Each conflict has `id`, `type`, `pattern`, the `local` and `team` values with
+   *   their evidence (sources, occurrences, last seen, exporting team and author), the `suggested`
+   *   decision of the majority strategy and the recorded `decision` (null while undecided)
+   */
+  reviewConflicts(teamData, options = {}) {
+    const prepared = this._prepareImport(teamData, { ...options, strategy: CONFLICT_STRATEGIES.MANUAL });
+    if (!prepared.success) return prepared;
+
+    const { plan, verification } = prepared;
+    const conflicts = plan.patterns
+      .filter(step => step.conflict && !(options.pendingOnly && step.decision))
+      .map(step => this._describeConflict(step, teamData, verification));
+
+    return {
+      success: true,
+      conflicts,
+      pending: plan.patterns.filter(step => step.action === 'pending').length,
+      verification,
+    };
+  }
+
+  /**
+   * Record a developer's decision on a conflict from reviewConflicts(). It is
+   * applied by manual-strategy imports, and the conflict is not raised again,
+   * until the team's values for the pattern change.
+   * @param {object} conflict - Conflict from reviewConflicts()
+   * @param {string} decision - CONFLICT_DECISIONS.ACCEPT or CONFLICT_DECISIONS.REJECT
+   * @returns {{success: boolean, id?: string, error?: string}}
+   */
+  decideConflict(conflict, decision) {
+    if (!Object.values(CONFLICT_DECISIONS).includes(decision)) {
+      return {
+        success: false,
+        error: `decision must be ${CONFLICT_DECISIONS.ACCEPT} or ${CONFLICT_DECISIONS.REJECT}`,
+      };
+    }
+    if (!conflict || !conflict.id || !conflict.team) {
+      return { success: false, error: 'Invalid conflict' };
+    }
+
+    this.globalMemory.recordConflictDecision(conflict.id, { decision, team: patternValues(conflict.team) });
+    return { success: true, id: conflict.id };
+  }
+
+  /**
+   * Verify an export and plan its import
+   * @private
+   */
+  _prepareImport(teamData, options) {
     if (!teamData || !teamData.patterns) {
       return { success: false, error: 'Invalid team data' };
     }
 
+    const verification = verifyExport(teamData, options);
+    if (!verification.valid) {
+      return { success: false, error: `Integrity check failed: ${verification.errors.join('; ')}`, verification };
+    }
+
     this.globalMemory.init();
 
-    const summary = {
-      patternsImported: 0,
-      patternsSkipped: 0,
-      conflictsResolved: 0,
-      expertiseImported: 0,
-      preferencesImported: 0,
-    };
+    const plan = this._planImport(teamData, options);
+    return { success: true, plan, diff: this._describePlan(plan), verification };
+  }
+
+  /**
+   * Decide what an import does, pattern by pattern
+   * @private
+   */
+  _planImport(teamData, options) {
+    const {
+      strategy = CONFLICT_STRATEGIES.MAJORITY,
+      confidenceBoost = 0.1,
+      preserveLocal = true,
+    } = options;
+
+    const plan = { patterns: [], expertise: [], preferences: [] };
 
-    // Import patterns
     for (const pattern of teamData.patterns) {
       const existing = this.globalMemory.patterns.find(
         p => p.type === pattern.type && p.pattern === pattern.pattern,
       );
 
-      if (existing) {
-        // Resolve conflict
+      if (existing && strategy === CONFLICT_STRATEGIES.MANUAL) {
+        plan.patterns.push(this._planManual(existing, pattern));
+      } else if (existing) {
         const resolved = this._resolveConflict(existing, pattern, strategy);
-        if (resolved !== existing) {
-          Object.assign(existing, resolved);
-          summary.conflictsResolved++;
-        } else {
-          summary.patternsSkipped++;
-        }
+        plan.patterns.push(resolved !== existing
+          ? { action: 'update', pattern, existing, resolved }
+          : { action: 'skip', pattern, existing });
       } else {
-        // Add new pattern with team boost
-        this.globalMemory.recordPattern({
-          type: pattern.type,
-          pattern: pattern.pattern,
+        plan.patterns.push({
+          action: 'add',
+          pattern,
           confidence: Math.min(0.99, (pattern.confidence || 0.5) + confidenceBoost),
-          source: teamData.teamName || 'team',
         });
-        summary.patternsImported++;
       }
     }
 
-    // Import expertise
     if (teamData.expertise) {
       for (const [domain, data] of Object.entries(teamData.expertise)) {
         const level = typeof data === 'number' ? data : data.level;
-        if (level) {
-          this.globalMemory.addExpertise(domain, level);
-          summary.expertiseImported++;
-        }
+        if (level) plan.expertise.push({ domain, level });
       }
     }
 
-    // Import preferences (only if not already set locally)
+    // Preferences only fill keys not already set locally
     if (teamData.preferences && !preserveLocal) {
       for (const [key, value] of Object.entries(teamData.preferences)) {
-        if (!this.globalMemory.getPreference(key)) {
-          this.globalMemory.setPreference(key, value);
-          summary.preferencesImported++;
-        }
+        if (!this.globalMemory.getPreference(key)) plan.preferences.push({ key, value });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Plan step for a pattern that exists locally, under the manual strategy:
+   * a decision recorded for the same team values applies, anything else waits
+   * for review
+   * @private
+   */
+  _planManual(existing, pattern) {
+    if (valuesKey(existing) === valuesKey(pattern)) {
+      return { action: 'skip', pattern, existing };
+    }
+
+    const recorded = this.globalMemory.getConflictDecision(conflictId(pattern));
+    const decision = recorded && recorded.team && valuesKey(recorded.team) === valuesKey(pattern)
+      ? recorded.decision
+      : null;
+
+    if (decision === CONFLICT_DECISIONS.ACCEPT) {
+      return { action: 'update', pattern, existing, resolved: pattern, conflict: true, decision };
+    }
+    return { action: decision ? 'skip' : 'pending', pattern, existing, conflict: true, decision };
+  }
+
+  /**
+   * Conflict as shown for review
+   * @private
+   */
+  _describeConflict(step, teamData, verification) {
+    const { existing, pattern } = step;
+    const majority = this._resolveConflict(existing, pattern, CONFLICT_STRATEGIES.MAJORITY);
+
+    return {
+      id: conflictId(pattern),
+      type: pattern.type,
+      pattern: pattern.pattern,
+      local: { ...patternValues(existing), lastSeen: existing.lastSeen || null },
+      team: {
+        ...patternValues(pattern),
+        teamName: teamData.teamName || 'team',
+        author: verification.author || teamData.exportedBy || null,
+        exportedAt: teamData.exportedAt || null,
+      },
+      suggested: majority === existing ? CONFLICT_DECISIONS.REJECT : CONFLICT_DECISIONS.ACCEPT,
+      decision: step.decision,
+    };
+  }
+
+  /**
+   * Plan as a reviewable diff
+   * @private
+   */
+  _describePlan(plan) {
+    const diff = {
+      patterns: { added: [], changed: [], unchanged: [], pending: [] },
+      expertise: [],
+      preferences: plan.preferences.map(({ key, value }) => ({ key, value })),
+    };
+
+    for (const step of plan.patterns) {
+      const { type, pattern } = step.pattern;
+      if (step.action === 'add') {
+        diff.patterns.added.push({ type, pattern, confidence: step.confidence });
+      } else if (step.action === 'update') {
+        diff.patterns.changed.push({
+          type,
+          pattern,
+          before: patternValues(step.existing),
+          after: patternValues(step.resolved),
+        });
+      } else if (step.action === 'pending') {
+        diff.patterns.pending.push({ id: conflictId(step.pattern), type, pattern });
+      } else {
+        diff.patterns.unchanged.push({ type, pattern });
+      }
+    }
+
+    // Mirrors GlobalMemory.addExpertise(), which blends toward the new level
+    const levels = {};
+    for (const { domain, level } of plan.expertise) {
+      const before = domain in levels ? levels[domain] : this.globalMemory.expertise[domain]?.level ?? null;
+      levels[domain] = before === null ? level : before * 0.7 + level * 0.3;
+      diff.expertise.push({ domain, before, after: levels[domain] });
+    }
+
+    return diff;
+  }
+
+  /**
+   * Carry out a plan from _planImport()
+   * @private
+   */
+  _applyImport(plan, teamData) {
+    const summary = {
+      patternsImported: 0,
+      patternsSkipped: 0,
+      conflictsResolved: 0,
+      conflictsPending: 0,
+      expertiseImported: 0,
+      preferencesImported: 0,
+    };
+
+    for (const step of plan.patterns) {
+      if (step.action === 'update') {
+        Object.assign(step.existing, step.resolved);
+        summary.conflictsResolved++;
+      } else if (step.action === 'skip') {
+        summary.patternsSkipped++;
+      } else if (step.action === 'pending') {
+        summary.conflictsPending++;
+      } else {
+        // Add new pattern with team boost
+        this.globalMemory.recordPattern({
+          type: step.pattern.type,
+          pattern: step.pattern.pattern,
+          confidence: step.confidence,
+          source: teamData.teamName || 'team',
+        });
+        summary.patternsImported++;
       }
     }
 
-    return { success: true, summary };
+    for (const { domain, level } of plan.expertise) {
+      this.globalMemory.addExpertise(domain, level);
+      summary.expertiseImported++;
+    }
+
+    for (const { key, value } of plan.preferences) {
+      this.globalMemory.setPreference(key, value);
+      summary.preferencesImported++;
+    }
+
+    return summary;
   }
 
   /**
@@ -412,15 +690,18 @@ class TeamSync {
   // ==================== FILE OPERATIONS ====================
 
   /**
-   * Export team data to file
+   * Export team data to file, with provenance (author, content hash and,
+   * given a secret, an HMAC signature)
    * @param {string} filePath - File path to write
    * @param {string} teamName - Team name
-   * @param {object} [options] - Export options
+   * @param {object} [options] - exportForTeam() options, plus:
+   * @param {string} [options.author] - Author recorded in the provenance (defaults to `exportedBy`)
+   * @param {string} [options.secret] - Shared team secret to sign with
    */
   exportToFile(filePath, teamName, options = {}) {
-    const data = this.exportForTeam(teamName, options);
+    const data = addProvenance(this.exportForTeam(teamName, options), options);
     fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    return { success: true, path: filePath, patternCount: data.patternCount };
+    return { success: true, path: filePath, patternCount: data.patternCount, contentHash: data.provenance.contentHash };
   }
 
   /**
@@ -471,6 +752,10 @@ class TeamSync {
       }
     }
 
+    if (data.provenance) {
+      errors.push(...verifyExport(data).errors);
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -494,8 +779,47 @@ class TeamSync {
   }
 }
 
+/**
+ * Render an import diff (from previewImport() or importFromTeam()) for review
+ * @param {object} diff - Import diff
+ * @returns {string} One line per change: `+` added, `~` changed, `?` awaiting review, then expertise
+ *   and preferences
+ */
+function formatImportDiff(diff) {
+  const lines = [];
+  const round = (n) => Math.round(n * 100) / 100;
+
+  for (const p of diff.patterns.added) {
+    lines.push(`+ ${p.type}: ${p.pattern} (confidence ${round(p.confidence)})`);
+  }
+  for (const p of diff.patterns.changed) {
+    const changes = ['confidence', 'occurrences']
+      .filter(key => p.before[key] !== p.after[key])
+      .map(key => `${key} ${round(p.before[key])} -> ${round(p.after[key])}`);
+    const sources = p.after.sources.filter(source => !p.before.sources.includes(source));
+    if (sources.length > 0) changes.push(`sources +${sources.join(', +')}`);
+    lines.push(`~ ${p.type}: ${p.pattern} (${changes.join(', ') || 'replaced'})`);
+  }
+  for (const p of diff.patterns.pending) {
+    lines.push(`? ${p.type}: ${p.pattern} (conflict awaiting review)`);
+  }
+  for (const e of diff.expertise) {
+    lines.push(`~ expertise ${e.domain}: ${e.before === null ? 'new' : round(e.before)} -> ${round(e.after)}`);
+  }
+  for (const { key, value } of diff.preferences) {
+    lines.push(`+ preference ${key}: ${JSON.stringify(value)}`);
+  }
+  if (diff.patterns.unchanged.length > 0) {
+    lines.push(`  ${diff.patterns.unchanged.length} pattern(s) unchanged`);
+  }
+
+  return lines.join('\n');
+}
+
 module.exports = {
   TeamSync,
   CONFLICT_STRATEGIES,
+  CONFLICT_DECISIONS,
   EXPORT_VERSION,
+  formatImportDiff,
 };
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * GYWD Planning
+ *
+ * Parsers and writers for the .planning/ markdown files (STATE.md,
+ * ROADMAP.md, PLAN.md, ISSUES.md). One source of truth for the MCP server,
+ * VS Code extension and CLAUDE.md sync.
+ * Zero external dependencies.
+ */
+
+const { StateDocument, STATE_FIELDS, renderProgressBar } = require('./state-document');
+const { RoadmapDocument, MILESTONE_STATUS } = require('./roadmap-document');
+const { PlanDocument, PLAN_FILE_NAME, TASK_FIELDS } = require('./plan-document');
+const { IssuesDocument, ISSUE_FIELDS } = require('./issues-document');
+const {
+  PLANNING_DIR,
+  readState,
+  readRoadmap,
+  readIssues,
+  readConfig,
+  readPlan,
+  listPhaseDirs,
+  listPlans,
+  writeFileAtomic,
+  writeDocument,
+} = require('./planning-files');
+const {
+  completeTask,
+  advancePlan,
+  addIssue,
+  setFocus,
+} = require('./planning-actions');
+const markdown = require('./markdown');
+
+module.exports = {
+  // Classes
+  StateDocument,
+  RoadmapDocument,
+  PlanDocument,
+  IssuesDocument,
+
+  // Constants
+  PLANNING_DIR,
+  STATE_FIELDS,
+  MILESTONE_STATUS,
+  PLAN_FILE_NAME,
+  TASK_FIELDS,
+  ISSUE_FIELDS,
+
+  // File helpers
+  readState,
+  readRoadmap,
+  readIssues,
+  readConfig,
+  readPlan,
+  listPhaseDirs,
+  listPlans,
+  writeFileAtomic,
+  writeDocument,
+  renderProgressBar,
+
+  // Workflow actions
+  completeTask,
+  advancePlan,
+  addIssue,
+  setFocus,
+
+  // Namespaced exports
+  markdown,
+
+  // Factory functions
+  parseState: (content) => new StateDocument(content),
+  parseRoadmap: (content) => new RoadmapDocument(content),
+  parsePlan: (content, fileName) => new PlanDocument(content, fileName),
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+const {
+  splitLines,
+  parseSections,
+  findSection,
+  findField,
+  singleLine,
+  appendToSection,
+} = require('./markdown');
+
+/**
+ * `### ISS-001: Brief description`
+ */
+const ISSUE_HEADING = /^(ISS-(\d+)):\s*(.*)$/;
+
+/**
+ * Fields of an ISSUES.md entry, in template order
+ */
+const ISSUE_FIELDS = {
+  discovered: 'Discovered',
+  type: 'Type',
+  description: 'Description',
+  impact: 'Impact',
+  effort: 'Effort',
+  suggestedPhase: 'Suggested phase',
+};
+
+/**
+ * Content for a new ISSUES.md (templates/issues.md without the placeholder entry)
+ */
+const ISSUES_SKELETON = [
+  '# Project Issues Log',
+  '',
+  'Enhancements discovered during execution. Not critical - address in future phases.',
+  '',
+  '## Open Enhancements',
+  '',
+  '## Closed Enhancements',
+  '',
+  '[Moved here when addressed]',
+  '',
+].join('\n');
+
+/**
+ * IssuesDocument - Structured view of .planning/ISSUES.md
+ *
+ * Lists open and closed ISS-NNN entries and appends new ones using the
+ * templates/issues.md entry format. Template placeholder entries
+ * (`ISS-001: [Brief description]`) are ignored and replaced on first add.
+ *
+ * @example
+ * const issues = new IssuesDocument(content);
+ * issues.addIssue({ title: 'Cache parsed ROADMAP', type: 'Performance', effort: 'Quick' });
+ * // => { id: 'ISS-004', ... }
+ */
+class IssuesDocument {
+  /**
+   * @param {string} [content] - ISSUES.md content (defaults to an empty log)
+   */
+  constructor(content = ISSUES_SKELETON) {
+    const { lines, eol } = splitLines(content);
+    this.lines = lines;
+    this.eol = eol;
+    this._parse();
+  }
+
+  /**
+   * Parse ISS entries from the open and closed sections
+   * @private
+   */
+  _parse() {
+    const sections = parseSections(this.lines);
+    this.openSection = findSection(sections, 'Open Enhancements');
+    this.closedSection = findSection(sections, 'Closed Enhancements');
+
+    this.issues = [];
+    this.placeholders = [];
+    for (const section of sections) {
+      const match = section.title.match(ISSUE_HEADING);
+      if (!match) continue;
+
+      if (/^\[.*\]$/.test(match[3].trim())) {
+        this.placeholders.push(section);
+        continue;
+      }
+
+      const range = { start: section.line + 1, end: section.end };
+      const issue = {
+        id: match[1],
+        number: parseInt(match[2], 10),
+        title: match[3].trim(),
+        status: this._isWithin(section, this.closedSection) ? 'closed' : 'open',
+        line: section.line,
+      };
+      for (const [key, name] of Object.entries(ISSUE_FIELDS)) {
+        const field = findField(this.lines, name, range);
+        issue[key] = field ? field.value : null;
+      }
+      this.issues.push(issue);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isWithin(section, parent) {
+    return Boolean(parent) && section.line > parent.line && section.line < parent.end;
+  }
+
+  /**
+   * Open issues
+   * @returns {Array<object>}
+   */
+  getOpenIssues() {
+    return this.issues.filter(i => i.status === 'open');
+  }
+
+  /**
+   * Get an issue by ID
+   * @param {string} id - Issue ID (e.g. 'ISS-002')
+   * @returns {object|null}
+   */
+  getIssue(id) {
+    return this.issues.find(i => i.id === id) || null;
+  }
+
+  /**
+   * Next free ISS-NNN identifier
+   * @returns {string}
+   */
+  nextId() {
+    const max = this.issues.reduce((highest, i) => Math.max(highest, i.number), 0);
+    return `ISS-${String(max + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * Append an issue to "Open Enhancements"
+   * @param {object} issue - Issue fields
+   * @param {string} issue.title - Brief description
+   * @param {string} [issue.discovered] - Where/when it was found
+   * @param {string} [issue.type] - Performance, Refactoring, UX, Testing, ...
+   * @param {string} [issue.description] - What could be improved and why
+   * @param {string} [issue.impact] - Impact (defaults to the template's "Low")
+   * @param {string} [issue.effort] - Quick, Medium or Substantial
+   * @param {string} [issue.suggestedPhase] - Phase number or "Future"
+   * @returns {object|null} The added issue; null if the title does not read back as an issue
+   *   (e.g. a `[placeholder]`). Line breaks in values are collapsed.
+   */
+  addIssue(issue) {
+    const id = this.nextId();
+    const values = {
+      impact: 'Low (works correctly, this would enhance)',
+      suggestedPhase: 'Future',
+      ...issue,
+    };
+
+    // Drop template placeholders before adding the first real entry
+    for (const placeholder of [...this.placeholders].reverse()) {
+      this.lines.splice(placeholder.line, placeholder.end - placeholder.line);
+    }
+    if (this.placeholders.length > 0) this._parse();
+
+    if (!this.openSection) {
+      appendToSection(this.lines, { line: 0, end: this._openInsertPoint() }, ['## Open Enhancements'], true);
+      this._parse();
+    }
+
+    const block = [`### ${id}: ${singleLine(values.title)}`, ''];
+    for (const [key, name] of Object.entries(ISSUE_FIELDS)) {
+      if (values[key]) block.push(`- **${name}:** ${singleLine(values[key])}`);
+    }
+    appendToSection(this.lines, this.openSection, block, true);
+    this._parse();
+
+    return this.getIssue(id);
+  }
+
+  /**
+   * Where to create a missing "Open Enhancements" section
+   * @private
+   */
+  _openInsertPoint() {
+    return this.closedSection ? this.closedSection.line : this.lines.length;
+  }
+
+  /**
+   * Serialize back to markdown
+   * @returns {string} ISSUES.md content
+   */
+  toString() {
+    return this.lines.join(this.eol);
+  }
+
+  /**
+   * Plain object view of the issues
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      issues: this.issues.map(({ line: _line, ...rest }) => rest),
+    };
+  }
+}
+
+module.exports = {
+  IssuesDocument,
+  ISSUE_FIELDS,
+  ISSUES_SKELETON,
+};
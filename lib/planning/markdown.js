@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * Planning Markdown Helpers
+ *
+ * Line-oriented primitives shared by the STATE, ROADMAP and PLAN parsers.
+ * Everything works on an array of lines so documents can be edited in place
+ * and serialized back without touching untouched bytes.
+ */
+
+/**
+ * `**Field:** value`, `**Field**: value`, `Field: value` and `- **Field:** value` lines
+ */
+const FIELD_LINE = /^(\s*(?:[-*]\s+)?)(\*\*)?([A-Za-z][\w /-]*?)(\*\*)?:(\*\*)?(\s*)(.*)$/;
+
+/**
+ * `- [ ] text` / `- [x] text` checklist lines
+ */
+const CHECKBOX_LINE = /^(\s*[-*]\s+)\[([ xX])\](\s+)(.*)$/;
+
+/**
+ * ATX headings
+ */
+const HEADING_LINE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Split content into lines, remembering the line ending style
+ * @param {string} content - File content
+ * @returns {{lines: string[], eol: string}}
+ */
+function splitLines(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  return { lines: content.split(eol), eol };
+}
+
+/**
+ * Find which lines sit inside fenced code blocks
+ * @param {string[]} lines - Document lines
+ * @returns {boolean[]} True for lines inside (or delimiting) a fence
+ */
+function fencedLines(lines) {
+  const fenced = new Array(lines.length).fill(false);
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const isFence = /^\s*(```|~~~)/.test(lines[i]);
+    if (isFence) {
+      fenced[i] = true;
+      inFence = !inFence;
+    } else {
+      fenced[i] = inFence;
+    }
+  }
+
+  return fenced;
+}
+
+/**
+ * Parse headings into sections with line ranges
+ * @param {string[]} lines - Document lines
+ * @returns {Array<{level: number, title: string, line: number, end: number}>}
+ *   `end` is exclusive and stops at the next heading of the same or higher level
+ */
+function parseSections(lines) {
+  const fenced = fencedLines(lines);
+  const sections = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (fenced[i]) continue;
+    const match = lines[i].match(HEADING_LINE);
+    if (match) {
+      sections.push({ level: match[1].length, title: match[2], line: i, end: lines.length });
+    }
+  }
+
+  for (let i = 0; i < sections.length; i++) {
+    for (let j = i + 1; j < sections.length; j++) {
+      if (sections[j].level <= sections[i].level) {
+        sections[i].end = sections[j].line;
+        break;
+      }
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Find a section by title (case-insensitive, prefix match)
+ * @param {Array<object>} sections - Sections from parseSections
+ * @param {string|RegExp} title - Title or pattern
+ * @returns {object|null} Section or null
+ */
+function findSection(sections, title) {
+  const matches = typeof title === 'string'
+    ? (s) => s.title.toLowerCase().startsWith(title.toLowerCase())
+    : (s) => title.test(s.title);
+  return sections.find(matches) || null;
+}
+
+/**
+ * Get the body text of a section (without its heading)
+ * @param {string[]} lines - Document lines
+ * @param {object|null} section - Section from parseSections
+ * @returns {string|null} Trimmed body or null
+ */
+function sectionBody(lines, section) {
+  if (!section) return null;
+  return lines.slice(section.line + 1, section.end).join('\n').trim();
+}
+
+/**
+ * Parse a `Field: value` line
+ * @param {string} line - Line to parse
+ * @returns {{prefix: string, bold: boolean, name: string, value: string}|null}
+ */
+function parseFieldLine(line) {
+  const match = line.match(FIELD_LINE);
+  if (!match) return null;
+
+  // Bold markers must be balanced: **Name:** or **Name**:
+  const bold = Boolean(match[2]);
+  if (bold !== Boolean(match[4] || match[5])) {
+    return null;
+  }
+
+  return {
+    prefix: match[1],
+    bold,
+    name: match[3].trim(),
+    value: match[7].trim(),
+  };
+}
+
+/**
+ * Find the first field line with a given name
+ * @param {string[]} lines - Document lines
+ * @param {string|string[]} names - Field name or aliases (case-insensitive)
+ * @param {object} [range] - Optional {start, end} line range
+ * @returns {{line: number, name: string, value: string}|null}
+ */
+function findField(lines, names, range = {}) {
+  const wanted = (Array.isArray(names) ? names : [names]).map(n => n.toLowerCase());
+  const fenced = fencedLines(lines);
+  const start = range.start || 0;
+  const end = range.end == null ? lines.length : range.end;
+
+  for (let i = start; i < end; i++) {
+    if (fenced[i]) continue;
+    const field = parseFieldLine(lines[i]);
+    if (field && wanted.includes(field.name.toLowerCase())) {
+      return { line: i, name: field.name, value: field.value };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collapse line breaks so a value cannot spill into following lines
+ * (a stray "\n## Heading" would otherwise add a section)
+ * @param {*} value - Value to write on a single line
+ * @returns {string}
+ */
+function singleLine(value) {
+  return String(value).replace(/[ \t]*[\r\n]+[ \t]*/g, ' ').trim();
+}
+
+/**
+ * Replace the value of a field line, keeping its prefix and bold style
+ * @param {string} line - Original line
+ * @param {string} value - New value; line breaks are collapsed
+ * @returns {string} Updated line
+ */
+function replaceFieldValue(line, value) {
+  const match = line.match(FIELD_LINE);
+  if (!match) return line;
+  const [, prefix, open = '', name, closeBefore = '', closeAfter = '', space] = match;
+  return `${prefix}${open}${name}${closeBefore}:${closeAfter}${space || ' '}${singleLine(value)}`;
+}
+
+/**
+ * Parse a checklist line
+ * @param {string} line - Line to parse
+ * @returns {{checked: boolean, text: string}|null}
+ */
+function parseCheckbox(line) {
+  const match = line.match(CHECKBOX_LINE);
+  if (!match) return null;
+  return { checked: match[2] !== ' ', text: match[4].trim() };
+}
+
+/**
+ * Set the checked state of a checklist line
+ * @param {string} line - Original line
+ * @param {boolean} checked - New state
+ * @returns {string} Updated line
+ */
+function setCheckbox(line, checked) {
+  return line.replace(CHECKBOX_LINE, (_m, prefix, _state, space, text) =>
+    `${prefix}[${checked ? 'x' : ' '}]${space}${text}`,
+  );
+}
+
+/**
+ * Parse "X of Y (name)" values
+ * @param {string} value - Field value
+ * @returns {{current: number, total: number, name: string|null}|null}
+ */
+function parseOf(value) {
+  const match = String(value || '').match(/^(\d+(?:\.\d+)?)\s+of\s+(\d+)(?:\s*\(([^)]*)\))?/);
+  if (!match) return null;
+  return {
+    current: Number(match[1]),
+    total: Number(match[2]),
+    name: match[3] ? match[3].trim() : null,
+  };
+}
+
+/**
+ * Parse a markdown table starting at a line
+ * @param {string[]} lines - Document lines
+ * @param {number} start - First line to search from
+ * @param {number} [end] - Exclusive end line
+ * @returns {{headers: string[], rows: Array<{cells: string[], line: number}>}|null}
+ */
+function parseTable(lines, start, end = lines.length) {
+  let headerLine = -1;
+  for (let i = start; i < end; i++) {
+    if (/^\s*\|.*\|\s*$/.test(lines[i]) && /^\s*\|[\s:|-]+\|\s*$/.test(lines[i + 1] || '')) {
+      headerLine = i;
+      break;
+    }
+  }
+  if (headerLine === -1) return null;
+
+  const cells = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+  const headers = cells(lines[headerLine]);
+  const rows = [];
+
+  for (let i = headerLine + 2; i < end && /^\s*\|.*\|\s*$/.test(lines[i]); i++) {
+    rows.push({ cells: cells(lines[i]), line: i });
+  }
+
+  return { headers, rows };
+}
+
+/**
+ * Format cells as a markdown table row
+ * @param {string[]} cells - Cell values
+ * @returns {string} Table row
+ */
+function formatTableRow(cells) {
+  return `| ${cells.join(' | ')} |`;
+}
+
+/**
+ * Insert lines after the last non-blank line of a section, in place
+ * @param {string[]} lines - Document lines (mutated)
+ * @param {{line: number, end: number}} section - Section from parseSections
+ * @param {string[]} insert - Lines to insert
+ * @param {boolean} [separate=false] - Put a blank line between existing content and the insert
+ * @returns {number} Index of the first inserted line
+ */
+function appendToSection(lines, section, insert, separate = false) {
+  let at = section.end;
+  while (at > section.line + 1 && lines[at - 1].trim() === '') at--;
+
+  const lead = separate ? [''] : [];
+  const trail = at < lines.length && lines[at].trim() !== '' ? [''] : [];
+  lines.splice(at, 0, ...lead, ...insert, ...trail);
+  return at + lead.length;
+}
+
+module.exports = {
+  FIELD_LINE,
+  CHECKBOX_LINE,
+  HEADING_LINE,
+  splitLines,
+  fencedLines,
+  parseSections,
+  findSection,
+  sectionBody,
+  parseFieldLine,
+  findField,
+  singleLine,
+  replaceFieldValue,
+  parseCheckbox,
+  setCheckbox,
+  parseOf,
+  parseTable,
+  formatTableRow,
+  appendToSection,
+};
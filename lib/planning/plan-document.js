@@ -0,0 +1,257 @@
+'use strict';
+
+const { parseFrontmatter } = require('../validators/command-validator');
+const {
+  splitLines,
+  parseSections,
+  findSection,
+  findField,
+  parseCheckbox,
+  setCheckbox,
+  fencedLines,
+  HEADING_LINE,
+} = require('./markdown');
+
+/**
+ * Child elements of a <task> block
+ */
+const TASK_FIELDS = ['name', 'files', 'action', 'verify', 'done', 'decision', 'context', 'what-built', 'how-to-verify', 'resume-signal'];
+
+/**
+ * Plan file name: `01-02-PLAN.md`, `2.1-01-PLAN.md`
+ */
+const PLAN_FILE_NAME = /^(\d+(?:\.\d+)?)-(\d+)-PLAN\.md$/;
+
+/**
+ * Parse `key="value"` attributes from a tag
+ * @param {string} source - Attribute source
+ * @returns {object} Attributes
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+/**
+ * Get the inner text of the first <tag>...</tag> in a block
+ * @param {string} block - Source block
+ * @param {string} tag - Tag name
+ * @returns {string|null} Trimmed inner text
+ */
+function innerText(block, tag) {
+  const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * PlanDocument - Structured view of a phase PLAN.md
+ *
+ * Handles the XML-task layout from templates/phase-prompt.md as well as the
+ * markdown-heading layout used by hand-written plans.
+ *
+ * @example
+ * const plan = new PlanDocument(content, '03-02-PLAN.md');
+ * plan.tasks.map(t => t.name); // => ['Task 1: Create login endpoint', ...]
+ * plan.setChecked(0);
+ */
+class PlanDocument {
+  /**
+   * @param {string} [content=''] - PLAN.md content
+   * @param {string} [fileName] - File name, used to derive phase/plan numbers
+   */
+  constructor(content = '', fileName = null) {
+    const { lines, eol } = splitLines(content);
+    this.lines = lines;
+    this.eol = eol;
+    this.fileName = fileName;
+    this._parse();
+  }
+
+  /**
+   * Parse lines into frontmatter, objective, tasks and checklists
+   * @private
+   */
+  _parse() {
+    const content = this.lines.join('\n');
+    const sections = parseSections(this.lines);
+
+    this.frontmatter = parseFrontmatter(content) || {};
+
+    const nameMatch = this.fileName ? this.fileName.match(PLAN_FILE_NAME) : null;
+    const headingPlan = content.match(/^#\s+Plan:\s*(\d+(?:\.\d+)?)-(\d+)/m);
+    const numbers = nameMatch || headingPlan;
+    this.phase = numbers ? numbers[1] : null;
+    this.plan = numbers ? numbers[2] : null;
+
+    const titleLine = this.lines.find(l => /^#\s/.test(l));
+    this.title = titleLine ? titleLine.match(HEADING_LINE)[2] : null;
+
+    this.objective = innerText(content, 'objective') ||
+      this._sectionText(sections, 'Objective');
+
+    const dependsOn = findField(this.lines, 'Depends on');
+    this.dependsOn = dependsOn ? dependsOn.value : null;
+
+    this.tasks = this._parseTasks();
+    this.checklist = this._parseChecklist(sections);
+  }
+
+  /**
+   * @private
+   */
+  _sectionText(sections, title) {
+    const section = findSection(sections, title);
+    if (!section) return null;
+    return this.lines.slice(section.line + 1, section.end).join('\n').trim() || null;
+  }
+
+  /**
+   * Parse <task> blocks
+   * @private
+   */
+  _parseTasks() {
+    const fenced = fencedLines(this.lines);
+    const tasks = [];
+
+    for (let i = 0; i < this.lines.length; i++) {
+      if (fenced[i]) continue;
+      const open = this.lines[i].match(/^\s*<task(\s[^>]*)?>/);
+      if (!open) continue;
+
+      let end = i;
+      while (end < this.lines.length && !this.lines[end].includes('</task>')) end++;
+
+      const block = this.lines.slice(i, end + 1).join('\n');
+      const attributes = parseAttributes(open[1] || '');
+      const task = {
+        index: tasks.length,
+        type: attributes.type || 'auto',
+        gate: attributes.gate || null,
+        id: attributes.id || String(tasks.length + 1),
+        attributes,
+        line: i,
+        endLine: end,
+      };
+
+      for (const field of TASK_FIELDS) {
+        const value = innerText(block, field);
+        if (value != null) {
+          task[field.replace(/-(\w)/g, (_m, c) => c.toUpperCase())] = value;
+        }
+      }
+
+      task.name = task.name || attributes.title || attributes.name || `Task ${task.id}`;
+      task.files = task.files ? task.files.split(',').map(f => f.trim()).filter(Boolean) : [];
+      task.isCheckpoint = task.type.startsWith('checkpoint');
+
+      if (!TASK_FIELDS.some(f => block.includes(`<${f}>`))) {
+        task.body = block.replace(/^\s*<task[^>]*>/, '').replace(/<\/task>\s*$/, '').trim();
+      }
+
+      tasks.push(task);
+      i = end;
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Collect checklist items with the block or heading they belong to
+   * @private
+   */
+  _parseChecklist(sections) {
+    const fenced = fencedLines(this.lines);
+    const items = [];
+    let block = null;
+
+    for (let i = 0; i < this.lines.length; i++) {
+      if (fenced[i]) continue;
+
+      const openTag = this.lines[i].match(/^\s*<([a-z_]+)>\s*$/);
+      if (openTag) block = openTag[1];
+      if (block && new RegExp(`</${block}>`).test(this.lines[i])) {
+        block = null;
+        continue;
+      }
+
+      const checkbox = parseCheckbox(this.lines[i]);
+      if (!checkbox) continue;
+
+      const heading = [...sections].reverse().find(s => s.line < i);
+      items.push({
+        index: items.length,
+        text: checkbox.text,
+        checked: checkbox.checked,
+        section: block || (heading ? heading.title : null),
+        line: i,
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Get a task by ID or zero-based index
+   * @param {string|number} idOrIndex - Task ID attribute or index
+   * @returns {object|null} Task or null
+   */
+  getTask(idOrIndex) {
+    if (typeof idOrIndex === 'number') {
+      return this.tasks[idOrIndex] || null;
+    }
+    return this.tasks.find(t => t.id === idOrIndex) || null;
+  }
+
+  /**
+   * Check or uncheck a checklist item
+   * @param {number|string} target - Item index, or text the item starts with
+   * @param {boolean} [checked=true] - New state
+   * @returns {boolean} True if the item was found
+   */
+  setChecked(target, checked = true) {
+    const item = typeof target === 'number'
+      ? this.checklist[target]
+      : this.checklist.find(c => c.text.startsWith(target));
+    if (!item) return false;
+
+    this.lines[item.line] = setCheckbox(this.lines[item.line], checked);
+    this._parse();
+    return true;
+  }
+
+  /**
+   * Serialize back to markdown
+   * @returns {string} PLAN.md content
+   */
+  toString() {
+    return this.lines.join(this.eol);
+  }
+
+  /**
+   * Plain object view of the parsed plan
+   * @returns {object} Parsed plan
+   */
+  toJSON() {
+    const strip = ({ line: _line, endLine: _endLine, ...rest }) => rest;
+    return {
+      fileName: this.fileName,
+      phase: this.phase,
+      plan: this.plan,
+      title: this.title,
+      frontmatter: this.frontmatter,
+      objective: this.objective,
+      dependsOn: this.dependsOn,
+      tasks: this.tasks.map(strip),
+      checklist: this.checklist.map(strip),
+    };
+  }
+}
+
+module.exports = {
+  PlanDocument,
+  PLAN_FILE_NAME,
+  TASK_FIELDS,
+};
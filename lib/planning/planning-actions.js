@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Planning Actions
+ *
+ * Workflow steps that edit .planning/ files: tick a plan checklist item,
+ * advance to the next plan, log an issue, set the focus. Mirrors what the
+ * execute-phase workflow does by hand. Every action writes atomically and
+ * returns `{ success: true, state, ... }` or `{ success: false, error }`.
+ */
+
+const path = require('path');
+const { IssuesDocument } = require('./issues-document');
+const {
+  readState,
+  readRoadmap,
+  readIssues,
+  readPlan,
+  listPlans,
+  writeDocument,
+} = require('./planning-files');
+
+/**
+ * Today as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Plain view of STATE.md for action results
+ * @param {StateDocument|null} state - Parsed state
+ * @returns {object|null}
+ */
+function stateSnapshot(state) {
+  return state ? state.toJSON() : null;
+}
+
+/**
+ * Find a plan file by ID ('03-02')
+ * @param {string} planningDir - Path to .planning directory
+ * @param {string} planId - Plan ID
+ * @returns {object|null} Entry from listPlans
+ */
+function findPlanFile(planningDir, planId) {
+  return listPlans(planningDir).find(p => `${p.phase}-${p.plan}` === planId) || null;
+}
+
+/**
+ * Tick (or untick) a checklist item in a PLAN.md
+ * @param {string} planningDir - Path to .planning directory
+ * @param {object} options - Options
+ * @param {string} options.plan - Plan ID (e.g. '03-02')
+ * @param {number|string} options.task - Checklist item index, or the text it starts with
+ * @param {boolean} [options.done=true] - New state
+ * @returns {object} Result with the plan's checklist
+ */
+function completeTask(planningDir, { plan, task, done = true }) {
+  const entry = plan ? findPlanFile(planningDir, plan) : null;
+  if (!entry) return { success: false, error: `Plan not found: ${plan}` };
+
+  const doc = readPlan(entry.path);
+  if (!doc.setChecked(task, done)) {
+    return { success: false, error: `Checklist item not found in ${plan}: ${task}` };
+  }
+  writeDocument(entry.path, doc);
+
+  return {
+    success: true,
+    plan,
+    checklist: doc.toJSON().checklist,
+    remaining: doc.checklist.filter(c => !c.checked).length,
+    state: stateSnapshot(readState(planningDir)),
+  };
+}
+
+/**
+ * Mark a plan complete and move STATE.md/ROADMAP.md to the next position
+ *
+ * Ticks the plan in ROADMAP.md, updates the phase's progress row (and the
+ * phase checkbox once every plan is done), then sets Plan, Status,
+ * Last activity and Progress in STATE.md.
+ *
+ * @param {string} planningDir - Path to .planning directory
+ * @param {object} [options] - Options
+ * @param {string} [options.plan] - Plan ID (defaults to the first unfinished plan)
+ * @param {string} [options.date] - Completion date (defaults to today)
+ * @returns {object} Result with the new state
+ */
+function advancePlan(planningDir, { plan, date = today() } = {}) {
+  const roadmap = readRoadmap(planningDir);
+  if (!roadmap) return { success: false, error: 'ROADMAP.md not found' };
+
+  let planId = plan;
+  if (!planId) {
+    const current = roadmap.phases.find(p => p.plans.some(entry => !entry.done));
+    const next = current && current.plans.find(entry => !entry.done);
+    if (!next) return { success: false, error: 'No unfinished plans in ROADMAP.md' };
+    planId = next.id;
+  }
+
+  const target = roadmap.getPlan(planId);
+  if (!target) return { success: false, error: `Plan not in ROADMAP.md: ${planId}` };
+  if (target.done) return { success: false, error: `Plan already complete: ${planId}` };
+
+  roadmap.setPlanDone(planId);
+  const phase = roadmap.getPhase(target.phase);
+  const plansComplete = phase.plans.filter(p => p.done).length;
+  const phaseComplete = phase.complete;
+
+  roadmap.updateProgress(phase.number, {
+    plansComplete,
+    plansTotal: phase.plans.length,
+    status: phaseComplete ? 'Complete' : 'In progress',
+    ...(phaseComplete ? { completed: date } : {}),
+  });
+  if (phaseComplete) roadmap.setPhaseDone(phase.number);
+
+  const allPlans = roadmap.phases.flatMap(p => p.plans);
+  const percent = allPlans.length > 0
+    ? (allPlans.filter(p => p.done).length / allPlans.length) * 100
+    : 0;
+
+  const state = readState(planningDir);
+  if (state) {
+    if (state.phase && String(state.phase.current) !== phase.number) {
+      state.setPhase(phase.number, undefined, phase.name);
+    }
+    state.setPlan(plansComplete, phase.plans.length);
+    state.setStatus(phaseComplete ? 'Phase complete' : 'In progress');
+    state.setLastActivity(`Completed ${planId}-PLAN.md`, date);
+    state.setProgress(percent);
+    writeDocument(path.join(planningDir, 'STATE.md'), state);
+  }
+  writeDocument(path.join(planningDir, 'ROADMAP.md'), roadmap);
+
+  return {
+    success: true,
+    plan: planId,
+    phase: phase.number,
+    phaseComplete,
+    progress: Math.round(percent),
+    state: stateSnapshot(state),
+  };
+}
+
+/**
+ * Log an enhancement to ISSUES.md (creating it if needed) and list it under
+ * "Deferred Issues" in STATE.md
+ * @param {string} planningDir - Path to .planning directory
+ * @param {object} issue - Issue fields (see IssuesDocument#addIssue)
+ * @returns {object} Result with the new issue and state
+ */
+function addIssue(planningDir, issue) {
+  if (!issue || !issue.title) return { success: false, error: 'title is required' };
+
+  const state = readState(planningDir);
+  const phase = state && state.phase ? `Phase ${state.phase.current}` : null;
+  const fields = {
+    ...(phase ? { discovered: `${phase} (${today()})` } : {}),
+    ...issue,
+  };
+
+  const issues = readIssues(planningDir) || new IssuesDocument();
+  const added = issues.addIssue(fields);
+  if (!added) return { success: false, error: `Could not add an issue titled "${issue.title}"` };
+  writeDocument(path.join(planningDir, 'ISSUES.md'), issues);
+
+  if (state && state.addListItem(/^Deferred Issues/i, `${added.id}: ${added.title}${phase ? ` (${phase})` : ''}`)) {
+    writeDocument(path.join(planningDir, 'STATE.md'), state);
+  }
+
+  const { line: _line, ...result } = added;
+  return { success: true, issue: result, state: stateSnapshot(state) };
+}
+
+/**
+ * Set the current focus in STATE.md
+ * @param {string} planningDir - Path to .planning directory
+ * @param {string} focus - Focus description
+ * @returns {object} Result with the new state
+ */
+function setFocus(planningDir, focus) {
+  if (!focus) return { success: false, error: 'focus is required' };
+
+  const state = readState(planningDir);
+  if (!state) return { success: false, error: 'STATE.md not found' };
+  if (!state.setFocus(focus)) return { success: false, error: 'STATE.md has no Focus field' };
+
+  writeDocument(path.join(planningDir, 'STATE.md'), state);
+  return { success: true, state: stateSnapshot(state) };
+}
+
+module.exports = {
+  completeTask,
+  advancePlan,
+  addIssue,
+  setFocus,
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Planning Files
+ *
+ * Locate, read and write the files under .planning/ as typed documents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StateDocument } = require('./state-document');
+const { RoadmapDocument } = require('./roadmap-document');
+const { PlanDocument, PLAN_FILE_NAME } = require('./plan-document');
+const { IssuesDocument } = require('./issues-document');
+
+/**
+ * Default planning directory name
+ */
+const PLANNING_DIR = '.planning';
+
+/**
+ * Read a text file, returning null when missing or unreadable
+ * @param {string} filePath - File path
+ * @returns {string|null} File content
+ */
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and parse STATE.md
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {StateDocument|null} Parsed document or null if missing
+ */
+function readState(planningDir) {
+  const content = readText(path.join(planningDir, 'STATE.md'));
+  return content == null ? null : new StateDocument(content);
+}
+
+/**
+ * Read and parse ROADMAP.md
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {RoadmapDocument|null} Parsed document or null if missing
+ */
+function readRoadmap(planningDir) {
+  const content = readText(path.join(planningDir, 'ROADMAP.md'));
+  return content == null ? null : new RoadmapDocument(content);
+}
+
+/**
+ * Read and parse ISSUES.md
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {IssuesDocument|null} Parsed document or null if missing
+ */
+function readIssues(planningDir) {
+  const content = readText(path.join(planningDir, 'ISSUES.md'));
+  return content == null ? null : new IssuesDocument(content);
+}
+
+/**
+ * Read .planning/config.json
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {object|null} Parsed config, or null if missing or invalid JSON
+ */
+function readConfig(planningDir) {
+  const content = readText(path.join(planningDir, 'config.json'));
+  if (content == null) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and parse a PLAN.md file
+ * @param {string} filePath - Path to the plan file
+ * @returns {PlanDocument|null} Parsed document or null if missing
+ */
+function readPlan(filePath) {
+  const content = readText(filePath);
+  return content == null ? null : new PlanDocument(content, path.basename(filePath));
+}
+
+/**
+ * List phase directories under .planning/phases, in phase order
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {Array<{number: string, slug: string, dir: string}>}
+ */
+function listPhaseDirs(planningDir) {
+  const phasesDir = path.join(planningDir, 'phases');
+  let entries;
+  try {
+    entries = fs.readdirSync(phasesDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries
+    .filter(e => e.isDirectory())
+    .map(e => {
+      const match = e.name.match(/^(\d+(?:\.\d+)?)-(.*)$/);
+      return match ? { number: match[1], slug: match[2], dir: path.join(phasesDir, e.name) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => parseFloat(a.number) - parseFloat(b.number));
+}
+
+/**
+ * List plan files, with whether each has a matching SUMMARY.md
+ * @param {string} planningDir - Path to .planning directory
+ * @returns {Array<{phase: string, plan: string, path: string, summaryPath: string, complete: boolean}>}
+ */
+function listPlans(planningDir) {
+  const plans = [];
+
+  for (const phaseDir of listPhaseDirs(planningDir)) {
+    const files = fs.readdirSync(phaseDir.dir).sort();
+    for (const file of files) {
+      const match = file.match(PLAN_FILE_NAME);
+      if (!match) continue;
+
+      const summaryPath = path.join(phaseDir.dir, file.replace(/-PLAN\.md$/, '-SUMMARY.md'));
+      plans.push({
+        phase: match[1],
+        plan: match[2],
+        path: path.join(phaseDir.dir, file),
+        summaryPath,
+        complete: fs.existsSync(summaryPath),
+      });
+    }
+  }
+
+  return plans;
+}
+
+/**
+ * Write a file atomically: write a sibling temp file, then rename over the target
+ * so readers never see a half-written file
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`,
+  );
+  try {
+    fs.writeFileSync(tempPath, content, 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch {
+      // Temp file was never created
+    }
+    throw err;
+  }
+}
+
+/**
+ * Write a parsed document back to disk atomically
+ * @param {string} filePath - Destination path
+ * @param {StateDocument|RoadmapDocument|PlanDocument|IssuesDocument} document - Document to write
+ */
+function writeDocument(filePath, document) {
+  writeFileAtomic(filePath, document.toString());
+}
+
+module.exports = {
+  PLANNING_DIR,
+  readState,
+  readRoadmap,
+  readIssues,
+  readConfig,
+  readPlan,
+  listPhaseDirs,
+  listPlans,
+  writeFileAtomic,
+  writeDocument,
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+const {
+  splitLines,
+  parseSections,
+  findSection,
+  findField,
+  parseCheckbox,
+  setCheckbox,
+  parseTable,
+  formatTableRow,
+  fencedLines,
+  HEADING_LINE,
+} = require('./markdown');
+
+/**
+ * Milestone status icons used in ROADMAP.md
+ */
+const MILESTONE_STATUS = {
+  '✅': 'complete',
+  '🚧': 'in_progress',
+  '📋': 'planned',
+};
+
+/**
+ * `- ✅ **v1.0 MVP** - Phases 1-4 (shipped YYYY-MM-DD)`
+ */
+const MILESTONE_LINE = /^\s*[-*]\s*(✅|🚧|📋)\s*\*\*([^*]+)\*\*\s*(?:[-—–]\s*)?(.*)$/;
+
+/**
+ * `### Phase 2.1: Critical Fix (INSERTED)`
+ */
+const PHASE_HEADING = /^Phase\s+(\d+(?:\.\d+)?):\s*(.*?)\s*$/;
+
+/**
+ * `**Phase 1: Name** - description` inside a checklist item
+ */
+const PHASE_CHECKLIST_TEXT = /^\*\*Phase\s+(\d+(?:\.\d+)?):\s*([^*]+)\*\*\s*(?:[-—–]\s*)?(.*)$/;
+
+/**
+ * `01-02: description` plan entries under "Plans:"
+ */
+const PLAN_ENTRY_TEXT = /^(\d+(?:\.\d+)?-\d+):\s*(.*)$/;
+
+/**
+ * RoadmapDocument - Structured view of .planning/ROADMAP.md
+ *
+ * Exposes milestones, the phase checklist, phase details with their plans,
+ * and the progress table. Edits rewrite only the affected lines.
+ *
+ * @example
+ * const roadmap = new RoadmapDocument(content);
+ * roadmap.getPhase('2').plans; // => [{ id: '02-01', done: false, ... }]
+ * roadmap.setPlanDone('02-01');
+ */
+class RoadmapDocument {
+  /**
+   * @param {string} [content=''] - ROADMAP.md content
+   */
+  constructor(content = '') {
+    const { lines, eol } = splitLines(content);
+    this.lines = lines;
+    this.eol = eol;
+    this._parse();
+  }
+
+  /**
+   * Parse lines into milestones, phases and progress rows
+   * @private
+   */
+  _parse() {
+    const fenced = fencedLines(this.lines);
+    const sections = parseSections(this.lines);
+
+    const titleLine = this.lines.find(l => /^#\s/.test(l));
+    const title = titleLine ? titleLine.match(HEADING_LINE)[2] : null;
+    this.title = title;
+    this.projectName = title ? title.replace(/^Roadmap:\s*/i, '') : null;
+
+    const overview = findSection(sections, 'Overview');
+    this.overview = overview
+      ? this.lines.slice(overview.line + 1, overview.end).join('\n').trim()
+      : null;
+
+    this.milestones = [];
+    this.checklist = [];
+    for (let i = 0; i < this.lines.length; i++) {
+      if (fenced[i]) continue;
+
+      const milestone = this.lines[i].match(MILESTONE_LINE);
+      if (milestone) {
+        this.milestones.push({
+          name: milestone[2].trim(),
+          status: MILESTONE_STATUS[milestone[1]],
+          description: milestone[3].trim(),
+          line: i,
+        });
+        continue;
+      }
+
+      const checkbox = parseCheckbox(this.lines[i]);
+      const phaseItem = checkbox && checkbox.text.match(PHASE_CHECKLIST_TEXT);
+      if (phaseItem) {
+        this.checklist.push({
+          number: phaseItem[1],
+          name: phaseItem[2].trim(),
+          description: phaseItem[3].trim(),
+          done: checkbox.checked,
+          line: i,
+        });
+      }
+    }
+
+    this.phases = sections
+      .filter(s => PHASE_HEADING.test(s.title))
+      .map(s => this._parsePhase(s));
+
+    this.progressColumns = {};
+    this.progress = this._parseProgressTable(sections);
+  }
+
+  /**
+   * Parse a "### Phase N: name" section
+   * @private
+   */
+  _parsePhase(section) {
+    const [, number, rawName] = section.title.match(PHASE_HEADING);
+    const range = { start: section.line + 1, end: section.end };
+    const value = (names) => {
+      const field = findField(this.lines, names, range);
+      return field ? field.value : null;
+    };
+
+    const plans = [];
+    for (let i = range.start; i < range.end; i++) {
+      const checkbox = parseCheckbox(this.lines[i]);
+      const entry = checkbox && checkbox.text.match(PLAN_ENTRY_TEXT);
+      if (entry) {
+        plans.push({ id: entry[1], description: entry[2].trim(), done: checkbox.checked, line: i });
+      }
+    }
+
+    return {
+      number,
+      name: rawName.replace(/\s*\(INSERTED\)\s*$/i, ''),
+      inserted: /\(INSERTED\)/i.test(rawName),
+      goal: value('Goal'),
+      dependsOn: value('Depends on'),
+      research: value('Research'),
+      researchTopics: value('Research topics'),
+      plansLabel: value('Plans'),
+      plans,
+      complete: plans.length > 0 && plans.every(p => p.done),
+      line: section.line,
+    };
+  }
+
+  /**
+   * Parse the "Progress" table, locating columns by header name
+   * @private
+   */
+  _parseProgressTable(sections) {
+    const section = findSection(sections, /^Progress$/i);
+    if (!section) return [];
+
+    const table = parseTable(this.lines, section.line + 1, section.end);
+    if (!table) return [];
+
+    const column = (pattern) => table.headers.findIndex(h => pattern.test(h));
+    this.progressColumns = {
+      phase: Math.max(0, column(/^phase/i)),
+      milestone: column(/milestone/i),
+      plans: column(/plans/i),
+      status: column(/status/i),
+      completed: column(/completed/i),
+    };
+    const cols = this.progressColumns;
+    const cell = (cells, index) => (index >= 0 && cells[index] != null ? cells[index] : null);
+
+    return table.rows.map(({ cells, line }) => {
+      const label = cell(cells, cols.phase) || '';
+      const match = label.match(/^(\d+(?:\.\d+)?)\.\s*(.*)$/);
+      const [done, total] = (cell(cells, cols.plans) || '').split('/').map(n => parseInt(n, 10));
+      const completed = cell(cells, cols.completed);
+      return {
+        number: match ? match[1] : null,
+        name: match ? match[2] : label,
+        milestone: cell(cells, cols.milestone),
+        plansComplete: Number.isInteger(done) ? done : null,
+        plansTotal: Number.isInteger(total) ? total : null,
+        status: cell(cells, cols.status),
+        completed: completed && completed !== '-' ? completed : null,
+        cells,
+        line,
+      };
+    });
+  }
+
+  /**
+   * Get a phase by number
+   * @param {string|number} number - Phase number (e.g. 2 or '2.1')
+   * @returns {object|null} Phase or null
+   */
+  getPhase(number) {
+    const wanted = String(number);
+    return this.phases.find(p => p.number === wanted || Number(p.number) === Number(wanted)) || null;
+  }
+
+  /**
+   * Get a plan entry by ID (e.g. '02-01')
+   * @param {string} planId - Plan ID
+   * @returns {object|null} Plan with its phase number, or null
+   */
+  getPlan(planId) {
+    for (const phase of this.phases) {
+      const plan = phase.plans.find(p => p.id === planId);
+      if (plan) return { ...plan, phase: phase.number };
+    }
+    return null;
+  }
+
+  /**
+   * Get the first phase with unfinished plans
+   * @returns {object|null} Phase or null when everything is done
+   */
+  getCurrentPhase() {
+    return this.phases.find(p => p.plans.length === 0 || !p.complete) || null;
+  }
+
+  /**
+   * Mark a plan entry done or not done
+   * @param {string} planId - Plan ID (e.g. '02-01')
+   * @param {boolean} [done=true] - New state
+   * @returns {boolean} True if the plan was found
+   */
+  setPlanDone(planId, done = true) {
+    const plan = this.getPlan(planId);
+    if (!plan) return false;
+
+    this.lines[plan.line] = setCheckbox(this.lines[plan.line], done);
+    this._parse();
+    return true;
+  }
+
+  /**
+   * Mark a phase done or not done in the phase checklist
+   * @param {string|number} number - Phase number
+   * @param {boolean} [done=true] - New state
+   * @returns {boolean} True if the phase was found in the checklist
+   */
+  setPhaseDone(number, done = true) {
+    const item = this.checklist.find(c => c.number === String(number) || Number(c.number) === Number(number));
+    if (!item) return false;
+
+    this.lines[item.line] = setCheckbox(this.lines[item.line], done);
+    this._parse();
+    return true;
+  }
+
+  /**
+   * Update a row of the progress table
+   * @param {string|number} number - Phase number
+   * @param {object} updates - Fields to set
+   * @param {number} [updates.plansComplete] - Completed plan count
+   * @param {number} [updates.plansTotal] - Total plan count
+   * @param {string} [updates.status] - Status text
+   * @param {string} [updates.completed] - Completion date
+   * @returns {boolean} True if the row was found
+   */
+  updateProgress(number, updates) {
+    const row = this.progress.find(r => r.number === String(number) || Number(r.number) === Number(number));
+    if (!row) return false;
+
+    const cols = this.progressColumns;
+    const cells = [...row.cells];
+    if (cols.plans >= 0 && (updates.plansComplete != null || updates.plansTotal != null)) {
+      const done = updates.plansComplete != null ? updates.plansComplete : row.plansComplete;
+      const total = updates.plansTotal != null ? updates.plansTotal : row.plansTotal;
+      cells[cols.plans] = `${done}/${total}`;
+    }
+    if (cols.status >= 0 && updates.status != null) cells[cols.status] = updates.status;
+    if (cols.completed >= 0 && updates.completed != null) cells[cols.completed] = updates.completed;
+
+    this.lines[row.line] = formatTableRow(cells);
+    this._parse();
+    return true;
+  }
+
+  /**
+   * Serialize back to markdown
+   * @returns {string} ROADMAP.md content
+   */
+  toString() {
+    return this.lines.join(this.eol);
+  }
+
+  /**
+   * Plain object view of the parsed roadmap
+   * @returns {object} Parsed roadmap
+   */
+  toJSON() {
+    const strip = ({ line: _line, cells: _cells, ...rest }) => rest;
+    return {
+      title: this.title,
+      projectName: this.projectName,
+      overview: this.overview,
+      milestones: this.milestones.map(strip),
+      checklist: this.checklist.map(strip),
+      phases: this.phases.map(p => ({ ...strip(p), plans: p.plans.map(strip) })),
+      progress: this.progress.map(strip),
+    };
+  }
+}
+
+module.exports = {
+  RoadmapDocument,
+  MILESTONE_STATUS,
+};
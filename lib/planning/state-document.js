@@ -0,0 +1,309 @@
+'use strict';
+
+const {
+  splitLines,
+  parseSections,
+  findSection,
+  findField,
+  replaceFieldValue,
+  singleLine,
+  parseOf,
+  appendToSection,
+  HEADING_LINE,
+} = require('./markdown');
+
+/**
+ * Progress bar width used by the STATE.md template
+ */
+const PROGRESS_BAR_WIDTH = 10;
+
+/**
+ * Field names (and aliases) understood in STATE.md
+ */
+const STATE_FIELDS = {
+  milestone: ['Current milestone', 'Milestone'],
+  focus: ['Focus', 'Current focus'],
+  coreValue: ['Core value'],
+  building: ['Building'],
+  phase: ['Phase'],
+  plan: ['Plan'],
+  status: ['Status'],
+  lastActivity: ['Last activity'],
+  progress: ['Progress'],
+  lastSession: ['Last session'],
+  stoppedAt: ['Stopped at'],
+  resumeFile: ['Resume file'],
+};
+
+/**
+ * Render a progress bar like `[███░░░░░░░]`
+ * @param {number} percent - Completion percentage (0-100)
+ * @returns {string} Progress bar
+ */
+function renderProgressBar(percent) {
+  const clamped = Math.max(0, Math.min(100, percent));
+  const filled = Math.round((clamped / 100) * PROGRESS_BAR_WIDTH);
+  return `[${'█'.repeat(filled)}${'░'.repeat(PROGRESS_BAR_WIDTH - filled)}]`;
+}
+
+/**
+ * StateDocument - Structured view of .planning/STATE.md
+ *
+ * Parses both the template layout (`Phase: 1 of 4 (Name)`) and the bold
+ * layout (`**Phase:** 1 of 4`). Edits rewrite only the affected lines, so
+ * serializing an unmodified document returns the original text byte for byte.
+ *
+ * @example
+ * const state = new StateDocument(fs.readFileSync('.planning/STATE.md', 'utf8'));
+ * state.phase; // => { current: 3, total: 8, name: 'auth' }
+ * state.setStatus('In progress');
+ * fs.writeFileSync('.planning/STATE.md', state.toString());
+ */
+class StateDocument {
+  /**
+   * @param {string} [content=''] - STATE.md content
+   */
+  constructor(content = '') {
+    const { lines, eol } = splitLines(content);
+    this.lines = lines;
+    this.eol = eol;
+    this._parse();
+  }
+
+  /**
+   * Parse lines into typed fields
+   * @private
+   */
+  _parse() {
+    const sections = parseSections(this.lines);
+    const position = findSection(sections, 'Current Position');
+    const positionRange = position ? { start: position.line, end: position.end } : {};
+
+    this.sections = sections;
+    this.fields = {};
+    for (const [key, names] of Object.entries(STATE_FIELDS)) {
+      const scoped = ['phase', 'plan', 'status'].includes(key);
+      this.fields[key] = (scoped && findField(this.lines, names, positionRange)) || findField(this.lines, names);
+    }
+
+    const titleLine = this.lines.find(l => /^#\s/.test(l));
+    this.title = titleLine ? titleLine.match(HEADING_LINE)[2] : null;
+    this.milestone = this._value('milestone');
+    this.focus = this._value('focus');
+    this.coreValue = this._value('coreValue');
+    this.building = this._value('building');
+    this.phase = parseOf(this._value('phase'));
+    this.plan = parseOf(this._value('plan'));
+    this.status = this._value('status');
+    this.lastActivity = this._parseLastActivity(this._value('lastActivity'));
+    this.progress = this._parseProgress(this._value('progress'));
+    this.session = {
+      lastSession: this._value('lastSession'),
+      stoppedAt: this._value('stoppedAt'),
+      resumeFile: this._value('resumeFile'),
+    };
+    this.decisions = this._listItems(sections, /^(Key )?Decisions/i);
+    this.deferredIssues = this._listItems(sections, /^Deferred Issues/i);
+    this.blockers = this._listItems(sections, /^Blockers/i);
+  }
+
+  /**
+   * @private
+   */
+  _value(key) {
+    return this.fields[key] ? this.fields[key].value : null;
+  }
+
+  /**
+   * @private
+   */
+  _parseLastActivity(value) {
+    if (!value) return null;
+    const match = value.match(/^(\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2})?)\s*(?:[-—–]\s*)?(.*)$/);
+    if (!match) return { date: null, description: value };
+    return { date: match[1], description: match[2].trim() };
+  }
+
+  /**
+   * @private
+   */
+  _parseProgress(value) {
+    if (!value) return null;
+    const percent = value.match(/(\d+(?:\.\d+)?)\s*%/);
+    const bar = value.match(/\[[█░▓▒#=\-. ]*\]/);
+    return {
+      percent: percent ? Number(percent[1]) : null,
+      bar: bar ? bar[0] : null,
+    };
+  }
+
+  /**
+   * Collect bullet items in a section, ignoring "None yet." placeholders
+   * @private
+   */
+  _listItems(sections, title) {
+    const section = findSection(sections, title);
+    if (!section) return [];
+
+    const items = [];
+    for (let i = section.line + 1; i < section.end; i++) {
+      const match = this.lines[i].match(/^\s*[-*]\s+(.*)$/);
+      if (match && match[1].trim()) {
+        items.push(match[1].trim());
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Set a field's value in place
+   * @param {string} key - Field key from STATE_FIELDS
+   * @param {string} value - New raw value
+   * @returns {boolean} True if the field exists and was updated
+   */
+  setField(key, value) {
+    const field = this.fields[key];
+    if (!field) return false;
+
+    this.lines[field.line] = replaceFieldValue(this.lines[field.line], value);
+    this._parse();
+    return true;
+  }
+
+  /**
+   * Set the current focus
+   * @param {string} focus - Focus description
+   * @returns {boolean} True if updated
+   */
+  setFocus(focus) {
+    return this.setField('focus', focus);
+  }
+
+  /**
+   * Set the current status
+   * @param {string} status - Status text
+   * @returns {boolean} True if updated
+   */
+  setStatus(status) {
+    return this.setField('status', status);
+  }
+
+  /**
+   * Set the current phase position
+   * @param {number} current - Current phase
+   * @param {number} [total] - Total phases (keeps existing when omitted)
+   * @param {string} [name] - Phase name (keeps existing when omitted)
+   * @returns {boolean} True if updated
+   */
+  setPhase(current, total, name) {
+    const existing = this.phase || {};
+    const phaseTotal = total == null ? existing.total : total;
+    const phaseName = name === undefined ? existing.name : name;
+    let value = phaseTotal == null ? String(current) : `${current} of ${phaseTotal}`;
+    if (phaseName) value += ` (${phaseName})`;
+    return this.setField('phase', value);
+  }
+
+  /**
+   * Set the current plan position, keeping any trailing text
+   * @param {number} current - Current plan
+   * @param {number} [total] - Plans in phase (keeps existing when omitted)
+   * @returns {boolean} True if updated
+   */
+  setPlan(current, total) {
+    const raw = this._value('plan') || '';
+    const phaseTotal = total == null ? (this.plan ? this.plan.total : current) : total;
+    const suffix = /^\d+\s+of\s+\d+/.test(raw) ? raw.replace(/^\d+\s+of\s+\d+/, '') : '';
+    return this.setField('plan', `${current} of ${phaseTotal}${suffix}`);
+  }
+
+  /**
+   * Set the last activity line
+   * @param {string} description - What happened
+   * @param {string} [date] - YYYY-MM-DD (defaults to today)
+   * @returns {boolean} True if updated
+   */
+  setLastActivity(description, date = new Date().toISOString().slice(0, 10)) {
+    const raw = this._value('lastActivity') || '';
+    const separator = raw.includes('—') ? '—' : '-';
+    return this.setField('lastActivity', `${date} ${separator} ${description}`);
+  }
+
+  /**
+   * Set the progress percentage, redrawing the bar and keeping any trailing text
+   * @param {number} percent - Completion percentage (0-100)
+   * @returns {boolean} True if updated
+   */
+  setProgress(percent) {
+    const raw = this._value('progress') || '';
+    const rounded = Math.round(percent);
+    const suffix = raw.replace(/^.*?\d+(?:\.\d+)?\s*%/, '');
+    return this.setField('progress', `${renderProgressBar(rounded)} ${rounded}%${suffix === raw ? '' : suffix}`);
+  }
+
+  /**
+   * Add a bullet to a list section (Decisions, Deferred Issues, Blockers),
+   * replacing a "None yet." placeholder if present
+   * @param {string|RegExp} title - Section title or pattern
+   * @param {string} item - Bullet text; line breaks are collapsed
+   * @returns {boolean} True if the section exists and was updated
+   */
+  addListItem(title, item) {
+    const section = findSection(this.sections, title);
+    if (!section) return false;
+
+    const bullet = `- ${singleLine(item)}`;
+    let placeholder = -1;
+    let lastContent = -1;
+    for (let i = section.line + 1; i < section.end; i++) {
+      if (/^none( yet)?\.?$/i.test(this.lines[i].trim())) placeholder = i;
+      if (this.lines[i].trim()) lastContent = i;
+    }
+
+    if (placeholder >= 0) {
+      this.lines[placeholder] = bullet;
+    } else {
+      const separate = lastContent >= 0 && !/^\s*[-*]\s/.test(this.lines[lastContent]);
+      appendToSection(this.lines, section, [bullet], separate);
+    }
+    this._parse();
+    return true;
+  }
+
+  /**
+   * Serialize back to markdown
+   * @returns {string} STATE.md content
+   */
+  toString() {
+    return this.lines.join(this.eol);
+  }
+
+  /**
+   * Plain object view of the parsed state
+   * @returns {object} Parsed state
+   */
+  toJSON() {
+    return {
+      title: this.title,
+      milestone: this.milestone,
+      focus: this.focus,
+      coreValue: this.coreValue,
+      building: this.building,
+      phase: this.phase,
+      plan: this.plan,
+      status: this.status,
+      lastActivity: this.lastActivity,
+      progress: this.progress,
+      session: this.session,
+      decisions: this.decisions,
+      deferredIssues: this.deferredIssues,
+      blockers: this.blockers,
+    };
+  }
+}
+
+module.exports = {
+  StateDocument,
+  STATE_FIELDS,
+  renderProgressBar,
+};
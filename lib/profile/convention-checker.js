@@ -0,0 +1,292 @@
+/**
+ * Convention Checker
+ *
+ * Checks code against the conventions learned for a project (PatternLearner)
+ * and the strong cross-project consensus (PatternAggregator): naming per
+ * declaration kind, JSDoc on functions, classes and methods, and test name
+ * phrasing. Rules developers keep rejecting are muted through the
+ * FeedbackCollector.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PatternLearner, PATTERN_SIGNALS } = require('./pattern-learner');
+const {
+  DECLARATION_KINDS,
+  NAMING_STYLES,
+  TEST_NAME_STYLES,
+  extractDeclarations,
+  classifyNamingStyle,
+  classifyTestName,
+  fitsNamingStyle,
+} = require('./declaration-extractor');
+const { FEEDBACK_TYPES, SUGGESTION_CATEGORIES } = require('../memory');
+
+/**
+ * Rule ID for the JSDoc rule; naming rules are `naming.<kind>`
+ */
+const DOC_RULE = 'documentation.jsdoc';
+
+/**
+ * Where a rule was learned
+ */
+const RULE_SOURCES = {
+  PROJECT: 'project',
+  CONSENSUS: 'consensus',
+};
+
+/**
+ * Declaration kinds expected to carry a JSDoc comment (functions and classes
+ * only at the top level)
+ */
+const DOCUMENTED_KINDS = [DECLARATION_KINDS.FUNCTION, DECLARATION_KINDS.CLASS, DECLARATION_KINDS.METHOD];
+
+/**
+ * Kinds a plain `naming` consensus pattern (e.g. camelCase) applies to
+ */
+const GENERIC_NAMING_KINDS = [DECLARATION_KINDS.FUNCTION, DECLARATION_KINDS.VARIABLE];
+
+/**
+ * Whether a JSDoc block ends on the line above a declaration (decorators may sit between)
+ * @param {Array<string>} lines - Source lines
+ * @param {number} line - 1-based declaration line
+ * @returns {boolean}
+ */
+function hasDocComment(lines, line) {
+  let i = line - 2;
+  while (i >= 0 && /^\s*@/.test(lines[i])) i--;
+  if (i < 0 || !lines[i].trim().endsWith('*/')) return false;
+
+  while (i >= 0 && !/^\s*\/\*/.test(lines[i])) i--;
+  return i >= 0 && /^\s*\/\*\*(?!\/)/.test(lines[i]);
+}
+
+/**
+ * Convention Checker class
+ *
+ * @example
+ * const checker = new ConventionChecker({ feedbackCollector });
+ * checker.learnFrom(['lib/a.js', 'lib/b.js', 'tests/a.test.js'], { projectRoot });
+ * const { findings } = checker.checkFiles(['lib/new-feature.js'], { projectRoot });
+ * // => [{ rule: 'naming.function', file: 'lib/new-feature.js', line: 12, expected: 'camelCase', ... }]
+ * checker.recordFeedback(findings[0], 'rejected', { reason: 'mirrors an external API' });
+ */
+class ConventionChecker {
+  /**
+   * @param {object} [options] - Options
+   * @param {PatternLearner} [options.learner] - Learner holding the project's conventions
+   * @param {object} [options.patterns] - Learned patterns (`getLearnedPatterns()` output), e.g. from a saved run
+   * @param {PatternAggregator} [options.aggregator] - Cross-project consensus patterns
+   * @param {string} [options.consensusLevel='strong'] - Consensus level enforced from the aggregator
+   * @param {FeedbackCollector} [options.feedbackCollector] - Records overrides and mutes rejected rules
+   * @param {number} [options.minConfidence=0.8] - Confidence a pattern needs to be enforced
+   * @param {number} [options.maxSamples=200] - Most files learnFrom() reads
+   */
+  constructor(options = {}) {
+    this.learner = options.learner || null;
+    this.patterns = options.patterns || null;
+    this.aggregator = options.aggregator || null;
+    this.consensusLevel = options.consensusLevel || 'strong';
+    this.feedbackCollector = options.feedbackCollector || null;
+    this.minConfidence = options.minConfidence == null ? 0.8 : options.minConfidence;
+    this.maxSamples = options.maxSamples || 200;
+  }
+
+  /**
+   * Learn conventions from existing files. Up to `maxSamples` files, spread
+   * evenly over the list, are observed; a learner is created when none was given.
+   * @param {Array<string>} files - File paths
+   * @param {object} [options] - Options
+   * @param {string} [options.projectRoot=process.cwd()] - Root relative paths resolve against
+   * @returns {number} Files observed
+   */
+  learnFrom(files, options = {}) {
+    const projectRoot = options.projectRoot || process.cwd();
+    const sources = files.filter(f => PATTERN_SIGNALS.sourceFile.test(f));
+    const step = Math.max(1, sources.length / this.maxSamples);
+    const sample = [];
+    for (let i = 0; i < sources.length && sample.length < this.maxSamples; i += step) {
+      sample.push(sources[Math.floor(i)]);
+    }
+
+    if (!this.learner) this.learner = new PatternLearner({ window: Math.max(sample.length, 1) });
+
+    let observed = 0;
+    for (const file of sample) {
+      let code;
+      try {
+        code = fs.readFileSync(path.resolve(projectRoot, file), 'utf8');
+      } catch {
+        continue;
+      }
+      this.learner.observeCode(code, file);
+      observed++;
+    }
+
+    return observed;
+  }
+
+  /**
+   * Rules to enforce: project patterns first, then consensus patterns for
+   * anything the project has not settled, keeping those at or above
+   * `minConfidence` that developers have not muted
+   * @returns {Array<{id: string, kind: string, expected: string|boolean, confidence: number, source: string}>}
+   */
+  getRules() {
+    const rules = new Map();
+    const add = (id, kind, expected, confidence, source) => {
+      if (!rules.has(id) && confidence >= this.minConfidence) {
+        rules.set(id, { id, kind, expected, confidence, source });
+      }
+    };
+
+    const learned = { ...(this.patterns || {}), ...(this.learner ? this.learner.getLearnedPatterns() : {}) };
+    for (const kind of Object.values(DECLARATION_KINDS)) {
+      const pattern = learned[`naming.${kind}`];
+      if (pattern) add(`naming.${kind}`, kind, pattern.value, pattern.confidence, RULE_SOURCES.PROJECT);
+    }
+    if (learned[DOC_RULE]) add(DOC_RULE, null, true, learned[DOC_RULE].confidence, RULE_SOURCES.PROJECT);
+
+    if (this.aggregator) {
+      const styles = [...Object.values(NAMING_STYLES), ...Object.values(TEST_NAME_STYLES)];
+      for (const { type, pattern, confidence } of this.aggregator.getConsensusPatterns(this.consensusLevel)) {
+        if (type === 'naming' && styles.includes(pattern)) {
+          for (const kind of GENERIC_NAMING_KINDS) {
+            add(`naming.${kind}`, kind, pattern, confidence, RULE_SOURCES.CONSENSUS);
+          }
+        } else if (type.startsWith('naming.') && styles.includes(pattern)) {
+          add(type, type.slice('naming.'.length), pattern, confidence, RULE_SOURCES.CONSENSUS);
+        } else if (type === 'documentation' && pattern === 'jsdoc') {
+          add(DOC_RULE, null, true, confidence, RULE_SOURCES.CONSENSUS);
+        }
+      }
+    }
+
+    return [...rules.values()].filter(rule => !this._isMuted(rule.id));
+  }
+
+  /**
+   * Check one file's source
+   * @param {string} code - Source code
+   * @param {string} file - File path, reported with findings and used for file naming
+   * @param {Array<object>} [rules] - Rules from getRules()
+   * @returns {Array<object>} Findings: `{ rule, file, line, name, expected, actual, confidence, source, message }`;
+   *   `line` is 0 for the file name
+   */
+  checkSource(code, file, rules = this.getRules()) {
+    const findings = [];
+    const isTest = PATTERN_SIGNALS.testFile.test(file);
+    const lines = code.split('\n');
+    const naming = new Map(rules.filter(r => r.kind).map(r => [r.kind, r]));
+    const constantRule = naming.get(DECLARATION_KINDS.CONSTANT);
+    const docRule = isTest ? null : rules.find(r => r.id === DOC_RULE);
+
+    for (const { kind, name, line } of extractDeclarations(code, { file })) {
+      const topLevel = !/^\s/.test(lines[line - 1] || '');
+      const rule = naming.get(kind);
+      const actual = kind === DECLARATION_KINDS.TEST ? classifyTestName(name) : classifyNamingStyle(name);
+      // Module-level values computed at load time (paths, templates) may be named like constants
+      const constantLike = kind === DECLARATION_KINDS.VARIABLE && topLevel && constantRule &&
+        fitsNamingStyle(actual, constantRule.expected);
+      if (rule && actual && !fitsNamingStyle(actual, rule.expected) && !constantLike) {
+        const message = `${kind} \`${name}\` is ${actual}, expected ${rule.expected}`;
+        findings.push(this._finding(rule, file, line, name, actual, message));
+      }
+
+      const needsDoc = DOCUMENTED_KINDS.includes(kind) && (topLevel || kind === DECLARATION_KINDS.METHOD);
+      if (docRule && needsDoc && !hasDocComment(lines, line)) {
+        findings.push(this._finding(docRule, file, line, name, false, `${kind} \`${name}\` has no JSDoc comment`));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Check files on disk; non-source and unreadable files are skipped
+   * @param {Array<string>} files - File paths
+   * @param {object} [options] - Options
+   * @param {string} [options.projectRoot=process.cwd()] - Root relative paths resolve against
+   * @returns {{rules: Array<object>, filesChecked: Array<string>, findings: Array<object>}}
+   */
+  checkFiles(files, options = {}) {
+    const projectRoot = options.projectRoot || process.cwd();
+    const rules = this.getRules();
+    const filesChecked = [];
+    const findings = [];
+
+    for (const file of files.filter(f => PATTERN_SIGNALS.sourceFile.test(f))) {
+      let code;
+      try {
+        code = fs.readFileSync(path.resolve(projectRoot, file), 'utf8');
+      } catch {
+        continue;
+      }
+      filesChecked.push(file);
+      findings.push(...this.checkSource(code, file, rules));
+    }
+
+    return { rules, filesChecked, findings };
+  }
+
+  /**
+   * Record a developer's verdict on a finding: `accepted` when they fix the
+   * code, `rejected` when they override the convention
+   * @param {object} finding - Finding from checkSource() or checkFiles()
+   * @param {string} feedback - FEEDBACK_TYPES.ACCEPTED or FEEDBACK_TYPES.REJECTED
+   * @param {object} [details] - Additional details, e.g. the reason for an override
+   * @returns {{success: boolean, id?: string, error?: string}}
+   */
+  recordFeedback(finding, feedback, details = {}) {
+    if (!this.feedbackCollector) return { success: false, error: 'No feedback collector configured' };
+    if (feedback !== FEEDBACK_TYPES.ACCEPTED && feedback !== FEEDBACK_TYPES.REJECTED) {
+      return { success: false, error: `feedback must be ${FEEDBACK_TYPES.ACCEPTED} or ${FEEDBACK_TYPES.REJECTED}` };
+    }
+
+    const id = this.feedbackCollector.recordQuickFeedback({
+      category: SUGGESTION_CATEGORIES.PATTERN,
+      type: finding.rule,
+      suggestion: finding.message,
+      context: { file: finding.file, line: finding.line, name: finding.name, source: finding.source },
+      confidence: finding.confidence,
+      feedback,
+      details,
+    });
+    return { success: true, id };
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * @private
+   */
+  _finding(rule, file, line, name, actual, message) {
+    return {
+      rule: rule.id,
+      file,
+      line,
+      name,
+      expected: rule.expected,
+      actual,
+      confidence: rule.confidence,
+      source: rule.source,
+      message,
+    };
+  }
+
+  /**
+   * Whether developers reject a rule often enough to mute it
+   * @private
+   */
+  _isMuted(ruleId) {
+    return Boolean(this.feedbackCollector) &&
+      this.feedbackCollector.shouldSuppress(SUGGESTION_CATEGORIES.PATTERN, ruleId);
+  }
+}
+
+module.exports = {
+  ConventionChecker,
+  DOC_RULE,
+  RULE_SOURCES,
+  hasDocComment,
+};
@@ -0,0 +1,333 @@
+/**
+ * Declaration Extractor
+ *
+ * Tokenizes JavaScript/TypeScript source and extracts the names a developer
+ * chose: variables, constants, functions, classes, methods, the file name and
+ * test names. Comments, strings and imported bindings are left out, so they
+ * do not count toward naming conventions.
+ */
+
+const { tokenizeCode, expressionEnd, closingBracket } = require('../index/js-lexer');
+
+/**
+ * Kinds of declarations
+ */
+const DECLARATION_KINDS = {
+  VARIABLE: 'variable',
+  CONSTANT: 'constant',
+  FUNCTION: 'function',
+  CLASS: 'class',
+  METHOD: 'method',
+  FILE: 'file',
+  TEST: 'test',
+};
+
+/**
+ * Identifier naming styles. A single lowercase word fits camelCase,
+ * snake_case and kebab-case alike, so it is counted as `lowercase`.
+ */
+const NAMING_STYLES = {
+  CAMEL: 'camelCase',
+  PASCAL: 'PascalCase',
+  SNAKE: 'snake_case',
+  SCREAMING_SNAKE: 'SCREAMING_SNAKE',
+  KEBAB: 'kebab-case',
+  LOWER: 'lowercase',
+  MIXED: 'mixed',
+};
+
+/**
+ * Phrasing styles of test names
+ */
+const TEST_NAME_STYLES = {
+  SHOULD: 'should',
+  GIVEN_WHEN: 'given-when',
+  THIRD_PERSON: 'third-person',
+  DESCRIPTIVE: 'descriptive',
+};
+
+/**
+ * Style matchers, tried in order
+ */
+const STYLE_PATTERNS = [
+  [NAMING_STYLES.LOWER, /^[a-z][a-z0-9]*$/],
+  [NAMING_STYLES.CAMEL, /^[a-z][a-z0-9]*[A-Z][A-Za-z0-9]*$/],
+  [NAMING_STYLES.SCREAMING_SNAKE, /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/],
+  [NAMING_STYLES.PASCAL, /^[A-Z][A-Za-z0-9]*[a-z][A-Za-z0-9]*$/],
+  [NAMING_STYLES.SNAKE, /^[a-z][a-z0-9]*(?:_[a-z0-9]+)+$/],
+  [NAMING_STYLES.KEBAB, /^[a-z][a-z0-9]*(?:-[a-z0-9]+)+$/],
+];
+
+/**
+ * Styles that a single lowercase word is consistent with
+ */
+const LOWERCASE_COMPATIBLE = new Set([NAMING_STYLES.CAMEL, NAMING_STYLES.SNAKE, NAMING_STYLES.KEBAB]);
+
+/**
+ * Modifiers that may precede a class member name
+ */
+const MEMBER_MODIFIERS = new Set(['static', 'async', 'get', 'set', 'public', 'private', 'protected', 'readonly',
+  'override', 'abstract', '*']);
+
+/**
+ * What an initializer starting at token `k` declares
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} k - First token of the initializer
+ * @returns {'import'|'function'|'class'|'literal'|'value'}
+ */
+function initializerKind(tokens, k) {
+  const at = (offset) => tokens[k + offset] || {};
+  const first = at(0);
+
+  if (first.type === 'name') {
+    if (first.value === 'await' && at(1).value === 'import') return 'import';
+    if ((first.value === 'require' || first.value === 'import') && at(1).value === '(') return 'import';
+    if (first.value === 'function' || first.value === 'class') return first.value;
+    if (first.value === 'async' && (at(1).value === 'function' || at(1).value === '(' ||
+      (at(1).type === 'name' && at(2).value === '=>'))) return 'function';
+    if (at(1).value === '=>') return 'function';
+    if (['true', 'false', 'null', 'undefined'].includes(first.value)) return 'literal';
+    if (first.value === 'Object' && at(1).value === '.' && at(2).value === 'freeze') return 'literal';
+    if (first.value === 'new' && (at(1).value === 'Set' || at(1).value === 'Map')) return 'literal';
+    if (first.value === 'Symbol' && at(1).value === '(') return 'literal';
+    return 'value';
+  }
+
+  if (first.value === '(') {
+    const close = closingBracket(tokens, k);
+    const after = tokens[close + 1] || {};
+    // `(a, b) => ...` or `(a): T => ...`
+    if (after.value === '=>' || (after.value === ':' && tokens.slice(close + 2, close + 8).some(t => t.value === '=>'))) {
+      return 'function';
+    }
+    return 'value';
+  }
+
+  if (first.type === 'string' || first.type === 'number' || first.type === 'regex' ||
+    first.value === '[' || first.value === '{' || (first.value === '-' && at(1).type === 'number')) {
+    return 'literal';
+  }
+  return 'value';
+}
+
+/**
+ * Names bound by a destructuring pattern. Only names the developer chose
+ * count: renamed properties (`{ a: b }`), rest elements and array elements;
+ * a shorthand property takes its name from the object.
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} open - Index of the pattern's `{` or `[`
+ * @param {number} close - Index of the matching bracket
+ * @returns {Array<object>} Name tokens
+ */
+function patternBindings(tokens, open, close) {
+  const names = [];
+  const stack = [];
+
+  // An unclosed pattern (truncated or half-edited source) runs to the last token
+  const last = Math.min(close, tokens.length - 1);
+
+  for (let k = open; k <= last; k++) {
+    const token = tokens[k];
+    if (token.type === 'punct') {
+      if (token.value === '{' || token.value === '[') stack.push(token.value);
+      else if (token.value === '}' || token.value === ']') stack.pop();
+      else if (token.value === '=') k = expressionEnd(tokens, k + 1) - 1; // Skip default values
+      continue;
+    }
+    if (token.type !== 'name') continue;
+
+    const prev = tokens[k - 1] ? tokens[k - 1].value : null;
+    const next = tokens[k + 1] ? tokens[k + 1].value : null;
+    const inArray = stack[stack.length - 1] === '[';
+    if (next !== ':' &&
+      (prev === '...' || (prev === ':' && !inArray) || (inArray && (prev === '[' || prev === ',')))) {
+      names.push(token);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Extract the declarations in a source file
+ * @param {string} code - Source code
+ * @param {object} [options] - Options
+ * @param {string} [options.file] - File path; its base name is recorded as a `file` declaration
+ * @returns {Array<{kind: string, name: string, line: number}>} Declarations in source order
+ *   (the file declaration first, on line 0)
+ * @example
+ * extractDeclarations("const MAX = 3;\nclass Queue {\n  push(item) {}\n}\n", { file: 'job-queue.js' });
+ * // → [{ kind: 'file', name: 'job-queue', line: 0 }, { kind: 'constant', name: 'MAX', line: 1 },
+ * //    { kind: 'class', name: 'Queue', line: 2 }, { kind: 'method', name: 'push', line: 3 }]
+ */
+function extractDeclarations(code, options = {}) {
+  const tokens = tokenizeCode(code);
+  const declarations = [];
+  const add = (kind, token) => declarations.push({ kind, name: token.value, line: token.line });
+
+  if (options.file) {
+    const base = options.file.split(/[/\\]/).pop().split('.')[0];
+    if (base) declarations.push({ kind: DECLARATION_KINDS.FILE, name: base, line: 0 });
+  }
+
+  const scopes = []; // 'class' or 'block' for each open brace
+  let classPending = false; // The next `{` opens a class body
+
+  for (let t = 0; t < tokens.length; t++) {
+    const token = tokens[t];
+    const prev = tokens[t - 1] || { value: '', line: 0 };
+    const next = tokens[t + 1] || {};
+
+    if (token.type === 'punct') {
+      if (token.value === '{') {
+        scopes.push(classPending ? 'class' : 'block');
+        classPending = false;
+      } else if (token.value === '}') {
+        scopes.pop();
+      }
+      continue;
+    }
+    if (token.type !== 'name' || prev.value === '.' || prev.value === '?.') continue;
+
+    const inClassBody = scopes[scopes.length - 1] === 'class';
+
+    if (token.value === 'class' && (next.type === 'name' || next.value === '{')) {
+      if (next.type === 'name' && next.value !== 'extends') add(DECLARATION_KINDS.CLASS, next);
+      classPending = true;
+    } else if (token.value === 'function' && !inClassBody) {
+      const name = next.value === '*' ? tokens[t + 2] : next;
+      if (name && name.type === 'name') add(DECLARATION_KINDS.FUNCTION, name);
+    } else if ((token.value === 'const' || token.value === 'let' || token.value === 'var') && !inClassBody) {
+      if (next.value === '{' || next.value === '[') {
+        const close = closingBracket(tokens, t + 1);
+        const init = tokens[close + 1] && tokens[close + 1].value === '=' ? close + 2 : -1;
+        if (init !== -1 && initializerKind(tokens, init) === 'import') continue;
+        for (const name of patternBindings(tokens, t + 1, close)) {
+          add(DECLARATION_KINDS.VARIABLE, name);
+        }
+      } else if (next.type === 'name') {
+        // Skip a TypeScript annotation up to the initializer
+        let k = t + 2;
+        if (tokens[k] && tokens[k].value === ':') {
+          while (k < tokens.length && k < t + 40 && tokens[k].value !== '=' && tokens[k].value !== ';') k++;
+        }
+        const kind = tokens[k] && tokens[k].value === '=' ? initializerKind(tokens, k + 1) : 'value';
+        if (kind === 'import') continue;
+        add(kind === 'function' ? DECLARATION_KINDS.FUNCTION
+          : kind === 'class' ? DECLARATION_KINDS.CLASS
+            : kind === 'literal' && token.value === 'const' && scopes.length === 0 ? DECLARATION_KINDS.CONSTANT
+              : DECLARATION_KINDS.VARIABLE, next);
+      }
+    } else if (token.value === 'test' || token.value === 'it') {
+      // test('name', ...), it.only('name', ...)
+      const call = next.value === '.' && tokens[t + 3] && tokens[t + 3].value === '(' ? t + 3 : t + 1;
+      const name = tokens[call + 1];
+      if (tokens[call] && tokens[call].value === '(' && name && name.type === 'string' && name.value.trim()) {
+        declarations.push({ kind: DECLARATION_KINDS.TEST, name: name.value.trim(), line: name.line });
+      }
+    } else if (inClassBody && token.value !== 'constructor' && !MEMBER_MODIFIERS.has(token.value) &&
+      (prev.value === '{' || prev.value === '}' || prev.value === ';' || prev.line < token.line ||
+        MEMBER_MODIFIERS.has(prev.value))) {
+      // Methods, and fields holding functions
+      if (next.value === '(' || (next.value === '=' && initializerKind(tokens, t + 2) === 'function')) {
+        add(DECLARATION_KINDS.METHOD, token);
+      }
+    }
+  }
+
+  return declarations;
+}
+
+/**
+ * Naming style of an identifier or file name; leading `_`, `$` and `#` are ignored
+ * @param {string} name - Name
+ * @returns {string|null} A NAMING_STYLES value, or null for names too short to tell
+ */
+function classifyNamingStyle(name) {
+  const bare = name.replace(/^[_$#]+|_+$/g, '');
+  if (bare.length < 2 || !/^[A-Za-z0-9_$-]+$/.test(bare)) return null;
+
+  for (const [style, pattern] of STYLE_PATTERNS) {
+    if (pattern.test(bare)) return style;
+  }
+  return NAMING_STYLES.MIXED;
+}
+
+/**
+ * Phrasing style of a test name
+ * @param {string} name - Test name
+ * @returns {string} A TEST_NAME_STYLES value
+ */
+function classifyTestName(name) {
+  const first = name.trim().split(/\s+/)[0].toLowerCase();
+
+  if (first === 'should') return TEST_NAME_STYLES.SHOULD;
+  if (first === 'given' || first === 'when') return TEST_NAME_STYLES.GIVEN_WHEN;
+  if (/^[a-z]+[^s]s$/.test(first)) return TEST_NAME_STYLES.THIRD_PERSON;
+  return TEST_NAME_STYLES.DESCRIPTIVE;
+}
+
+/**
+ * Count naming styles per declaration kind (test names by phrasing style)
+ * @param {Array<{kind: string, name: string}>} declarations - Output of extractDeclarations()
+ * @returns {Object<string, Object<string, number>>} Kind → style → count
+ */
+function countNamingStyles(declarations) {
+  const counts = {};
+
+  for (const { kind, name } of declarations) {
+    const style = kind === DECLARATION_KINDS.TEST ? classifyTestName(name) : classifyNamingStyle(name);
+    if (!style) continue;
+    if (!counts[kind]) counts[kind] = {};
+    counts[kind][style] = (counts[kind][style] || 0) + 1;
+  }
+
+  return counts;
+}
+
+/**
+ * The dominant style in a set of counts, with the share of names that fit it
+ * (single lowercase words fit camelCase, snake_case and kebab-case)
+ * @param {Object<string, number>} counts - Style → count
+ * @returns {{style: string, confidence: number, samples: number}|null} Null without samples
+ */
+function namingConvention(counts) {
+  const samples = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (samples === 0) return null;
+
+  let style = NAMING_STYLES.LOWER;
+  let best = 0;
+  for (const [name, count] of Object.entries(counts)) {
+    if (name !== NAMING_STYLES.LOWER && count > best) {
+      style = name;
+      best = count;
+    }
+  }
+
+  const fitting = (counts[style] || 0) + (LOWERCASE_COMPATIBLE.has(style) ? counts[NAMING_STYLES.LOWER] || 0 : 0);
+  return { style, confidence: Math.round((fitting / samples) * 100) / 100, samples };
+}
+
+/**
+ * Whether a name's style fits a convention (a single lowercase word fits
+ * camelCase, snake_case and kebab-case)
+ * @param {string} style - Style of the name (NAMING_STYLES value)
+ * @param {string} convention - Expected style
+ * @returns {boolean}
+ */
+function fitsNamingStyle(style, convention) {
+  return style === convention || (style === NAMING_STYLES.LOWER && LOWERCASE_COMPATIBLE.has(convention));
+}
+
+module.exports = {
+  DECLARATION_KINDS,
+  NAMING_STYLES,
+  TEST_NAME_STYLES,
+  tokenizeCode,
+  extractDeclarations,
+  classifyNamingStyle,
+  classifyTestName,
+  countNamingStyles,
+  namingConvention,
+  fitsNamingStyle,
+};
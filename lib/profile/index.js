@@ -6,19 +6,50 @@
  */
 
 const { ProfileManager, DEFAULT_PROFILE } = require('./profile-manager');
-const { PatternLearner, PATTERN_TYPES, PATTERN_SIGNALS } = require('./pattern-learner');
+const { PatternLearner, PATTERN_TYPES, PATTERN_SIGNALS, ERROR_HANDLING_LEVELS } = require('./pattern-learner');
+const {
+  DECLARATION_KINDS,
+  NAMING_STYLES,
+  TEST_NAME_STYLES,
+  tokenizeCode,
+  extractDeclarations,
+  classifyNamingStyle,
+  classifyTestName,
+  countNamingStyles,
+  namingConvention,
+  fitsNamingStyle,
+} = require('./declaration-extractor');
+const { ConventionChecker, DOC_RULE, RULE_SOURCES, hasDocComment } = require('./convention-checker');
 
 module.exports = {
   // Classes
   ProfileManager,
   PatternLearner,
+  ConventionChecker,
 
   // Constants
   DEFAULT_PROFILE,
   PATTERN_TYPES,
   PATTERN_SIGNALS,
+  ERROR_HANDLING_LEVELS,
+  DECLARATION_KINDS,
+  NAMING_STYLES,
+  TEST_NAME_STYLES,
+  DOC_RULE,
+  RULE_SOURCES,
 
   // Factory function
   createProfileManager: (profileDir, options) => new ProfileManager(profileDir, options),
-  createPatternLearner: () => new PatternLearner(),
+  createPatternLearner: (options) => new PatternLearner(options),
+  createConventionChecker: (options) => new ConventionChecker(options),
+
+  // Utilities
+  tokenizeCode,
+  extractDeclarations,
+  classifyNamingStyle,
+  classifyTestName,
+  countNamingStyles,
+  namingConvention,
+  fitsNamingStyle,
+  hasDocComment,
 };
@@ -5,6 +5,15 @@
  * Part of the Developer Digital Twin system.
  */
 
+const {
+  DECLARATION_KINDS,
+  extractDeclarations,
+  countNamingStyles,
+  namingConvention,
+} = require('./declaration-extractor');
+const { tokenizeCode, closingBracket } = require('../index/js-lexer');
+const { GitHistoryMiner } = require('../context/git-history-miner');
+
 /**
  * Pattern types that can be learned
  */
@@ -17,6 +26,18 @@ const PATTERN_TYPES = {
   WORKFLOW: 'workflow',
 };
 
+/**
+ * Pattern type of each extractPatterns() category; learned patterns are
+ * keyed `<type>.<pattern>`
+ */
+const CATEGORY_TYPES = {
+  naming: PATTERN_TYPES.NAMING,
+  structure: PATTERN_TYPES.STRUCTURE,
+  errorHandling: PATTERN_TYPES.ERROR_HANDLING,
+  testing: PATTERN_TYPES.TESTING,
+  documentation: PATTERN_TYPES.DOCUMENTATION,
+};
+
 /**
  * Signals that indicate patterns
  */
@@ -37,28 +58,110 @@ const PATTERN_SIGNALS = {
   jsdoc: /\/\*\*[\s\S]*?\*\//,
   inlineComments: /\/\/.*$/m,
   markdownDocs: /^#+\s+/m,
+
+  // File paths: anything under tests/ or __tests__/, and foo.test.js, foo-spec.ts, foo_test.py.
+  // The one test-file check shared by the gates, impact analysis and context prediction.
+  testFile: /(^|[/\\])(__tests__|tests?)[/\\]|[._-](test|spec)\.[a-z]+$/i,
+  sourceFile: /\.[cm]?[jt]sx?$/,
+};
+
+/**
+ * Error-handling levels, as stored in the profile's `quality.errorHandling`
+ */
+const ERROR_HANDLING_LEVELS = {
+  MINIMAL: 'minimal',
+  DEFENSIVE: 'defensive',
+  PARANOID: 'paranoid',
+};
+
+/**
+ * Keywords followed by `(...) {` that do not define a function
+ */
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'function']);
+
+/**
+ * Plural labels for naming convention summaries
+ */
+const KIND_LABELS = {
+  [DECLARATION_KINDS.FILE]: 'files',
+  [DECLARATION_KINDS.CLASS]: 'classes',
+  [DECLARATION_KINDS.FUNCTION]: 'functions',
+  [DECLARATION_KINDS.METHOD]: 'methods',
+  [DECLARATION_KINDS.VARIABLE]: 'variables',
+  [DECLARATION_KINDS.CONSTANT]: 'constants',
+  [DECLARATION_KINDS.TEST]: 'test names',
 };
 
+/**
+ * Statements of an error handler: the body of a `catch` block or of the
+ * callback passed to `.catch(...)`
+ * @param {Array<object>} tokens - Tokens
+ * @param {number} open - Index of the `{` of a catch block, or the `(` of a `.catch` call
+ * @returns {Array<object>|null} Body tokens, or null for a handler passed by reference
+ */
+function handlerBody(tokens, open) {
+  const close = closingBracket(tokens, open);
+  const inner = tokens.slice(open + 1, close);
+  if (tokens[open].value === '{') return inner;
+
+  // .catch(handleError)
+  if (inner.length === 1 && inner[0].type === 'name') return inner[0].value === 'noop' ? [] : null;
+
+  let start = inner.findIndex(t => t.value === '=>') + 1;
+  if (start === 0) start = inner.findIndex(t => t.value === '{'); // function (err) { ... }
+  if (start === -1) return null;
+  if (inner[start] && inner[start].value === '{') {
+    return inner.slice(start + 1, closingBracket(inner, start));
+  }
+  return inner.slice(start);
+}
+
+/**
+ * What an error handler does with the error
+ * @param {Array<object>|null} body - Handler body from handlerBody()
+ * @returns {'rethrow'|'swallow'|'log'|'handle'}
+ */
+function classifyHandler(body) {
+  if (body === null) return 'handle';
+
+  const names = body.filter(t => t.type === 'name').map(t => t.value);
+  if (names.includes('throw') || (names.includes('Promise') && names.includes('reject'))) return 'rethrow';
+  if (body.length === 0 || (body.length === 1 && ['null', 'undefined'].includes(body[0].value))) return 'swallow';
+  if (['console', 'logger', 'log'].includes(body[0].value) && !names.includes('return')) return 'log';
+  return 'handle';
+}
+
 /**
  * Pattern Learner class
  */
 class PatternLearner {
-  constructor() {
+  /**
+   * @param {object} [options] - Options
+   * @param {ProfileManager} [options.profileManager] - Profile that learned error handling
+   *   (`quality.errorHandling`) and workflow preferences are written to
+   * @param {number} [options.window=10] - Number of recent observations patterns are learned from
+   */
+  constructor(options = {}) {
     this.observations = [];
     this.learnedPatterns = new Map();
     this.confidenceThreshold = 0.7;
+    this.minNamingSamples = 5;
+    this.window = options.window || 10;
+    this.profileManager = options.profileManager || null;
   }
 
   /**
    * Observe a code sample
    * @param {string} code - Code to analyze
-   * @param {string} context - Context (e.g., 'function', 'class', 'test')
+   * @param {string} context - Context (e.g., 'function', 'class', 'test') or the
+   *   file name, which is then learned from too
    */
   observeCode(code, context = 'general') {
+    const file = /\.[cm]?[jt]sx?$/.test(context) ? context : undefined;
     const observation = {
       timestamp: Date.now(),
       context,
-      patterns: this.extractPatterns(code),
+      patterns: this.extractPatterns(code, { file }),
     };
 
     this.observations.push(observation);
@@ -70,37 +173,41 @@ class PatternLearner {
   /**
    * Extract patterns from code
    * @param {string} code - Code to analyze
+   * @param {object} [options] - Options
+   * @param {string} [options.file] - File path, for file naming
    * @returns {object} Detected patterns
    */
-  extractPatterns(code) {
+  extractPatterns(code, options = {}) {
     const patterns = {
-      naming: this.detectNamingPatterns(code),
+      naming: this.detectNamingPatterns(code, options),
       documentation: this.detectDocPatterns(code),
       testing: this.detectTestingPatterns(code),
       structure: this.detectStructurePatterns(code),
+      errorHandling: this.detectErrorHandlingPatterns(code),
     };
 
     return patterns;
   }
 
   /**
-   * Detect naming conventions
+   * Detect naming conventions from declared names. Names in comments and
+   * strings, and imported bindings, are not counted.
    * @param {string} code - Code to analyze
-   * @returns {object} Naming patterns
+   * @param {object} [options] - Options
+   * @param {string} [options.file] - File path, for file naming
+   * @returns {object} Naming patterns: style shares across functions and variables,
+   *   `styles` (kind → style → count) and `conventions` (kind → {style, confidence, samples})
    */
-  detectNamingPatterns(code) {
-    // Extract identifiers (simplified)
-    const functionNames = code.match(/function\s+(\w+)/g) || [];
-    const varNames = code.match(/(?:const|let|var)\s+(\w+)/g) || [];
+  detectNamingPatterns(code, options = {}) {
+    const declarations = extractDeclarations(code, options);
+    const styles = countNamingStyles(declarations);
 
     let camelCount = 0;
     let snakeCount = 0;
     let pascalCount = 0;
 
-    const allNames = [...functionNames, ...varNames].map(m => {
-      const parts = m.split(/\s+/);
-      return parts[parts.length - 1];
-    });
+    const variableKinds = [DECLARATION_KINDS.FUNCTION, DECLARATION_KINDS.VARIABLE, DECLARATION_KINDS.CONSTANT];
+    const allNames = declarations.filter(d => variableKinds.includes(d.kind)).map(d => d.name);
 
     for (const name of allNames) {
       if (PATTERN_SIGNALS.camelCase.test(name)) camelCount++;
@@ -115,6 +222,10 @@ class PatternLearner {
       snake_case: snakeCount / total,
       PascalCase: pascalCount / total,
       dominant: this.getDominant({ camelCount, snakeCount, pascalCount }),
+      styles,
+      conventions: Object.fromEntries(
+        Object.entries(styles).map(([kind, counts]) => [kind, namingConvention(counts)]),
+      ),
     };
   }
 
@@ -193,6 +304,222 @@ class PatternLearner {
     };
   }
 
+  /**
+   * Detect error-handling style: try/catch, promise `.catch` or result
+   * objects (`{ success, error }`), custom error classes, and whether
+   * handlers rethrow, swallow, log or handle errors. Comments and strings
+   * are ignored.
+   * @param {string} code - Code to analyze
+   * @returns {object} Error-handling patterns; `counts` also holds the number of functions
+   */
+  detectErrorHandlingPatterns(code) {
+    const tokens = tokenizeCode(code);
+    const counts = {
+      functions: 0,
+      tryCatch: 0,
+      promiseCatch: 0,
+      resultObjects: 0,
+      rethrow: 0,
+      swallow: 0,
+      log: 0,
+      handle: 0,
+    };
+    const customErrors = [];
+
+    for (let t = 0; t < tokens.length; t++) {
+      const { type, value } = tokens[t];
+      const prev = tokens[t - 1] || {};
+      const next = tokens[t + 1] || {};
+
+      if (type === 'punct') {
+        if (value === '=>') counts.functions++;
+        continue;
+      }
+      if (type !== 'name' || (prev.value === '.' && value !== 'catch')) continue;
+
+      if (value === 'function') {
+        counts.functions++;
+      } else if (value === 'try' && next.value === '{') {
+        counts.tryCatch++;
+      } else if (value === 'catch' && prev.value === '}') {
+        // catch (err) { ... } or catch { ... }
+        const open = next.value === '(' ? closingBracket(tokens, t + 1) + 1 : t + 1;
+        if (tokens[open] && tokens[open].value === '{') counts[classifyHandler(handlerBody(tokens, open))]++;
+      } else if (value === 'catch' && (prev.value === '.' || prev.value === '?.') && next.value === '(') {
+        counts.promiseCatch++;
+        counts[classifyHandler(handlerBody(tokens, t + 1))]++;
+      } else if ((value === 'success' || value === 'ok') && next.value === ':' &&
+        (prev.value === '{' || prev.value === ',')) {
+        counts.resultObjects++;
+      } else if (value === 'class' && next.type === 'name' && tokens[t + 2] && tokens[t + 2].value === 'extends' &&
+        /Error$/.test(tokens[t + 3] ? tokens[t + 3].value : '')) {
+        customErrors.push(next.value);
+      } else if (next.value === '(' && prev.value !== 'function' && !CONTROL_KEYWORDS.has(value)) {
+        // Method definitions: name(...) { ... }
+        const close = closingBracket(tokens, t + 1);
+        if (tokens[close + 1] && tokens[close + 1].value === '{') counts.functions++;
+      }
+    }
+
+    const dominant = this.getDominant({
+      'try-catch': counts.tryCatch,
+      'promise-catch': counts.promiseCatch,
+      'result-object': counts.resultObjects,
+    });
+
+    return {
+      style: dominant === 'mixed' ? 'none' : dominant,
+      usesTryCatch: counts.tryCatch > 0,
+      usesPromiseCatch: counts.promiseCatch > 0,
+      usesResultObjects: counts.resultObjects > 0,
+      usesCustomErrors: customErrors.length > 0,
+      rethrows: counts.rethrow > 0,
+      swallows: counts.swallow > 0,
+      customErrors,
+      counts,
+    };
+  }
+
+  /**
+   * Infer the error-handling level from error-handling counts: `minimal` when
+   * under a tenth of functions guard errors or most handlers swallow them,
+   * `paranoid` when at least half do, `defensive` otherwise
+   * @param {object} counts - `counts` from detectErrorHandlingPatterns(), possibly summed
+   * @returns {{level: string, confidence: number, guardedRatio: number}|null} Null without functions;
+   *   confidence grows with the number of functions, reaching 1 at 20
+   */
+  inferErrorHandlingLevel(counts) {
+    const functions = counts.functions || 0;
+    if (functions === 0) return null;
+
+    const guarded = (counts.tryCatch || 0) + (counts.promiseCatch || 0) + (counts.resultObjects || 0);
+    const handlers = (counts.rethrow || 0) + (counts.swallow || 0) + (counts.log || 0) + (counts.handle || 0);
+    const guardedRatio = guarded / functions;
+
+    let level = ERROR_HANDLING_LEVELS.DEFENSIVE;
+    if (guardedRatio < 0.1 || (handlers > 0 && (counts.swallow || 0) / handlers > 0.5)) {
+      level = ERROR_HANDLING_LEVELS.MINIMAL;
+    } else if (guardedRatio >= 0.5) {
+      level = ERROR_HANDLING_LEVELS.PARANOID;
+    }
+
+    return {
+      level,
+      confidence: Math.min(1, Math.round((functions / 20) * 100) / 100),
+      guardedRatio: Math.round(guardedRatio * 100) / 100,
+    };
+  }
+
+  /**
+   * Detect workflow signals from git history: commit granularity (median
+   * files per commit), how often commits that change source also change
+   * tests, and whether tests are introduced before, with or after the
+   * source file of the same name
+   * @param {Array<{files: string[]}>} commits - Commits newest first, as from GitHistoryMiner.readCommits()
+   * @returns {object} Workflow patterns
+   */
+  detectWorkflowPatterns(commits) {
+    const isTest = (file) => PATTERN_SIGNALS.testFile.test(file);
+    const isSource = (file) => PATTERN_SIGNALS.sourceFile.test(file) && !isTest(file);
+    const stem = (file) => file.split(/[/\\]/).pop().split('.')[0].toLowerCase();
+
+    const sizes = commits.map(c => c.files.length).filter(n => n > 0).sort((a, b) => a - b);
+    const median = sizes.length > 0 ? sizes[Math.floor((sizes.length - 1) / 2)] : 0;
+    let granularity = 'unknown';
+    if (sizes.length > 0) {
+      granularity = median <= 3 ? 'atomic' : median <= 10 ? 'moderate' : 'large';
+    }
+
+    // Commit (oldest first) that introduced each file
+    const introduced = new Map();
+    let sourceCommits = 0;
+    let testedCommits = 0;
+    [...commits].reverse().forEach((commit, index) => {
+      if (commit.files.some(isSource)) {
+        sourceCommits++;
+        if (commit.files.some(isTest)) testedCommits++;
+      }
+      for (const file of commit.files) {
+        if (!introduced.has(file)) introduced.set(file, index);
+      }
+    });
+
+    // Pair tests with the one source file sharing their name
+    const sourcesByStem = new Map();
+    for (const file of introduced.keys()) {
+      if (!isSource(file)) continue;
+      const key = stem(file);
+      sourcesByStem.set(key, sourcesByStem.has(key) ? null : file);
+    }
+
+    const ordering = { 'test-first': 0, 'together': 0, 'test-after': 0 };
+    for (const [file, index] of introduced) {
+      const source = isTest(file) ? sourcesByStem.get(stem(file)) : null;
+      if (!source) continue;
+      const sourceIndex = introduced.get(source);
+      if (index < sourceIndex) ordering['test-first']++;
+      else if (index === sourceIndex) ordering.together++;
+      else ordering['test-after']++;
+    }
+    const pairs = Object.values(ordering).reduce((sum, n) => sum + n, 0);
+
+    return {
+      commits: commits.length,
+      medianFilesPerCommit: median,
+      granularity,
+      testsWithChanges: sourceCommits > 0 ? Math.round((testedCommits / sourceCommits) * 100) / 100 : 0,
+      testOrdering: pairs > 0 ? this.getDominant(ordering) : 'unknown',
+      testFirstRatio: pairs > 0 ? Math.round((ordering['test-first'] / pairs) * 100) / 100 : 0,
+      counts: { ...ordering, pairs },
+    };
+  }
+
+  /**
+   * Learn workflow patterns from commits (`workflow.granularity`,
+   * `workflow.testOrdering`) and record them as profile preferences
+   * @param {Array<{files: string[]}>} commits - Commits newest first
+   * @returns {object} Workflow patterns
+   */
+  observeHistory(commits) {
+    const workflow = this.detectWorkflowPatterns(commits);
+    const { pairs } = workflow.counts;
+    // Share of pairs that follow the dominant ordering, discounted below 10 pairs
+    const orderingShare = pairs > 0 ? workflow.counts[workflow.testOrdering] / pairs : 0;
+    const learned = {
+      granularity: workflow.granularity === 'unknown' ? null : {
+        value: workflow.granularity,
+        confidence: Math.min(1, Math.round((commits.length / 20) * 100) / 100),
+        observationCount: commits.length,
+      },
+      testOrdering: workflow.testOrdering === 'unknown' ? null : {
+        value: workflow.testOrdering,
+        confidence: Math.round(orderingShare * Math.min(1, pairs / 10) * 100) / 100,
+        observationCount: pairs,
+      },
+    };
+
+    for (const [key, pattern] of Object.entries(learned)) {
+      if (!pattern || pattern.confidence < this.confidenceThreshold) continue;
+      this.learnedPatterns.set(`workflow.${key}`, pattern);
+      if (this.profileManager) {
+        this.profileManager.recordPreference(`workflow.${key}`, pattern.value, pattern.confidence);
+      }
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Read a repository's git history and learn workflow patterns from it
+   * @param {string} projectRoot - Repository directory
+   * @param {object} [options] - GitHistoryMiner options, e.g. `maxCommits`, `sinceDays`
+   * @returns {object} Workflow patterns
+   */
+  observeRepository(projectRoot, options = {}) {
+    const miner = new GitHistoryMiner({ ...options, projectRoot });
+    return this.observeHistory(miner.readCommits());
+  }
+
   /**
    * Get dominant pattern from counts
    * @param {object} counts - Pattern counts
@@ -216,10 +543,12 @@ class PatternLearner {
    * Update learned patterns based on observations
    */
   updateLearnedPatterns() {
+    this.updateNamingConventions();
+
     if (this.observations.length < 3) return;
 
     // Aggregate patterns from recent observations
-    const recent = this.observations.slice(-10);
+    const recent = this.observations.slice(-this.window);
     const aggregated = this.aggregatePatterns(recent);
 
     // Update learned patterns with high confidence
@@ -234,25 +563,92 @@ class PatternLearner {
         }
       }
     }
+
+    this.updateErrorHandlingLevel(recent);
+  }
+
+  /**
+   * Learn the error-handling level (`error-handling.level`) from the summed
+   * counts of recent observations and write it to the profile's
+   * `quality.errorHandling` when a profile manager is attached
+   * @param {Array} observations - Observations to learn from
+   */
+  updateErrorHandlingLevel(observations) {
+    const totals = {};
+    for (const obs of observations) {
+      for (const [key, count] of Object.entries(obs.patterns.errorHandling?.counts || {})) {
+        totals[key] = (totals[key] || 0) + count;
+      }
+    }
+
+    const inferred = this.inferErrorHandlingLevel(totals);
+    if (!inferred || inferred.confidence < this.confidenceThreshold) return;
+
+    this.learnedPatterns.set(`${PATTERN_TYPES.ERROR_HANDLING}.level`, {
+      value: inferred.level,
+      confidence: inferred.confidence,
+      observationCount: observations.length,
+    });
+
+    if (this.profileManager) {
+      const profile = this.profileManager.getProfile() || this.profileManager.init();
+      if (profile.quality.errorHandling !== inferred.level) {
+        this.profileManager.updateSection('quality', { errorHandling: inferred.level });
+      }
+    }
+  }
+
+  /**
+   * Learn a naming convention per declaration kind (`naming.function`,
+   * `naming.class`, ...) from the names in recent observations. A kind is
+   * learned once it has `minNamingSamples` names, however few observations
+   * they came from; the value is the style.
+   */
+  updateNamingConventions() {
+    const recent = this.observations.slice(-this.window);
+    const totals = {};
+
+    for (const obs of recent) {
+      for (const [kind, counts] of Object.entries(obs.patterns.naming?.styles || {})) {
+        if (!totals[kind]) totals[kind] = {};
+        for (const [style, count] of Object.entries(counts)) {
+          totals[kind][style] = (totals[kind][style] || 0) + count;
+        }
+      }
+    }
+
+    for (const [kind, counts] of Object.entries(totals)) {
+      const convention = namingConvention(counts);
+      if (convention && convention.samples >= this.minNamingSamples &&
+        convention.confidence >= this.confidenceThreshold) {
+        this.learnedPatterns.set(`naming.${kind}`, {
+          value: convention.style,
+          confidence: convention.confidence,
+          observationCount: recent.length,
+          samples: convention.samples,
+        });
+      }
+    }
   }
 
   /**
    * Aggregate patterns from multiple observations
    * @param {Array} observations - Observations to aggregate
-   * @returns {object} Aggregated patterns
+   * @returns {object} Aggregated patterns, keyed by pattern type (PATTERN_TYPES)
    */
   aggregatePatterns(observations) {
     const aggregated = {};
 
     for (const obs of observations) {
       for (const [category, patterns] of Object.entries(obs.patterns)) {
-        if (!aggregated[category]) aggregated[category] = {};
+        const type = CATEGORY_TYPES[category] || category;
+        if (!aggregated[type]) aggregated[type] = {};
 
         for (const [key, value] of Object.entries(patterns)) {
           if (typeof value === 'boolean') {
-            aggregated[category][key] = (aggregated[category][key] || 0) + (value ? 1 : 0);
+            aggregated[type][key] = (aggregated[type][key] || 0) + (value ? 1 : 0);
           } else if (typeof value === 'number') {
-            aggregated[category][key] = (aggregated[category][key] || 0) + value;
+            aggregated[type][key] = (aggregated[type][key] || 0) + value;
           }
         }
       }
@@ -277,6 +673,33 @@ class PatternLearner {
     return Object.fromEntries(this.learnedPatterns);
   }
 
+  /**
+   * Learned naming conventions by declaration kind
+   * @returns {Object<string, {style: string, confidence: number, samples: number}>}
+   */
+  getNamingConventions() {
+    const conventions = {};
+
+    for (const kind of Object.keys(KIND_LABELS)) {
+      const learned = this.learnedPatterns.get(`naming.${kind}`);
+      if (learned) {
+        conventions[kind] = { style: learned.value, confidence: learned.confidence, samples: learned.samples };
+      }
+    }
+
+    return conventions;
+  }
+
+  /**
+   * Summarize learned naming conventions in one line
+   * @returns {string} e.g. "functions camelCase, classes PascalCase, constants SCREAMING_SNAKE"
+   */
+  describeNamingConventions() {
+    return Object.entries(this.getNamingConventions())
+      .map(([kind, convention]) => `${KIND_LABELS[kind]} ${convention.style}`)
+      .join(', ');
+  }
+
   /**
    * Get pattern confidence
    * @param {string} patternKey - Pattern key (e.g., 'naming.camelCase')
@@ -300,4 +723,5 @@ module.exports = {
   PatternLearner,
   PATTERN_TYPES,
   PATTERN_SIGNALS,
+  ERROR_HANDLING_LEVELS,
 };
@@ -9,6 +9,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { StateDocument, RoadmapDocument, markdown } = require('../planning');
 
 /**
  * ClaudeMdGenerator class
@@ -49,9 +50,10 @@ class ClaudeMdGenerator {
 
     // Current State
     if (state) {
-      const focus = this._extractField(state, 'Focus');
-      const milestone = this._extractField(state, 'Current milestone');
-      const phase = this._extractField(state, 'Phase');
+      const stateDoc = new StateDocument(state);
+      const focus = stateDoc.focus;
+      const milestone = stateDoc.milestone;
+      const phase = stateDoc.fields.phase ? stateDoc.fields.phase.value : null;
 
       sections.push('## Current State');
       sections.push('');
@@ -196,21 +198,9 @@ class ClaudeMdGenerator {
    * @returns {string|null}
    */
   _extractSection(content, heading) {
-    const regex = new RegExp(`##\\s*${heading}\\s*\\n([\\s\\S]*?)(?=\\n##|$)`, 'i');
-    const match = content.match(regex);
-    return match ? match[1].trim() : null;
-  }
-
-  /**
-   * Extract a field value
-   * @param {string} content
-   * @param {string} field
-   * @returns {string|null}
-   */
-  _extractField(content, field) {
-    const regex = new RegExp(`\\*\\*${field}:\\*\\*\\s*(.+)`, 'i');
-    const match = content.match(regex);
-    return match ? match[1].trim() : null;
+    const { lines } = markdown.splitLines(content);
+    const section = markdown.findSection(markdown.parseSections(lines), heading);
+    return section ? markdown.sectionBody(lines, section) || null : null;
   }
 
   /**
@@ -219,17 +209,14 @@ class ClaudeMdGenerator {
    * @returns {string|null}
    */
   _extractProgressSummary(roadmap) {
-    const milestones = [];
-
-    // Match milestone lines
-    const regex = /[-*]\s*(✅|🚧|📋)\s*\*\*([^*]+)\*\*/g;
-    let match;
-
-    while ((match = regex.exec(roadmap)) !== null) {
-      const status = match[1] === '✅' ? 'Complete' :
-                     match[1] === '🚧' ? 'In Progress' : 'Planned';
-      milestones.push(`- ${match[2].trim()}: ${status}`);
-    }
+    const labels = {
+      complete: 'Complete',
+      in_progress: 'In Progress',
+      planned: 'Planned',
+    };
+
+    const milestones = new RoadmapDocument(roadmap).milestones
+      .map(m => `- ${m.name}: ${labels[m.status]}`);
 
     return milestones.length > 0 ? milestones.join('\n') : null;
   }
@@ -61,62 +61,334 @@ function validateSchemaStructure(schema) {
 }
 
 /**
- * Validate data against a schema (basic validation)
- * @param {object} data - The data to validate
- * @param {object} schema - The schema to validate against
- * @returns {{valid: boolean, errors: string[]}}
+ * Formats asserted by validateDataAgainstSchema (others are ignored, per draft-07)
+ */
+const FORMAT_CHECKS = {
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(v) &&
+    !Number.isNaN(Date.parse(v)),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && isRealDate(v),
+  time: (v) => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => /^[a-zA-Z][a-zA-Z\d+.-]*:\S*$/.test(v),
+};
+
+/**
+ * Check that a YYYY-MM-DD string names a real calendar day
+ * @param {string} value - Date string
+ * @returns {boolean}
  */
-function validateDataAgainstSchema(data, schema) {
+function isRealDate(value) {
+  const [year, month, day] = value.split('-').map(n => parseInt(n, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * JSON type name of a value ('integer' is reported as 'number')
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return jsonType(value) === type;
+}
+
+/**
+ * Structural equality for const, enum and uniqueItems
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (jsonType(a) !== jsonType(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string|number} token - Property name or index
+ * @returns {string}
+ */
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a local $ref ("#/definitions/Name") against the root schema
+ * @param {object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {object|undefined} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) return undefined;
+  const pointer = ref.slice(1);
+  if (pointer === '') return root;
+
+  let node = root;
+  for (const token of pointer.replace(/^\//, '').split('/')) {
+    let key;
+    try {
+      key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    } catch {
+      // Malformed percent-escape
+      return undefined;
+    }
+    if (node === null || typeof node !== 'object' || !(key in node)) return undefined;
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * Compile a schema regex with the unicode flag
+ * @param {string} source - Pattern source
+ * @returns {RegExp|null} Compiled regex, or null when the pattern is invalid
+ */
+function compilePattern(source) {
+  try {
+    return new RegExp(source, 'u');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Format a value for an error message
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting errors as [pointer, message]
+ * @param {*} data - Value to validate
+ * @param {object|boolean} schema - Schema
+ * @param {string} pointer - JSON pointer of the value
+ * @param {object} root - Root schema for $ref resolution
+ * @returns {Array<[string, string]>} Errors
+ */
+function collectErrors(data, schema, pointer, root) {
   const errors = [];
+  const fail = (message, at = pointer) => errors.push([at, message]);
+
+  if (schema === true || schema === undefined) return errors;
+  if (schema === false) {
+    fail('No value is allowed here');
+    return errors;
+  }
+
+  // $ref replaces the rest of the schema in draft-07
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (target === undefined) {
+      fail(`Unresolvable $ref: ${schema.$ref}`);
+      return errors;
+    }
+    return collectErrors(data, target, pointer, root);
+  }
+
+  const type = jsonType(data);
 
   // Type validation
   if (schema.type) {
-    const actualType = Array.isArray(data) ? 'array' : typeof data;
-    if (schema.type === 'integer') {
-      if (typeof data !== 'number' || !Number.isInteger(data)) {
-        errors.push(`Expected integer, got ${typeof data}`);
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(data, t))) {
+      fail(`Expected ${types.join(' or ')}, got ${type}`);
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(data, schema.const)) {
+    fail(`Value must be ${formatValue(schema.const)}`);
+  }
+
+  // Enum validation
+  if (schema.enum && !schema.enum.some(v => deepEqual(data, v))) {
+    fail(`Value must be one of: ${schema.enum.map(formatValue).join(', ')}`);
+  }
+
+  // Numbers
+  if (type === 'number') {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      fail(`Value must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      fail(`Value must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+      fail(`Value must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+      fail(`Value must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(data / schema.multipleOf)) {
+      fail(`Value must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  // Strings
+  if (type === 'string') {
+    const length = [...data].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(`String must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`String must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      const regex = compilePattern(schema.pattern);
+      if (!regex) {
+        fail(`Invalid regex in schema keyword pattern: ${schema.pattern}`);
+      } else if (!regex.test(data)) {
+        fail(`String must match pattern ${schema.pattern}`);
       }
-    } else if (actualType !== schema.type) {
-      errors.push(`Expected ${schema.type}, got ${actualType}`);
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](data)) {
+      fail(`Invalid ${schema.format}: ${data}`);
     }
   }
 
-  // Required properties validation
-  if (schema.required && schema.type === 'object') {
-    for (const prop of schema.required) {
+  // Objects
+  if (type === 'object') {
+    for (const prop of schema.required || []) {
       if (!(prop in data)) {
-        errors.push(`Missing required property: ${prop}`);
+        fail(`Missing required property: ${prop}`);
       }
     }
-  }
 
-  // Enum validation
-  if (schema.enum && !schema.enum.includes(data)) {
-    errors.push(`Value must be one of: ${schema.enum.join(', ')}`);
-  }
+    const properties = schema.properties || {};
+    const patterns = [];
+    for (const [source, propSchema] of Object.entries(schema.patternProperties || {})) {
+      const regex = compilePattern(source);
+      if (regex) {
+        patterns.push([regex, propSchema]);
+      } else {
+        fail(`Invalid regex in schema keyword patternProperties/${escapePointer(source)}`);
+      }
+    }
 
-  // Nested properties validation
-  if (schema.properties && typeof data === 'object' && data !== null) {
-    for (const [key, propSchema] of Object.entries(schema.properties)) {
-      if (key in data) {
-        const result = validateDataAgainstSchema(data[key], propSchema);
-        for (const err of result.errors) {
-          errors.push(`${key}: ${err}`);
+    for (const [key, value] of Object.entries(data)) {
+      const at = `${pointer}/${escapePointer(key)}`;
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        errors.push(...collectErrors(value, properties[key], at, root));
+      }
+      for (const [regex, propSchema] of patterns) {
+        if (regex.test(key)) {
+          matched = true;
+          errors.push(...collectErrors(value, propSchema, at, root));
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail(`Unexpected property: ${key}`);
+        } else {
+          errors.push(...collectErrors(value, schema.additionalProperties, at, root));
         }
       }
     }
+
+    const count = Object.keys(data).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      fail(`Object must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      fail(`Object must have at most ${schema.maxProperties} properties`);
+    }
   }
 
-  // Array items validation
-  if (schema.items && Array.isArray(data)) {
-    data.forEach((item, index) => {
-      const result = validateDataAgainstSchema(item, schema.items);
-      for (const err of result.errors) {
-        errors.push(`[${index}]: ${err}`);
-      }
-    });
+  // Arrays
+  if (type === 'array') {
+    if (Array.isArray(schema.items)) {
+      data.forEach((item, index) => {
+        const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems;
+        errors.push(...collectErrors(item, itemSchema, `${pointer}/${index}`, root));
+      });
+    } else if (schema.items !== undefined) {
+      data.forEach((item, index) => {
+        errors.push(...collectErrors(item, schema.items, `${pointer}/${index}`, root));
+      });
+    }
+
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      fail(`Array must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      fail(`Array must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && data.some((item, i) => data.findIndex(other => deepEqual(item, other)) !== i)) {
+      fail('Array items must be unique');
+    }
+  }
+
+  // Combinators
+  if (schema.allOf) {
+    for (const sub of schema.allOf) {
+      errors.push(...collectErrors(data, sub, pointer, root));
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => collectErrors(data, sub, pointer, root).length === 0)) {
+    fail('Value must match at least one schema in anyOf');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => collectErrors(data, sub, pointer, root).length === 0).length;
+    if (matches !== 1) {
+      fail(`Value must match exactly one schema in oneOf (matched ${matches})`);
+    }
+  }
+  if (schema.not !== undefined && collectErrors(data, schema.not, pointer, root).length === 0) {
+    fail('Value must not match the schema in not');
   }
 
+  return errors;
+}
+
+/**
+ * Validate data against a JSON Schema (draft-07 subset)
+ *
+ * Supports type (including type arrays), const, enum, required, properties,
+ * patternProperties, additionalProperties, items/additionalItems,
+ * min/maxItems, uniqueItems, min/maxProperties, minimum/maximum and their
+ * exclusive forms, multipleOf, min/maxLength, pattern, format (date-time,
+ * date, time, email, uri), local $ref, allOf, anyOf, oneOf and not.
+ *
+ * Errors on nested values are prefixed with their JSON pointer,
+ * e.g. `/decisions/0/id: String must match pattern ^DEC-[0-9]{3,}$`.
+ *
+ * @param {object} data - The data to validate
+ * @param {object} schema - The schema to validate against
+ * @param {object} [options] - Options
+ * @param {object} [options.rootSchema] - Schema that $refs resolve against (defaults to schema)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateDataAgainstSchema(data, schema, options = {}) {
+  const root = options.rootSchema || schema;
+  const errors = collectErrors(data, schema, '', root)
+    .map(([pointer, message]) => (pointer ? `${pointer}: ${message}` : message));
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -12,11 +12,20 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import * as fs from 'fs';
 import * as path from 'path';
+import { createRequire } from 'module';
+
+// Shared CommonJS modules from the main package
+const require = createRequire(import.meta.url);
+const { readState } = require('pmp-gywd/lib/planning');
+const { ProjectTools, PlanningResources } = require('pmp-gywd/lib/mcp');
 
 // Configuration
 const PLANNING_DIR = process.env.GYWD_PLANNING_DIR || '.planning';
@@ -40,31 +49,14 @@ function readPlanningFile(filename) {
  * Parse STATE.md to extract current state
  */
 function parseState() {
-  const content = readPlanningFile('STATE.md');
-  if (!content) return null;
+  const doc = readState(path.join(process.cwd(), PLANNING_DIR));
+  if (!doc) return null;
 
   const state = {};
-
-  const phaseMatch = content.match(/\*\*Phase:\*\*\s*(\d+)\s*of\s*(\d+)/);
-  if (phaseMatch) {
-    state.phase = { current: parseInt(phaseMatch[1]), total: parseInt(phaseMatch[2]) };
-  }
-
-  const planMatch = content.match(/\*\*Plan:\*\*\s*(\d+)\s*of\s*(\d+)/);
-  if (planMatch) {
-    state.plan = { current: parseInt(planMatch[1]), total: parseInt(planMatch[2]) };
-  }
-
-  const focusMatch = content.match(/\*\*Focus:\*\*\s*(.+)/);
-  if (focusMatch) {
-    state.focus = focusMatch[1].trim();
-  }
-
-  const milestoneMatch = content.match(/\*\*Current milestone:\*\*\s*(.+)/);
-  if (milestoneMatch) {
-    state.milestone = milestoneMatch[1].trim();
-  }
-
+  if (doc.phase) state.phase = doc.phase;
+  if (doc.plan) state.plan = doc.plan;
+  if (doc.focus) state.focus = doc.focus;
+  if (doc.milestone) state.milestone = doc.milestone;
   return state;
 }
 
@@ -101,6 +93,9 @@ function searchFiles(pattern, directory = '.') {
   return results.slice(0, 50); // Limit results
 }
 
+// Library-backed tools (context graph, memory, dependencies, planning edits)
+const projectTools = new ProjectTools({ projectRoot: process.cwd(), planningDir: PLANNING_DIR });
+
 // Create server
 const server = new Server(
   {
@@ -109,7 +104,10 @@ const server = new Server(
   },
   {
     capabilities: {
-      resources: {},
+      resources: {
+        subscribe: true,
+        listChanged: true,
+      },
       tools: {},
     },
   }
@@ -160,6 +158,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['pattern'],
         },
       },
+      ...projectTools.list(),
     ],
   };
 });
@@ -168,6 +167,19 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
 
+  if (projectTools.has(name)) {
+    const result = projectTools.call(name, args);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+      isError: !result.success,
+    };
+  }
+
   switch (name) {
     case 'get_status': {
       const state = parseState();
@@ -249,51 +261,66 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// Resources: STATE/ROADMAP/PROJECT/ISSUES, phases, plans, summaries, codebase map
+const planningResources = new PlanningResources({ planningDir: path.join(process.cwd(), PLANNING_DIR) });
+const subscriptions = new Set();
+
 // List available resources
 server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  const resources = [];
-
-  const files = ['STATE.md', 'ROADMAP.md', 'PROJECT.md', 'ISSUES.md'];
-  for (const file of files) {
-    const content = readPlanningFile(file);
-    if (content) {
-      resources.push({
-        uri: `gywd://${file}`,
-        name: file,
-        description: `GYWD ${file.replace('.md', '')} file`,
-        mimeType: 'text/markdown',
-      });
-    }
-  }
+  return { resources: planningResources.list() };
+});
 
-  return { resources };
+// List resource templates
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: planningResources.templates() };
 });
 
 // Read resource content
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   const uri = request.params.uri;
-  const filename = uri.replace('gywd://', '');
-  const content = readPlanningFile(filename);
+  const resource = planningResources.read(uri);
 
-  if (!content) {
+  if (!resource) {
     throw new Error(`Resource not found: ${uri}`);
   }
 
   return {
-    contents: [
-      {
-        uri,
-        mimeType: 'text/markdown',
-        text: content,
-      },
-    ],
+    contents: [resource],
   };
 });
 
+// Subscribe to resource changes
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  subscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  subscriptions.delete(request.params.uri);
+  return {};
+});
+
+/**
+ * Forward .planning/ file changes to subscribed clients
+ */
+function watchPlanningFiles() {
+  return planningResources.watch(({ uris, listChanged }) => {
+    for (const uri of uris) {
+      if (subscriptions.has(uri)) {
+        server.sendResourceUpdated({ uri }).catch(console.error);
+      }
+    }
+    if (listChanged) {
+      server.sendResourceListChanged().catch(console.error);
+    }
+  });
+}
+
 // Start server
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
+  watchPlanningFiles();
   console.error('GYWD MCP server running');
 }
 
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Bundle Lib Script
+ *
+ * Copies modules of the shared lib/ into the current package's own lib/, so
+ * packages that cannot depend on pmp-gywd (the VS Code extension shares its
+ * name) ship the code they load instead of reaching outside their root.
+ *
+ * Usage (from the package directory): node ../scripts/bundle-lib.js planning validators
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LIB_DIR = path.join(__dirname, '..', 'lib');
+
+function main() {
+  const modules = process.argv.slice(2);
+  const target = path.join(process.cwd(), 'lib');
+
+  if (modules.length === 0) {
+    console.error('Usage: node bundle-lib.js <module> [module...]');
+    process.exit(1);
+  }
+  if (path.resolve(target) === path.resolve(LIB_DIR)) {
+    console.error('Run from the package to bundle into, not the repository root');
+    process.exit(1);
+  }
+
+  fs.rmSync(target, { recursive: true, force: true });
+  for (const name of modules) {
+    const source = path.join(LIB_DIR, name);
+    if (!fs.existsSync(source)) {
+      console.error(`No such module: lib/${name}`);
+      process.exit(1);
+    }
+    fs.cpSync(source, path.join(target, name), { recursive: true });
+  }
+
+  console.log(`Bundled lib/{${modules.join(',')}} into ${path.relative(process.cwd(), target) || '.'}`);
+}
+
+main();
@@ -2,12 +2,13 @@
 /**
  * Schema Validation Script
  *
- * Validates all JSON files in .planning/core/ against their schemas
+ * Validates the JSON files in .planning/ against their schemas
  * and validates schema files themselves for structural correctness.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validateDataAgainstSchema } = require('../lib/validators/schema-validator');
 
 // ANSI color codes
 const colors = {
@@ -27,7 +28,7 @@ const log = {
 
 // Schema directories
 const SCHEMA_DIR = path.join(__dirname, '..', 'get-your-work-done', 'core');
-const PLANNING_CORE_DIR = path.join(__dirname, '..', '.planning', 'core');
+const PLANNING_DIR = path.join(__dirname, '..', '.planning');
 
 // Schema files to validate
 const SCHEMA_FILES = [
@@ -37,11 +38,12 @@ const SCHEMA_FILES = [
   'profile-schema.json',
 ];
 
-// Data files and their schemas
+// Data files (relative to .planning/) and their schemas
 const DATA_SCHEMA_MAPPING = {
-  'decisions.json': 'decisions-schema.json',
-  'context-model.json': 'context-model-schema.json',
-  'learning-state.json': 'learning-state-schema.json',
+  'core/decisions.json': 'decisions-schema.json',
+  'core/context-model.json': 'context-model-schema.json',
+  'core/learning-state.json': 'learning-state-schema.json',
+  'profile/developer.json': 'profile-schema.json',
 };
 
 let errors = 0;
@@ -100,38 +102,6 @@ function validateSchemaStructure(schema, _schemaName) {
   return issues;
 }
 
-/**
- * Basic data validation against schema (without external validator)
- */
-function validateDataAgainstSchema(data, schema) {
-  const issues = [];
-
-  // Check required fields
-  if (schema.required && Array.isArray(schema.required)) {
-    for (const field of schema.required) {
-      if (!(field in data)) {
-        issues.push(`Missing required field: ${field}`);
-      }
-    }
-  }
-
-  // Check type of root
-  if (schema.type === 'object' && typeof data !== 'object') {
-    issues.push(`Expected object, got ${typeof data}`);
-  }
-
-  if (schema.type === 'array' && !Array.isArray(data)) {
-    issues.push(`Expected array, got ${typeof data}`);
-  }
-
-  // Check version field if present in schema
-  if (schema.properties?.version?.const && data.version !== schema.properties.version.const) {
-    issues.push(`Version mismatch: expected ${schema.properties.version.const}, got ${data.version}`);
-  }
-
-  return issues;
-}
-
 /**
  * Main validation
  */
@@ -174,9 +144,9 @@ function main() {
   console.log('\n');
   log.info('Validating data files against schemas...');
 
-  if (fs.existsSync(PLANNING_CORE_DIR)) {
+  if (fs.existsSync(PLANNING_DIR)) {
     for (const [dataFile, schemaFile] of Object.entries(DATA_SCHEMA_MAPPING)) {
-      const dataPath = path.join(PLANNING_CORE_DIR, dataFile);
+      const dataPath = path.join(PLANNING_DIR, dataFile);
       const schemaPath = path.join(SCHEMA_DIR, schemaFile);
 
       if (!fs.existsSync(dataPath)) {
@@ -202,17 +172,18 @@ function main() {
       // Validate against schema
       const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
       const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-      const validationIssues = validateDataAgainstSchema(data, schema);
+      const { errors: validationIssues } = validateDataAgainstSchema(data, schema);
 
       if (validationIssues.length > 0) {
-        log.error(`${dataFile}: ${validationIssues.join(', ')}`);
+        log.error(`${dataFile}:`);
+        validationIssues.forEach(issue => console.log(`    ${issue}`));
         errors++;
       } else {
         log.success(`${dataFile} validates against ${schemaFile}`);
       }
     }
   } else {
-    log.warn('.planning/core/ directory not found (project not bootstrapped)');
+    log.warn('.planning/ directory not found (project not bootstrapped)');
     warnings++;
   }
 
@@ -422,11 +422,97 @@ describe('DependencyAnalyzer', () => {
   });
 });
 
+describe('DependencyAnalyzer workspace mode', () => {
+  let rootDir;
+  let analyzer;
+
+  const write = (file, content) => {
+    const fullPath = path.join(rootDir, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+  const abs = (file) => path.join(rootDir, file);
+  const depsOf = (file) => analyzer.dependencies.get(abs(file));
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dep-analyzer-workspace-test-'));
+    write('package.json', { name: 'acme', private: true, workspaces: ['packages/*'] });
+    write('packages/core/package.json', { name: '@acme/core', main: 'src/index.js' });
+    write('packages/core/src/index.js', "module.exports = require('./util');\n");
+    write('packages/core/src/util.js', 'module.exports = {};\n');
+    write('packages/api/package.json', { name: '@acme/api', main: 'src/index.js', dependencies: { '@acme/core': '*' } });
+    write('packages/api/src/index.js', [
+      "const core = require('@acme/core');",
+      "const util = require('../../core/src/util');",
+      "const _ = require('lodash');",
+    ].join('\n'));
+    write('packages/web/package.json', { name: 'web', dependencies: { '@acme/api': '*', '@acme/ui': '*' } });
+    write('packages/web/src/app.js', "import api from '@acme/api';\nimport { Button } from '@acme/ui';\n");
+    write('packages/ui/package.json', { name: '@acme/ui', exports: './dist/index.js' });
+    write('packages/ui/src/index.js', "const { theme } = require('web/src/app');\n");
+    analyzer = new DependencyAnalyzer({ rootDir, workspaces: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('classifies imports of sibling packages as workspace dependencies', () => {
+    analyzer.analyze();
+
+    expect(depsOf('packages/api/src/index.js')).toEqual([
+      { path: abs('packages/core/src/index.js'), type: DEP_TYPES.WORKSPACE, raw: '@acme/core', package: '@acme/core' },
+      { path: abs('packages/core/src/util.js'), type: DEP_TYPES.WORKSPACE, raw: '../../core/src/util', package: '@acme/core' },
+      { path: 'lodash', type: DEP_TYPES.EXTERNAL, raw: 'lodash' },
+    ]);
+    expect(depsOf('packages/web/src/app.js')[1]).toMatchObject({ path: '@acme/ui', package: '@acme/ui' });
+    expect(depsOf('packages/core/src/index.js')[0].type).toBe(DEP_TYPES.INTERNAL);
+  });
+
+  test('keeps workspace imports in the file-level graph', () => {
+    const results = analyzer.analyze();
+
+    expect(analyzer.getDependents('packages/core/src/util.js').sort()).toEqual([
+      path.join('packages', 'api', 'src', 'index.js'),
+      path.join('packages', 'core', 'src', 'index.js'),
+    ]);
+    expect(results.dependencies).toMatchObject({ workspace: 5, workspacePackages: ['@acme/api', '@acme/core', '@acme/ui', 'web'] });
+  });
+
+  test('reports package coupling, cycles and build order', () => {
+    const { workspaces } = analyzer.analyze();
+
+    expect(workspaces.packages['@acme/api']).toEqual({
+      dir: path.join('packages', 'api'),
+      files: 1,
+      dependsOn: ['@acme/core'],
+      declared: ['@acme/core'],
+      imports: { '@acme/core': 2 },
+      undeclared: [],
+    });
+    expect(workspaces.packages['@acme/ui'].undeclared).toEqual(['web']);
+    expect(workspaces.cycles).toEqual([['@acme/ui', 'web', '@acme/ui']]);
+    expect(workspaces.buildOrder).toEqual(['@acme/core', '@acme/api', 'web', '@acme/ui']);
+    expect(workspaces.coupling.efferent).toEqual({ '@acme/api': 1, '@acme/core': 0, '@acme/ui': 1, 'web': 2 });
+    expect(workspaces.coupling.instability['@acme/core']).toBe(0);
+    expect(analyzer.toMarkdown()).toContain('**Build order**: @acme/core → @acme/api → web → @acme/ui');
+  });
+
+  test('is off by default', () => {
+    const plain = new DependencyAnalyzer({ rootDir });
+    const results = plain.analyze();
+
+    expect(results.workspaces).toBeUndefined();
+    expect(plain.dependencies.get(abs('packages/api/src/index.js'))[0].type).toBe(DEP_TYPES.INTERNAL);
+  });
+});
+
 describe('DEP_TYPES', () => {
   test('has expected values', () => {
     expect(DEP_TYPES.INTERNAL).toBe('internal');
     expect(DEP_TYPES.EXTERNAL).toBe('external');
     expect(DEP_TYPES.BUILTIN).toBe('builtin');
+    expect(DEP_TYPES.WORKSPACE).toBe('workspace');
   });
 });
 
@@ -0,0 +1,172 @@
+/**
+ * Impact Analyzer Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { ImpactAnalyzer, IMPACT_KINDS, DependencyAnalyzer } = require('../../lib/automation');
+
+describe('ImpactAnalyzer', () => {
+  let testDir;
+  let impact;
+
+  const write = (file, lines) => {
+    const fullPath = path.join(testDir, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, `${lines.join('\n')}\n`);
+  };
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-analyzer-test-'));
+    write('src/auth/token.js', [
+      'function signToken(user) {',
+      '  return `${user.id}`;',
+      '}',
+      'function verifyToken(token) {',
+      '  return token.length > 0;',
+      '}',
+      'function rotate(token) {',
+      '  return signToken(verifyToken(token));',
+      '}',
+      'module.exports = { signToken, verifyToken, rotate };',
+    ]);
+    write('src/auth/index.js', [
+      "const { signToken, verifyToken } = require('./token');",
+      'module.exports = { signToken, verifyToken };',
+    ]);
+    write('src/api/login.js', [
+      "const { signToken } = require('../auth');",
+      'function login(user) {',
+      '  return signToken(user);',
+      '}',
+      'module.exports = { login };',
+    ]);
+    write('src/api/check.js', [
+      "const { verifyToken } = require('../auth');",
+      'module.exports = (token) => verifyToken(token);',
+    ]);
+    write('src/api/router.js', [
+      "const { login } = require('./login');",
+      'module.exports = { routes: { login } };',
+    ]);
+    write('src/jobs/refresh.js', [
+      "const tokens = require('../auth/token');",
+      'function refresh(user) {',
+      '  return tokens.signToken(user);',
+      '}',
+      'module.exports = { refresh };',
+    ]);
+    write('src/jobs/audit.js', [
+      "import * as tokens from '../auth/token';",
+      'export const audit = (token) => tokens.verifyToken(token);',
+    ]);
+    write('tests/login.test.js', [
+      "const { login } = require('../src/api/login');",
+      "test('login', () => expect(login({ id: 1 })).toBe('1'));",
+    ]);
+    impact = new ImpactAnalyzer({ rootDir: testDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('follows named imports through a barrel to the files that use the symbol', () => {
+    const report = impact.analyzeSymbol('signToken');
+
+    expect(report.symbol).toMatchObject({ file: 'src/auth/token.js', line: 1, endLine: 3, kind: 'function' });
+    expect(report.reexports).toEqual([{ file: 'src/auth/index.js', exportName: 'signToken', from: 'src/auth/token.js' }]);
+    expect(report.direct).toEqual([
+      { file: 'src/api/login.js', lines: [3], symbols: ['login'], via: 'src/auth/index.js' },
+      { file: 'src/jobs/refresh.js', lines: [3], symbols: ['refresh'], via: null },
+    ]);
+  });
+
+  test('leaves out files that import the module but not the symbol', () => {
+    const files = impact.analyzeSymbol('signToken').ranked.map(r => r.file);
+
+    expect(files).not.toContain('src/api/check.js');
+    expect(files).not.toContain('src/jobs/audit.js');
+    expect(impact.analyzeSymbol('verifyToken').direct.map(u => u.file)).toEqual(['src/api/check.js', 'src/jobs/audit.js']);
+  });
+
+  test('adds transitive dependents and tests, ranked below direct users', () => {
+    const report = impact.analyzeSymbol('src/auth/token.js#signToken');
+
+    expect(report.transitive).toEqual([
+      { file: 'src/api/router.js', distance: 2, via: 'src/api/login.js' },
+      { file: 'tests/login.test.js', distance: 2, via: 'src/api/login.js' },
+    ]);
+    expect(report.tests).toEqual(['tests/login.test.js']);
+    expect(report.ranked.map(r => [r.file, r.kind])).toEqual([
+      ['src/api/login.js', IMPACT_KINDS.DIRECT],
+      ['src/jobs/refresh.js', IMPACT_KINDS.DIRECT],
+      ['src/api/router.js', IMPACT_KINDS.TRANSITIVE],
+      ['tests/login.test.js', IMPACT_KINDS.TRANSITIVE],
+    ]);
+    expect(report.totalAffected).toBe(4);
+    expect(impact.analyzeSymbol('signToken', { depth: 1 }).transitive).toEqual([]);
+  });
+
+  test('reports callers in the defining file', () => {
+    expect(impact.analyzeSymbol('verifyToken').internal).toEqual([{ line: 8, symbol: 'rotate' }]);
+  });
+
+  test('narrows a method to files that call it on the imported class', () => {
+    write('src/store.js', [
+      'class Store {',
+      '  get(id) {',
+      '    return id;',
+      '  }',
+      '  put(id) {',
+      '    return id;',
+      '  }',
+      '}',
+      'module.exports = { Store };',
+    ]);
+    write('src/reader.js', [
+      "const { Store } = require('./store');",
+      'module.exports = () => new Store().get(1);',
+    ]);
+    write('src/writer.js', [
+      "const { Store } = require('./store');",
+      'module.exports = () => new Store().put(1);',
+    ]);
+
+    const report = new ImpactAnalyzer({ rootDir: testDir }).analyzeSymbol('Store.get');
+
+    expect(report.exportNames).toEqual(['Store']);
+    expect(report.direct.map(u => u.file)).toEqual(['src/reader.js']);
+  });
+
+  test('reuses a provided dependency graph and renders markdown', () => {
+    const dependencyAnalyzer = new DependencyAnalyzer({ rootDir: testDir });
+    dependencyAnalyzer.analyze();
+    const shared = new ImpactAnalyzer({ dependencyAnalyzer });
+
+    const markdown = shared.toMarkdown(shared.analyzeSymbol('signToken'));
+
+    expect(shared.rootDir).toBe(path.resolve(testDir));
+    expect(markdown).toContain('# Impact: signToken');
+    expect(markdown).toContain('| src/api/login.js | direct | 1 |');
+    expect(markdown).toContain('- src/auth/index.js as `signToken`');
+  });
+
+  test('follows imports through tsconfig path aliases', () => {
+    write('tsconfig.json', [JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } } })]);
+    write('src/lib/util.ts', ['export function helper(value: string) {', '  return value.trim();', '}']);
+    write('src/a.ts', ["import { helper } from '@/lib/util';", 'export const a = helper(\' a \');']);
+    write('src/b.ts', ["import { helper } from './lib/util';", 'export const b = helper(\' b \');']);
+
+    const aliased = new ImpactAnalyzer({ rootDir: testDir });
+    const report = aliased.analyzeSymbol('src/lib/util.ts#helper');
+
+    expect(aliased.dependencyAnalyzer.getDependents('src/lib/util.ts').sort()).toEqual(['src/a.ts', 'src/b.ts']);
+    expect(report.direct.map(u => u.file)).toEqual(['src/a.ts', 'src/b.ts']);
+  });
+
+  test('returns null for an unknown symbol', () => {
+    expect(impact.analyzeSymbol('missing')).toBeNull();
+  });
+});
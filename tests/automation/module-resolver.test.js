@@ -0,0 +1,176 @@
+/**
+ * Module Resolver Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  ModuleResolver,
+  DependencyAnalyzer,
+  DEP_TYPES,
+  parseJsonc,
+  resolveExportsTarget,
+} = require('../../lib/automation');
+const { ContextAnalyzer } = require('../../lib/context');
+
+describe('ModuleResolver', () => {
+  let rootDir;
+  let resolver;
+
+  const write = (file, content = '') => {
+    const fullPath = path.join(rootDir, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+  const abs = (file) => path.join(rootDir, file);
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'module-resolver-test-'));
+    write('package.json', { name: 'acme', private: true, workspaces: ['packages/*', 'apps/*'] });
+    write('tsconfig.base.json', [
+      '{',
+      '  // Shared options',
+      '  "compilerOptions": {',
+      '    "strict": true, /* block comment */',
+      '    "paths": { "@shared/*": ["packages/shared/src/*"], },',
+      '  },',
+      '}',
+    ].join('\n'));
+    write('apps/web/package.json', { name: 'web' });
+    write('apps/web/tsconfig.json', {
+      extends: '../../tsconfig.base.json',
+      compilerOptions: { baseUrl: '.', paths: { '@/*': ['./src/*'], 'config': ['./src/config/index.ts'] } },
+    });
+    write('apps/web/src/pages/home.tsx');
+    write('apps/web/src/components/Button.tsx');
+    write('apps/web/src/config/index.ts');
+    write('apps/web/src/lib/format.ts');
+    write('packages/ui/package.json', {
+      name: '@acme/ui',
+      exports: {
+        '.': { import: './dist/index.mjs', source: './src/index.ts' },
+        './button': './src/button.tsx',
+        './icons/*': './src/icons/*.tsx',
+        './internal/*': null,
+      },
+    });
+    write('packages/ui/src/index.ts');
+    write('packages/ui/src/button.tsx');
+    write('packages/ui/src/icons/arrow.tsx');
+    write('packages/ui/src/internal/secret.ts');
+    write('packages/utils/package.json', { name: 'utils', main: 'src/index.js' });
+    write('packages/utils/src/index.js');
+    write('packages/utils/src/dates.js');
+    write('packages/shared/package.json', { name: 'shared' });
+    write('packages/shared/src/types.ts');
+    resolver = new ModuleResolver({ rootDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('tsconfig', () => {
+    test('resolves paths patterns, exact paths and baseUrl from the nearest tsconfig', () => {
+      const from = abs('apps/web/src/pages');
+
+      expect(resolver.resolve('@/components/Button', from)).toBe(abs('apps/web/src/components/Button.tsx'));
+      expect(resolver.resolve('config', from)).toBe(abs('apps/web/src/config/index.ts'));
+      expect(resolver.resolve('src/lib/format', from)).toBe(abs('apps/web/src/lib/format.ts'));
+    });
+
+    test('inherits paths through extends and parses comments and trailing commas', () => {
+      write('packages/shared/tsconfig.json', { extends: '../../tsconfig.base.json' });
+
+      expect(resolver.resolve('@shared/types', abs('packages/shared/src'))).toBe(abs('packages/shared/src/types.ts'));
+      expect(resolver.getTsconfig(abs('apps/web/src')).pathsBase).toBe(abs('apps/web'));
+    });
+
+    test('ignores tsconfig when disabled', () => {
+      const plain = new ModuleResolver({ rootDir, tsconfig: false });
+
+      expect(plain.resolve('@/components/Button', abs('apps/web/src/pages'))).toBeNull();
+    });
+  });
+
+  describe('workspaces', () => {
+    test('discovers packages from package.json workspaces', () => {
+      expect([...resolver.getWorkspacePackages().keys()].sort()).toEqual(['@acme/ui', 'shared', 'utils', 'web']);
+      expect(resolver.findPackage(abs('packages/ui/src/button.tsx')).name).toBe('@acme/ui');
+    });
+
+    test('discovers packages from pnpm-workspace.yaml, honouring negations', () => {
+      write('package.json', { name: 'acme', private: true });
+      write('pnpm-workspace.yaml', "packages:\n  - 'packages/*'\n  - \"!packages/shared\"\n# trailing comment\n");
+
+      const pnpm = new ModuleResolver({ rootDir });
+
+      expect([...pnpm.getWorkspacePackages().keys()].sort()).toEqual(['@acme/ui', 'utils']);
+    });
+
+    test('resolves package exports maps, falling back past missing build output', () => {
+      const from = abs('apps/web/src');
+
+      expect(resolver.resolve('@acme/ui', from)).toBe(abs('packages/ui/src/index.ts'));
+      expect(resolver.resolve('@acme/ui/button', from)).toBe(abs('packages/ui/src/button.tsx'));
+      expect(resolver.resolve('@acme/ui/icons/arrow', from)).toBe(abs('packages/ui/src/icons/arrow.tsx'));
+      expect(resolver.resolve('@acme/ui/internal/secret', from)).toBeNull();
+      expect(resolver.resolve('@acme/ui/src/button', from)).toBeNull();
+    });
+
+    test('resolves main and deep imports of packages without exports', () => {
+      expect(resolver.resolve('utils', abs('apps/web/src'))).toBe(abs('packages/utils/src/index.js'));
+      expect(resolver.resolve('utils/src/dates', abs('apps/web/src'))).toBe(abs('packages/utils/src/dates.js'));
+      expect(resolver.resolve('react', abs('apps/web/src'))).toBeNull();
+    });
+  });
+
+  test('maps emitted .js specifiers to TypeScript sources and applies aliases', () => {
+    const aliased = new ModuleResolver({ rootDir, aliases: { '~web': 'apps/web/src' } });
+
+    expect(resolver.resolve('./format.js', abs('apps/web/src/lib'))).toBe(abs('apps/web/src/lib/format.ts'));
+    expect(aliased.resolve('~web/lib/format', abs('packages/utils'))).toBe(abs('apps/web/src/lib/format.ts'));
+  });
+
+  describe('helpers', () => {
+    test('parseJsonc keeps comment-like text inside strings', () => {
+      expect(parseJsonc('{ "url": "http://x/*y*/", // note\n "a": [1, 2,], }')).toEqual({ url: 'http://x/*y*/', a: [1, 2] });
+    });
+
+    test('resolveExportsTarget handles sugar, conditions and patterns', () => {
+      expect(resolveExportsTarget('./index.js', '.')).toEqual(['./index.js']);
+      expect(resolveExportsTarget({ require: './a.cjs', import: './a.mjs' }, '.')).toEqual(['./a.mjs', './a.cjs']);
+      expect(resolveExportsTarget({ './*': { default: './lib/*.js' } }, './x/y')).toEqual(['./lib/x/y.js']);
+      expect(resolveExportsTarget({ '.': './i.js' }, './missing')).toEqual([]);
+    });
+  });
+
+  describe('integration', () => {
+    test('DependencyAnalyzer classifies aliased and workspace imports as internal', () => {
+      write('apps/web/src/app.tsx', [
+        "import { Button } from '@/components/Button';",
+        "import { Icon } from '@acme/ui/icons/arrow';",
+        "import React from 'react';",
+      ].join('\n'));
+      const analyzer = new DependencyAnalyzer({ rootDir });
+      analyzer.analyze();
+
+      expect(analyzer.getDependencies('apps/web/src/app.tsx').sort()).toEqual([
+        path.join('apps', 'web', 'src', 'components', 'Button.tsx'),
+        path.join('packages', 'ui', 'src', 'icons', 'arrow.tsx'),
+      ]);
+      const react = analyzer.dependencies.get(abs('apps/web/src/app.tsx')).find(d => d.raw === 'react');
+      expect(react.type).toBe(DEP_TYPES.EXTERNAL);
+    });
+
+    test('ContextAnalyzer records import relationships for aliased imports', () => {
+      const analyzer = new ContextAnalyzer({ resolver });
+      const file = abs('apps/web/src/pages/home.tsx');
+
+      const { imports } = analyzer.analyzeFile(file, "import { Button } from '@/components/Button';\n");
+
+      expect(imports).toEqual([analyzer.normalizePath(abs('apps/web/src/components/Button.tsx'))]);
+    });
+  });
+});
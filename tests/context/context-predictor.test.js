@@ -8,6 +8,7 @@ const {
   CONFIDENCE,
   CONTEXT_TYPES,
 } = require('../../lib/context');
+const { PatternLearner } = require('../../lib/profile/pattern-learner');
 
 describe('ContextPredictor', () => {
   let predictor;
@@ -113,6 +114,19 @@ describe('ContextPredictor', () => {
       expect(prediction.files[0].path).toContain('login');
     });
 
+    test('ranks files by BM25 so rare keywords outweigh common ones', () => {
+      for (let i = 0; i < 5; i++) {
+        predictor.analyzer.analyzeFile(`/src/views/page${i}.js`, 'render render render invoice');
+      }
+      predictor.analyzer.analyzeFile('/src/billing/refund.js', 'function issueRefund(invoice) {}');
+
+      const prediction = predictor.predictForTask('refund an invoice');
+
+      expect(prediction.files[0].path).toBe('/src/billing/refund.js');
+      expect(prediction.files[0].score).toBeGreaterThan(prediction.files[1].score);
+      expect(prediction.reasoning).toContain('Keyword "refund" found in 1 files');
+    });
+
     test('uses task history for predictions', () => {
       predictor.recordTask('payment processing', ['/src/payment.js']);
       predictor.analyzer.analyzeFile('/src/payment.js', 'payment code');
@@ -132,6 +146,121 @@ describe('ContextPredictor', () => {
 
       expect(prediction.files.length).toBeLessThanOrEqual(5);
     });
+
+    describe('decisions and patterns', () => {
+      const decisions = [
+        {
+          id: 'DEC-001',
+          summary: 'Use JWT tokens for session authentication',
+          rationale: 'Stateless servers',
+          tags: ['auth'],
+          confidence: 90,
+        },
+        { id: 'DEC-002', summary: 'Cache invoices in Redis', confidence: 80 },
+        { id: 'DEC-003', summary: 'Old authentication scheme', status: 'superseded', confidence: 90 },
+      ];
+      const decisionGraph = {
+        getDecisions: jest.fn(filter => decisions.filter(d => !filter.active || !d.status)),
+        getDecisionsForFile: jest.fn(file => (file === '/src/billing/invoice.js'
+          ? [{ ...decisions[1], match: 'file' }]
+          : [])),
+      };
+
+      test('returns empty decisions and patterns without sources', () => {
+        const prediction = predictor.predictForTask('fix authentication bug');
+
+        expect(prediction.decisions).toEqual([]);
+        expect(prediction.patterns).toEqual([]);
+      });
+
+      test('surfaces active decisions matching task keywords', () => {
+        predictor.setDecisionGraph(decisionGraph);
+
+        const prediction = predictor.predictForTask('fix auth session authentication');
+
+        expect(prediction.decisions.map(d => d.id)).toEqual(['DEC-001']);
+        expect(prediction.decisions[0]).toMatchObject({
+          summary: 'Use JWT tokens for session authentication',
+          type: CONTEXT_TYPES.DECISION,
+          confidence: CONFIDENCE.HIGH,
+        });
+        expect(prediction.decisions[0].matchedBy).toEqual(
+          expect.arrayContaining(['tag "auth"', 'keyword "session"']),
+        );
+        expect(prediction.reasoning).toContain('1 decisions apply to this task');
+        expect(decisionGraph.getDecisions).toHaveBeenCalledWith({ active: true });
+      });
+
+      test('surfaces decisions scoped to predicted files', () => {
+        predictor = new ContextPredictor({ decisionGraph });
+        predictor.analyzer.analyzeFile('/src/billing/invoice.js', 'invoice totals');
+        predictor.analyzer.buildRelationshipGraph();
+
+        const prediction = predictor.predictForTask('invoice totals rounding');
+
+        expect(prediction.decisions[0].id).toBe('DEC-002');
+        expect(prediction.decisions[0].matchedBy).toContain('file /src/billing/invoice.js');
+      });
+
+      test('includeDecisions false skips the decision graph', () => {
+        predictor.setDecisionGraph(decisionGraph);
+
+        expect(predictor.predictForTask('auth session', { includeDecisions: false }).decisions).toEqual([]);
+      });
+
+      test('ranks learned and global patterns by task relevance', () => {
+        const patternLearner = {
+          getLearnedPatterns: () => ({
+            'testing.usesDescribe': { value: true, confidence: 0.9 },
+            'naming.camelCase': { value: true, confidence: 0.9 },
+            'naming.class': { value: 'PascalCase', confidence: 0.7 },
+          }),
+        };
+        const globalMemory = {
+          getConfidentPatterns: () => [{ id: 'gp-1', type: 'error-handling', pattern: 'result-objects', confidence: 0.8 }],
+        };
+        predictor.setPatternSources({ patternLearner, globalMemory });
+
+        const prediction = predictor.predictForTask('add tests for error handling');
+
+        // naming.camelCase matches nothing in the task, so it is left out
+        expect(prediction.patterns.map(p => p.id)).toEqual(['gp-1', 'testing.usesDescribe']);
+        expect(prediction.patterns[0]).toMatchObject({
+          patternType: 'error-handling',
+          pattern: 'result-objects',
+          source: 'global',
+          type: CONTEXT_TYPES.PATTERN,
+        });
+        expect(prediction.patterns[1]).toMatchObject({ pattern: 'usesDescribe', source: 'learned' });
+        expect(predictor.predictForTask('add a class').patterns).toEqual([
+          expect.objectContaining({
+            id: 'naming.class',
+            pattern: 'PascalCase',
+            value: 'PascalCase',
+            patternConfidence: 0.7,
+          }),
+        ]);
+        expect(predictor.predictForTask('add tests', { includePatterns: false }).patterns).toEqual([]);
+        expect(predictor.predictForTask('update the readme').patterns).toEqual([]);
+      });
+
+      test('surfaces the error-handling style a PatternLearner learned', () => {
+        const patternLearner = new PatternLearner();
+        const code = Array.from({ length: 8 }, (_, i) =>
+          `async function load${i}() {\n  try {\n    return await fetchItem(${i});\n  } catch (error) {\n` +
+          '    throw new Error(`load failed: ${error.message}`);\n  }\n}').join('\n');
+        for (let i = 0; i < 3; i++) {
+          patternLearner.observeCode(code);
+        }
+        predictor.setPatternSources({ patternLearner });
+
+        const { patterns } = predictor.predictForTask('add error handling to the api client');
+
+        expect(patterns.find(p => p.id === 'error-handling.level'))
+          .toMatchObject({ pattern: 'paranoid', value: 'paranoid' });
+        expect(patterns.every(p => p.patternType === 'error-handling')).toBe(true);
+      });
+    });
   });
 
   describe('predictForFile', () => {
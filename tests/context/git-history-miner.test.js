@@ -0,0 +1,207 @@
+/**
+ * Git History Miner Tests
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  GitHistoryMiner,
+  ContextAnalyzer,
+  RELATIONSHIP_TYPES,
+} = require('../../lib/context');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('GitHistoryMiner', () => {
+  const commit = (files, daysAgo = 0, now = Date.now()) => ({
+    sha: Math.random().toString(16).slice(2),
+    timestamp: now - daysAgo * DAY,
+    author: 'dev',
+    files,
+  });
+
+  describe('parseLog', () => {
+    test('parses records with files', () => {
+      const miner = new GitHistoryMiner();
+      const output = '\x1eabc123\x1f1700000000\x1fAlice\nsrc/a.js\0src/b.js\0\0' +
+        '\x1edef456\x1f1700000100\x1fBob\nREADME.md\0';
+
+      const commits = miner.parseLog(output);
+
+      expect(commits).toHaveLength(2);
+      expect(commits[0]).toEqual({
+        sha: 'abc123',
+        timestamp: 1700000000000,
+        author: 'Alice',
+        files: ['src/a.js', 'src/b.js'],
+      });
+      expect(commits[1].files).toEqual(['README.md']);
+    });
+
+    test('returns empty array for empty output', () => {
+      expect(new GitHistoryMiner().parseLog('')).toEqual([]);
+    });
+  });
+
+  describe('computeCoupling', () => {
+    test('keeps paths containing | apart', () => {
+      const miner = new GitHistoryMiner();
+      const pairs = miner.computeCoupling([
+        commit(['a|b.js', 'c.js']),
+        commit(['a|b.js', 'c.js']),
+        commit(['a.js', 'b|c.js']),
+      ]);
+
+      expect(pairs.map(p => p.files)).toEqual([['a|b.js', 'c.js']]);
+    });
+
+    test('finds files that always change together', () => {
+      const miner = new GitHistoryMiner();
+      const pairs = miner.computeCoupling([
+        commit(['a.js', 'b.js']),
+        commit(['a.js', 'b.js']),
+        commit(['c.js']),
+      ]);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].files).toEqual(['a.js', 'b.js']);
+      expect(pairs[0].coChanges).toBe(2);
+      expect(pairs[0].coupling).toBe(1);
+    });
+
+    test('respects minCoChanges and minCoupling', () => {
+      const commits = [
+        commit(['a.js', 'b.js']),
+        commit(['a.js', 'b.js']),
+        commit(['a.js']),
+        commit(['a.js']),
+        commit(['a.js']),
+        commit(['a.js']),
+      ];
+
+      expect(new GitHistoryMiner({ minCoChanges: 3 }).computeCoupling(commits)).toEqual([]);
+      expect(new GitHistoryMiner({ minCoupling: 0.9 }).computeCoupling(commits)).toEqual([]);
+      expect(new GitHistoryMiner({ minCoupling: 0.1 }).computeCoupling(commits)[0].coupling).toBe(0.5);
+    });
+
+    test('skips sweeping commits over maxFilesPerCommit', () => {
+      const miner = new GitHistoryMiner({ maxFilesPerCommit: 2 });
+      const pairs = miner.computeCoupling([
+        commit(['a.js', 'b.js', 'c.js']),
+        commit(['a.js', 'b.js', 'c.js']),
+      ]);
+
+      expect(pairs).toEqual([]);
+    });
+
+    test('weights recent commits higher with a half-life', () => {
+      const now = Date.now();
+      const commits = [
+        commit(['a.js', 'b.js'], 0, now),
+        commit(['a.js', 'b.js'], 0, now),
+        commit(['a.js'], 60, now),
+        commit(['a.js'], 60, now),
+      ];
+
+      const flat = new GitHistoryMiner({ minCoupling: 0 }).computeCoupling(commits, now);
+      const weighted = new GitHistoryMiner({ minCoupling: 0, recencyHalfLifeDays: 30 })
+        .computeCoupling(commits, now);
+
+      expect(weighted[0].coupling).toBeGreaterThan(flat[0].coupling);
+    });
+  });
+
+  describe('applyTo', () => {
+    test('adds bidirectional CO_MODIFIED relationships', () => {
+      const miner = new GitHistoryMiner();
+      const analyzer = new ContextAnalyzer();
+      const pairs = [{ files: ['src/a.js', 'src/b.js'], coChanges: 3, coupling: 0.8 }];
+
+      const count = miner.applyTo(analyzer, pairs, { absolutePaths: false });
+
+      expect(count).toBe(1);
+      const related = analyzer.getRelatedFiles('src/a.js');
+      expect(related[0].file).toBe('src/b.js');
+      expect(related[0].relationships).toContain(RELATIONSHIP_TYPES.CO_MODIFIED);
+      expect(analyzer.getRelatedFiles('src/b.js')[0].file).toBe('src/a.js');
+    });
+  });
+
+  describe('getCoupledFiles', () => {
+    test('returns partner files for a path', () => {
+      const miner = new GitHistoryMiner();
+      const pairs = [
+        { files: ['a.js', 'b.js'], coChanges: 3, coupling: 0.9 },
+        { files: ['a.js', 'c.js'], coChanges: 2, coupling: 0.5 },
+        { files: ['b.js', 'c.js'], coChanges: 2, coupling: 0.4 },
+      ];
+
+      expect(miner.getCoupledFiles('a.js', pairs).map(r => r.file)).toEqual(['b.js', 'c.js']);
+    });
+  });
+
+  describe('against a real repository', () => {
+    let repoDir;
+
+    const git = (...args) => execFileSync('git', args, { cwd: repoDir, stdio: 'pipe' });
+    const commitFiles = (files, message) => {
+      for (const file of files) {
+        fs.appendFileSync(path.join(repoDir, file), `${message}\n`);
+      }
+      git('add', '-A');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+    };
+
+    beforeEach(() => {
+      repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-miner-test-'));
+      git('init', '-q');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    test('mines coupling from git log', () => {
+      commitFiles(['api.js', 'api.test.js'], 'one');
+      commitFiles(['api.js', 'api.test.js'], 'two');
+      commitFiles(['readme.md'], 'three');
+
+      const miner = new GitHistoryMiner({ projectRoot: repoDir });
+
+      expect(miner.readCommits()).toHaveLength(3);
+      expect(miner.mine()[0].files).toEqual(['api.js', 'api.test.js']);
+
+      const analyzer = new ContextAnalyzer();
+      miner.applyTo(analyzer);
+      const apiPath = path.join(fs.realpathSync(repoDir), 'api.js');
+      expect(analyzer.getRelatedFiles(apiPath)[0].file).toMatch(/api\.test\.js$/);
+    });
+
+    test('keeps non-ASCII paths verbatim', () => {
+      commitFiles(['café.js', 'naïve test.js'], 'one');
+      commitFiles(['café.js', 'naïve test.js'], 'two');
+
+      const miner = new GitHistoryMiner({ projectRoot: repoDir });
+
+      expect(miner.readCommits()[0].files.sort()).toEqual(['café.js', 'naïve test.js']);
+      expect(miner.mine()[0].files).toEqual(['café.js', 'naïve test.js']);
+    });
+
+    test('honours maxCommits', () => {
+      commitFiles(['a.js', 'b.js'], 'one');
+      commitFiles(['a.js', 'b.js'], 'two');
+
+      const miner = new GitHistoryMiner({ projectRoot: repoDir, maxCommits: 1 });
+
+      expect(miner.readCommits()).toHaveLength(1);
+      expect(miner.mine()).toEqual([]);
+    });
+
+    test('returns no commits outside a repository', () => {
+      const miner = new GitHistoryMiner({ projectRoot: os.tmpdir() });
+      expect(Array.isArray(miner.readCommits())).toBe(true);
+    });
+  });
+});
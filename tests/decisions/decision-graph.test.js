@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Decision Graph Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  DecisionGraph,
+  DECISIONS_FILE,
+  LINK_TYPES,
+  DECISION_STATUS,
+} = require('../../lib/decisions');
+
+describe('DecisionGraph', () => {
+  let testDir;
+  let graph;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-decisions-test-'));
+    graph = new DecisionGraph(testDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const sampleDecision = (overrides = {}) => ({
+    type: 'architectural',
+    summary: 'Use zero runtime dependencies',
+    confidence: 90,
+    author: 'alice',
+    tags: ['architecture'],
+    ...overrides,
+  });
+
+  describe('load/save', () => {
+    test('starts with an empty graph when no file exists', () => {
+      const result = graph.load();
+
+      expect(result.success).toBe(true);
+      expect(graph.getDecisions()).toEqual([]);
+    });
+
+    test('round-trips decisions through disk', () => {
+      graph.addDecision(sampleDecision());
+      expect(graph.save().success).toBe(true);
+
+      const reloaded = new DecisionGraph(testDir);
+      reloaded.load();
+
+      expect(reloaded.getDecision('DEC-001').summary).toBe('Use zero runtime dependencies');
+      expect(fs.existsSync(path.join(testDir, DECISIONS_FILE))).toBe(true);
+    });
+
+    test('rejects files that violate the schema', () => {
+      const filePath = path.join(testDir, DECISIONS_FILE);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        version: '2.0.0',
+        decisions: [{ id: 'DEC-001', type: 'whim', summary: 'x', confidence: 50 }],
+      }));
+
+      const result = graph.load();
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('/decisions/0/type:');
+    });
+
+    test('reports invalid JSON', () => {
+      const filePath = path.join(testDir, DECISIONS_FILE);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{ not json');
+
+      const result = graph.load();
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/Invalid JSON/);
+    });
+
+    test('loads the repository decision graph', () => {
+      const repoGraph = new DecisionGraph(path.join(__dirname, '..', '..'));
+      const result = repoGraph.load();
+
+      expect(result.success).toBe(true);
+      expect(repoGraph.getSummary().decisions).toBeGreaterThan(0);
+    });
+  });
+
+  describe('addDecision', () => {
+    test('generates sequential IDs', () => {
+      graph.addDecision(sampleDecision());
+      const result = graph.addDecision(sampleDecision({ summary: 'Second' }));
+
+      expect(result.decision.id).toBe('DEC-002');
+    });
+
+    test('rejects missing required fields', () => {
+      const result = graph.addDecision({ type: 'convention' });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Missing required property: summary');
+    });
+
+    test('rejects duplicate IDs', () => {
+      graph.addDecision(sampleDecision({ id: 'DEC-010' }));
+      const result = graph.addDecision(sampleDecision({ id: 'DEC-010' }));
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('links', () => {
+    beforeEach(() => {
+      graph.addDecision(sampleDecision());
+      graph.addDecision(sampleDecision({ summary: 'Markdown prompts' }));
+    });
+
+    test('links decisions and finds related ones in both directions', () => {
+      expect(graph.linkDecisions('DEC-001', 'DEC-002', LINK_TYPES.ENABLES)).toBe(true);
+
+      const related = graph.getRelatedDecisions('DEC-002');
+      expect(related).toHaveLength(1);
+      expect(related[0].decision.id).toBe('DEC-001');
+      expect(related[0].direction).toBe('incoming');
+    });
+
+    test('ignores unknown relationships and duplicates', () => {
+      expect(graph.linkDecisions('DEC-001', 'DEC-002', 'likes')).toBe(false);
+      graph.linkDecisions('DEC-001', 'DEC-002', LINK_TYPES.LED_TO);
+      expect(graph.linkDecisions('DEC-001', 'DEC-002', LINK_TYPES.LED_TO)).toBe(false);
+    });
+
+    test('supersede marks status and records link', () => {
+      graph.supersede('DEC-001', 'DEC-002');
+
+      expect(graph.getDecision('DEC-001').status).toBe(DECISION_STATUS.SUPERSEDED);
+      expect(graph.getDecision('DEC-001').superseded_by).toBe('DEC-002');
+      expect(graph.getRelatedDecisions('DEC-001')[0].relationship).toBe(LINK_TYPES.SUPERSEDES);
+    });
+
+    test('getDecisions can be limited to active decisions', () => {
+      graph.supersede('DEC-001', 'DEC-002');
+      graph.updateDecision('DEC-002', { status: DECISION_STATUS.QUESTIONED });
+
+      expect(graph.getDecisions({ active: true }).map(d => d.id)).toEqual(['DEC-002']);
+    });
+
+    test('linkCommit records commit evidence once', () => {
+      graph.linkCommit('DEC-001', 'abc1234', 'Drop lodash');
+      graph.linkCommit('DEC-001', 'abc1234');
+
+      expect(graph.getDecision('DEC-001').source.evidence).toHaveLength(1);
+      expect(graph.getDecisionsForCommit('abc1234def')[0].id).toBe('DEC-001');
+    });
+  });
+
+  describe('getDecisionsForFile', () => {
+    beforeEach(() => {
+      graph.addDecision(sampleDecision({ summary: 'File level' }));
+      graph.addDecision(sampleDecision({
+        summary: 'Directory level',
+        scope: { files: [], directories: ['lib/context/'], global: false },
+      }));
+      graph.addDecision(sampleDecision({
+        summary: 'Global',
+        scope: { files: [], directories: [], global: true },
+      }));
+      graph.linkFile('DEC-001', 'lib/context/context-analyzer.js');
+    });
+
+    test('returns file matches before directory matches', () => {
+      const results = graph.getDecisionsForFile('lib/context/context-analyzer.js');
+
+      expect(results.map(d => d.id)).toEqual(['DEC-001', 'DEC-002']);
+      expect(results[0].match).toBe('file');
+      expect(results[1].match).toBe('directory');
+    });
+
+    test('resolves absolute paths against the project root', () => {
+      const results = graph.getDecisionsForFile(path.join(testDir, 'lib/context/context-analyzer.js'));
+
+      expect(results[0].id).toBe('DEC-001');
+    });
+
+    test('includes global decisions on request', () => {
+      const results = graph.getDecisionsForFile('README.md', { includeGlobal: true });
+
+      expect(results.map(d => d.id)).toEqual(['DEC-003']);
+    });
+
+    test('excludes superseded decisions by default', () => {
+      graph.updateDecision('DEC-001', { status: DECISION_STATUS.SUPERSEDED });
+
+      const ids = graph.getDecisionsForFile('lib/context/context-analyzer.js').map(d => d.id);
+      expect(ids).not.toContain('DEC-001');
+    });
+  });
+
+  describe('indexes', () => {
+    test('rebuilds by_file, by_author and by_tag', () => {
+      graph.addDecision(sampleDecision());
+      graph.linkFile('DEC-001', './package.json');
+
+      const indexes = graph.rebuildIndexes();
+
+      expect(indexes.by_file['package.json']).toEqual(['DEC-001']);
+      expect(indexes.by_author.alice).toEqual(['DEC-001']);
+      expect(indexes.by_tag.architecture).toEqual(['DEC-001']);
+    });
+  });
+
+  describe('search', () => {
+    test('matches all terms across summary, rationale and tags', () => {
+      graph.addDecision(sampleDecision({ rationale: 'Keeps install fast' }));
+      graph.addDecision(sampleDecision({ summary: 'Commands are markdown', tags: ['prompts'] }));
+
+      expect(graph.search('install fast').map(d => d.id)).toEqual(['DEC-001']);
+      expect(graph.search('prompts')).toHaveLength(1);
+      expect(graph.search('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Coverage Delta Tests
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  PRGate,
+  GATE_STATUS,
+  BUILTIN_CHECKS,
+  COVERAGE_BASELINE_FILE,
+  readCoverageSummary,
+  readCoverageBaseline,
+  saveCoverageBaseline,
+  compareCoverage,
+  findImpactedTests,
+} = require('../../lib/gates');
+const { DependencyAnalyzer } = require('../../lib/automation');
+
+describe('coverage delta', () => {
+  let projectRoot;
+  let planningDir;
+
+  const entry = (lines, branches = lines) => ({
+    lines: { total: 10, covered: lines / 10, skipped: 0, pct: lines },
+    branches: { total: 4, covered: 2, skipped: 0, pct: branches },
+  });
+  const writeSummary = (files) => {
+    const summary = { total: entry(80) };
+    for (const [file, pct] of Object.entries(files)) {
+      summary[path.join(projectRoot, file)] = entry(pct);
+    }
+    fs.mkdirSync(path.join(projectRoot, 'coverage'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'coverage', 'coverage-summary.json'), JSON.stringify(summary));
+  };
+  const writeFile = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-coverage-test-'));
+    planningDir = path.join(projectRoot, '.planning');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  describe('readCoverageSummary', () => {
+    test('keeps percentages keyed by project-relative path', () => {
+      writeSummary({ 'lib/a.js': 90 });
+
+      const coverage = readCoverageSummary(path.join(projectRoot, 'coverage', 'coverage-summary.json'), projectRoot);
+
+      expect(coverage.total).toEqual({ lines: 80, branches: 80 });
+      expect(coverage.files).toEqual({ 'lib/a.js': { lines: 90, branches: 90 } });
+    });
+
+    test('returns null for a missing report', () => {
+      expect(readCoverageSummary(path.join(projectRoot, 'nope.json'), projectRoot)).toBeNull();
+    });
+  });
+
+  describe('baseline', () => {
+    test('round-trips through .planning/', () => {
+      saveCoverageBaseline(planningDir, { total: { lines: 80 }, files: { 'a.js': { lines: 90 } } });
+
+      const baseline = readCoverageBaseline(planningDir);
+
+      expect(fs.existsSync(path.join(planningDir, COVERAGE_BASELINE_FILE))).toBe(true);
+      expect(baseline.files).toEqual({ 'a.js': { lines: 90 } });
+      expect(baseline.updated).toEqual(expect.any(String));
+    });
+
+    test('returns null when no baseline is stored', () => {
+      expect(readCoverageBaseline(planningDir)).toBeNull();
+    });
+  });
+
+  describe('compareCoverage', () => {
+    const baseline = { files: { 'a.js': { lines: 90 }, 'b.js': { lines: 70 } } };
+    const current = { files: { 'a.js': { lines: 85 }, 'b.js': { lines: 69.5 }, 'c.js': { lines: 50 } } };
+
+    test('flags drops beyond maxDrop', () => {
+      const { compared, regressions, added } = compareCoverage(baseline, current, ['a.js', 'b.js', 'c.js']);
+
+      expect(compared).toHaveLength(2);
+      expect(regressions).toEqual([{ file: 'a.js', baseline: 90, current: 85, change: -5 }]);
+      expect(added).toEqual([{ file: 'c.js', current: 50 }]);
+    });
+
+    test('honours maxDrop and ignores uncovered files', () => {
+      const { regressions, compared } = compareCoverage(baseline, current, ['a.js', 'README.md'], { maxDrop: 5 });
+
+      expect(regressions).toEqual([]);
+      expect(compared.map(c => c.file)).toEqual(['a.js']);
+    });
+  });
+
+  describe('findImpactedTests', () => {
+    test('follows imports transitively to test files', () => {
+      writeFile('lib/util.js', 'module.exports = {};\n');
+      writeFile('lib/index.js', "module.exports = require('./util');\n");
+      writeFile('tests/index.test.js', "require('../lib');\n");
+      writeFile('lib/util.spec.js', "require('./util');\n");
+      writeFile('lib/other.js', '');
+
+      const analyzer = new DependencyAnalyzer({ rootDir: projectRoot });
+      analyzer.scanDirectory(projectRoot);
+      analyzer.buildReverseDependencies();
+
+      expect(findImpactedTests(analyzer, ['lib/util.js', 'lib/other.js'])).toEqual({
+        'lib/util.js': ['lib/util.spec.js', 'tests/index.test.js'],
+        'lib/other.js': [],
+      });
+    });
+  });
+
+  describe('coverage-delta check', () => {
+    const git = (...args) => execFileSync('git', args, { cwd: projectRoot, stdio: 'pipe' });
+    const commit = (message) => {
+      git('add', '-A');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+    };
+    const run = async (options = {}) => {
+      const config = {
+        checks: {
+          ...Object.fromEntries(BUILTIN_CHECKS.map(c => [c.id, false])),
+          'coverage-delta': { enabled: true, base: 'base', ...options },
+        },
+      };
+      return (await new PRGate({ projectRoot, config }).runAllChecks()).results[0];
+    };
+
+    beforeEach(() => {
+      writeFile('lib/a.js', 'module.exports = 1;\n');
+      writeFile('lib/b.js', 'module.exports = 2;\n');
+      writeFile('tests/a.test.js', "require('../lib/a');\n");
+      writeFile('.gitignore', 'coverage/\n');
+      git('init', '-q');
+      commit('initial');
+      git('tag', 'base');
+    });
+
+    test('is skipped without a baseline unless asked to create one', async () => {
+      writeSummary({ 'lib/a.js': 90 });
+
+      expect((await run()).status).toBe(GATE_STATUS.SKIPPED);
+
+      const created = await run({ updateBaseline: true });
+      expect(created).toMatchObject({ status: GATE_STATUS.PASSED, message: 'Coverage baseline created' });
+      expect(readCoverageBaseline(planningDir).files['lib/a.js']).toEqual({ lines: 90, branches: 90 });
+    });
+
+    test('fails when a changed file loses coverage and lists its tests', async () => {
+      saveCoverageBaseline(planningDir, { total: {}, files: { 'lib/a.js': { lines: 90 }, 'lib/b.js': { lines: 90 } } });
+      writeFile('lib/a.js', 'module.exports = 3;\n');
+      commit('change a');
+      writeSummary({ 'lib/a.js': 70, 'lib/b.js': 50 });
+
+      const result = await run();
+
+      expect(result.status).toBe(GATE_STATUS.FAILED);
+      expect(result.message).toBe('lines coverage dropped on 1 changed file(s)');
+      expect(result.regressions.map(r => r.file)).toEqual(['lib/a.js']);
+      expect(result.impactedTests).toEqual(['tests/a.test.js']);
+      expect(result.details).toContain('lib/a.js: lines 90% -> 70% (-20)');
+    });
+
+    test('passes within maxDrop and updates the baseline on request', async () => {
+      saveCoverageBaseline(planningDir, { total: {}, files: { 'lib/a.js': { lines: 90 } } });
+      writeFile('lib/a.js', 'module.exports = 3;\n');
+      commit('change a');
+      writeSummary({ 'lib/a.js': 88 });
+
+      const result = await run({ maxDrop: 5, updateBaseline: true });
+
+      expect(result).toMatchObject({ status: GATE_STATUS.PASSED, blocking: false });
+      expect(readCoverageBaseline(planningDir).files['lib/a.js'].lines).toBe(88);
+    });
+
+    test('compares project-relative paths when the project is a subdirectory of the repository', async () => {
+      writeFile('packages/app/lib/c.js', 'module.exports = 4;\n');
+      commit('add app');
+      git('tag', '-f', 'base');
+      const repoRoot = projectRoot;
+      projectRoot = path.join(repoRoot, 'packages', 'app');
+      planningDir = path.join(projectRoot, '.planning');
+      saveCoverageBaseline(planningDir, { total: {}, files: { 'lib/c.js': { lines: 90 } } });
+      writeFile('lib/c.js', 'module.exports = 5;\n');
+      writeSummary({ 'lib/c.js': 60 });
+
+      try {
+        const result = await run();
+        expect(result.status).toBe(GATE_STATUS.FAILED);
+        expect(result.regressions.map(r => r.file)).toEqual(['lib/c.js']);
+      } finally {
+        projectRoot = repoRoot;
+      }
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Gate Reporters and CLI Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  GATE_STATUS,
+  BUILTIN_CHECKS,
+  EXIT_CODES,
+  formatReport,
+  formatJSON,
+  formatJUnit,
+  formatSARIF,
+  runGateCommand,
+} = require('../../lib/gates');
+
+describe('gate reporters', () => {
+  const report = {
+    passed: false,
+    startedAt: '2026-01-01T00:00:00.000Z',
+    durationMs: 1500,
+    summary: '## PR Gate Summary',
+    results: [
+      { id: 'tests', name: 'Tests', status: GATE_STATUS.PASSED, message: 'ok', severity: 'block', blocking: false, durationMs: 1200 },
+      { id: 'lint', name: 'Lint', status: GATE_STATUS.WARNING, message: 'lint failed', details: 'a.js:1 <semi>', severity: 'warn', blocking: false, durationMs: 200 },
+      {
+        id: 'changelog',
+        name: 'Changelog Entry',
+        status: GATE_STATUS.FAILED,
+        message: 'CHANGELOG.md has no entry for this change',
+        severity: 'block',
+        blocking: true,
+        locations: [{ file: 'CHANGELOG.md', line: 1 }],
+        durationMs: 50,
+      },
+      { id: 'coverage', name: 'Coverage', status: GATE_STATUS.SKIPPED, message: 'No report', severity: 'block', blocking: false, durationMs: 0 },
+    ],
+  };
+
+  test('JSON report includes counts and results', () => {
+    const json = JSON.parse(formatJSON(report));
+
+    expect(json.passed).toBe(false);
+    expect(json.tool.name).toBe('pmp-gywd');
+    expect(json.counts).toEqual({ passed: 1, failed: 1, skipped: 1, warning: 1 });
+    expect(json.results).toHaveLength(4);
+  });
+
+  test('JUnit report has one testcase per check', () => {
+    const xml = formatJUnit(report);
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuite name="PR Gate" tests="4" failures="1" errors="0" skipped="1" time="1.500"');
+    expect(xml).toContain('<testcase name="Tests" classname="pr-gate.tests" time="1.200"/>');
+    expect(xml).toContain('<failure message="CHANGELOG.md has no entry for this change" type="failed">');
+    expect(xml).toContain('<skipped message="No report"/>');
+    expect(xml).toContain('<system-out>Warning: lint failed\na.js:1 &lt;semi&gt;</system-out>');
+  });
+
+  test('JUnit report drops ANSI colors and characters XML does not allow', () => {
+    const xml = formatJUnit({
+      ...report,
+      results: [{
+        id: 'lint',
+        name: 'Lint',
+        status: GATE_STATUS.FAILED,
+        message: '\x1b[31mlint failed\x1b[0m',
+        details: '\x1b[1ma.js:1\x1b[22m\x08 semi\x00',
+        severity: 'block',
+        blocking: true,
+        durationMs: 10,
+      }],
+    });
+
+    expect(xml).toContain('<failure message="lint failed" type="failed">lint failed\na.js:1 semi</failure>');
+    expect(xml).not.toMatch(/[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+  });
+
+  test('SARIF report has rules for every check and results for problems', () => {
+    const sarif = JSON.parse(formatSARIF(report, {
+      checks: [{ id: 'changelog', description: 'CHANGELOG.md changed on this branch' }],
+    }));
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(r => r.id)).toEqual(['tests', 'lint', 'changelog', 'coverage']);
+    expect(run.tool.driver.rules[2].shortDescription.text).toBe('CHANGELOG.md changed on this branch');
+    expect(run.tool.driver.rules[1].defaultConfiguration.level).toBe('warning');
+    expect(run.results).toEqual([
+      { ruleId: 'lint', ruleIndex: 1, level: 'warning', message: { text: 'lint failed\na.js:1 <semi>' } },
+      {
+        ruleId: 'changelog',
+        ruleIndex: 2,
+        level: 'error',
+        message: { text: 'CHANGELOG.md has no entry for this change' },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: 'CHANGELOG.md' }, region: { startLine: 1 } },
+        }],
+      },
+    ]);
+  });
+
+  test('formatReport rejects unknown formats', () => {
+    expect(formatReport(report, 'text')).toBe('## PR Gate Summary\n');
+    expect(() => formatReport(report, 'xml')).toThrow('Unknown report format: xml');
+  });
+});
+
+describe('runGateCommand', () => {
+  let projectRoot;
+  let stdout;
+  let stderr;
+
+  const io = () => ({
+    cwd: projectRoot,
+    stdout: { write: (chunk) => { stdout += chunk; } },
+    stderr: { write: (chunk) => { stderr += chunk; } },
+  });
+  const configure = (checks) => {
+    fs.mkdirSync(path.join(projectRoot, '.planning'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, '.planning', 'config.json'), JSON.stringify({
+      prGate: { checks: { ...Object.fromEntries(BUILTIN_CHECKS.map(c => [c.id, false])), ...checks } },
+    }));
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-gate-cli-test-'));
+    stdout = '';
+    stderr = '';
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('prints the report and exits 0 when the gate passes', async () => {
+    configure({ ok: { command: 'node -e "process.exit(0)"' } });
+
+    const code = await runGateCommand(['--format', 'json'], io());
+
+    expect(code).toBe(EXIT_CODES.PASSED);
+    expect(JSON.parse(stdout).passed).toBe(true);
+  });
+
+  test('exits 1 when a blocking check fails', async () => {
+    configure({ bad: { command: 'node -e "process.exit(1)"' } });
+
+    const code = await runGateCommand(['--format=junit'], io());
+
+    expect(code).toBe(EXIT_CODES.FAILED);
+    expect(stdout).toContain('<failure');
+  });
+
+  test('writes the report to --output and prints the summary', async () => {
+    configure({ ok: { command: 'node -e "process.exit(0)"' } });
+
+    await runGateCommand(['-f', 'sarif', '-o', 'reports/gate.sarif'], io());
+
+    const sarif = JSON.parse(fs.readFileSync(path.join(projectRoot, 'reports', 'gate.sarif'), 'utf8'));
+    expect(sarif.runs[0].tool.driver.rules[0].id).toBe('ok');
+    expect(stdout).toContain('## PR Gate Summary');
+  });
+
+  test('exits 2 on usage errors', async () => {
+    expect(await runGateCommand(['--format', 'xml'], io())).toBe(EXIT_CODES.USAGE);
+    expect(stderr).toContain('Unknown format: xml');
+
+    expect(await runGateCommand(['--bogus'], io())).toBe(EXIT_CODES.USAGE);
+    expect(await runGateCommand(['--output'], io())).toBe(EXIT_CODES.USAGE);
+  });
+
+  test('--help prints usage', async () => {
+    expect(await runGateCommand(['--help'], io())).toBe(EXIT_CODES.PASSED);
+    expect(stdout).toContain('Usage: pmp-gywd gate');
+  });
+});
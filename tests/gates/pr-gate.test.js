@@ -0,0 +1,305 @@
+/**
+ * PR Gate Tests
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  PRGate,
+  GATE_STATUS,
+  SEVERITY,
+  BUILTIN_CHECKS,
+} = require('../../lib/gates');
+const { resolveDiffBase, changedFiles, changedLineCount } = require('../../lib/gates/gate-checks');
+
+describe('PRGate', () => {
+  let projectRoot;
+
+  const pass = () => ({ status: GATE_STATUS.PASSED, message: 'ok' });
+  const fail = () => ({ status: GATE_STATUS.FAILED, message: 'nope' });
+
+  // Only the checks a test registers or enables
+  const onlyCustom = (checks = {}) => ({
+    checks: {
+      ...Object.fromEntries(BUILTIN_CHECKS.map(c => [c.id, false])),
+      ...checks,
+    },
+  });
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-gate-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  describe('check registry', () => {
+    test('registers built-in checks with opt-in ones disabled', () => {
+      const gate = new PRGate({ projectRoot });
+      const checks = gate.listChecks();
+
+      expect(checks.map(c => c.id)).toEqual(BUILTIN_CHECKS.map(c => c.id));
+      expect(checks.filter(c => c.enabled).map(c => c.id))
+        .toEqual(['tests', 'uncommitted', 'branch', 'verify-work', 'issues']);
+      expect(checks.every(c => c.severity === SEVERITY.BLOCK)).toBe(true);
+    });
+
+    test('registerCheck validates the definition', () => {
+      const gate = new PRGate({ projectRoot });
+
+      expect(() => gate.registerCheck({ run: pass })).toThrow('Check must have an id');
+      expect(() => gate.registerCheck({ id: 'x' })).toThrow('Check x must have a run function');
+    });
+
+    test('unregisterCheck removes a check', () => {
+      const gate = new PRGate({ projectRoot });
+
+      expect(gate.unregisterCheck('branch')).toBe(true);
+      expect(gate.unregisterCheck('branch')).toBe(false);
+      expect(gate.listChecks().map(c => c.id)).not.toContain('branch');
+    });
+
+    test('reads prGate config from .planning/config.json', () => {
+      fs.mkdirSync(path.join(projectRoot, '.planning'));
+      fs.writeFileSync(path.join(projectRoot, '.planning', 'config.json'), JSON.stringify({
+        mode: 'interactive',
+        prGate: { checks: { branch: false, lint: { enabled: true, severity: 'warn' } } },
+      }));
+
+      const checks = new PRGate({ projectRoot }).listChecks();
+
+      expect(checks.find(c => c.id === 'branch').enabled).toBe(false);
+      expect(checks.find(c => c.id === 'lint')).toMatchObject({ enabled: true, severity: SEVERITY.WARN });
+    });
+  });
+
+  describe('runAllChecks', () => {
+    test('runs enabled checks and passes them their options', async () => {
+      const gate = new PRGate({ projectRoot, config: onlyCustom() });
+      const run = jest.fn(pass);
+      gate.registerCheck({ id: 'custom', name: 'Custom', run, options: { limit: 3 } });
+      gate.registerCheck({ id: 'off', run: fail, enabled: false });
+
+      const report = await gate.runAllChecks();
+
+      expect(report.passed).toBe(true);
+      expect(report.results).toEqual([
+        expect.objectContaining({ id: 'custom', name: 'Custom', status: GATE_STATUS.PASSED, blocking: false }),
+      ]);
+      expect(run).toHaveBeenCalledWith(expect.objectContaining({ projectRoot, gate }), { limit: 3 });
+    });
+
+    test('blocking failures fail the gate', async () => {
+      const gate = new PRGate({ projectRoot, config: onlyCustom() });
+      gate.registerCheck({ id: 'bad', run: fail });
+
+      const report = await gate.runAllChecks();
+
+      expect(report.passed).toBe(false);
+      expect(report.results[0]).toMatchObject({ status: GATE_STATUS.FAILED, severity: SEVERITY.BLOCK, blocking: true });
+      expect(report.summary).toContain('✗ bad: nope');
+    });
+
+    test('warn-severity failures are reported as warnings without failing the gate', async () => {
+      const gate = new PRGate({ projectRoot, config: onlyCustom() });
+      gate.registerCheck({ id: 'soft', run: fail, severity: SEVERITY.WARN });
+
+      const report = await gate.runAllChecks();
+
+      expect(report.passed).toBe(true);
+      expect(report.results[0]).toMatchObject({ status: GATE_STATUS.WARNING, blocking: false });
+    });
+
+    test('warnings from blocking checks still fail the gate', async () => {
+      const gate = new PRGate({ projectRoot, config: onlyCustom() });
+      gate.registerCheck({ id: 'behind', run: () => ({ status: GATE_STATUS.WARNING, message: 'behind' }) });
+
+      expect((await gate.runAllChecks()).passed).toBe(false);
+    });
+
+    test('thrown errors and async checks are handled', async () => {
+      const gate = new PRGate({ projectRoot, config: onlyCustom() });
+      gate.registerCheck({ id: 'async', run: async () => pass() });
+      gate.registerCheck({ id: 'throws', run: () => { throw new Error('boom'); } });
+
+      const { results } = await gate.runAllChecks();
+
+      expect(results[0].status).toBe(GATE_STATUS.PASSED);
+      expect(results[1]).toMatchObject({ status: GATE_STATUS.FAILED, message: 'boom' });
+    });
+  });
+
+  describe('configured checks', () => {
+    test('command checks pass or fail on exit code', async () => {
+      const gate = new PRGate({
+        projectRoot,
+        config: onlyCustom({
+          ok: { name: 'OK', command: 'node -e "process.exit(0)"' },
+          broken: { command: 'node -e "console.error(\'bad\'); process.exit(1)"', severity: 'warn' },
+        }),
+      });
+
+      const { passed, results } = await gate.runAllChecks();
+
+      expect(passed).toBe(true);
+      expect(results[0]).toMatchObject({ name: 'OK', status: GATE_STATUS.PASSED });
+      expect(results[1]).toMatchObject({ status: GATE_STATUS.WARNING, details: 'bad' });
+    });
+
+    test('module checks are loaded relative to the project root', async () => {
+      fs.writeFileSync(path.join(projectRoot, 'check.js'), [
+        'module.exports = {',
+        "  name: 'From module',",
+        '  run: (context, options) => ({ status: "passed", message: `max ${options.max}` }),',
+        '};',
+      ].join('\n'));
+
+      const gate = new PRGate({ projectRoot, config: onlyCustom({ mod: { module: 'check.js', max: 5 } }) });
+      const { results } = await gate.runAllChecks();
+
+      expect(results[0]).toMatchObject({ name: 'From module', status: GATE_STATUS.PASSED, message: 'max 5' });
+    });
+
+    test('unloadable modules and unknown checks fail', async () => {
+      const gate = new PRGate({
+        projectRoot,
+        config: onlyCustom({ missing: { module: 'nope.js' }, mystery: {} }),
+      });
+
+      const { results } = await gate.runAllChecks();
+
+      expect(results[0]).toMatchObject({ status: GATE_STATUS.FAILED, message: 'Could not load check module nope.js' });
+      expect(results[1].message).toContain('Unknown check "mystery"');
+    });
+
+    test('tests check runs a configured command', async () => {
+      const gate = new PRGate({
+        projectRoot,
+        config: onlyCustom({ tests: { enabled: true, command: 'node -e "process.exit(0)"' } }),
+      });
+
+      const { results } = await gate.runAllChecks();
+
+      expect(results[0]).toMatchObject({ id: 'tests', name: 'Tests', status: GATE_STATUS.PASSED });
+    });
+
+    test('coverage check compares the summary against thresholds', async () => {
+      fs.mkdirSync(path.join(projectRoot, 'coverage'));
+      fs.writeFileSync(path.join(projectRoot, 'coverage', 'coverage-summary.json'), JSON.stringify({
+        total: { lines: { pct: 85 }, branches: { pct: 60 } },
+      }));
+
+      const lines = new PRGate({ projectRoot, config: onlyCustom({ coverage: { enabled: true } }) });
+      expect((await lines.runAllChecks()).results[0].status).toBe(GATE_STATUS.PASSED);
+
+      const branches = new PRGate({
+        projectRoot,
+        config: onlyCustom({ coverage: { enabled: true, threshold: { lines: 80, branches: 70 } } }),
+      });
+      const { results } = await branches.runAllChecks();
+      expect(results[0]).toMatchObject({ status: GATE_STATUS.FAILED, details: 'branches 60% < 70%' });
+    });
+
+    test('coverage check is skipped without a report', async () => {
+      const gate = new PRGate({ projectRoot, config: onlyCustom({ coverage: true }) });
+      expect((await gate.runAllChecks()).results[0].status).toBe(GATE_STATUS.SKIPPED);
+    });
+  });
+
+  describe('branch diff checks', () => {
+    const git = (...args) => execFileSync('git', args, { cwd: projectRoot, stdio: 'pipe' });
+    const commit = (files, message) => {
+      for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, file), content);
+      }
+      git('add', '-A');
+      git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+    };
+    const run = async (checks) => (await new PRGate({ projectRoot, config: onlyCustom(checks) }).runAllChecks()).results[0];
+
+    beforeEach(() => {
+      git('init', '-q');
+      commit({ 'CHANGELOG.md': '# Changelog\n', 'index.js': '' }, 'initial');
+      git('tag', 'base');
+    });
+
+    test('changelog check requires CHANGELOG.md in the diff', async () => {
+      commit({ 'index.js': 'change\n' }, 'code only');
+      expect((await run({ changelog: { enabled: true, base: 'base' } })).status).toBe(GATE_STATUS.FAILED);
+
+      commit({ 'CHANGELOG.md': '# Changelog\n- entry\n' }, 'changelog');
+      expect((await run({ changelog: { enabled: true, base: 'base' } })).status).toBe(GATE_STATUS.PASSED);
+    });
+
+    test('changelog check is skipped when the base cannot be resolved', async () => {
+      const result = await run({ changelog: { enabled: true, base: 'no-such-ref' } });
+      expect(result.status).toBe(GATE_STATUS.SKIPPED);
+    });
+
+    test('base refs are never run through a shell or read as options', () => {
+      const marker = path.join(projectRoot, 'injected');
+
+      expect(resolveDiffBase(projectRoot, `base; touch ${marker}`)).toBeNull();
+      expect(resolveDiffBase(projectRoot, `$(touch ${marker})`)).toBeNull();
+      expect(resolveDiffBase(projectRoot, '--output=injected')).toBeNull();
+      expect(fs.existsSync(marker)).toBe(false);
+      expect(resolveDiffBase(projectRoot, 'base')).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    test('diff helpers pass the base to git as a single argument', () => {
+      const marker = path.join(projectRoot, 'injected');
+      commit({ 'index.js': 'change\n' }, 'change');
+
+      expect(() => changedFiles(projectRoot, `base; touch ${marker}`)).toThrow();
+      expect(() => changedLineCount(projectRoot, `base && touch ${marker}`)).toThrow();
+      expect(fs.existsSync(marker)).toBe(false);
+      expect(changedFiles(projectRoot, 'base')).toEqual(['index.js']);
+      expect(changedLineCount(projectRoot, 'base')).toBe(1);
+    });
+
+    test('decision check only applies to large diffs', async () => {
+      commit({ 'index.js': 'line\n'.repeat(20) }, 'small');
+      expect((await run({ decision: { enabled: true, base: 'base', minLines: 50 } })).status)
+        .toBe(GATE_STATUS.PASSED);
+
+      commit({ 'big.js': 'line\n'.repeat(60) }, 'large');
+      const missing = await run({ decision: { enabled: true, base: 'base', minLines: 50 } });
+      expect(missing).toMatchObject({ status: GATE_STATUS.FAILED });
+      expect(missing.message).toContain('no decision was recorded');
+
+      commit({ '.planning/core/decisions.json': '{"decisions": []}\n' }, 'decision');
+      expect((await run({ decision: { enabled: true, base: 'base', minLines: 50 } })).status)
+        .toBe(GATE_STATUS.PASSED);
+    });
+
+    test('conventions check reports changed files that break learned conventions', async () => {
+      const files = {};
+      for (let i = 0; i < 6; i++) {
+        files[`lib/module-${i}.js`] = `/**\n * Load\n */\nfunction loadItem${i}(itemId) {\n  return itemId;\n}\n`;
+      }
+      commit(files, 'existing code');
+      git('tag', '-f', 'base');
+      const check = { conventions: { enabled: true, base: 'base', consensus: false, feedback: false } };
+
+      expect((await run(check)).message).toBe('No changed source files');
+
+      commit({ 'lib/module-6.js': 'function save_item() {}\n' }, 'new code');
+      const result = await run(check);
+
+      expect(result.status).toBe(GATE_STATUS.FAILED);
+      expect(result.message).toBe('2 convention violation(s) in 1 changed file(s)');
+      expect(result.details).toBe([
+        'lib/module-6.js:1 function `save_item` is snake_case, expected camelCase',
+        'lib/module-6.js:1 function `save_item` has no JSDoc comment',
+      ].join('\n'));
+      expect(result.locations).toEqual([{ file: 'lib/module-6.js', line: 1 }, { file: 'lib/module-6.js', line: 1 }]);
+
+      commit({ 'lib/module-6.js': '/**\n * Save\n */\nfunction saveItem() {}\n' }, 'fix');
+      expect((await run(check)).status).toBe(GATE_STATUS.PASSED);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Hook Loader Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  HookManager,
+  HOOK_TYPES,
+  globToRegExp,
+  createShellHandler,
+  readHooksFile,
+  loadProjectHooks,
+} = require('../../lib/hooks');
+
+describe('hook loader', () => {
+  let projectRoot;
+  let planningDir;
+
+  const writeHooks = (hooks) => {
+    fs.writeFileSync(path.join(planningDir, 'hooks.json'), JSON.stringify({ hooks }));
+  };
+  const writeModule = (file, source) => {
+    fs.mkdirSync(path.join(planningDir, 'hooks'), { recursive: true });
+    fs.writeFileSync(path.join(planningDir, 'hooks', file), source);
+  };
+  const node = (script) => `node -e ${JSON.stringify(script)}`;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-hooks-test-'));
+    planningDir = path.join(projectRoot, '.planning');
+    fs.mkdirSync(planningDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  describe('command filters', () => {
+    test('globToRegExp anchors and escapes', () => {
+      expect(globToRegExp('gywd:execute-*').test('gywd:execute-plan')).toBe(true);
+      expect(globToRegExp('gywd:execute-*').test('x gywd:execute-plan')).toBe(false);
+      expect(globToRegExp('plan.?').test('plan.1')).toBe(true);
+      expect(globToRegExp('plan.?').test('planx1')).toBe(false);
+    });
+
+    test('match globs and pattern regex both filter by context.command', async () => {
+      const manager = new HookManager();
+      const globbed = jest.fn();
+      const regexed = jest.fn();
+      manager.register(HOOK_TYPES.PRE_COMMAND, globbed, { match: ['gywd:plan-*', 'gywd:execute-*'] });
+      manager.register(HOOK_TYPES.PRE_COMMAND, regexed, { pattern: '^gywd:exec' });
+
+      await manager.trigger(HOOK_TYPES.PRE_COMMAND, { command: 'gywd:execute-plan' });
+      await manager.trigger(HOOK_TYPES.PRE_COMMAND, { command: 'gywd:plan-phase' });
+      await manager.trigger(HOOK_TYPES.PRE_COMMAND, { command: 'gywd:status' });
+
+      expect(globbed).toHaveBeenCalledTimes(2);
+      expect(regexed).toHaveBeenCalledTimes(1);
+    });
+
+    test('register rejects an invalid pattern up front', () => {
+      const manager = new HookManager();
+
+      expect(() => manager.register(HOOK_TYPES.PRE_COMMAND, jest.fn(), { pattern: '(unclosed' }))
+        .toThrow(/^Invalid hook pattern "\(unclosed"/);
+      expect(manager.list()).toEqual([]);
+    });
+  });
+
+  describe('createShellHandler', () => {
+    test('passes the context through the environment and stdin', async () => {
+      const handler = createShellHandler({
+        name: 'env',
+        type: HOOK_TYPES.PRE_COMMIT,
+        run: node([
+          "let input = '';",
+          "process.stdin.on('data', d => { input += d; });",
+          "process.stdin.on('end', () => console.log([process.env.GYWD_HOOK_TYPE, process.env.GYWD_COMMAND,",
+          'process.env.GYWD_PHASE_NUMBER, process.env.TEAM, JSON.parse(process.env.GYWD_HOOK_CONTEXT).files.length,',
+          "JSON.parse(input).command].join('|')));",
+        ].join(' ')),
+        env: { TEAM: 'core' },
+      }, { cwd: projectRoot });
+
+      const result = await handler({ command: 'git commit', phaseNumber: 3, files: ['a.js'] });
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout.trim()).toBe('pre_commit|git commit|3|core|1|git commit');
+    });
+
+    test('returns veto and context fields printed as JSON', async () => {
+      const handler = createShellHandler({
+        name: 'policy',
+        run: node("console.log(JSON.stringify({ veto: true, reason: 'blockers', other: 1 }))"),
+      }, { cwd: projectRoot });
+
+      const result = await handler({ command: 'gywd:execute-plan' });
+
+      expect(result).toMatchObject({ veto: true, reason: 'blockers' });
+      expect(result.other).toBeUndefined();
+    });
+
+    test('runs in the configured directory', async () => {
+      fs.mkdirSync(path.join(projectRoot, 'sub'));
+      const handler = createShellHandler({ name: 'cwd', run: node('console.log(process.cwd())'), cwd: 'sub' }, { cwd: projectRoot });
+
+      const { stdout } = await handler();
+
+      expect(fs.realpathSync(stdout.trim())).toBe(fs.realpathSync(path.join(projectRoot, 'sub')));
+    });
+
+    test('rejects on non-zero exit, marking abortOnFailure', async () => {
+      const handler = createShellHandler({
+        name: 'fmt',
+        run: node("console.error('unformatted'); process.exit(3)"),
+        abortOnFailure: true,
+      }, { cwd: projectRoot });
+
+      await expect(handler()).rejects.toMatchObject({
+        message: 'Hook "fmt" exited with code 3: unformatted',
+        exitCode: 3,
+        abort: true,
+      });
+    });
+
+    test('rejects when the command times out', async () => {
+      const handler = createShellHandler({
+        name: 'slow',
+        run: node('setTimeout(() => {}, 5000)'),
+        timeout: 200,
+      }, { cwd: projectRoot });
+
+      await expect(handler()).rejects.toThrow('Hook "slow" timed out after 200ms');
+    });
+  });
+
+  describe('readHooksFile', () => {
+    test('reads hooks keyed by type and reports bad entries', () => {
+      writeHooks({
+        PRE_COMMIT: [{ name: 'format', run: 'npm run format', timeout: 1000 }],
+        post_task: { run: 'echo done' },
+        on_deploy: [{ run: 'echo' }],
+        on_error: [{ name: 'missing run' }],
+      });
+
+      const { definitions, errors } = readHooksFile(planningDir);
+
+      expect(definitions.map(d => [d.type, d.name])).toEqual([
+        ['pre_commit', 'format'],
+        ['post_task', 'post_task:0'],
+      ]);
+      expect(errors.map(e => e.error)).toEqual([
+        'Unknown hook type: on_deploy',
+        'on_error[0] needs a "run" command',
+      ]);
+    });
+
+    test('returns nothing when the file is missing and an error when invalid', () => {
+      expect(readHooksFile(planningDir)).toEqual({ definitions: [], errors: [] });
+
+      fs.writeFileSync(path.join(planningDir, 'hooks.json'), '{ nope');
+      expect(readHooksFile(planningDir).errors[0].error).toMatch(/^Invalid hooks\.json/);
+    });
+  });
+
+  describe('loadProjectHooks', () => {
+    test('registers shell and JS hooks that run on trigger', async () => {
+      writeHooks({
+        pre_commit: [{ name: 'format', run: node('console.log(process.env.GYWD_COMMAND)'), priority: 5 }],
+      });
+      writeModule('audit.js', [
+        'module.exports = [{',
+        "  type: 'PRE_COMMIT',",
+        '  handler: (context) => ({ audited: context.command }),',
+        "  match: 'git *',",
+        '}];',
+      ].join('\n'));
+
+      const manager = new HookManager();
+      const { registered, errors } = loadProjectHooks(manager, { projectRoot });
+
+      expect(errors).toEqual([]);
+      expect(registered.map(r => r.name)).toEqual(['format', 'audit']);
+      expect(manager.list().map(h => h.source)).toEqual([
+        path.join(planningDir, 'hooks.json'),
+        path.join(planningDir, 'hooks', 'audit.js'),
+      ]);
+
+      const { results } = await manager.trigger(HOOK_TYPES.PRE_COMMIT, { command: 'git commit' });
+
+      expect(results.map(r => r.name)).toEqual(['format', 'audit']);
+      expect(results[0].result.stdout.trim()).toBe('git commit');
+      expect(results[1].result).toEqual({ audited: 'git commit' });
+    });
+
+    test('reloading replaces previously loaded project hooks', () => {
+      writeHooks({ pre_commit: [{ name: 'format', run: 'true' }] });
+      const manager = new HookManager();
+      manager.register(HOOK_TYPES.PRE_COMMIT, () => {}, { name: 'runtime' });
+
+      loadProjectHooks(manager, { projectRoot });
+      writeHooks({ pre_commit: [{ name: 'lint', run: 'true' }] });
+      loadProjectHooks(manager, { projectRoot });
+
+      expect(manager.list().map(h => h.name).sort()).toEqual(['lint', 'runtime']);
+    });
+
+    test('reports modules that fail to load or export bad hooks', () => {
+      writeModule('broken.js', 'throw new Error("syntax");');
+      writeModule('bad.js', "module.exports = { type: 'nope', handler: () => {} };");
+
+      const { registered, errors } = loadProjectHooks(new HookManager(), { projectRoot });
+
+      expect(registered).toEqual([]);
+      expect(errors.map(e => path.basename(e.source))).toEqual(['bad.js', 'broken.js']);
+      expect(errors[1].error).toBe('Could not load hook module: syntax');
+    });
+
+    test('skips hooks with an invalid pattern so the others still run', async () => {
+      writeHooks({
+        pre_commit: [
+          { name: 'broken', run: node('process.exit(1)'), pattern: '[git' },
+          { name: 'format', run: node('console.log("ok")') },
+        ],
+      });
+      writeModule('audit.js', "module.exports = { type: 'pre_commit', pattern: '*', handler: () => 'audited' };");
+
+      const manager = new HookManager();
+      const { registered, errors } = loadProjectHooks(manager, { projectRoot });
+
+      expect(registered.map(r => r.name)).toEqual(['format']);
+      expect(errors.map(e => e.error)).toEqual([
+        expect.stringMatching(/^pre_commit\[0\]: Invalid hook pattern "\[git"/),
+        expect.stringMatching(/^Export 0: Invalid hook pattern "\*"/),
+      ]);
+
+      const { results } = await manager.trigger(HOOK_TYPES.PRE_COMMIT, { command: 'git commit' });
+      expect(results.map(r => r.name)).toEqual(['format']);
+    });
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Hook Manager Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { HookManager, HOOK_TYPES, HOOKS_LOG_FILE, loadProjectHooks } = require('../../lib/hooks');
+
+describe('HookManager', () => {
+  const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+  describe('timeouts', () => {
+    test('a hung hook times out and the rest still run', async () => {
+      const manager = new HookManager({ timeout: 50 });
+      const after = jest.fn(() => 'ran');
+      manager.register(HOOK_TYPES.PRE_TASK, () => new Promise(() => {}), { name: 'hung', priority: 2 });
+      manager.register(HOOK_TYPES.PRE_TASK, after, { name: 'after', priority: 1 });
+
+      const { results } = await manager.trigger(HOOK_TYPES.PRE_TASK);
+
+      expect(results[0]).toMatchObject({
+        name: 'hung',
+        success: false,
+        timedOut: true,
+        error: 'Hook "hung" timed out after 50ms',
+      });
+      expect(results[1]).toMatchObject({ name: 'after', success: true, result: 'ran' });
+    });
+
+    test('per-hook timeout overrides the manager default', async () => {
+      const manager = new HookManager({ timeout: 10 });
+      manager.register(HOOK_TYPES.PRE_TASK, () => delay(40, 'slow but allowed'), { timeout: 500 });
+
+      const { results } = await manager.trigger(HOOK_TYPES.PRE_TASK);
+
+      expect(results[0]).toMatchObject({ success: true, result: 'slow but allowed' });
+      expect(results[0].durationMs).toBeGreaterThanOrEqual(30);
+    });
+
+    test('hooks without any timeout are awaited', async () => {
+      const manager = new HookManager();
+      manager.register(HOOK_TYPES.PRE_TASK, () => delay(20, 'done'));
+
+      expect((await manager.trigger(HOOK_TYPES.PRE_TASK)).results[0].result).toBe('done');
+    });
+  });
+
+  describe('parallel execution', () => {
+    test('runs hooks of equal priority concurrently, priorities in order', async () => {
+      const manager = new HookManager({ parallel: true });
+      const events = [];
+      const hook = (name, ms) => async () => {
+        events.push(`start ${name}`);
+        await delay(ms);
+        events.push(`end ${name}`);
+        return name;
+      };
+      manager.register(HOOK_TYPES.PRE_TASK, hook('a', 30), { name: 'a', priority: 1 });
+      manager.register(HOOK_TYPES.PRE_TASK, hook('b', 10), { name: 'b', priority: 1 });
+      manager.register(HOOK_TYPES.PRE_TASK, hook('c', 0), { name: 'c', priority: 0 });
+
+      const { results } = await manager.trigger(HOOK_TYPES.PRE_TASK);
+
+      expect(events).toEqual(['start a', 'start b', 'end b', 'end a', 'start c', 'end c']);
+      expect(results.map(r => r.name)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('can be chosen per trigger', async () => {
+      const manager = new HookManager();
+      const events = [];
+      for (const name of ['a', 'b']) {
+        manager.register(HOOK_TYPES.PRE_TASK, async () => {
+          events.push(name);
+          await delay(10);
+          events.push(name);
+        });
+      }
+
+      await manager.trigger(HOOK_TYPES.PRE_TASK, {}, { parallel: true });
+
+      expect(events).toEqual(['a', 'b', 'a', 'b']);
+    });
+
+    test('an aborting hook stops later priority groups', async () => {
+      const manager = new HookManager({ parallel: true });
+      const later = jest.fn();
+      manager.register(HOOK_TYPES.PRE_COMMIT, () => {
+        const error = new Error('format failed');
+        error.abort = true;
+        throw error;
+      }, { name: 'format', priority: 1 });
+      manager.register(HOOK_TYPES.PRE_COMMIT, () => 'ok', { name: 'peer', priority: 1 });
+      manager.register(HOOK_TYPES.PRE_COMMIT, later, { priority: 0 });
+
+      const result = await manager.trigger(HOOK_TYPES.PRE_COMMIT);
+
+      expect(result).toMatchObject({ aborted: true, error: 'format failed' });
+      expect(result.results.map(r => r.name)).toEqual(['format', 'peer']);
+      expect(later).not.toHaveBeenCalled();
+    });
+
+    test('once hooks that ran before an abort are removed', async () => {
+      const manager = new HookManager();
+      const setup = jest.fn();
+      manager.register(HOOK_TYPES.PRE_COMMIT, setup, { once: true, priority: 2 });
+      manager.register(HOOK_TYPES.PRE_COMMIT, () => {
+        const error = new Error('format failed');
+        error.abort = true;
+        throw error;
+      }, { priority: 1 });
+
+      await manager.trigger(HOOK_TYPES.PRE_COMMIT);
+      await manager.trigger(HOOK_TYPES.PRE_COMMIT);
+
+      expect(setup).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('history', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-hook-log-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('records every trigger in memory', async () => {
+      const manager = new HookManager();
+      manager.register(HOOK_TYPES.PRE_COMMAND, () => 'ok', { name: 'ok' });
+      manager.register(HOOK_TYPES.ON_ERROR, () => { throw new Error('bad'); }, { name: 'bad' });
+
+      await manager.trigger(HOOK_TYPES.PRE_COMMAND, { command: 'gywd:status' });
+      await manager.trigger(HOOK_TYPES.ON_ERROR);
+      manager.disable();
+      await manager.trigger(HOOK_TYPES.PRE_COMMAND);
+
+      const history = manager.getHistory();
+      expect(history.map(h => [h.type, h.outcome])).toEqual([
+        ['pre_command', 'success'],
+        ['on_error', 'failed'],
+        ['pre_command', 'skipped'],
+      ]);
+      expect(history[0]).toMatchObject({
+        command: 'gywd:status',
+        hooks: [{ name: 'ok', success: true, durationMs: expect.any(Number) }],
+      });
+      expect(history[1].hooks[0].error).toBe('bad');
+    });
+
+    test('appends to the audit log and filters on read', async () => {
+      const logFile = path.join(dir, 'nested', HOOKS_LOG_FILE);
+      const manager = new HookManager({ logFile });
+      manager.register(HOOK_TYPES.PRE_COMMIT, () => {
+        const error = new Error('lint failed');
+        error.abort = true;
+        throw error;
+      }, { name: 'lint' });
+
+      await manager.trigger(HOOK_TYPES.PRE_COMMIT, { command: 'git commit' });
+      await manager.trigger(HOOK_TYPES.POST_COMMIT, { command: 'git commit' });
+
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatchObject({ type: 'pre_commit', outcome: 'aborted', abortReason: 'lint failed' });
+
+      // A second manager (another process) reads the same log
+      const reader = new HookManager({ logFile });
+      expect(reader.getHistory({ outcome: 'aborted' })).toHaveLength(1);
+      expect(reader.getHistory({ type: 'post_commit' })[0].outcome).toBe('success');
+      expect(reader.getHistory({ limit: 1 })[0].type).toBe('post_commit');
+      expect(reader.getHistory({ since: Date.now() + 60000 })).toEqual([]);
+    });
+
+    test('project hooks log to .planning/hooks.log.jsonl', async () => {
+      fs.mkdirSync(path.join(dir, '.planning'));
+      const manager = new HookManager();
+
+      loadProjectHooks(manager, { projectRoot: dir });
+      await manager.trigger(HOOK_TYPES.POST_TASK);
+
+      expect(manager.logFile).toBe(path.join(dir, '.planning', HOOKS_LOG_FILE));
+      expect(fs.existsSync(manager.logFile)).toBe(true);
+    });
+  });
+
+  describe('PRE hook middleware', () => {
+    test('PRE hooks rewrite context for later hooks without touching the caller', async () => {
+      const manager = new HookManager();
+      const seen = jest.fn();
+      manager.register(HOOK_TYPES.PRE_COMMAND, () => ({
+        context: { args: '--dry-run 03-01' },
+        contextFiles: ['.planning/STATE.md'],
+      }), { priority: 2 });
+      manager.register(HOOK_TYPES.PRE_COMMAND, () => ({ contextFiles: ['.planning/STATE.md', 'ISSUES.md'] }), { priority: 1 });
+      manager.register(HOOK_TYPES.PRE_COMMAND, seen, { priority: 0 });
+
+      const original = { command: 'gywd:execute-plan', args: '03-01' };
+      const result = await manager.trigger(HOOK_TYPES.PRE_COMMAND, original);
+
+      expect(seen).toHaveBeenCalledWith(expect.objectContaining({
+        args: '--dry-run 03-01',
+        contextFiles: ['.planning/STATE.md', 'ISSUES.md'],
+      }));
+      expect(result.context).toEqual({
+        command: 'gywd:execute-plan',
+        args: '--dry-run 03-01',
+        contextFiles: ['.planning/STATE.md', 'ISSUES.md'],
+      });
+      expect(original).toEqual({ command: 'gywd:execute-plan', args: '03-01' });
+    });
+
+    test('a veto stops later hooks and is recorded', async () => {
+      const manager = new HookManager();
+      const later = jest.fn();
+      manager.register(HOOK_TYPES.PRE_TASK, () => ({ veto: 'Plan has no tasks' }), { name: 'policy', priority: 1 });
+      manager.register(HOOK_TYPES.PRE_TASK, later);
+
+      const result = await manager.trigger(HOOK_TYPES.PRE_TASK, { task: 'build' });
+
+      expect(result).toMatchObject({ vetoed: true, reason: 'Plan has no tasks', vetoedBy: 'policy' });
+      expect(later).not.toHaveBeenCalled();
+      expect(manager.getHistory()[0]).toMatchObject({ outcome: 'vetoed', abortReason: 'Plan has no tasks' });
+    });
+
+    test('once hooks that ran before a veto are removed', async () => {
+      const manager = new HookManager();
+      const setup = jest.fn();
+      manager.register(HOOK_TYPES.PRE_TASK, setup, { once: true, priority: 2 });
+      manager.register(HOOK_TYPES.PRE_TASK, () => ({ veto: 'Plan has no tasks' }), { priority: 1 });
+
+      await manager.trigger(HOOK_TYPES.PRE_TASK);
+      await manager.trigger(HOOK_TYPES.PRE_TASK);
+
+      expect(setup).toHaveBeenCalledTimes(1);
+    });
+
+    test('veto and context fields are ignored outside PRE hooks', async () => {
+      const manager = new HookManager();
+      manager.register(HOOK_TYPES.POST_TASK, () => ({ veto: true, context: { x: 1 } }));
+
+      const result = await manager.trigger(HOOK_TYPES.POST_TASK, { task: 'build' });
+
+      expect(result.vetoed).toBeUndefined();
+      expect(result.context).toEqual({ task: 'build' });
+    });
+
+    test('command filters see commands rewritten by earlier hooks', async () => {
+      const manager = new HookManager();
+      const planHook = jest.fn();
+      manager.register(HOOK_TYPES.PRE_COMMAND, () => ({ context: { command: 'gywd:plan-phase' } }), { priority: 1 });
+      manager.register(HOOK_TYPES.PRE_COMMAND, planHook, { match: 'gywd:plan-*' });
+
+      await manager.trigger(HOOK_TYPES.PRE_COMMAND, { command: 'gywd:execute-plan' });
+
+      expect(planHook).toHaveBeenCalled();
+    });
+  });
+
+  describe('runCommand', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-hook-run-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('blocks execute-plan when ISSUES.md has blockers', async () => {
+      const manager = new HookManager();
+      const issuesPath = path.join(dir, 'ISSUES.md');
+      manager.register(HOOK_TYPES.PRE_COMMAND, () => {
+        const issues = fs.existsSync(issuesPath) ? fs.readFileSync(issuesPath, 'utf8') : '';
+        return /\*\*Severity:\*\*\s*blocker/i.test(issues)
+          ? { veto: true, reason: 'ISSUES.md has blocking issues' }
+          : null;
+      }, { name: 'no-blockers', match: 'gywd:execute-plan' });
+      const post = jest.fn();
+      manager.register(HOOK_TYPES.POST_COMMAND, post);
+      const operation = jest.fn(() => 'executed');
+
+      fs.writeFileSync(issuesPath, '### ISS-001: Broken\n- **Severity:** blocker\n');
+      const blocked = await manager.runCommand('gywd:execute-plan', operation);
+
+      expect(blocked).toMatchObject({ success: false, vetoed: true, reason: 'ISSUES.md has blocking issues' });
+      expect(operation).not.toHaveBeenCalled();
+      expect(post).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: expect.objectContaining({ success: false, vetoed: true }),
+      }));
+
+      fs.writeFileSync(issuesPath, '');
+      const allowed = await manager.runCommand('gywd:execute-plan', operation, { args: '03-01' });
+
+      expect(allowed).toMatchObject({ success: true, result: 'executed' });
+      expect(operation).toHaveBeenCalledWith({ command: 'gywd:execute-plan', args: '03-01' });
+    });
+
+    test('POST hooks receive the outcome, then ON_SUCCESS or ON_ERROR', async () => {
+      const manager = new HookManager();
+      const calls = [];
+      manager.register(HOOK_TYPES.PRE_TASK, () => ({ context: { retries: 2 } }));
+      manager.register(HOOK_TYPES.POST_TASK, (context) => calls.push(['post', context.retries, context.outcome]));
+      manager.register(HOOK_TYPES.ON_SUCCESS, () => calls.push(['success']));
+      manager.register(HOOK_TYPES.ON_ERROR, (context) => calls.push(['error', context.outcome.error]));
+
+      const ok = await manager.runTask('build', (context) => context.retries * 2);
+      const failed = await manager.runTask('build', () => { throw new Error('compile error'); });
+
+      expect(ok).toMatchObject({ success: true, result: 4, context: { task: 'build', retries: 2 } });
+      expect(failed).toMatchObject({ success: false, error: 'compile error' });
+      expect(calls).toEqual([
+        ['post', 2, expect.objectContaining({ success: true, result: 4 })],
+        ['success'],
+        ['post', 2, expect.objectContaining({ success: false, error: 'compile error' })],
+        ['error', 'compile error'],
+      ]);
+    });
+  });
+});
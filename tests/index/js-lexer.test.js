@@ -0,0 +1,59 @@
+/**
+ * JS Lexer Tests
+ */
+
+const { tokenizeCode, maskSource } = require('../../lib/index/js-lexer');
+
+describe('tokenizeCode', () => {
+  test('skips comments and keeps strings, templates and regexes whole', () => {
+    const tokens = tokenizeCode('// const a = 1;\nconst b = /x\\/y/g; /* c */ const t = `a${b}c`;');
+
+    expect(tokens.map(t => [t.type, t.value])).toEqual([
+      ['name', 'const'], ['name', 'b'], ['punct', '='], ['regex', 'x\\/y'], ['punct', ';'],
+      ['name', 'const'], ['name', 't'], ['punct', '='], ['template', 'a'], ['name', 'b'], ['template', 'c'],
+      ['punct', ';'],
+    ]);
+    expect(tokens[0].line).toBe(2);
+  });
+
+  test('records source offsets that include quotes and delimiters', () => {
+    const tokens = tokenizeCode("x = 'ab' + /c/g;");
+
+    expect(tokens.map(t => [t.start, t.end])).toEqual([[0, 1], [2, 3], [4, 8], [9, 10], [11, 15], [15, 16]]);
+  });
+
+  test('treats a slash after an operand as division', () => {
+    const values = tokenizeCode('const half = total / 2 / count;').map(t => t.value);
+
+    expect(values).toEqual(['const', 'half', '=', 'total', '/', '2', '/', 'count', ';']);
+  });
+
+  test('ends on a regex left open at the end of the source', () => {
+    const types = tokenizeCode('const a = 1;\n/').map(t => t.type);
+
+    expect(types).toEqual(['name', 'name', 'punct', 'number', 'punct', 'regex']);
+  });
+});
+
+describe('maskSource', () => {
+  test('blanks comments, strings and regex literals but keeps offsets', () => {
+    const source = "const re = /\\{/g; // {\nconst s = 'a{b';";
+    const masked = maskSource(source);
+
+    expect(masked).toHaveLength(source.length);
+    expect(masked.split('\n')).toEqual(['const re = /  /g;     ', "const s = '   ';"]);
+    expect(maskSource('const half = total / 2; const x = a / b;')).toBe('const half = total / 2; const x = a / b;');
+  });
+
+  test('keeps template substitutions as code', () => {
+    expect(maskSource('const t = `a${b}c`;')).toBe('const t = `  {b} `;');
+    expect(maskSource('`${`${inner}`}`')).toBe('` {` {inner}`}`');
+  });
+
+  test('reads regex literals the way tokenizeCode does', () => {
+    const source = "await /'/.test(s); const t = 'x';";
+
+    expect(tokenizeCode(source).map(t => t.type)).toContain('regex');
+    expect(maskSource(source)).toBe("await / /.test(s); const t = ' ';");
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Keyword Index Ranking Tests
+ */
+
+const {
+  KeywordIndex,
+  RANKING_MODES,
+  splitIdentifier,
+  stem,
+  tokenize,
+} = require('../../lib/index');
+
+describe('tokenizer', () => {
+  test('splitIdentifier handles camelCase, acronyms, snake_case and kebab-case', () => {
+    expect(splitIdentifier('getHTTPResponse')).toEqual(['get', 'http', 'response']);
+    expect(splitIdentifier('user_id')).toEqual(['user', 'id']);
+    expect(splitIdentifier('auth-service')).toEqual(['auth', 'service']);
+  });
+
+  test('stem maps inflections to one term', () => {
+    expect(new Set(['cache', 'cached', 'caching'].map(stem))).toEqual(new Set(['cach']));
+    expect(stem('queries')).toBe(stem('query'));
+    expect(stem('running')).toBe('run');
+    expect(stem('class')).toBe('class');
+    expect(stem('status')).toBe('status');
+  });
+
+  test('tokenize splits identifiers, keeps compounds and drops stop words', () => {
+    expect(tokenize('const refreshToken = require("./user-session") // for the user', { stem: false }))
+      .toEqual(['refresh', 'token', 'refreshtoken', 'user', 'session', 'usersession', 'user']);
+    expect(tokenize('tokens 42 x', { minLength: 2 })).toEqual(['token']);
+  });
+});
+
+describe('KeywordIndex ranking', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new KeywordIndex({ stem: true });
+  });
+
+  test('addText records term frequencies', () => {
+    const count = index.addText('/src/cache.js', 'function cacheGet() { return cached; } // caching');
+
+    expect(count).toBe(5);
+    expect(index.termFrequencies.get('/src/cache.js').get('cach')).toBe(3);
+    expect(index.search('Caching').has('/src/cache.js')).toBe(true);
+  });
+
+  test('BM25 ranks rare keywords above common ones', () => {
+    for (let i = 0; i < 10; i++) {
+      index.addText(`/src/util${i}.js`, 'user user user helper');
+    }
+    index.addText('/src/invoice.js', 'invoice user');
+
+    const [top] = index.searchRanked('user invoice');
+    const overlap = index.searchMultiple(['user', 'invoice']);
+
+    expect(top.file).toBe('/src/invoice.js');
+    expect(top.matchedKeywords).toEqual(['user', 'invoic']);
+    expect(overlap[0].file).toBe('/src/invoice.js');
+  });
+
+  test('BM25 normalizes for document length', () => {
+    index.addText('/src/short.js', 'payment refund');
+    index.addText('/src/long.js', `payment ${'ledger entry balance account '.repeat(50)}`);
+
+    const results = index.searchMultiple(['payment'], { ranking: RANKING_MODES.BM25 });
+
+    expect(results.map(r => r.file)).toEqual(['/src/short.js', '/src/long.js']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('overlap ranking keeps match count first and exposes scores', () => {
+    index.addFile('/a.js', ['auth', 'service']);
+    index.addFile('/b.js', ['auth']);
+
+    const results = index.searchMultiple(['auth', 'service', 'auth'], { limit: 1 });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ file: '/a.js', matchCount: 2 });
+    expect(results[0].score).toBeGreaterThan(0);
+  });
+
+  test('removeFile and import keep document statistics consistent', () => {
+    index.addText('/a.js', 'alpha beta beta');
+    index.addText('/b.js', 'beta');
+    index.removeFile('/b.js');
+
+    expect(index.totalTerms).toBe(3);
+
+    const restored = new KeywordIndex();
+    restored.import(index.export());
+
+    expect(restored.stem).toBe(true);
+    expect(restored.totalTerms).toBe(3);
+    expect(restored.searchRanked('betas')[0].score).toBeCloseTo(index.searchRanked('beta')[0].score);
+
+    // Importing the same export again replaces the entries instead of counting them twice
+    restored.import(index.export());
+    expect(restored.totalTerms).toBe(3);
+    restored.removeFile('/a.js');
+    expect(restored.totalTerms).toBe(0);
+  });
+});
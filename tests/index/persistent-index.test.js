@@ -0,0 +1,130 @@
+/**
+ * Persistent Keyword Index Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { PersistentKeywordIndex, KEYWORD_INDEX_DIR, MANIFEST_FILE } = require('../../lib/index');
+
+describe('PersistentKeywordIndex', () => {
+  let projectRoot;
+  let indexDir;
+
+  const write = (file, content, mtime) => {
+    const fullPath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+    if (mtime) fs.utimesSync(fullPath, mtime, mtime);
+  };
+  const open = (options) => new PersistentKeywordIndex({ projectRoot, ...options });
+  const segments = () => fs.readdirSync(indexDir).filter(f => f.startsWith('segment-')).sort();
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-index-test-'));
+    indexDir = path.join(projectRoot, '.planning', KEYWORD_INDEX_DIR);
+    write('src/auth/session.js', 'function refreshSession(token) { return token; }\n');
+    write('src/billing/invoice.js', 'function createInvoice(customer) {}\n');
+    write('node_modules/dep/index.js', 'function refreshSession() {}\n');
+    write('README.md', '# Billing and sessions\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('builds an on-disk index under .planning/cache and searches it', () => {
+    const index = open();
+
+    expect(index.update()).toMatchObject({ added: 3, updated: 0, removed: 0, segment: 'segment-1.json' });
+    expect(fs.existsSync(path.join(indexDir, MANIFEST_FILE))).toBe(true);
+    expect(index.searchRanked('refresh sessions')[0].file).toBe('src/auth/session.js');
+    expect(index.search('invoice')).toEqual(new Set(['src/billing/invoice.js']));
+  });
+
+  test('loads segments lazily on the first search', () => {
+    open().update();
+
+    const reopened = open();
+    expect(reopened.getStats()).toMatchObject({ files: 3, segments: 1, loaded: false });
+
+    expect(reopened.searchRanked('invoice customer')[0].file).toBe('src/billing/invoice.js');
+    expect(reopened.isLoaded()).toBe(true);
+  });
+
+  test('re-indexes only changed files into a delta segment', () => {
+    open().update();
+    write('src/billing/invoice.js', 'function refundInvoice(payment) {}\n', new Date(Date.now() + 5000));
+    write('src/auth/token.js', 'function signToken() {}\n');
+    fs.unlinkSync(path.join(projectRoot, 'README.md'));
+
+    const index = open();
+    const result = index.update();
+
+    expect(result).toMatchObject({ added: 1, updated: 1, removed: 1, unchanged: 1, segment: 'segment-2.json' });
+    expect(segments()).toEqual(['segment-1.json', 'segment-2.json']);
+    expect(index.search('refund')).toEqual(new Set(['src/billing/invoice.js']));
+    expect(index.search('customer').size).toBe(0);
+    expect(index.search('token')).toEqual(new Set(['src/auth/session.js', 'src/auth/token.js']));
+  });
+
+  test('skips files whose content hash is unchanged', () => {
+    const index = open();
+    index.update();
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(projectRoot, 'src/auth/session.js'), later, later);
+
+    expect(index.update()).toMatchObject({ updated: 0, unchanged: 3, segment: null });
+    expect(open().update()).toMatchObject({ unchanged: 3, segment: null });
+  });
+
+  test('applies updates to an already-loaded index', () => {
+    const index = open();
+    index.update();
+    index.searchRanked('session');
+
+    write('src/auth/logout.js', 'function endSession() {}\n');
+    index.update();
+
+    expect(index.search('logout')).toEqual(new Set(['src/auth/logout.js']));
+  });
+
+  test('compacts segments, dropping stale documents', () => {
+    const index = open({ maxSegments: 100, compactRatio: 1 });
+    index.update();
+    for (let i = 1; i <= 3; i++) {
+      write('src/billing/invoice.js', `function invoiceV${i}() {}\n`.repeat(i), new Date(Date.now() + i * 5000));
+      index.update();
+    }
+    expect(index.getStats()).toMatchObject({ files: 3, segments: 4, staleDocuments: 3 });
+
+    expect(index.compact()).toEqual({ segments: 4, documents: 3 });
+    expect(segments()).toEqual(['segment-5.json']);
+    expect(index.getStats()).toMatchObject({ segments: 1, staleDocuments: 0 });
+    expect(open().search('invoicev3')).toEqual(new Set(['src/billing/invoice.js']));
+  });
+
+  test('compacts automatically once too many segments accumulate', () => {
+    const index = open({ maxSegments: 2 });
+    index.update();
+    write('a.js', 'alpha');
+    index.update();
+    write('b.js', 'beta');
+
+    expect(index.update().compacted).toBe(true);
+    expect(segments()).toHaveLength(1);
+    expect(open().searchRanked('alpha beta').map(r => r.file).sort()).toEqual(['a.js', 'b.js']);
+  });
+
+  test('rebuilds when the manifest is from another format version', () => {
+    open().update();
+    const manifestPath = path.join(indexDir, MANIFEST_FILE);
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(manifestPath, 'utf8')), version: 0 }));
+
+    const index = open();
+
+    expect(index.getStats().files).toBe(0);
+    expect(index.update().added).toBe(3);
+    expect(segments()).toEqual(['segment-1.json']);
+  });
+});
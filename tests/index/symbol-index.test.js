@@ -0,0 +1,187 @@
+/**
+ * Symbol Index Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  SymbolIndex,
+  SYMBOL_KINDS,
+  extractSymbols,
+  extractExports,
+  extractImports,
+} = require('../../lib/index');
+
+const GATE_SOURCE = [
+  "'use strict';",
+  '// function fake() {}',
+  'const MAX = 10;',
+  "const fs = require('fs');",
+  'const s = "function nope() {";',
+  'class Gate extends Base {',
+  '  constructor(options = {}) {',
+  '    if (options.strict) {',
+  '      this.strict = true;',
+  '    }',
+  '  }',
+  '',
+  '  async run(files, { limit } = {}) {',
+  '    return helper(files, limit || MAX);',
+  '  }',
+  '}',
+  '',
+  'function helper(files, limit) {',
+  '  return files.slice(0, limit);',
+  '}',
+  '',
+  'const short = x => x + 1;',
+  '',
+  'module.exports = { Gate, helper: helper, MAX };',
+  '',
+].join('\n');
+
+describe('extractSymbols', () => {
+  test('records kinds, line ranges and exports', () => {
+    const symbols = extractSymbols(GATE_SOURCE, 'gate.js');
+    const summary = symbols.map(s => [s.qualifiedName, s.kind, s.line, s.endLine, s.exported]);
+
+    expect(summary).toEqual([
+      ['MAX', SYMBOL_KINDS.CONSTANT, 3, 3, true],
+      ['s', SYMBOL_KINDS.CONSTANT, 5, 5, false],
+      ['Gate', SYMBOL_KINDS.CLASS, 6, 16, true],
+      ['Gate.constructor', SYMBOL_KINDS.METHOD, 7, 11, false],
+      ['Gate.run', SYMBOL_KINDS.METHOD, 13, 15, false],
+      ['helper', SYMBOL_KINDS.FUNCTION, 18, 20, true],
+      ['short', SYMBOL_KINDS.FUNCTION, 22, 22, false],
+    ]);
+  });
+
+  test('recognizes ESM exports and renamed exports', () => {
+    const symbols = extractSymbols([
+      'export function parse(text) {',
+      '  return text;',
+      '}',
+      'export class Parser {}',
+      'const internal = 1;',
+      'export { internal as publicName };',
+    ].join('\n'));
+
+    expect(symbols.filter(s => s.exported).map(s => s.name)).toEqual(['parse', 'Parser', 'internal']);
+    expect(symbols.find(s => s.name === 'internal').exportNames).toEqual(['publicName']);
+  });
+});
+
+describe('extractImports / extractExports', () => {
+  test('reads require destructuring, ESM imports and re-exports', () => {
+    const imports = extractImports([
+      "const { a, b: c } = require('./ab');",
+      "const ns = require('./ns');",
+      "const d = require('./d').d;",
+      "import e, { f as g } from './ef';",
+      "import * as all from './all';",
+      "export { h as i } from './h';",
+      "// const { x } = require('./x');",
+    ].join('\n'));
+
+    expect(imports.map(b => [b.source, b.imported, b.local, b.exported, b.line])).toEqual([
+      ['./ab', 'a', 'a', null, 1],
+      ['./ab', 'b', 'c', null, 1],
+      ['./ns', '*', 'ns', null, 2],
+      ['./d', 'd', 'd', null, 3],
+      ['./ef', 'f', 'g', null, 4],
+      ['./ef', 'default', 'e', null, 4],
+      ['./all', '*', 'all', null, 5],
+      ['./h', 'h', null, 'i', 6],
+    ]);
+  });
+
+  test('maps export names to local bindings with statement ranges', () => {
+    const exports = extractExports('const { a } = require("./a");\nexports.b = a;\nmodule.exports = {\n  a,\n  c: a,\n};\n');
+
+    expect(exports).toEqual([
+      { local: 'a', exported: 'a', line: 3, endLine: 6 },
+      { local: 'a', exported: 'c', line: 3, endLine: 6 },
+      { local: 'a', exported: 'b', line: 2, endLine: 2 },
+    ]);
+  });
+});
+
+describe('SymbolIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SymbolIndex({ rootDir: '/project' });
+    index.addFile('lib/gate.js', GATE_SOURCE);
+    index.addFile('lib/cli.js', [
+      "const { Gate } = require('./gate');",
+      'function main(files) {',
+      '  return new Gate().run(files);',
+      '}',
+      'module.exports = { main };',
+    ].join('\n'));
+  });
+
+  test('findDefinitions prefers the local, then exported definition', () => {
+    index.addFile('lib/other.js', 'function helper() {}\n');
+
+    expect(index.findDefinitions('helper').map(s => s.file)).toEqual(['lib/gate.js', 'lib/other.js']);
+    expect(index.findDefinitions('helper', { fromFile: '/project/lib/other.js' })[0].file).toBe('lib/other.js');
+    expect(index.findDefinitions('Gate.run')[0]).toMatchObject({ line: 13, endLine: 15 });
+  });
+
+  test('findReferences reports enclosing symbols and skips definitions', () => {
+    expect(index.findReferences('Gate')).toEqual([
+      { file: 'lib/cli.js', line: 1, symbol: null },
+      { file: 'lib/cli.js', line: 3, symbol: 'main' },
+      { file: 'lib/gate.js', line: 24, symbol: null },
+    ]);
+    expect(index.findReferences('helper').map(r => r.symbol)).toEqual(['Gate.run', null]);
+  });
+
+  test('findReferences ignores names inside comments and strings', () => {
+    expect(index.findReferences('fake')).toEqual([]);
+    expect(index.findReferences('nope')).toEqual([]);
+  });
+
+  test('resolveTarget accepts names, path#name, path:line and paths', () => {
+    expect(index.resolveTarget('Gate.run')).toMatchObject({ file: 'lib/gate.js', line: 13, endLine: 15 });
+    expect(index.resolveTarget('lib/gate.js#helper').symbol.kind).toBe(SYMBOL_KINDS.FUNCTION);
+    expect(index.resolveTarget('lib/gate.js:9').symbol.qualifiedName).toBe('Gate.constructor');
+    expect(index.resolveTarget('lib/cli.js').candidates.map(s => s.name)).toEqual(['main']);
+    expect(index.resolveTarget('missing')).toBeNull();
+  });
+
+  test('re-adding a file replaces its symbols and occurrences', () => {
+    index.addFile('lib/cli.js', 'function start() {}\n');
+
+    expect(index.findReferences('Gate').map(r => r.file)).toEqual(['lib/gate.js']);
+    expect(index.findDefinitions('main')).toEqual([]);
+    expect(index.getStats()).toMatchObject({ files: 2, symbols: 8 });
+  });
+
+  test('export and import round-trip', () => {
+    const restored = new SymbolIndex({ rootDir: '/project' });
+    restored.import(index.export());
+
+    expect(restored.findReferences('Gate')).toEqual(index.findReferences('Gate'));
+    expect(restored.search('he')[0].name).toBe('helper');
+  });
+
+  test('indexDirectory walks source files relative to rootDir', () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-symbols-test-'));
+    try {
+      fs.mkdirSync(path.join(rootDir, 'src'));
+      fs.mkdirSync(path.join(rootDir, 'node_modules'));
+      fs.writeFileSync(path.join(rootDir, 'src', 'a.js'), 'class Alpha {}\n');
+      fs.writeFileSync(path.join(rootDir, 'node_modules', 'b.js'), 'class Beta {}\n');
+
+      const walked = new SymbolIndex({ rootDir });
+
+      expect(walked.indexDirectory()).toBe(1);
+      expect(walked.findDefinitions('Alpha')[0].file).toBe('src/a.js');
+    } finally {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+  });
+});
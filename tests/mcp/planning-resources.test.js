@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * MCP Planning Resources Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { PlanningResources, RESOURCE_TEMPLATES } = require('../../lib/mcp');
+
+describe('PlanningResources', () => {
+  let planningDir;
+  let resources;
+
+  const write = (file, content) => {
+    const fullPath = path.join(planningDir, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+
+  beforeEach(() => {
+    planningDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-resources-test-')), '.planning');
+    write('STATE.md', '# State\n');
+    write('ROADMAP.md', '# Roadmap\n');
+    write('phases/03-auth/03-01-PLAN.md', '# Plan 03-01\n');
+    write('phases/03-auth/03-01-SUMMARY.md', '# Summary 03-01\n');
+    write('phases/03-auth/03-CONTEXT.md', '# Context\n');
+    write('phases/3.1-hotfix/3.1-01-PLAN.md', '# Hotfix plan\n');
+    write('codebase/ARCHITECTURE.md', '# Architecture\n');
+    resources = new PlanningResources({ planningDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(planningDir), { recursive: true, force: true });
+  });
+
+  test('exposes URI templates', () => {
+    expect(resources.templates()).toBe(RESOURCE_TEMPLATES);
+    expect(RESOURCE_TEMPLATES.map(t => t.uriTemplate)).toContain('gywd://phases/{phase}/{plan}');
+  });
+
+  test('lists root files, phases, plans, summaries and codebase docs', () => {
+    expect(resources.list().map(r => r.uri)).toEqual([
+      'gywd://STATE.md',
+      'gywd://ROADMAP.md',
+      'gywd://phases/03',
+      'gywd://phases/03/01',
+      'gywd://phases/03/01/summary',
+      'gywd://phases/03/files/03-CONTEXT.md',
+      'gywd://phases/3.1',
+      'gywd://phases/3.1/01',
+      'gywd://codebase/ARCHITECTURE',
+    ]);
+  });
+
+  test('reads resources through templates', () => {
+    expect(resources.read('gywd://STATE.md').text).toBe('# State\n');
+    expect(resources.read('gywd://phases/03/01').text).toBe('# Plan 03-01\n');
+    expect(resources.read('gywd://phases/3/1').text).toBe('# Plan 03-01\n');
+    expect(resources.read('gywd://phases/03/01/summary').text).toBe('# Summary 03-01\n');
+    expect(resources.read('gywd://phases/03/files/03-CONTEXT.md').text).toBe('# Context\n');
+    expect(resources.read('gywd://phases/3.1/01').text).toBe('# Hotfix plan\n');
+    expect(resources.read('gywd://codebase/ARCHITECTURE').text).toBe('# Architecture\n');
+    expect(resources.read('gywd://phases/03')).toEqual(expect.objectContaining({
+      mimeType: 'text/markdown',
+      text: expect.stringContaining('[03-01-PLAN.md](gywd://phases/03/01)'),
+    }));
+  });
+
+  test('returns null for unknown or unsafe URIs', () => {
+    expect(resources.read('gywd://PROJECT.md')).toBeNull();
+    expect(resources.read('gywd://phases/09/01')).toBeNull();
+    expect(resources.read('gywd://phases/03/07')).toBeNull();
+    expect(resources.read('gywd://phases/03/files/..')).toBeNull();
+    expect(resources.read('gywd://%2E%2E%2Fpackage.json')).toBeNull();
+    expect(resources.read('file:///etc/passwd')).toBeNull();
+    expect(resources.read('gywd://%E0%A4%A')).toBeNull();
+    expect(resources.pathForUri('gywd://phases/%ZZ/01')).toBeNull();
+  });
+
+  test('maps file paths back to URIs', () => {
+    expect(resources.uriForPath(path.join(planningDir, 'phases/03-auth/03-01-SUMMARY.md')))
+      .toBe('gywd://phases/03/01/summary');
+    expect(resources.uriForPath(path.join(planningDir, 'ROADMAP.md'))).toBe('gywd://ROADMAP.md');
+    expect(resources.uriForPath(path.join(planningDir, 'config.json'))).toBeNull();
+    expect(resources.uriForPath(path.join(planningDir, '..', 'README.md'))).toBeNull();
+  });
+
+  test('watch reports changed resources', async () => {
+    const changes = [];
+    const stop = resources.watch(change => changes.push(change));
+
+    try {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      fs.appendFileSync(path.join(planningDir, 'phases/03-auth/03-01-PLAN.md'), 'More\n');
+
+      for (let i = 0; i < 40 && changes.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    } finally {
+      stop();
+    }
+
+    expect(changes.flatMap(c => c.uris)).toContain('gywd://phases/03/01');
+  });
+
+  describe('watch without recursive fs.watch', () => {
+    const waitFor = async (changes, uri) => {
+      for (let i = 0; i < 40 && !changes.flatMap(c => c.uris).includes(uri); i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    };
+
+    test('watches each directory, including ones created later', async () => {
+      const changes = [];
+      const onError = jest.fn();
+      const stop = resources.watch(change => changes.push(change), { recursive: false, onError });
+
+      try {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        fs.appendFileSync(path.join(planningDir, 'phases/03-auth/03-01-PLAN.md'), 'More\n');
+        await waitFor(changes, 'gywd://phases/03/01');
+
+        write('phases/04-billing/04-01-PLAN.md', '# Plan 04-01\n');
+        await waitFor(changes, 'gywd://phases/04/01');
+      } finally {
+        stop();
+      }
+
+      const uris = changes.flatMap(c => c.uris);
+      expect(uris).toContain('gywd://phases/03/01');
+      expect(uris).toContain('gywd://phases/04/01');
+      expect(changes.some(c => c.listChanged)).toBe(true);
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    test('waits for a planning directory that does not exist yet', async () => {
+      fs.rmSync(planningDir, { recursive: true, force: true });
+      const changes = [];
+      const stop = resources.watch(change => changes.push(change), { recursive: false });
+
+      try {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        fs.mkdirSync(planningDir);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        fs.writeFileSync(path.join(planningDir, 'STATE.md'), '# State\n');
+        await waitFor(changes, 'gywd://STATE.md');
+      } finally {
+        stop();
+      }
+
+      expect(changes.flatMap(c => c.uris)).toContain('gywd://STATE.md');
+    });
+  });
+});
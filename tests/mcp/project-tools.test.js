@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * MCP Project Tools Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ProjectTools, TOOL_DEFINITIONS } = require('../../lib/mcp');
+
+describe('ProjectTools', () => {
+  let projectRoot;
+  let tools;
+  let collector;
+  let aggregator;
+
+  const write = (file, content) => {
+    const fullPath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-mcp-test-'));
+    write('src/auth/session.js', "const token = require('./token');\nmodule.exports = { refreshSession: token };\n");
+    write('src/auth/token.js', 'module.exports = function signToken() {};\n');
+    write('src/api/login.js', "const { refreshSession } = require('../auth/session');\nmodule.exports = refreshSession;\n");
+    write('tests/session.test.js', "require('../src/auth/session');\n");
+
+    collector = {
+      recordSuggestion: jest.fn(() => 'sug-1'),
+      recordFeedback: jest.fn(id => id === 'sug-1'),
+      recordQuickFeedback: jest.fn(() => 'fb-1'),
+      shouldSuppress: jest.fn(() => false),
+    };
+    aggregator = {
+      getConsensusPatterns: jest.fn(() => [
+        { type: 'naming', pattern: 'camelCase', confidence: 0.9 },
+        { type: 'testing', pattern: 'jest', confidence: 0.8 },
+      ]),
+    };
+    tools = new ProjectTools({ projectRoot, mineGitHistory: false, feedbackCollector: collector, aggregator });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('lists tool definitions with input schemas', () => {
+    const names = tools.list().map(t => t.name);
+    expect(names).toEqual([
+      'predict_context', 'related_files', 'get_patterns', 'record_feedback', 'dependency_impact',
+      'find_symbol', 'find_references', 'symbol_impact', 'check_conventions', 'complete_task', 'advance_plan',
+      'add_issue', 'set_focus',
+    ]);
+    expect(TOOL_DEFINITIONS.every(t => t.inputSchema.type === 'object')).toBe(true);
+    expect(tools.has('predict_context')).toBe(true);
+    expect(tools.has('get_status')).toBe(false);
+  });
+
+  test('rejects unknown tools and missing arguments', () => {
+    expect(tools.call('nope')).toEqual({ success: false, error: 'Unknown tool: nope' });
+    expect(tools.call('related_files', {})).toEqual({ success: false, error: 'file is required' });
+    expect(tools.call('predict_context')).toEqual({ success: false, error: 'task is required' });
+  });
+
+  test('related_files returns project-relative paths with relationship types', () => {
+    const result = tools.call('related_files', { file: 'src/auth/session.js' });
+
+    expect(result.success).toBe(true);
+    const byFile = Object.fromEntries(result.related.map(r => [r.file, r.relationships]));
+    expect(byFile['src/auth/token.js']).toEqual(expect.arrayContaining(['imports', 'same_dir']));
+    expect(byFile['src/api/login.js']).toEqual(['imported_by']);
+  });
+
+  test('predict_context ranks files by task keywords and records a suggestion', () => {
+    const result = tools.call('predict_context', { task: 'Refresh the session token', maxFiles: 3 });
+
+    expect(result.success).toBe(true);
+    expect(result.suggestionId).toBe('sug-1');
+    expect(result.files.map(f => f.path)).toContain('src/auth/session.js');
+    expect(collector.recordSuggestion).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'prediction',
+      context: { task: 'Refresh the session token' },
+    }));
+  });
+
+  test('predict_context returns decisions recorded for the project', () => {
+    write('.planning/core/decisions.json', JSON.stringify({
+      version: '2.0.0',
+      decisions: [{
+        id: 'DEC-001',
+        type: 'architectural',
+        summary: 'Sessions refresh tokens on every request',
+        rationale: 'Short-lived tokens limit exposure',
+        confidence: 80,
+        scope: { files: ['src/auth/session.js'] },
+      }],
+    }));
+
+    const result = tools.call('predict_context', { task: 'Refresh the session token' });
+
+    expect(result.decisions.map(d => d.id)).toEqual(['DEC-001']);
+    expect(result.patterns).toEqual([]);
+  });
+
+  test('get_patterns filters consensus patterns by type', () => {
+    const result = tools.call('get_patterns', { level: 'strong', type: 'naming' });
+
+    expect(aggregator.getConsensusPatterns).toHaveBeenCalledWith('strong');
+    expect(result.patterns).toEqual([{ type: 'naming', pattern: 'camelCase', confidence: 0.9 }]);
+  });
+
+  test('record_feedback answers a suggestion or records ad hoc feedback', () => {
+    expect(tools.call('record_feedback', { suggestionId: 'sug-1', feedback: 'accepted' }))
+      .toEqual({ success: true, id: 'sug-1', feedback: 'accepted' });
+    expect(tools.call('record_feedback', { suggestionId: 'sug-9', feedback: 'accepted' }).success).toBe(false);
+    expect(tools.call('record_feedback', { feedback: 'rejected', category: 'pattern' }))
+      .toEqual({ success: true, id: 'fb-1', feedback: 'rejected' });
+    expect(tools.call('record_feedback', { feedback: 'maybe' }).error).toMatch(/must be one of/);
+  });
+
+  test('dependency_impact walks dependents by depth', () => {
+    const result = tools.call('dependency_impact', { file: 'src/auth/token.js' });
+
+    expect(result.direct).toEqual(['src/auth/session.js']);
+    expect(result.transitive).toEqual([{ depth: 2, files: ['src/api/login.js', 'tests/session.test.js'] }]);
+    expect(result.totalAffected).toBe(3);
+
+    expect(tools.call('dependency_impact', { file: 'src/auth/token.js', depth: 1 }).totalAffected).toBe(1);
+  });
+
+  test('find_symbol and find_references work at symbol granularity', () => {
+    write('src/auth/store.js', [
+      'class SessionStore {',
+      '  get(id) {',
+      '    return this.cache[id];',
+      '  }',
+      '}',
+      'module.exports = { SessionStore };',
+      '',
+    ].join('\n'));
+    write('src/api/logout.js', [
+      "const { SessionStore } = require('../auth/store');",
+      'function logout(id) {',
+      '  return new SessionStore().get(id);',
+      '}',
+      '',
+    ].join('\n'));
+
+    expect(tools.call('find_symbol', { target: 'SessionStore.get' }))
+      .toMatchObject({ success: true, file: 'src/auth/store.js', line: 2, endLine: 4 });
+    expect(tools.call('find_symbol', { target: 'src/api/logout.js:3' }).symbol.qualifiedName).toBe('logout');
+    expect(tools.call('find_symbol', { target: 'SessionStore', kind: 'function' }).success).toBe(false);
+
+    const references = tools.call('find_references', { symbol: 'SessionStore' });
+    expect(references.definitions.map(d => d.file)).toEqual(['src/auth/store.js']);
+    expect(references.files).toEqual(['src/api/logout.js', 'src/auth/store.js']);
+    expect(references.references).toContainEqual({ file: 'src/api/logout.js', line: 3, symbol: 'logout' });
+  });
+
+  test('symbol_impact reports only the files that use an imported symbol', () => {
+    write('src/auth/token.js', 'function signToken() {}\nfunction verifyToken() {}\nmodule.exports = { signToken, verifyToken };\n');
+    write('src/api/check.js', "const { verifyToken } = require('../auth/token');\nmodule.exports = () => verifyToken();\n");
+
+    const result = tools.call('symbol_impact', { symbol: 'verifyToken' });
+
+    expect(result).toMatchObject({ success: true, totalAffected: 1 });
+    expect(result.direct.map(u => u.file)).toEqual(['src/api/check.js']);
+    expect(tools.call('symbol_impact', { symbol: 'nope' })).toEqual({ success: false, error: 'No symbol found for: nope' });
+  });
+
+  test('check_conventions returns findings with suggestion IDs for record_feedback', () => {
+    write('src/api/logout.js', 'function end_session() {}\nmodule.exports = end_session;\n');
+
+    const result = tools.call('check_conventions', { files: ['src/api/logout.js'] });
+
+    expect(aggregator.getConsensusPatterns).toHaveBeenCalledWith('strong');
+    expect(result).toMatchObject({ success: true, filesChecked: ['src/api/logout.js'], totalFindings: 1 });
+    expect(result.findings[0]).toMatchObject({
+      rule: 'naming.function',
+      file: 'src/api/logout.js',
+      line: 1,
+      source: 'consensus',
+      suggestionId: 'sug-1',
+    });
+    expect(collector.recordSuggestion).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'pattern',
+      type: 'naming.function',
+      context: { file: 'src/api/logout.js', line: 1, name: 'end_session' },
+    }));
+  });
+
+  test('planning tools edit files under the planning directory', () => {
+    write('.planning/STATE.md', '**Focus:** Auth\n');
+
+    const result = tools.call('set_focus', { focus: 'Billing' });
+    expect(result.success).toBe(true);
+    expect(result.state.focus).toBe('Billing');
+    expect(fs.readFileSync(path.join(projectRoot, '.planning', 'STATE.md'), 'utf8')).toBe('**Focus:** Billing\n');
+    expect(tools.call('advance_plan').error).toBe('ROADMAP.md not found');
+  });
+});
@@ -204,6 +204,24 @@ describe('GlobalMemory', () => {
     });
   });
 
+  describe('conflict decisions', () => {
+    test('recordConflictDecision persists across reloads', () => {
+      memory.recordConflictDecision('naming::camelCase', { decision: 'reject', team: { confidence: 0.9 } });
+      memory.flush();
+
+      const reloaded = new GlobalMemory();
+      reloaded._ensureDirectories = memory._ensureDirectories;
+      reloaded._loadFile = memory._loadFile;
+      reloaded.init();
+
+      expect(reloaded.getConflictDecision('naming::camelCase')).toMatchObject({
+        decision: 'reject',
+        team: { confidence: 0.9 },
+      });
+      expect(reloaded.getConflictDecision('testing::jest')).toBeNull();
+    });
+  });
+
   describe('projects', () => {
     test('registerProject adds new project', () => {
       memory.registerProject('/path/to/project', { name: 'My Project' });
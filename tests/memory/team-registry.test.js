@@ -0,0 +1,153 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  TeamRegistry,
+  TeamSync,
+  GlobalMemory,
+  hashExport,
+  addProvenance,
+  verifyExport,
+} = require('../../lib/memory');
+
+describe('TeamRegistry', () => {
+  let registryDir;
+  let registry;
+
+  const teamExport = (patterns, extra = {}) => ({
+    version: '1.0.0',
+    teamName: 'platform',
+    exportedAt: '2026-01-01T00:00:00.000Z',
+    exportedBy: 'ci',
+    patterns,
+    patternCount: patterns.length,
+    ...extra,
+  });
+
+  beforeEach(() => {
+    registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-registry-test-'));
+    registry = new TeamRegistry(registryDir, { secret: 'team-secret' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(registryDir, { recursive: true, force: true });
+  });
+
+  describe('provenance', () => {
+    test('hashExport ignores key order and the provenance block', () => {
+      const a = { b: 1, a: [{ y: 2, x: 1 }] };
+      const b = { a: [{ x: 1, y: 2 }], b: 1, provenance: { author: 'sam' } };
+
+      expect(hashExport(a)).toBe(hashExport(b));
+      expect(hashExport(a)).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(hashExport({ ...a, b: 2 })).not.toBe(hashExport(a));
+    });
+
+    test('verifyExport checks the hash and, with a secret, the signature', () => {
+      const signed = addProvenance(teamExport([{ type: 'naming', pattern: 'camelCase' }]), { secret: 'team-secret' });
+
+      expect(verifyExport(signed, { secret: 'team-secret' })).toMatchObject({
+        valid: true,
+        author: 'ci',
+        signed: true,
+        signatureVerified: true,
+      });
+      expect(verifyExport(signed)).toMatchObject({ valid: true, signatureVerified: false });
+      expect(verifyExport(signed, { requireSignature: true }).errors)
+        .toEqual(['No secret to verify the signature with']);
+      expect(verifyExport({ ...signed, teamName: 'other' }).errors[0]).toMatch(/^Content hash mismatch/);
+    });
+
+    test('the signature covers the author and signing time', () => {
+      const signed = addProvenance(teamExport([]), { author: 'sam', secret: 'team-secret' });
+      const reauthored = { ...signed, provenance: { ...signed.provenance, author: 'alex' } };
+      const redated = { ...signed, provenance: { ...signed.provenance, signedAt: '2020-01-01T00:00:00.000Z' } };
+
+      expect(verifyExport(reauthored, { secret: 'team-secret' })).toMatchObject({
+        valid: false,
+        author: 'alex',
+        signatureVerified: false,
+        errors: ['Signature does not match the team secret'],
+      });
+      expect(verifyExport(redated, { secret: 'team-secret' }).valid).toBe(false);
+    });
+  });
+
+  test('publish writes the next version into the member folder', () => {
+    const first = registry.publish(teamExport([{ type: 'naming', pattern: 'camelCase' }]), { author: 'sam' });
+    const second = registry.publish(teamExport([]), { author: 'sam' });
+    registry.publish(teamExport([]), { author: 'alex' });
+
+    expect(first).toMatchObject({ success: true, author: 'sam', version: 1, signed: true });
+    expect(second.path).toBe(path.join(registryDir, 'sam', 'v2.json'));
+    expect(registry.list().map(e => [e.author, e.version, e.patternCount, e.signed])).toEqual([
+      ['alex', 1, 0, true],
+      ['sam', 1, 1, true],
+      ['sam', 2, 0, true],
+    ]);
+    expect(registry.list({ author: 'sam' })[0].contentHash).toBe(first.contentHash);
+  });
+
+  test('publish rejects invalid data and author names that escape the registry', () => {
+    expect(registry.publish(null).success).toBe(false);
+    expect(registry.publish(teamExport([]), { author: '..' }).error).toBe('Invalid author name: ..');
+    expect(registry.publish(teamExport([]), { author: '../sam' }).path)
+      .toBe(path.join(registryDir, '..-sam', 'v1.json'));
+  });
+
+  test('read returns the latest or a given version, verified', () => {
+    registry.publish(teamExport([{ type: 'naming', pattern: 'camelCase' }]), { author: 'sam' });
+    registry.publish(teamExport([{ type: 'naming', pattern: 'snake_case' }]), { author: 'sam' });
+
+    const latest = registry.read('sam');
+    expect(latest).toMatchObject({ success: true, version: 2 });
+    expect(latest.data.patterns[0].pattern).toBe('snake_case');
+    expect(latest.verification).toMatchObject({ valid: true, signatureVerified: true });
+    expect(registry.read('sam', 1).data.registryVersion).toBe(1);
+    expect(registry.read('sam', 7).error).toBe('sam has no version 7');
+    expect(registry.read('nobody').error).toBe('No exports published by nobody');
+
+    const unsigned = new TeamRegistry(registryDir, { secret: 'wrong' });
+    expect(unsigned.read('sam').verification.valid).toBe(false);
+  });
+
+  test('latest lists every member\'s newest export', () => {
+    registry.publish(teamExport([]), { author: 'sam' });
+    registry.publish(teamExport([]), { author: 'sam' });
+    registry.publish(teamExport([]), { author: 'alex' });
+
+    expect(registry.latest().map(e => [e.author, e.version])).toEqual([['alex', 1], ['sam', 2]]);
+  });
+
+  test('TeamSync imports a published export only when it still verifies', () => {
+    const storage = {};
+    const globalMemory = new GlobalMemory();
+    globalMemory._ensureDirectories = () => {};
+    globalMemory._loadFile = (filePath, defaultValue) => storage[path.basename(filePath)] || defaultValue;
+    globalMemory._saveFile = (filePath, data) => {
+      storage[path.basename(filePath)] = data;
+    };
+    const sync = new TeamSync(globalMemory);
+
+    const { path: published } = registry.publish(teamExport([{ type: 'naming', pattern: 'camelCase' }]), {
+      author: 'sam',
+    });
+
+    const preview = sync.previewImport(registry.read('sam').data, { secret: 'team-secret' });
+    expect(preview.diff.patterns.added.map(p => p.pattern)).toEqual(['camelCase']);
+
+    const tampered = JSON.parse(fs.readFileSync(published, 'utf8'));
+    tampered.patterns.push({ type: 'naming', pattern: 'snake_case' });
+    fs.writeFileSync(published, JSON.stringify(tampered));
+
+    expect(sync.importFromRegistry(registry, 'sam').error).toMatch(/^Integrity check failed/);
+    expect(globalMemory.patterns).toHaveLength(0);
+
+    registry.publish(teamExport([{ type: 'naming', pattern: 'camelCase' }]), { author: 'sam' });
+    const result = sync.importFromRegistry(registry, 'sam', { requireSignature: true });
+    expect(result).toMatchObject({ success: true, summary: { patternsImported: 1 } });
+    expect(result.verification).toMatchObject({ author: 'sam', signatureVerified: true });
+  });
+});
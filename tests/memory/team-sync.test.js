@@ -7,7 +7,10 @@ const {
   GlobalMemory,
   TeamSync,
   CONFLICT_STRATEGIES,
+  CONFLICT_DECISIONS,
   EXPORT_VERSION,
+  addProvenance,
+  formatImportDiff,
 } = require('../../lib/memory');
 
 describe('TeamSync', () => {
@@ -25,6 +28,7 @@ describe('TeamSync', () => {
       expertise: {},
       preferences: {},
       projects: [],
+      'conflict-decisions': {},
     };
 
     globalMemory = new GlobalMemory();
@@ -35,6 +39,7 @@ describe('TeamSync', () => {
       if (name === 'expertise') return mockStorage.expertise;
       if (name === 'preferences') return mockStorage.preferences;
       if (name === 'projects') return mockStorage.projects;
+      if (name === 'conflict-decisions') return mockStorage['conflict-decisions'];
       return defaultValue;
     };
     globalMemory._saveFile = (filePath, data) => {
@@ -43,6 +48,7 @@ describe('TeamSync', () => {
       if (name === 'expertise') mockStorage.expertise = data;
       if (name === 'preferences') mockStorage.preferences = data;
       if (name === 'projects') mockStorage.projects = data;
+      if (name === 'conflict-decisions') mockStorage['conflict-decisions'] = data;
     };
     globalMemory.init();
 
@@ -212,6 +218,98 @@ describe('TeamSync', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBeDefined();
     });
+
+    test('returns the diff it applied', () => {
+      const result = sync.importFromTeam({ patterns: [{ type: 'naming', pattern: 'snake_case', confidence: 0.6 }] });
+
+      expect(result.diff.patterns.added).toEqual([{ type: 'naming', pattern: 'snake_case', confidence: 0.7 }]);
+      expect(result.verification).toMatchObject({ valid: true, signed: false });
+    });
+
+    test('applies nothing when confirm returns false', () => {
+      const confirm = jest.fn(() => false);
+
+      const result = sync.importFromTeam({ patterns: [{ type: 'naming', pattern: 'snake_case' }] }, { confirm });
+
+      expect(result).toMatchObject({ success: false, cancelled: true });
+      expect(confirm).toHaveBeenCalledWith(result.diff);
+      expect(globalMemory.patterns).toHaveLength(0);
+    });
+  });
+
+  describe('previewImport', () => {
+    beforeEach(() => {
+      globalMemory.recordPattern({ type: 'naming', pattern: 'camelCase', confidence: 0.5, source: 'local' });
+      globalMemory.recordPattern({ type: 'style', pattern: 'semicolons', confidence: 0.9, source: 'local' });
+      globalMemory.addExpertise('backend', 0.5);
+    });
+
+    const teamData = {
+      teamName: 'platform',
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      patterns: [
+        { type: 'naming', pattern: 'camelCase', confidence: 0.8, occurrences: 5, sources: ['api'] },
+        { type: 'style', pattern: 'semicolons', confidence: 0.6 },
+        { type: 'testing', pattern: 'jest', confidence: 0.6 },
+      ],
+      expertise: { backend: { level: 0.9 } },
+      preferences: { indent: { value: 2 } },
+    };
+
+    test('describes added, changed and unchanged patterns without changing memory', () => {
+      const before = JSON.stringify(globalMemory.patterns);
+
+      const { success, diff } = sync.previewImport(teamData, { preserveLocal: false });
+
+      expect(success).toBe(true);
+      expect(diff.patterns.added).toEqual([{ type: 'testing', pattern: 'jest', confidence: 0.7 }]);
+      expect(diff.patterns.changed).toEqual([{
+        type: 'naming',
+        pattern: 'camelCase',
+        before: { confidence: 0.5, occurrences: 1, sources: ['local'] },
+        after: { confidence: 0.8, occurrences: 5, sources: ['api'] },
+      }]);
+      expect(diff.patterns.unchanged).toEqual([{ type: 'style', pattern: 'semicolons' }]);
+      expect(diff.expertise).toEqual([{ domain: 'backend', before: 0.5, after: expect.closeTo(0.62) }]);
+      expect(diff.preferences).toEqual([{ key: 'indent', value: { value: 2 } }]);
+      expect(JSON.stringify(globalMemory.patterns)).toBe(before);
+    });
+
+    test('formatImportDiff renders one line per change', () => {
+      const { diff } = sync.previewImport(teamData);
+
+      expect(formatImportDiff(diff).split('\n')).toEqual([
+        '+ testing: jest (confidence 0.7)',
+        '~ naming: camelCase (confidence 0.5 -> 0.8, occurrences 1 -> 5, sources +api)',
+        '~ expertise backend: 0.5 -> 0.62',
+        '  1 pattern(s) unchanged',
+      ]);
+    });
+
+    test('refuses exports whose content no longer matches their hash', () => {
+      const signed = addProvenance(teamData, { author: 'sam', secret: 'team-secret' });
+
+      expect(sync.previewImport(signed, { secret: 'team-secret' }).verification)
+        .toMatchObject({ valid: true, author: 'sam', signed: true, signatureVerified: true });
+
+      const tampered = { ...signed, patterns: [...signed.patterns, { type: 'naming', pattern: 'snake_case' }] };
+      const result = sync.importFromTeam(tampered);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/^Integrity check failed: Content hash mismatch/);
+      expect(globalMemory.patterns).toHaveLength(2);
+    });
+
+    test('checks signatures against the team secret', () => {
+      const signed = addProvenance(teamData, { secret: 'team-secret' });
+
+      expect(sync.previewImport(signed, { secret: 'other-secret' }).error)
+        .toBe('Integrity check failed: Signature does not match the team secret');
+      expect(sync.previewImport(addProvenance(teamData), { secret: 'team-secret', requireSignature: true }).error)
+        .toBe('Integrity check failed: Export is not signed');
+      expect(sync.previewImport(teamData, { requireSignature: true }).error)
+        .toBe('Integrity check failed: Export has no provenance');
+    });
   });
 
   describe('conflict resolution strategies', () => {
@@ -267,6 +365,104 @@ describe('TeamSync', () => {
     });
   });
 
+  describe('manual conflict review', () => {
+    const teamData = {
+      teamName: 'platform',
+      exportedBy: 'sam',
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      patterns: [
+        { type: 'naming', pattern: 'camelCase', confidence: 0.9, occurrences: 8, sources: ['api', 'web'] },
+        { type: 'testing', pattern: 'jest', confidence: 0.7, occurrences: 1, sources: ['api'] },
+        { type: 'style', pattern: 'semicolons', confidence: 0.6, occurrences: 1, sources: [] },
+      ],
+    };
+
+    beforeEach(() => {
+      globalMemory.patterns.push(
+        { type: 'naming', pattern: 'camelCase', confidence: 0.6, occurrences: 2, sources: ['cli'], lastSeen: 'then' },
+        { type: 'testing', pattern: 'jest', confidence: 0.8, occurrences: 4, sources: ['cli', 'api'] },
+        { type: 'style', pattern: 'semicolons', confidence: 0.6, occurrences: 1, sources: [] },
+      );
+    });
+
+    test('reviewConflicts lists both sides with evidence without changing memory', () => {
+      const { success, conflicts, pending } = sync.reviewConflicts(teamData);
+
+      expect(success).toBe(true);
+      expect(pending).toBe(2);
+      expect(conflicts.map(c => [c.id, c.suggested, c.decision])).toEqual([
+        ['naming::camelCase', CONFLICT_DECISIONS.ACCEPT, null],
+        ['testing::jest', CONFLICT_DECISIONS.REJECT, null],
+      ]);
+      expect(conflicts[0]).toMatchObject({
+        type: 'naming',
+        pattern: 'camelCase',
+        local: { confidence: 0.6, occurrences: 2, sources: ['cli'], lastSeen: 'then' },
+        team: {
+          confidence: 0.9,
+          occurrences: 8,
+          sources: ['api', 'web'],
+          teamName: 'platform',
+          author: 'sam',
+          exportedAt: '2026-01-01T00:00:00.000Z',
+        },
+      });
+      expect(globalMemory.patterns[0].confidence).toBe(0.6);
+    });
+
+    test('MANUAL leaves undecided conflicts for review', () => {
+      const result = sync.importFromTeam(teamData, { strategy: CONFLICT_STRATEGIES.MANUAL });
+
+      expect(result.summary).toMatchObject({ conflictsResolved: 0, conflictsPending: 2, patternsSkipped: 1 });
+      expect(result.diff.patterns.pending.map(p => p.id)).toEqual(['naming::camelCase', 'testing::jest']);
+      expect(formatImportDiff(result.diff)).toContain('? naming: camelCase (conflict awaiting review)');
+      expect(globalMemory.patterns[0].confidence).toBe(0.6);
+    });
+
+    test('MANUAL applies recorded decisions and does not ask again', () => {
+      const { conflicts } = sync.reviewConflicts(teamData);
+      expect(sync.decideConflict(conflicts[0], CONFLICT_DECISIONS.ACCEPT)).toEqual({
+        success: true,
+        id: 'naming::camelCase',
+      });
+      sync.decideConflict(conflicts[1], CONFLICT_DECISIONS.REJECT);
+
+      expect(sync.reviewConflicts(teamData, { pendingOnly: true })).toMatchObject({ conflicts: [], pending: 0 });
+
+      const result = sync.importFromTeam(teamData, { strategy: CONFLICT_STRATEGIES.MANUAL });
+      expect(result.summary).toMatchObject({ conflictsResolved: 1, conflictsPending: 0, patternsSkipped: 2 });
+      expect(globalMemory.patterns[0]).toMatchObject({ confidence: 0.9, occurrences: 8 });
+      expect(globalMemory.patterns[1]).toMatchObject({ confidence: 0.8, occurrences: 4 });
+
+      // Accepted values now match; the rejected conflict stays settled
+      expect(sync.reviewConflicts(teamData).conflicts.map(c => [c.id, c.decision])).toEqual([
+        ['testing::jest', CONFLICT_DECISIONS.REJECT],
+      ]);
+    });
+
+    test('a decision no longer applies once the team values change', () => {
+      const { conflicts } = sync.reviewConflicts(teamData);
+      sync.decideConflict(conflicts[1], CONFLICT_DECISIONS.REJECT);
+
+      const updated = {
+        ...teamData,
+        patterns: [{ type: 'testing', pattern: 'jest', confidence: 0.95, occurrences: 12, sources: ['api', 'web'] }],
+      };
+
+      expect(sync.reviewConflicts(updated).conflicts.map(c => [c.id, c.decision])).toEqual([
+        ['testing::jest', null],
+      ]);
+    });
+
+    test('decideConflict rejects unknown decisions and conflicts', () => {
+      const [conflict] = sync.reviewConflicts(teamData).conflicts;
+
+      expect(sync.decideConflict(conflict, 'maybe').error).toBe('decision must be accept or reject');
+      expect(sync.decideConflict({}, CONFLICT_DECISIONS.ACCEPT).error).toBe('Invalid conflict');
+      expect(globalMemory.getConflictDecision(conflict.id)).toBeNull();
+    });
+  });
+
   describe('mergeTeamExports', () => {
     test('merges multiple team exports', () => {
       const team1 = {
@@ -366,6 +562,22 @@ describe('TeamSync', () => {
       expect(content.teamName).toBe('test-team');
     });
 
+    test('exportToFile records provenance that importFromFile verifies', () => {
+      const filePath = path.join(testDir, 'signed.json');
+
+      const result = sync.exportToFile(filePath, 'test-team', { author: 'sam', secret: 'team-secret' });
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      expect(content.provenance).toMatchObject({ author: 'sam', contentHash: result.contentHash });
+      expect(content.provenance.signature).toMatch(/^hmac-sha256:[0-9a-f]{64}$/);
+      expect(sync.importFromFile(filePath, { secret: 'team-secret', requireSignature: true }).success).toBe(true);
+
+      content.patterns[0].confidence = 0.99;
+      fs.writeFileSync(filePath, JSON.stringify(content));
+      expect(sync.importFromFile(filePath).error).toMatch(/Content hash mismatch/);
+      expect(sync.validateExport(content).valid).toBe(false);
+    });
+
     test('importFromFile reads data', () => {
       const filePath = path.join(testDir, 'import.json');
       const data = {
@@ -463,6 +675,8 @@ describe('TeamSync', () => {
       expect(CONFLICT_STRATEGIES.HIGHEST_CONFIDENCE).toBe('highest_confidence');
       expect(CONFLICT_STRATEGIES.NEWEST).toBe('newest');
       expect(CONFLICT_STRATEGIES.MERGE_ALL).toBe('merge_all');
+      expect(CONFLICT_STRATEGIES.MANUAL).toBe('manual');
+      expect(CONFLICT_DECISIONS).toEqual({ ACCEPT: 'accept', REJECT: 'reject' });
     });
 
     test('EXPORT_VERSION is defined', () => {
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Plan Document and Planning Files Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  PlanDocument,
+  readState,
+  readRoadmap,
+  readPlan,
+  listPhaseDirs,
+  listPlans,
+  writeDocument,
+} = require('../../lib/planning');
+
+const XML_PLAN = `---
+phase: 03-auth
+plan: 02
+type: execute
+---
+
+<objective>
+Add session refresh.
+</objective>
+
+<tasks>
+
+<task type="auto">
+  <name>Task 1: Add refresh endpoint</name>
+  <files>src/auth/refresh.js, src/auth/index.js</files>
+  <action>Implement token refresh.</action>
+  <verify>npm test passes</verify>
+  <done>Tokens refresh</done>
+</task>
+
+<task type="checkpoint:human-verify" gate="blocking">
+  <what-built>Refresh flow</what-built>
+  <how-to-verify>Log in and wait</how-to-verify>
+  <resume-signal>Type "approved"</resume-signal>
+</task>
+
+</tasks>
+
+<verification>
+- [ ] \`npm test\` passes
+- [ ] No lint errors
+</verification>
+`;
+
+describe('PlanDocument', () => {
+  test('parses frontmatter, numbers and objective', () => {
+    const plan = new PlanDocument(XML_PLAN, '03-02-PLAN.md');
+
+    expect(plan.phase).toBe('03');
+    expect(plan.plan).toBe('02');
+    expect(plan.frontmatter.type).toBe('execute');
+    expect(plan.objective).toBe('Add session refresh.');
+  });
+
+  test('parses XML tasks', () => {
+    const plan = new PlanDocument(XML_PLAN, '03-02-PLAN.md');
+
+    expect(plan.tasks).toHaveLength(2);
+    expect(plan.tasks[0]).toEqual(expect.objectContaining({
+      type: 'auto',
+      name: 'Task 1: Add refresh endpoint',
+      files: ['src/auth/refresh.js', 'src/auth/index.js'],
+      action: 'Implement token refresh.',
+      isCheckpoint: false,
+    }));
+    expect(plan.tasks[1]).toEqual(expect.objectContaining({
+      gate: 'blocking',
+      isCheckpoint: true,
+      whatBuilt: 'Refresh flow',
+      resumeSignal: 'Type "approved"',
+    }));
+    expect(plan.getTask(1)).toBe(plan.tasks[1]);
+    expect(plan.getTask('1')).toBe(plan.tasks[0]);
+  });
+
+  test('parses checklist items with their block', () => {
+    const plan = new PlanDocument(XML_PLAN);
+
+    expect(plan.checklist.map(c => [c.text, c.section, c.checked])).toEqual([
+      ['`npm test` passes', 'verification', false],
+      ['No lint errors', 'verification', false],
+    ]);
+  });
+
+  test('setChecked ticks items and round-trips everything else', () => {
+    const plan = new PlanDocument(XML_PLAN);
+
+    expect(new PlanDocument(XML_PLAN).toString()).toBe(XML_PLAN);
+    expect(plan.setChecked('No lint')).toBe(true);
+    expect(plan.setChecked(5)).toBe(false);
+    expect(plan.toString()).toBe(XML_PLAN.replace('- [ ] No lint errors', '- [x] No lint errors'));
+  });
+});
+
+describe('planning files', () => {
+  let planningDir;
+
+  beforeEach(() => {
+    planningDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-planning-test-')), '.planning');
+    const phaseDir = path.join(planningDir, 'phases', '03-auth');
+    fs.mkdirSync(phaseDir, { recursive: true });
+    fs.mkdirSync(path.join(planningDir, 'phases', '10-launch'));
+    fs.writeFileSync(path.join(planningDir, 'STATE.md'), '**Phase:** 3 of 10\n');
+    fs.writeFileSync(path.join(phaseDir, '03-01-PLAN.md'), XML_PLAN);
+    fs.writeFileSync(path.join(phaseDir, '03-01-SUMMARY.md'), '# Summary\n');
+    fs.writeFileSync(path.join(phaseDir, '03-02-PLAN.md'), XML_PLAN);
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(planningDir), { recursive: true, force: true });
+  });
+
+  test('reads documents and returns null when missing', () => {
+    expect(readState(planningDir).phase.current).toBe(3);
+    expect(readRoadmap(planningDir)).toBeNull();
+    expect(readPlan(path.join(planningDir, 'phases', '03-auth', '03-02-PLAN.md')).plan).toBe('02');
+  });
+
+  test('lists phase directories in numeric order', () => {
+    expect(listPhaseDirs(planningDir).map(p => p.number)).toEqual(['03', '10']);
+  });
+
+  test('lists plans with completion from SUMMARY files', () => {
+    expect(listPlans(planningDir).map(p => [p.plan, p.complete])).toEqual([['01', true], ['02', false]]);
+  });
+
+  test('writeDocument persists edits', () => {
+    const state = readState(planningDir);
+    state.setPhase(4);
+    writeDocument(path.join(planningDir, 'STATE.md'), state);
+
+    expect(fs.readFileSync(path.join(planningDir, 'STATE.md'), 'utf8')).toBe('**Phase:** 4 of 10\n');
+  });
+});
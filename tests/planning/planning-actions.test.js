@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Planning Actions and Issues Document Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  IssuesDocument,
+  completeTask,
+  advancePlan,
+  addIssue,
+  setFocus,
+  writeFileAtomic,
+} = require('../../lib/planning');
+
+const STATE = `# Project State
+
+**Current focus:** Authentication
+
+## Current Position
+
+Phase: 3 of 4 (Auth)
+Plan: 1 of 2 in current phase
+Status: In progress
+Last activity: 2025-01-12 - Completed 03-01-PLAN.md
+
+Progress: [█████░░░░░] 50%
+
+## Accumulated Context
+
+### Deferred Issues
+
+[From ISSUES.md — list open items with phase of origin]
+
+None yet.
+
+### Blockers/Concerns
+
+None yet.
+`;
+
+const ROADMAP = `# Roadmap: Demo
+
+## Phases
+
+- [x] **Phase 1: Setup** - Scaffolding
+- [ ] **Phase 3: Auth** - Login
+
+## Phase Details
+
+### Phase 1: Setup
+Plans:
+- [x] 01-01: Scaffold
+
+### Phase 3: Auth
+Plans:
+- [x] 03-01: Login endpoint
+- [ ] 03-02: Session refresh
+
+## Progress
+
+| Phase | Plans Complete | Status | Completed |
+|-------|----------------|--------|-----------|
+| 1. Setup | 1/1 | Complete | 2025-01-01 |
+| 3. Auth | 1/2 | In progress | - |
+`;
+
+const PLAN = `# Plan 03-02
+
+## Verification
+
+- [ ] Tests pass
+- [ ] Token refreshes
+`;
+
+describe('IssuesDocument', () => {
+  test('starts empty and numbers new issues', () => {
+    const issues = new IssuesDocument();
+    const first = issues.addIssue({ title: 'Cache ROADMAP parse', type: 'Performance', effort: 'Quick' });
+    const second = issues.addIssue({ title: 'Rename helpers' });
+
+    expect(first.id).toBe('ISS-001');
+    expect(second.id).toBe('ISS-002');
+    expect(issues.getOpenIssues().map(i => i.title)).toEqual(['Cache ROADMAP parse', 'Rename helpers']);
+    expect(issues.toString()).toContain('### ISS-001: Cache ROADMAP parse\n\n- **Type:** Performance\n');
+    expect(issues.toString()).toMatch(/Suggested phase:\*\* Future\n\n## Closed Enhancements/);
+  });
+
+  test('replaces template placeholders and keeps closed issues', () => {
+    const content = [
+      '# Project Issues Log',
+      '',
+      '## Open Enhancements',
+      '',
+      '### ISS-001: [Brief description]',
+      '',
+      '- **Type:** [Performance / UX]',
+      '',
+      '## Closed Enhancements',
+      '',
+      '### ISS-004: Old thing',
+      '',
+      '- **Type:** UX',
+      '',
+    ].join('\n');
+    const issues = new IssuesDocument(content);
+
+    expect(issues.issues.map(i => [i.id, i.status])).toEqual([['ISS-004', 'closed']]);
+    expect(issues.addIssue({ title: 'New thing' }).id).toBe('ISS-005');
+    expect(issues.toString()).not.toContain('[Brief description]');
+    expect(issues.getOpenIssues()).toHaveLength(1);
+  });
+});
+
+describe('planning actions', () => {
+  let planningDir;
+  const read = (file) => fs.readFileSync(path.join(planningDir, file), 'utf8');
+
+  beforeEach(() => {
+    planningDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-actions-test-')), '.planning');
+    fs.mkdirSync(path.join(planningDir, 'phases', '03-auth'), { recursive: true });
+    fs.writeFileSync(path.join(planningDir, 'STATE.md'), STATE);
+    fs.writeFileSync(path.join(planningDir, 'ROADMAP.md'), ROADMAP);
+    fs.writeFileSync(path.join(planningDir, 'phases', '03-auth', '03-02-PLAN.md'), PLAN);
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(planningDir), { recursive: true, force: true });
+  });
+
+  test('completeTask ticks a checklist item by text or index', () => {
+    const result = completeTask(planningDir, { plan: '03-02', task: 'Token' });
+
+    expect(result.success).toBe(true);
+    expect(result.remaining).toBe(1);
+    expect(read('phases/03-auth/03-02-PLAN.md')).toContain('- [x] Token refreshes');
+
+    expect(completeTask(planningDir, { plan: '03-02', task: 0 }).remaining).toBe(0);
+    expect(completeTask(planningDir, { plan: '09-01', task: 0 }).error).toMatch(/Plan not found/);
+    expect(completeTask(planningDir, { plan: '03-02', task: 'Nope' }).success).toBe(false);
+  });
+
+  test('advancePlan completes the next plan and updates ROADMAP and STATE', () => {
+    const result = advancePlan(planningDir, { date: '2025-01-15' });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      plan: '03-02',
+      phase: '3',
+      phaseComplete: true,
+      progress: 100,
+    }));
+
+    const roadmap = read('ROADMAP.md');
+    expect(roadmap).toContain('- [x] 03-02: Session refresh');
+    expect(roadmap).toContain('- [x] **Phase 3: Auth** - Login');
+    expect(roadmap).toContain('| 3. Auth | 2/2 | Complete | 2025-01-15 |');
+
+    const state = read('STATE.md');
+    expect(state).toContain('Plan: 2 of 2 in current phase\n');
+    expect(state).toContain('Status: Phase complete\n');
+    expect(state).toContain('Last activity: 2025-01-15 - Completed 03-02-PLAN.md\n');
+    expect(state).toContain('Progress: [██████████] 100%\n');
+    expect(result.state.status).toBe('Phase complete');
+  });
+
+  test('advancePlan rejects finished, unknown or missing plans', () => {
+    expect(advancePlan(planningDir, { plan: '03-01' }).error).toMatch(/already complete/);
+    expect(advancePlan(planningDir, { plan: '07-01' }).error).toMatch(/not in ROADMAP/);
+
+    advancePlan(planningDir);
+    expect(advancePlan(planningDir).error).toMatch(/No unfinished plans/);
+
+    fs.unlinkSync(path.join(planningDir, 'ROADMAP.md'));
+    expect(advancePlan(planningDir).error).toBe('ROADMAP.md not found');
+  });
+
+  test('addIssue creates ISSUES.md and lists the issue in STATE.md', () => {
+    const result = addIssue(planningDir, { title: 'Cache parsed roadmap', type: 'Performance' });
+
+    expect(result.issue.id).toBe('ISS-001');
+    expect(result.issue.discovered).toMatch(/^Phase 3 \(\d{4}-\d{2}-\d{2}\)$/);
+    expect(read('ISSUES.md')).toContain('### ISS-001: Cache parsed roadmap');
+    expect(result.state.deferredIssues).toEqual(['ISS-001: Cache parsed roadmap (Phase 3)']);
+    expect(read('STATE.md')).not.toMatch(/Deferred Issues[\s\S]*None yet\.[\s\S]*### Blockers/);
+
+    addIssue(planningDir, { title: 'Second' });
+    expect(read('STATE.md')).toContain('- ISS-001: Cache parsed roadmap (Phase 3)\n- ISS-002: Second (Phase 3)\n');
+    expect(addIssue(planningDir, {}).error).toBe('title is required');
+  });
+
+  test('setFocus rewrites the focus line', () => {
+    const result = setFocus(planningDir, 'Session refresh');
+
+    expect(result.state.focus).toBe('Session refresh');
+    expect(read('STATE.md')).toContain('**Current focus:** Session refresh\n');
+    expect(setFocus(planningDir, '').success).toBe(false);
+  });
+
+  test('addIssue keeps titles and fields on one line', () => {
+    const result = addIssue(planningDir, {
+      title: 'Cache roadmap\n## Open Enhancements',
+      description: 'First line\r\nsecond line',
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.issue).toMatchObject({
+      title: 'Cache roadmap ## Open Enhancements',
+      description: 'First line second line',
+    });
+    expect(read('ISSUES.md').match(/^## Open Enhancements$/gm)).toHaveLength(1);
+    expect(addIssue(planningDir, { title: '[Placeholder]' })).toEqual({
+      success: false,
+      error: 'Could not add an issue titled "[Placeholder]"',
+    });
+  });
+
+  test('setFocus cannot inject lines into STATE.md', () => {
+    const result = setFocus(planningDir, 'x\n## Current Position\nPhase: 9 of 9');
+
+    expect(result.state.focus).toBe('x ## Current Position Phase: 9 of 9');
+    expect(result.state.phase).toMatchObject({ current: 3, total: 4 });
+    expect(read('STATE.md').match(/^## Current Position$/gm)).toHaveLength(1);
+  });
+
+  test('writeFileAtomic replaces the file without leaving temp files', () => {
+    const target = path.join(planningDir, 'STATE.md');
+    writeFileAtomic(target, 'new content\n');
+
+    expect(read('STATE.md')).toBe('new content\n');
+    expect(fs.readdirSync(planningDir).filter(f => f.endsWith('.tmp'))).toEqual([]);
+  });
+});
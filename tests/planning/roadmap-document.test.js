@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Roadmap Document Tests
+ */
+
+const { RoadmapDocument } = require('../../lib/planning');
+
+const ROADMAP = `# Roadmap: Demo
+
+## Overview
+
+Build the demo app.
+
+## Milestones
+
+- ✅ **v1.0 MVP** - Phases 1-2 (shipped 2025-01-01)
+- 🚧 **v1.1 Auth** - Phase 3 (in progress)
+
+## Phases
+
+- [x] **Phase 1: Foundation** - Project setup
+- [x] **Phase 2: Core** - Main features
+- [ ] **Phase 3: Auth** - Login and sessions
+
+## Phase Details
+
+### Phase 3: Auth
+**Goal**: Users can log in
+**Depends on**: Phase 2
+**Research**: Unlikely
+**Plans**: 2 plans
+
+Plans:
+- [x] 03-01: Login endpoint
+- [ ] 03-02: Session refresh
+
+### Phase 3.1: Hotfix (INSERTED)
+**Goal**: Patch token leak
+
+Plans:
+- [ ] 3.1-01: Rotate secrets
+
+## Progress
+
+| Phase | Milestone | Plans Complete | Status | Completed |
+|-------|-----------|----------------|--------|-----------|
+| 1. Foundation | v1.0 | 1/1 | Complete | 2024-12-20 |
+| 3. Auth | v1.1 | 1/2 | In progress | - |
+`;
+
+describe('RoadmapDocument', () => {
+  describe('parsing', () => {
+    test('parses title, overview and milestones', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+
+      expect(roadmap.projectName).toBe('Demo');
+      expect(roadmap.overview).toBe('Build the demo app.');
+      expect(roadmap.milestones.map(m => [m.name, m.status])).toEqual([
+        ['v1.0 MVP', 'complete'],
+        ['v1.1 Auth', 'in_progress'],
+      ]);
+    });
+
+    test('parses the phase checklist', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+
+      expect(roadmap.checklist).toHaveLength(3);
+      expect(roadmap.checklist[2]).toEqual(expect.objectContaining({
+        number: '3',
+        name: 'Auth',
+        description: 'Login and sessions',
+        done: false,
+      }));
+    });
+
+    test('parses phase details and plans', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+      const phase = roadmap.getPhase(3);
+
+      expect(phase.goal).toBe('Users can log in');
+      expect(phase.dependsOn).toBe('Phase 2');
+      expect(phase.plans.map(p => [p.id, p.done])).toEqual([['03-01', true], ['03-02', false]]);
+      expect(phase.complete).toBe(false);
+
+      const inserted = roadmap.getPhase('3.1');
+      expect(inserted.inserted).toBe(true);
+      expect(inserted.name).toBe('Hotfix');
+    });
+
+    test('locates progress columns by header name', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+
+      expect(roadmap.progress[1]).toEqual(expect.objectContaining({
+        number: '3',
+        name: 'Auth',
+        milestone: 'v1.1',
+        plansComplete: 1,
+        plansTotal: 2,
+        status: 'In progress',
+        completed: null,
+      }));
+    });
+
+    test('finds plans and the current phase', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+
+      expect(roadmap.getPlan('03-02')).toEqual(expect.objectContaining({ phase: '3', done: false }));
+      expect(roadmap.getPlan('09-01')).toBeNull();
+      expect(roadmap.getCurrentPhase().number).toBe('3');
+    });
+  });
+
+  describe('writing', () => {
+    test('round-trips unmodified content byte for byte', () => {
+      expect(new RoadmapDocument(ROADMAP).toString()).toBe(ROADMAP);
+    });
+
+    test('setPlanDone and setPhaseDone tick checkboxes', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+
+      expect(roadmap.setPlanDone('03-02')).toBe(true);
+      expect(roadmap.setPhaseDone(3)).toBe(true);
+      expect(roadmap.setPlanDone('09-01')).toBe(false);
+
+      expect(roadmap.getPhase(3).complete).toBe(true);
+      expect(roadmap.toString()).toContain('- [x] 03-02: Session refresh\n');
+      expect(roadmap.toString()).toContain('- [x] **Phase 3: Auth** - Login and sessions\n');
+    });
+
+    test('updateProgress rewrites the table row', () => {
+      const roadmap = new RoadmapDocument(ROADMAP);
+
+      expect(roadmap.updateProgress(3, { plansComplete: 2, status: 'Complete', completed: '2025-01-15' })).toBe(true);
+      expect(roadmap.progress[1]).toEqual(expect.objectContaining({
+        plansComplete: 2,
+        plansTotal: 2,
+        status: 'Complete',
+        completed: '2025-01-15',
+      }));
+      expect(roadmap.toString()).toContain('| 3. Auth | v1.1 | 2/2 | Complete | 2025-01-15 |');
+      expect(roadmap.updateProgress(7, { status: 'Complete' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * State Document Tests
+ */
+
+const { StateDocument, renderProgressBar } = require('../../lib/planning');
+
+const TEMPLATE_STATE = `# Project State
+
+## Project Reference
+
+See: .planning/PROJECT.md (updated 2025-01-10)
+
+**Core value:** Ship the MVP
+**Current focus:** Authentication
+
+## Current Position
+
+Phase: 2 of 4 (Auth)
+Plan: 1 of 3 in current phase
+Status: In progress
+Last activity: 2025-01-12 - Completed 02-01-PLAN.md
+
+Progress: [███░░░░░░░] 30%
+
+## Accumulated Context
+
+### Decisions
+
+- Use JWT for sessions
+
+### Deferred Issues
+
+None yet.
+
+### Blockers/Concerns
+
+- Waiting on API keys
+
+## Session Continuity
+
+Last session: 2025-01-12 14:00
+Stopped at: Task 2 of 02-02
+Resume file: None
+`;
+
+const BOLD_STATE = `# Project State: Demo
+
+**Current milestone:** v1.0 MVP
+**Focus:** Planning parser
+**Phase:** 3 of 8
+**Plan:** 2 of 5
+`;
+
+describe('StateDocument', () => {
+  describe('parsing', () => {
+    test('parses the template layout', () => {
+      const state = new StateDocument(TEMPLATE_STATE);
+
+      expect(state.title).toBe('Project State');
+      expect(state.coreValue).toBe('Ship the MVP');
+      expect(state.focus).toBe('Authentication');
+      expect(state.phase).toEqual(expect.objectContaining({ current: 2, total: 4, name: 'Auth' }));
+      expect(state.plan).toEqual(expect.objectContaining({ current: 1, total: 3 }));
+      expect(state.status).toBe('In progress');
+      expect(state.lastActivity).toEqual({ date: '2025-01-12', description: 'Completed 02-01-PLAN.md' });
+      expect(state.progress).toEqual({ percent: 30, bar: '[███░░░░░░░]' });
+      expect(state.session.stoppedAt).toBe('Task 2 of 02-02');
+    });
+
+    test('collects list sections and ignores placeholders', () => {
+      const state = new StateDocument(TEMPLATE_STATE);
+
+      expect(state.decisions).toEqual(['Use JWT for sessions']);
+      expect(state.deferredIssues).toEqual([]);
+      expect(state.blockers).toEqual(['Waiting on API keys']);
+    });
+
+    test('parses the bold layout', () => {
+      const state = new StateDocument(BOLD_STATE);
+
+      expect(state.milestone).toBe('v1.0 MVP');
+      expect(state.focus).toBe('Planning parser');
+      expect(state.phase).toEqual(expect.objectContaining({ current: 3, total: 8 }));
+      expect(state.plan).toEqual(expect.objectContaining({ current: 2, total: 5 }));
+    });
+
+    test('handles empty content', () => {
+      const state = new StateDocument('');
+
+      expect(state.phase).toBeNull();
+      expect(state.focus).toBeNull();
+      expect(state.toString()).toBe('');
+    });
+  });
+
+  describe('writing', () => {
+    test('round-trips unmodified content byte for byte', () => {
+      expect(new StateDocument(TEMPLATE_STATE).toString()).toBe(TEMPLATE_STATE);
+      expect(new StateDocument(BOLD_STATE).toString()).toBe(BOLD_STATE);
+    });
+
+    test('preserves CRLF line endings', () => {
+      const crlf = BOLD_STATE.replace(/\n/g, '\r\n');
+      const state = new StateDocument(crlf);
+      state.setFocus('Windows');
+
+      expect(state.toString()).toContain('**Focus:** Windows\r\n');
+      expect(state.toString().replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    test('updates only the edited line', () => {
+      const state = new StateDocument(TEMPLATE_STATE);
+      expect(state.setStatus('Phase complete')).toBe(true);
+
+      const before = TEMPLATE_STATE.split('\n');
+      const after = state.toString().split('\n');
+      const changed = after.filter((line, i) => line !== before[i]);
+      expect(changed).toEqual(['Status: Phase complete']);
+      expect(state.status).toBe('Phase complete');
+    });
+
+    test('keeps bold markers when editing', () => {
+      const state = new StateDocument(BOLD_STATE);
+      state.setPhase(4);
+
+      expect(state.toString()).toContain('**Phase:** 4 of 8\n');
+      expect(state.phase.current).toBe(4);
+    });
+
+    test('setPhase keeps the phase name and setPlan keeps trailing text', () => {
+      const state = new StateDocument(TEMPLATE_STATE);
+      state.setPhase(3);
+      state.setPlan(2);
+
+      expect(state.toString()).toContain('Phase: 3 of 4 (Auth)\n');
+      expect(state.toString()).toContain('Plan: 2 of 3 in current phase\n');
+    });
+
+    test('setLastActivity and setProgress rewrite their lines', () => {
+      const state = new StateDocument(TEMPLATE_STATE);
+      state.setLastActivity('Completed 02-02-PLAN.md', '2025-01-13');
+      state.setProgress(50);
+
+      expect(state.lastActivity).toEqual({ date: '2025-01-13', description: 'Completed 02-02-PLAN.md' });
+      expect(state.toString()).toContain('Progress: [█████░░░░░] 50%\n');
+    });
+
+    test('returns false for fields missing from the document', () => {
+      const state = new StateDocument(BOLD_STATE);
+
+      expect(state.setStatus('Done')).toBe(false);
+      expect(state.toString()).toBe(BOLD_STATE);
+    });
+  });
+
+  describe('renderProgressBar', () => {
+    test('renders and clamps', () => {
+      expect(renderProgressBar(0)).toBe('[░░░░░░░░░░]');
+      expect(renderProgressBar(100)).toBe('[██████████]');
+      expect(renderProgressBar(150)).toBe('[██████████]');
+    });
+  });
+});
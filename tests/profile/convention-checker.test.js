@@ -0,0 +1,205 @@
+/**
+ * Convention Checker Tests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+  ConventionChecker,
+  PatternLearner,
+  DOC_RULE,
+  RULE_SOURCES,
+  hasDocComment,
+} = require('../../lib/profile');
+
+const LEARNED = {
+  'naming.function': { value: 'camelCase', confidence: 0.95 },
+  'naming.class': { value: 'PascalCase', confidence: 1 },
+  'naming.constant': { value: 'SCREAMING_SNAKE', confidence: 0.9 },
+  'naming.variable': { value: 'camelCase', confidence: 0.98 },
+  'naming.test': { value: 'third-person', confidence: 0.85 },
+  'naming.file': { value: 'kebab-case', confidence: 0.6 },
+  [DOC_RULE]: { value: true, confidence: 0.9 },
+};
+
+describe('ConventionChecker', () => {
+  describe('getRules', () => {
+    test('enforces only high-confidence patterns and fills gaps from consensus', () => {
+      const aggregator = {
+        getConsensusPatterns: jest.fn(() => [
+          { type: 'naming', pattern: 'snake_case', confidence: 0.95 },
+          { type: 'naming.method', pattern: 'camelCase', confidence: 0.9 },
+          { type: 'testing', pattern: 'jest', confidence: 0.9 },
+        ]),
+      };
+      const checker = new ConventionChecker({ patterns: LEARNED, aggregator });
+
+      const rules = checker.getRules();
+
+      expect(aggregator.getConsensusPatterns).toHaveBeenCalledWith('strong');
+      expect(rules.map(r => [r.id, r.expected, r.source])).toEqual([
+        ['naming.variable', 'camelCase', RULE_SOURCES.PROJECT],
+        ['naming.constant', 'SCREAMING_SNAKE', RULE_SOURCES.PROJECT],
+        ['naming.function', 'camelCase', RULE_SOURCES.PROJECT],
+        ['naming.class', 'PascalCase', RULE_SOURCES.PROJECT],
+        ['naming.test', 'third-person', RULE_SOURCES.PROJECT],
+        [DOC_RULE, true, RULE_SOURCES.PROJECT],
+        ['naming.method', 'camelCase', RULE_SOURCES.CONSENSUS],
+      ]);
+    });
+
+    test('mutes rules developers keep rejecting', () => {
+      const feedbackCollector = { shouldSuppress: jest.fn((category, type) => type === DOC_RULE) };
+      const checker = new ConventionChecker({ patterns: LEARNED, feedbackCollector });
+
+      expect(checker.getRules().map(r => r.id)).not.toContain(DOC_RULE);
+      expect(feedbackCollector.shouldSuppress).toHaveBeenCalledWith('pattern', DOC_RULE);
+    });
+  });
+
+  describe('checkSource', () => {
+    const checker = new ConventionChecker({ patterns: LEARNED });
+
+    test('reports naming and JSDoc violations with lines', () => {
+      const findings = checker.checkSource([
+        "const CONFIG_PATH = require('path').join('a', 'b');",
+        'const max_retries = 3;',
+        '',
+        '/**',
+        ' * Documented',
+        ' */',
+        'function load_user(id) {',
+        '  const user_name = id;',
+        '  const helper = () => user_name;',
+        '  return helper();',
+        '}',
+        '',
+        'class jobQueue {',
+        '  /** Push */',
+        '  push() {}',
+        '  pop() {}',
+        '}',
+      ].join('\n'), 'lib/JobQueue.js');
+
+      expect(findings.map(f => [f.rule, f.line, f.name, f.actual])).toEqual([
+        ['naming.constant', 2, 'max_retries', 'snake_case'],
+        ['naming.function', 7, 'load_user', 'snake_case'],
+        ['naming.variable', 8, 'user_name', 'snake_case'],
+        ['naming.class', 13, 'jobQueue', 'camelCase'],
+        [DOC_RULE, 13, 'jobQueue', false],
+        [DOC_RULE, 16, 'pop', false],
+      ]);
+      expect(findings[1]).toMatchObject({
+        file: 'lib/JobQueue.js',
+        expected: 'camelCase',
+        confidence: 0.95,
+        source: RULE_SOURCES.PROJECT,
+        message: 'function `load_user` is snake_case, expected camelCase',
+      });
+    });
+
+    test('checks test names but not JSDoc in test files', () => {
+      const findings = checker.checkSource([
+        'function setup() {}',
+        "test('returns the user', () => {});",
+        "test('should return null', () => {});",
+      ].join('\n'), 'tests/user.test.js');
+
+      expect(findings.map(f => f.message)).toEqual(['test `should return null` is should, expected third-person']);
+    });
+  });
+
+  test('hasDocComment skips decorators and ignores plain block comments', () => {
+    const lines = ['/**', ' * Reads *.js files', ' */', '@decorated', 'class A {}', '/* plain */', 'class B {}'];
+
+    expect(hasDocComment(lines, 5)).toBe(true);
+    expect(hasDocComment(lines, 7)).toBe(false);
+  });
+
+  describe('files', () => {
+    let projectRoot;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+      fs.writeFileSync(path.join(projectRoot, file), content);
+    };
+
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-conventions-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    test('learns from existing files and checks new ones', () => {
+      const existing = [];
+      for (let i = 0; i < 6; i++) {
+        existing.push(`lib/module-${i}.js`);
+        write(`lib/module-${i}.js`, [
+          '/**',
+          ' * Load',
+          ' */',
+          `function loadItem${i}(itemId) {`,
+          '  const itemName = itemId;',
+          '  return itemName;',
+          '}',
+        ].join('\n'));
+      }
+      write('lib/new_feature.js', 'function save_item() {}\n');
+      write('README.md', '# Readme\n');
+      const checker = new ConventionChecker({ maxSamples: 5 });
+
+      expect(checker.learnFrom([...existing, 'README.md'], { projectRoot })).toBe(5);
+      expect(checker.learner).toBeInstanceOf(PatternLearner);
+
+      const { filesChecked, findings } = checker.checkFiles(['lib/new_feature.js', 'README.md', 'lib/gone.js'], {
+        projectRoot,
+      });
+
+      expect(filesChecked).toEqual(['lib/new_feature.js']);
+      expect(findings.map(f => `${f.file}:${f.line} ${f.rule}`)).toEqual([
+        'lib/new_feature.js:0 naming.file',
+        'lib/new_feature.js:1 naming.function',
+        'lib/new_feature.js:1 documentation.jsdoc',
+      ]);
+    });
+  });
+
+  describe('recordFeedback', () => {
+    const finding = {
+      rule: 'naming.function',
+      file: 'lib/a.js',
+      line: 3,
+      name: 'load_user',
+      confidence: 0.95,
+      source: RULE_SOURCES.PROJECT,
+      message: 'function `load_user` is snake_case, expected camelCase',
+    };
+
+    test('records an override as pattern feedback for the rule', () => {
+      const feedbackCollector = { recordQuickFeedback: jest.fn(() => 'fb-1') };
+      const checker = new ConventionChecker({ feedbackCollector });
+
+      expect(checker.recordFeedback(finding, 'rejected', { reason: 'external API' }))
+        .toEqual({ success: true, id: 'fb-1' });
+      expect(feedbackCollector.recordQuickFeedback).toHaveBeenCalledWith({
+        category: 'pattern',
+        type: 'naming.function',
+        suggestion: finding.message,
+        context: { file: 'lib/a.js', line: 3, name: 'load_user', source: RULE_SOURCES.PROJECT },
+        confidence: 0.95,
+        feedback: 'rejected',
+        details: { reason: 'external API' },
+      });
+    });
+
+    test('rejects other feedback types and a missing collector', () => {
+      const checker = new ConventionChecker({ feedbackCollector: { recordQuickFeedback: jest.fn() } });
+
+      expect(checker.recordFeedback(finding, 'modified').error).toMatch(/accepted or rejected/);
+      expect(new ConventionChecker().recordFeedback(finding, 'accepted').success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Declaration Extractor Tests
+ */
+
+const {
+  DECLARATION_KINDS,
+  NAMING_STYLES,
+  TEST_NAME_STYLES,
+  extractDeclarations,
+  classifyNamingStyle,
+  classifyTestName,
+  countNamingStyles,
+  namingConvention,
+} = require('../../lib/profile');
+
+const names = (declarations, kind) => declarations.filter(d => d.kind === kind).map(d => d.name);
+
+describe('extractDeclarations', () => {
+  test('classifies declarations by kind', () => {
+    const declarations = extractDeclarations([
+      'const MAX_RETRIES = 3;',
+      'let attempts = 0;',
+      'const fetchUser = async (id) => id;',
+      'function parse_input(text) {',
+      '  const trimmed = text.trim();',
+      '  return trimmed;',
+      '}',
+      'class JobQueue extends Base {',
+      '  static create() {}',
+      '  onDone = () => {};',
+      '  size = count(1);',
+      '  get length() { return 0; }',
+      '}',
+    ].join('\n'), { file: 'src/job-queue.js' });
+
+    expect(declarations).toEqual([
+      { kind: DECLARATION_KINDS.FILE, name: 'job-queue', line: 0 },
+      { kind: DECLARATION_KINDS.CONSTANT, name: 'MAX_RETRIES', line: 1 },
+      { kind: DECLARATION_KINDS.VARIABLE, name: 'attempts', line: 2 },
+      { kind: DECLARATION_KINDS.FUNCTION, name: 'fetchUser', line: 3 },
+      { kind: DECLARATION_KINDS.FUNCTION, name: 'parse_input', line: 4 },
+      { kind: DECLARATION_KINDS.VARIABLE, name: 'trimmed', line: 5 },
+      { kind: DECLARATION_KINDS.CLASS, name: 'JobQueue', line: 8 },
+      { kind: DECLARATION_KINDS.METHOD, name: 'create', line: 9 },
+      { kind: DECLARATION_KINDS.METHOD, name: 'onDone', line: 10 },
+      { kind: DECLARATION_KINDS.METHOD, name: 'length', line: 12 },
+    ]);
+  });
+
+  test('ignores names in comments, strings and imports', () => {
+    const declarations = extractDeclarations([
+      "const fs = require('fs');",
+      "const { readFile, join: joinPath } = require('path');",
+      "import { some_helper } from './helpers';",
+      '// function commented_out() {}',
+      "const message = 'function in_string() {}';",
+      'const pattern = /const in_regex = 1/;',
+    ].join('\n'));
+
+    expect(declarations.map(d => d.name)).toEqual(['message', 'pattern']);
+  });
+
+  test('keeps only the destructured names the developer chose', () => {
+    const declarations = extractDeclarations('const { a, b: renamed, ...rest } = options;\nconst [first, , last = 1] = list;');
+
+    expect(names(declarations, DECLARATION_KINDS.VARIABLE)).toEqual(['renamed', 'rest', 'first', 'last']);
+  });
+
+  test('tolerates truncated destructuring patterns', () => {
+    for (const code of ['const {', 'const { a', 'const { a: b', 'const [x,', 'let { a = ']) {
+      expect(() => extractDeclarations(code, { file: 'x.js' })).not.toThrow();
+    }
+    expect(names(extractDeclarations('const { a: renamed'), DECLARATION_KINDS.VARIABLE)).toEqual(['renamed']);
+  });
+
+  test('reads test names but not method calls named test', () => {
+    const declarations = extractDeclarations([
+      "describe('parser', () => {",
+      "  test('returns tokens', () => {});",
+      "  it.only('should skip comments', () => {});",
+      "  expect(/x/.test('x')).toBe(true);",
+      '});',
+    ].join('\n'));
+
+    expect(names(declarations, DECLARATION_KINDS.TEST)).toEqual(['returns tokens', 'should skip comments']);
+  });
+});
+
+describe('naming styles', () => {
+  test('classifyNamingStyle', () => {
+    expect(classifyNamingStyle('getUser')).toBe(NAMING_STYLES.CAMEL);
+    expect(classifyNamingStyle('HTTPServer')).toBe(NAMING_STYLES.PASCAL);
+    expect(classifyNamingStyle('MAX_SIZE')).toBe(NAMING_STYLES.SCREAMING_SNAKE);
+    expect(classifyNamingStyle('_private_name')).toBe(NAMING_STYLES.SNAKE);
+    expect(classifyNamingStyle('job-queue')).toBe(NAMING_STYLES.KEBAB);
+    expect(classifyNamingStyle('user')).toBe(NAMING_STYLES.LOWER);
+    expect(classifyNamingStyle('get_UserName')).toBe(NAMING_STYLES.MIXED);
+    expect(classifyNamingStyle('i')).toBeNull();
+  });
+
+  test('classifyTestName', () => {
+    expect(classifyTestName('should parse')).toBe(TEST_NAME_STYLES.SHOULD);
+    expect(classifyTestName('when empty, returns null')).toBe(TEST_NAME_STYLES.GIVEN_WHEN);
+    expect(classifyTestName('returns null')).toBe(TEST_NAME_STYLES.THIRD_PERSON);
+    expect(classifyTestName('empty input')).toBe(TEST_NAME_STYLES.DESCRIPTIVE);
+  });
+
+  test('namingConvention counts single lowercase words toward compatible styles', () => {
+    const counts = countNamingStyles(extractDeclarations('function load() {}\nfunction saveAll() {}\nfunction Build() {}'));
+
+    expect(counts).toEqual({ function: { lowercase: 1, camelCase: 1, PascalCase: 1 } });
+    expect(namingConvention(counts.function)).toEqual({ style: NAMING_STYLES.CAMEL, confidence: 0.67, samples: 3 });
+    expect(namingConvention({ lowercase: 2 })).toEqual({ style: NAMING_STYLES.LOWER, confidence: 1, samples: 2 });
+    expect(namingConvention({})).toBeNull();
+  });
+});
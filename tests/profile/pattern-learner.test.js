@@ -2,7 +2,10 @@
  * Pattern Learner Tests
  */
 
-const { PatternLearner, PATTERN_SIGNALS } = require('../../lib/profile');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { PatternLearner, PATTERN_SIGNALS, ProfileManager } = require('../../lib/profile');
 
 describe('PatternLearner', () => {
   let learner;
@@ -31,6 +34,11 @@ describe('PatternLearner', () => {
 
       expect(learner.observations).toHaveLength(2);
     });
+
+    test('does not throw on half-edited source', () => {
+      expect(() => learner.observeCode('const { a', 'x.js')).not.toThrow();
+      expect(() => learner.extractPatterns('function load() {\n  return /', { file: 'x.js' })).not.toThrow();
+    });
   });
 
   describe('detectNamingPatterns', () => {
@@ -56,6 +64,20 @@ describe('PatternLearner', () => {
 
       expect(patterns.naming.snake_case).toBeGreaterThan(0);
     });
+
+    test('ignores names in comments, strings and imports', () => {
+      const code = `
+        const { read_file } = require('fs');
+        // const old_name = 1;
+        const itemLabel = 'let quoted_name';
+        function getUserName() {}
+      `;
+
+      const patterns = learner.extractPatterns(code);
+
+      expect(patterns.naming.snake_case).toBe(0);
+      expect(patterns.naming.conventions.function).toEqual({ style: 'camelCase', confidence: 1, samples: 1 });
+    });
   });
 
   describe('detectDocPatterns', () => {
@@ -208,6 +230,127 @@ describe('PatternLearner', () => {
     });
   });
 
+  describe('detectErrorHandlingPatterns', () => {
+    test('classifies try/catch handlers and custom error classes', () => {
+      const code = `
+        class ValidationError extends Error {}
+        function load(file) {
+          try {
+            return read(file);
+          } catch (err) {
+            throw new ValidationError(err.message);
+          }
+        }
+        function loadQuietly(file) {
+          try {
+            return read(file);
+          } catch {
+            // ignore: "try { } catch (e) {}" in a comment is not counted
+          }
+        }
+      `;
+
+      const patterns = learner.extractPatterns(code).errorHandling;
+
+      expect(patterns.style).toBe('try-catch');
+      expect(patterns.customErrors).toEqual(['ValidationError']);
+      expect(patterns.counts).toMatchObject({ functions: 2, tryCatch: 2, rethrow: 1, swallow: 1 });
+      expect(patterns.rethrows && patterns.swallows).toBe(true);
+    });
+
+    test('detects promise catch handlers and result objects', () => {
+      const code = `
+        const fetchAll = () => fetchUsers().catch(err => console.error(err));
+        const fetchOne = (id) => fetchUser(id).catch(() => null).then(handle).catch(reportError);
+        function save(data) {
+          if (!data) return { success: false, error: 'No data' };
+          return { success: true };
+        }
+        function remove(id) {
+          return { success: store.delete(id) };
+        }
+        function clear() {
+          return { ok: store.clear() };
+        }
+      `;
+
+      const { style, usesPromiseCatch, counts } = learner.detectErrorHandlingPatterns(code);
+
+      expect(style).toBe('result-object');
+      expect(usesPromiseCatch).toBe(true);
+      expect(counts).toMatchObject({ functions: 7, promiseCatch: 3, resultObjects: 4, log: 1, swallow: 1, handle: 1 });
+    });
+
+    test('infers an error-handling level from guarded functions and swallowed errors', () => {
+      const counts = { functions: 20, tryCatch: 4, handle: 4 };
+
+      expect(learner.inferErrorHandlingLevel(counts)).toEqual({ level: 'defensive', confidence: 1, guardedRatio: 0.2 });
+      expect(learner.inferErrorHandlingLevel({ ...counts, tryCatch: 12 }).level).toBe('paranoid');
+      expect(learner.inferErrorHandlingLevel({ ...counts, swallow: 5 }).level).toBe('minimal');
+      expect(learner.inferErrorHandlingLevel({ functions: 10, tryCatch: 0 })).toMatchObject({ level: 'minimal', confidence: 0.5 });
+      expect(learner.inferErrorHandlingLevel({})).toBeNull();
+    });
+
+    test('writes the learned level to the profile quality.errorHandling', () => {
+      const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gywd-pattern-profile-'));
+      try {
+        const profileManager = new ProfileManager(profileDir);
+        const withProfile = new PatternLearner({ profileManager });
+        const code = Array.from({ length: 8 }, (_, i) => `function step${i}() { return run(${i}); }`).join('\n');
+
+        for (let i = 0; i < 3; i++) {
+          withProfile.observeCode(code);
+        }
+
+        expect(withProfile.getLearnedPatterns()['error-handling.level']).toMatchObject({ value: 'minimal', confidence: 1 });
+        expect(new ProfileManager(profileDir).init().quality.errorHandling).toBe('minimal');
+      } finally {
+        fs.rmSync(profileDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('detectWorkflowPatterns', () => {
+    // Newest first, as git log lists them
+    const commits = [
+      { sha: 'e', files: ['src/cart.js', 'tests/cart.test.js'] },
+      { sha: 'd', files: ['src/user.js'] },
+      { sha: 'c', files: ['src/user.js', 'src/api.js', 'tests/api.test.js'] },
+      { sha: 'b', files: ['tests/user.test.js'] },
+      { sha: 'a', files: ['README.md', 'package.json'] },
+    ];
+
+    test('reports commit granularity and test ordering', () => {
+      expect(learner.detectWorkflowPatterns(commits)).toEqual({
+        commits: 5,
+        medianFilesPerCommit: 2,
+        granularity: 'atomic',
+        testsWithChanges: 0.67,
+        testOrdering: 'together',
+        testFirstRatio: 0.33,
+        counts: { 'test-first': 1, 'together': 2, 'test-after': 0, pairs: 3 },
+      });
+      expect(learner.detectWorkflowPatterns([]).granularity).toBe('unknown');
+    });
+
+    test('observeHistory learns workflow patterns with enough history', () => {
+      const history = Array.from({ length: 20 }, (_, i) => ({
+        sha: String(i),
+        files: i % 2 ? [`tests/m${i}.test.js`] : [`src/m${i + 1}.js`],
+      }));
+
+      learner.observeHistory(history);
+
+      expect(learner.getLearnedPatterns()['workflow.granularity']).toEqual({
+        value: 'atomic',
+        confidence: 1,
+        observationCount: 20,
+      });
+      expect(learner.getLearnedPatterns()['workflow.testOrdering'].value).toBe('test-first');
+      expect(learner.observeHistory(commits).testOrdering).toBe('together');
+    });
+  });
+
   describe('updateLearnedPatterns', () => {
     test('learns patterns after multiple observations', () => {
       const code = `
@@ -235,6 +378,58 @@ describe('PatternLearner', () => {
     });
   });
 
+  describe('naming conventions', () => {
+    const code = `
+      const MAX_ITEMS = 10;
+      const DEFAULT_NAME = 'x';
+      class UserStore {
+        loadAll() {}
+        saveUser(user) {}
+      }
+      class CacheEntry {}
+      function getUserName() {}
+      function formatDate() {}
+      function parse() {}
+    `;
+
+    test('learns a convention per declaration kind with confidence', () => {
+      learner.observeCode(code, 'user-store.js');
+      learner.observeCode(code, 'cache-entry.js');
+      learner.observeCode(code.replace('parse()', 'parse_all()'), 'date-utils.js');
+
+      expect(learner.getNamingConventions()).toEqual({
+        class: { style: 'PascalCase', confidence: 1, samples: 6 },
+        function: { style: 'camelCase', confidence: 0.89, samples: 9 },
+        method: { style: 'camelCase', confidence: 1, samples: 6 },
+        constant: { style: 'SCREAMING_SNAKE', confidence: 1, samples: 6 },
+      });
+      expect(learner.getLearnedPatterns()['naming.class'].value).toBe('PascalCase');
+      expect(learner.describeNamingConventions())
+        .toBe('classes PascalCase, functions camelCase, methods camelCase, constants SCREAMING_SNAKE');
+    });
+
+    test('learns from a single large sample but not from too few names', () => {
+      learner.observeCode(code.repeat(3));
+      expect(learner.getConfidence('naming.function')).toBe(1);
+
+      learner.clear();
+      learner.observeCode('class A {}\nclass Bee {}');
+      expect(learner.getNamingConventions()).toEqual({});
+    });
+
+    test('learns from the last `window` observations', () => {
+      const wide = new PatternLearner({ window: 12 });
+      for (let i = 0; i < 12; i++) {
+        const name = i < 2 ? `load_item_${i}` : `loadItem${i}`;
+        learner.observeCode(`function ${name}() {}`);
+        wide.observeCode(`function ${name}() {}`);
+      }
+
+      expect(learner.getNamingConventions().function).toEqual({ style: 'camelCase', confidence: 1, samples: 10 });
+      expect(wide.getNamingConventions().function).toEqual({ style: 'camelCase', confidence: 0.83, samples: 12 });
+    });
+  });
+
   describe('getConfidence', () => {
     test('returns 0 for unknown patterns', () => {
       expect(learner.getConfidence('unknown.pattern')).toBe(0);
@@ -284,5 +479,12 @@ describe('PatternLearner', () => {
       expect(PATTERN_SIGNALS.PascalCase.test('UserService')).toBe(true);
       expect(PATTERN_SIGNALS.PascalCase.test('userService')).toBe(false);
     });
+
+    test('testFile regex matches every test file naming style', () => {
+      const tests = ['tests/a.js', 'src/__tests__/a.js', 'a.test.js', 'a.spec.ts', 'a-test.js', 'a_spec.jsx'];
+
+      expect(tests.filter(f => PATTERN_SIGNALS.testFile.test(f))).toEqual(tests);
+      expect(['latest.js', 'contest/a.js', 'attest.js'].some(f => PATTERN_SIGNALS.testFile.test(f))).toBe(false);
+    });
   });
 });
@@ -131,7 +131,7 @@ describe('validateDataAgainstSchema', () => {
     const data = { user: {} };
     const result = validateDataAgainstSchema(data, schema);
     expect(result.valid).toBe(false);
-    expect(result.errors[0]).toContain('user:');
+    expect(result.errors[0]).toBe('/user: Missing required property: name');
   });
 
   test('validates array items', () => {
@@ -142,7 +142,7 @@ describe('validateDataAgainstSchema', () => {
     const data = [1, 'two', 3];
     const result = validateDataAgainstSchema(data, schema);
     expect(result.valid).toBe(false);
-    expect(result.errors[0]).toContain('[1]:');
+    expect(result.errors[0]).toBe('/1: Expected number, got string');
   });
 
   test('validates integers', () => {
@@ -150,6 +150,104 @@ describe('validateDataAgainstSchema', () => {
     expect(validateDataAgainstSchema(5, schema).valid).toBe(true);
     expect(validateDataAgainstSchema(5.5, schema).valid).toBe(false);
   });
+
+  test('treats null as its own type', () => {
+    expect(validateDataAgainstSchema(null, { type: 'object' }).errors).toEqual(['Expected object, got null']);
+    expect(validateDataAgainstSchema(null, { type: ['string', 'null'] }).valid).toBe(true);
+  });
+
+  test('validates const', () => {
+    const schema = { properties: { version: { type: 'string', const: '2.0.0' } } };
+    expect(validateDataAgainstSchema({ version: '2.0.0' }, schema).valid).toBe(true);
+    expect(validateDataAgainstSchema({ version: '1.0.0' }, schema).errors).toEqual(['/version: Value must be 2.0.0']);
+  });
+
+  test('validates date-time and date formats', () => {
+    const schema = {
+      properties: {
+        at: { type: 'string', format: 'date-time' },
+        on: { type: 'string', format: 'date' },
+      },
+    };
+    expect(validateDataAgainstSchema({ at: '2025-01-10T12:00:00Z', on: '2025-01-10' }, schema).valid).toBe(true);
+
+    const result = validateDataAgainstSchema({ at: 'yesterday', on: '2025-02-30' }, schema);
+    expect(result.errors).toEqual(['/at: Invalid date-time: yesterday', '/on: Invalid date: 2025-02-30']);
+  });
+
+  test('validates additionalProperties', () => {
+    const closed = { properties: { a: {} }, additionalProperties: false };
+    expect(validateDataAgainstSchema({ a: 1, b: 2 }, closed).errors).toEqual(['Unexpected property: b']);
+
+    const typed = { additionalProperties: { type: 'number' } };
+    expect(validateDataAgainstSchema({ x: 1, y: 'two' }, typed).errors).toEqual(['/y: Expected number, got string']);
+  });
+
+  test('validates minimum and maximum', () => {
+    const schema = { type: 'integer', minimum: 0, maximum: 100 };
+    expect(validateDataAgainstSchema(50, schema).valid).toBe(true);
+    expect(validateDataAgainstSchema(-1, schema).errors).toEqual(['Value must be >= 0']);
+    expect(validateDataAgainstSchema(101, schema).errors).toEqual(['Value must be <= 100']);
+  });
+
+  test('validates pattern, minItems and uniqueItems', () => {
+    expect(validateDataAgainstSchema('DEC-1', { pattern: '^DEC-[0-9]{3,}$' }).valid).toBe(false);
+    expect(validateDataAgainstSchema(['a'], { minItems: 2 }).errors).toEqual(['Array must have at least 2 items']);
+    expect(validateDataAgainstSchema([1, 1], { uniqueItems: true }).valid).toBe(false);
+  });
+
+  test('resolves $ref to definitions', () => {
+    const schema = {
+      type: 'object',
+      properties: { items: { type: 'array', items: { $ref: '#/definitions/Item' } } },
+      definitions: { Item: { type: 'object', required: ['id'] } },
+    };
+    const result = validateDataAgainstSchema({ items: [{ id: 1 }, {}] }, schema);
+    expect(result.errors).toEqual(['/items/1: Missing required property: id']);
+  });
+
+  test('resolves $ref against rootSchema when validating a definition', () => {
+    const root = {
+      definitions: {
+        Parent: { properties: { child: { $ref: '#/definitions/Child' } } },
+        Child: { type: 'string' },
+      },
+    };
+    const result = validateDataAgainstSchema({ child: 5 }, root.definitions.Parent, { rootSchema: root });
+    expect(result.errors).toEqual(['/child: Expected string, got number']);
+    expect(validateDataAgainstSchema(1, { $ref: '#/definitions/Missing' }).errors[0]).toContain('Unresolvable $ref');
+  });
+
+  test('reports invalid regexes and malformed $refs instead of throwing', () => {
+    const schema = {
+      properties: {
+        id: { type: 'string', pattern: '[a-' },
+        tags: { patternProperties: { '(': { type: 'string' } } },
+        ref: { $ref: '#/definitions/%E0%A4%A' },
+      },
+    };
+    const result = validateDataAgainstSchema({ id: 'x', tags: { a: 1 }, ref: 1 }, schema);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      '/id: Invalid regex in schema keyword pattern: [a-',
+      '/tags: Invalid regex in schema keyword patternProperties/(',
+      '/ref: Unresolvable $ref: #/definitions/%E0%A4%A',
+    ]);
+  });
+
+  test('validates oneOf, anyOf and allOf', () => {
+    const oneOf = { oneOf: [{ type: 'integer' }, { type: 'number' }] };
+    expect(validateDataAgainstSchema(1.5, oneOf).valid).toBe(true);
+    expect(validateDataAgainstSchema(1, oneOf).errors[0]).toContain('exactly one');
+
+    expect(validateDataAgainstSchema('x', { anyOf: [{ type: 'number' }, { type: 'string' }] }).valid).toBe(true);
+    expect(validateDataAgainstSchema(5, { allOf: [{ minimum: 0 }, { maximum: 3 }] }).valid).toBe(false);
+  });
+
+  test('escapes JSON pointer tokens', () => {
+    const schema = { additionalProperties: { type: 'string' } };
+    expect(validateDataAgainstSchema({ 'a/b~c': 1 }, schema).errors).toEqual(['/a~1b~0c: Expected string, got number']);
+  });
 });
 
 describe('loadSchema', () => {
@@ -10,6 +10,7 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const { readState: readStateDocument } = require('./lib/planning');
 
 let statusBarItem;
 let outputChannel;
@@ -94,23 +95,15 @@ function readState() {
   const planningDir = getPlanningDir();
   if (!planningDir) return null;
 
-  const statePath = path.join(planningDir, 'STATE.md');
-  if (!fs.existsSync(statePath)) return null;
-
   try {
-    const content = fs.readFileSync(statePath, 'utf8');
-
-    // Parse phase info
-    const phaseMatch = content.match(/\*\*Phase:\*\*\s*(\d+)\s*of\s*(\d+)/);
-    const planMatch = content.match(/\*\*Plan:\*\*\s*(\d+)\s*of\s*(\d+)/);
-    const focusMatch = content.match(/\*\*Focus:\*\*\s*(.+)/);
-    const milestoneMatch = content.match(/\*\*Current milestone:\*\*\s*(.+)/);
+    const state = readStateDocument(planningDir);
+    if (!state) return null;
 
     return {
-      phase: phaseMatch ? { current: phaseMatch[1], total: phaseMatch[2] } : null,
-      plan: planMatch ? { current: planMatch[1], total: planMatch[2] } : null,
-      focus: focusMatch ? focusMatch[1].trim() : null,
-      milestone: milestoneMatch ? milestoneMatch[1].trim() : null,
+      phase: state.phase ? { current: state.phase.current, total: state.phase.total } : null,
+      plan: state.plan ? { current: state.plan.current, total: state.plan.total } : null,
+      focus: state.focus,
+      milestone: state.milestone,
     };
   } catch (error) {
     outputChannel.appendLine(`Error reading STATE.md: ${error.message}`);